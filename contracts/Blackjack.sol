@@ -1,9 +1,11 @@
 // SPDX-License-Identifier: MIT 
 pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./HouseTreasury.sol";
 
-contract Blackjack is ReentrancyGuard {
+contract Blackjack is ReentrancyGuard, EIP712 {
     address public owner;
     uint256 public minBetAmount;
     HouseTreasury public treasury;
@@ -14,6 +16,28 @@ contract Blackjack is ReentrancyGuard {
         bool resolved;
     }
     
+    // A finished hand as the player submitted it through submitGameResult
+    struct GameResult {
+        address player;
+        uint8[] playerCards;
+        uint8[] dealerCards;
+        uint256 multiplier;
+        uint256 nonce;
+    }
+
+    // An action the player signed in their wallet, as the server's
+    // BlackjackAction intent
+    struct BlackjackAction {
+        address player;
+        string action;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant BLACKJACK_ACTION_TYPEHASH = keccak256(
+        "BlackjackAction(address player,string action,uint256 nonce,uint256 deadline)"
+    );
+
     // Create temporary storage for winnings
     struct WinningInfo {
         address player;
@@ -35,6 +59,7 @@ contract Blackjack is ReentrancyGuard {
 
     mapping(address => bytes32) public playerGameHashes;
     mapping(bytes32 => bool) public usedHashes;
+    mapping(bytes32 => bool) public usedIntents;
 
     event BetPlaced(address indexed player, uint256 amount);
     event GameResolved(address indexed player, uint256 winnings);
@@ -42,6 +67,7 @@ contract Blackjack is ReentrancyGuard {
     event ContractPaused();
     event ContractUnpaused();
     event BetResolved(address indexed player, uint256 amount);
+    event StakeAdded(address indexed player, string action, uint256 amount);
 
     error BetBelowMinimum();
     error InsufficientTreasuryBalance();
@@ -51,7 +77,7 @@ contract Blackjack is ReentrancyGuard {
     error OnlyOwnerAllowed();
     error ResolutionInProgress();
 
-    constructor(uint256 _minBetAmount, address payable _treasuryAddress) {
+    constructor(uint256 _minBetAmount, address payable _treasuryAddress) EIP712("AIce Arena", "1") {
         owner = msg.sender;
         minBetAmount = _minBetAmount;
         treasury = HouseTreasury(_treasuryAddress);
@@ -128,8 +154,46 @@ contract Blackjack is ReentrancyGuard {
         emit BetPlaced(msg.sender, msg.value);
     }
 
+    // The owner collects the extra stake of a double down or split (another
+    // unit of the bet) or of insurance (half a unit) the player signed for.
+    // The on-chain bet is unchanged; the server settles the extra stake with
+    // the hand. Each signed action can only be used once.
+    function collectStakeFor(BlackjackAction calldata intent, bytes calldata signature)
+        external
+        onlyOwner
+        nonReentrant
+        whenNotPaused
+    {
+        require(block.timestamp <= intent.deadline, "Intent has expired");
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            BLACKJACK_ACTION_TYPEHASH,
+            intent.player,
+            keccak256(bytes(intent.action)),
+            intent.nonce,
+            intent.deadline
+        )));
+        require(ECDSA.recover(digest, signature) == intent.player, "Intent was not signed by its player");
+        require(!usedIntents[digest], "Intent already used");
+        require(isPlayerActive[intent.player], "No active game");
+        usedIntents[digest] = true;
+
+        uint256 amount = playerHands[intent.player].bet;
+        bytes32 action = keccak256(bytes(intent.action));
+        if (action == keccak256("insurance")) {
+            amount /= 2;
+        } else {
+            require(action == keccak256("double") || action == keccak256("split"), "Unknown action");
+        }
+
+        treasury.processBetLoss(intent.player, amount);
+        emit StakeAdded(intent.player, intent.action, amount);
+    }
+
+    // Only the owner settles hands: the server deals and scores them, so a
+    // player naming their own multiplier would be paying themselves
     function resolveGames(address[] calldata players, uint256[] calldata multipliers) 
         external
+        onlyOwner
         whenNotPaused 
     {
         require(players.length == multipliers.length, "Arrays must be same length");
@@ -138,18 +202,6 @@ contract Blackjack is ReentrancyGuard {
         for (uint256 i = 0; i < players.length; i++) {
             address player = players[i];
             
-            // Only owner or the player themselves can resolve their bet
-            require(
-                msg.sender == owner || msg.sender == player,
-                "Only owner or player can resolve bet"
-            );
-            
-            // If not owner, can only resolve own bet
-            if (msg.sender != owner) {
-                require(player == msg.sender, "Can only resolve own bet");
-                require(players.length == 1, "Players can only resolve one bet at a time");
-            }
-            
             uint256 multiplier = multipliers[i];
             uint256 bet = playerHands[player].bet;
             
@@ -239,6 +291,32 @@ contract Blackjack is ReentrancyGuard {
         uint256 multiplier,
         uint256 nonce
     ) external onlyOwner whenNotPaused {
+        _resolveGameForPlayer(player, playerCards, dealerCards, multiplier, nonce);
+    }
+
+    // Hash-verified resolution for many players in one transaction; each result
+    // must match the hash its player submitted
+    function resolveGamesForPlayers(GameResult[] calldata results) external onlyOwner whenNotPaused {
+        require(results.length > 0, "No players to resolve");
+
+        for (uint256 i = 0; i < results.length; i++) {
+            _resolveGameForPlayer(
+                results[i].player,
+                results[i].playerCards,
+                results[i].dealerCards,
+                results[i].multiplier,
+                results[i].nonce
+            );
+        }
+    }
+
+    function _resolveGameForPlayer(
+        address player,
+        uint8[] calldata playerCards,
+        uint8[] calldata dealerCards,
+        uint256 multiplier,
+        uint256 nonce
+    ) private {
         // Recreate and verify the game hash
         bytes32 gameHash = keccak256(abi.encodePacked(
             player,
@@ -100,6 +100,17 @@ contract HouseTreasury is ReentrancyGuard {
     // Called by games when a player wins a bet
     function processBetWin(address player, uint256 amount) external 
         onlyAuthorizedGame {
+        payFromHouseFunds(player, amount);
+    }
+
+    // The owner can already withdraw house funds, so it may also pay them to
+    // a player directly (prizes, refunds, fractional returns). It can never
+    // take from a player's balance; only games can.
+    function payFromHouse(address player, uint256 amount) external onlyOwner {
+        payFromHouseFunds(player, amount);
+    }
+
+    function payFromHouseFunds(address player, uint256 amount) private {
         require(houseFunds >= amount, "Insufficient house funds for payout");
         houseFunds -= amount;
         playerBalances[player] += amount;
@@ -1,15 +1,17 @@
 // SPDX-License-Identifier: MIT 
 pragma solidity ^0.8.20;
-import "hardhat/console.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./HouseTreasury.sol";
 
-contract Poker is Ownable, ReentrancyGuard {
+contract Poker is Ownable, ReentrancyGuard, EIP712 {
     uint256 public minBetAmount;
     HouseTreasury public treasury;
     uint256 public maxTables = 10;
     uint256 public maxPlayersPerTable = 6; // 5 players + house
+    uint256 public actionTimeout = 30 seconds; // Before the owner can act for a player
     
     enum HandRank { 
         HighCard,
@@ -62,13 +64,57 @@ contract Poker is Ownable, ReentrancyGuard {
         mapping(address => Player) players;
         address[] playerAddresses;
         uint8[] communityCards;
-        mapping(address => uint8[]) playerCards;
+        mapping(address => uint8[]) playerCards;    // Shown down hole cards
         mapping(uint256 => bool) hasActed;
         bool roundComplete;
+        uint256 handNumber;     // Hands started at this table
+        uint256 dealtCards;     // Bit per card dealt in the current hand
+        mapping(address => bytes32) holeCardCommitments;
+        uint256 turnStartedAt;
     }
 
+    // An action the player signed in their wallet for the owner to send. Same
+    // fields as the server's PokerAction intent; amount is the buy-in for a
+    // join, the chips added for a rebuy and the raise for a raise.
+    struct PokerAction {
+        address player;
+        uint256 tableId;
+        string action;
+        uint256 amount;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant POKER_ACTION_TYPEHASH = keccak256(
+        "PokerAction(address player,uint256 tableId,string action,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+
+    // A tournament entry the player signed, as the server's PokerTournamentEntry
+    struct PokerTournamentEntry {
+        address player;
+        uint256 tournamentId;
+        string action;
+        uint256 buyIn;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant POKER_TOURNAMENT_ENTRY_TYPEHASH = keccak256(
+        "PokerTournamentEntry(address player,uint256 tournamentId,string action,uint256 buyIn,uint256 nonce,uint256 deadline)"
+    );
+
+    // Rake the house takes from each cash pot as it is awarded: rakeBps of
+    // the called pot, at most rakeCap (0 for no cap), and nothing from a hand
+    // that ended before the flop unless rakePreflop
+    uint256 public constant MAX_RAKE_BPS = 1000;
+    uint256 public rakeBps;
+    uint256 public rakeCap;
+    bool public rakePreflop;
+
     // Mappings for game state
     mapping(uint256 => Table) public tables;
+    mapping(bytes32 => bool) public usedIntents;
+    mapping(uint256 => bool) public tournamentTables; // Stacks are tournament chips, not treasury funds
     mapping(address => uint256) public playerTables; // Which table a player is at
     uint256 public activeTableCount;
 
@@ -87,12 +133,19 @@ contract Poker is Ownable, ReentrancyGuard {
     );
     event PlayerCardsDealt(uint256 indexed tableId, address indexed player, uint8[] cards);
     event CommunityCardsDealt(uint256 indexed tableId, uint8[] cards);
-    event CardsDealt(uint256 indexed tableId, address indexed player, uint8[] cards);
+    event HoleCardsCommitted(uint256 indexed tableId, address indexed player, bytes32 commitment);
+    event HoleCardsRevealed(uint256 indexed tableId, address indexed player, uint8[] cards);
     event BlindsPosted(uint256 indexed tableId, address smallBlind, address bigBlind, uint256 smallBlindAmount, uint256 bigBlindAmount);
     event HandWinner(uint256 indexed tableId, address indexed winner, HandRank winningHandRank, uint256 potAmount);
     event TurnStarted(uint256 indexed tableId, address indexed player);
     event TurnEnded(uint256 indexed tableId, address indexed player, string action);
     event RoundComplete(uint256 indexed tableId);
+    event PlayerTimedOut(uint256 indexed tableId, address indexed player);
+    event PlayerSittingOut(uint256 indexed tableId, address indexed player, bool sittingOut);
+    event PlayerRebought(uint256 indexed tableId, address indexed player, uint256 amount, uint256 tableStake);
+    event ActionRelayed(uint256 indexed tableId, address indexed player, bytes32 intentHash, string action);
+    event TournamentBuyIn(uint256 indexed tournamentId, address indexed player, uint256 buyIn);
+    event RakeTaken(uint256 indexed tableId, address indexed player, uint256 amount);
 
     // Error messages
     error TableFull();
@@ -106,21 +159,31 @@ contract Poker is Ownable, ReentrancyGuard {
     error InvalidBetLimits();
     error OnlyOwnerAllowed();
 
-    constructor(uint256 _minBetAmount, address payable _treasuryAddress) Ownable(msg.sender) {
+    constructor(uint256 _minBetAmount, address payable _treasuryAddress) Ownable(msg.sender) EIP712("AIce Arena", "1") {
         minBetAmount = _minBetAmount;
         treasury = HouseTreasury(_treasuryAddress);
     }
 
+    // Modifier checks are made in functions rather than inlined, to keep the
+    // contract under the code size limit
     modifier onlyValidTable(uint256 tableId) {
-        require(tables[tableId].isActive, "Table does not exist");
+        requireValidTable(tableId);
         _;
     }
 
+    function requireValidTable(uint256 tableId) internal view {
+        require(tables[tableId].isActive, "Table does not exist");
+    }
+
     modifier onlyTablePlayer(uint256 tableId) {
-        require(tables[tableId].players[msg.sender].isActive, "Not a player at this table");
+        requireTablePlayer(tableId);
         _;
     }
 
+    function requireTablePlayer(uint256 tableId) internal view {
+        require(tables[tableId].players[msg.sender].isActive, "Not a player at this table");
+    }
+
     modifier onlyDuringState(uint256 tableId, GameState state) {
         require(tables[tableId].gameState == state, "Invalid game state");
         _;
@@ -165,40 +228,62 @@ contract Poker is Ownable, ReentrancyGuard {
         nonReentrant 
         onlyValidTable(tableId) 
     {
+        _joinTable(tableId, msg.sender, buyInAmount);
+    }
+
+    function _joinTable(uint256 tableId, address playerAddr, uint256 buyInAmount) internal {
         Table storage table = tables[tableId];
         
-        if (table.playerCount >= maxPlayersPerTable) revert TableFull();
+        require(!tournamentTables[tableId], "Tournament table");
         if (buyInAmount < table.minBuyIn || buyInAmount > table.maxBuyIn) revert InvalidBuyIn();
         
         // Check if player has sufficient balance in treasury
         require(
-            treasury.getPlayerBalance(msg.sender) >= buyInAmount,
+            treasury.getPlayerBalance(playerAddr) >= buyInAmount,
             "Insufficient balance in treasury"
         );
 
         // Transfer buy-in from player's treasury balance to table stake
-        treasury.processBetLoss(msg.sender, buyInAmount);
+        treasury.processBetLoss(playerAddr, buyInAmount);
+        seatPlayer(tableId, playerAddr, buyInAmount);
+    }
+
+    // Seats a tournament entrant with their tournament chips as the stack.
+    // Nothing moves in the treasury, and the chips can never be taken off
+    // the table: only a player who has lost them all can leave.
+    function seatTournamentPlayer(uint256 tableId, address playerAddr, uint256 chips)
+        external
+        onlyOwner
+        onlyValidTable(tableId)
+    {
+        require(chips > 0, "No chips");
+        if (!tournamentTables[tableId]) {
+            require(tables[tableId].playerCount == 0, "Table already has cash players");
+            tournamentTables[tableId] = true;
+        }
+        seatPlayer(tableId, playerAddr, chips);
+    }
+
+    function seatPlayer(uint256 tableId, address playerAddr, uint256 stake) internal {
+        Table storage table = tables[tableId];
+        if (table.playerCount >= maxPlayersPerTable) revert TableFull();
+        require(!isSeated(table, playerAddr), "Already seated");
         
-        // Add player to table
-        table.players[msg.sender] = Player({
-            playerAddress: msg.sender,
-            tableStake: buyInAmount,
+        // Add player to table; anyone joining mid-hand is dealt in from the next one
+        table.players[playerAddr] = Player({
+            playerAddress: playerAddr,
+            tableStake: stake,
             currentBet: 0,
-            isActive: true,
+            isActive: !handInProgress(tableId),
             isSittingOut: false,
             position: uint256(table.playerCount)
         });
         
-        table.playerAddresses.push(msg.sender);
+        table.playerAddresses.push(playerAddr);
         table.playerCount++;
-        playerTables[msg.sender] = tableId;
-        
-        emit PlayerJoined(tableId, msg.sender, buyInAmount);
+        playerTables[playerAddr] = tableId;
         
-        // Start game if we have enough players
-        if (table.playerCount >= 2) {
-            startNewHand(tableId);
-        }
+        emit PlayerJoined(tableId, playerAddr, stake);
     }
 
     // Leave table
@@ -207,113 +292,188 @@ contract Poker is Ownable, ReentrancyGuard {
         nonReentrant 
         onlyValidTable(tableId) 
     {
+        _leaveTable(tableId, msg.sender);
+    }
+
+    function _leaveTable(uint256 tableId, address playerAddr) internal {
         Table storage table = tables[tableId];
         
-        // Check if player is actually at the table
-        require(playerTables[msg.sender] == tableId, "Player not at this table");
+        require(isSeated(table, playerAddr), "Player not at this table");
+        Player storage player = table.players[playerAddr];
         
-        Player storage player = table.players[msg.sender];
-        require(player.playerAddress == msg.sender, "Player not found");
-        
-        // Allow leaving if player has either stake or active bet
-        require(player.tableStake > 0 || player.currentBet > 0, "No stake or bet to withdraw");
+        // Chips already in the pot stay there, so a player still holding cards
+        // has to fold first
+        require(!(handInProgress(tableId) && player.isActive), "Fold before leaving");
+        require(!tournamentTables[tableId] || player.tableStake == 0, "Tournament chips stay in play");
         
         // Only return tableStake to treasury, currentBet stays in pot if in active hand
         if (player.tableStake > 0) {
-            try treasury.processBetWin(msg.sender, player.tableStake) {
-                // Success
-            } catch {
-                revert("Treasury transfer failed");
-            }
+            treasury.processBetWin(playerAddr, player.tableStake);
         }
         
         uint256 remainingStake = player.tableStake;
         player.tableStake = 0;
         player.isActive = false;
         
-        // Safely decrease player count
-        if (table.playerCount > 0) {
-            table.playerCount--;
-        }
-        
-        // Remove from playerAddresses safely
-        bool found = false;
-        for (uint i = 0; i < table.playerAddresses.length; i++) {
-            if (table.playerAddresses[i] == msg.sender) {
-                // Move last element to this position if it's not the last element
-                if (i < table.playerAddresses.length - 1) {
-                    table.playerAddresses[i] = table.playerAddresses[table.playerAddresses.length - 1];
-                }
-                table.playerAddresses.pop();
-                found = true;
-                break;
+        table.playerCount--;
+        
+        // Move the last seat into the one being freed, keeping its position,
+        // turn and action flag pointing at it
+        uint256 seat = player.position;
+        uint256 lastSeat = table.playerAddresses.length - 1;
+        if (seat != lastSeat) {
+            address moved = table.playerAddresses[lastSeat];
+            table.playerAddresses[seat] = moved;
+            table.players[moved].position = seat;
+            table.hasActed[seat] = table.hasActed[lastSeat];
+            if (table.currentPosition == lastSeat) {
+                table.currentPosition = seat;
             }
         }
-        require(found, "Player not found in addresses array");
+        table.hasActed[lastSeat] = false;
+        table.playerAddresses.pop();
         
-        delete playerTables[msg.sender];
+        delete playerTables[playerAddr];
 
-        // If this was the last active player, award pot to remaining player
-        if (table.gameState != GameState.Waiting && table.gameState != GameState.Complete) {
-            uint256 activeCount = 0;
-            address lastActivePlayer;
-            
-            for (uint i = 0; i < table.playerAddresses.length; i++) {
-                if (table.players[table.playerAddresses[i]].isActive) {
-                    activeCount++;
-                    lastActivePlayer = table.playerAddresses[i];
-                }
-            }
-            
-            // If only one player remains, they win the pot
-            if (activeCount == 1) {
-                Player storage winner = table.players[lastActivePlayer];
-                winner.tableStake += table.pot;
-                
-                // Get winner's hand rank for the event
-                uint8[] memory playerCards = table.playerCards[lastActivePlayer];
-                uint8[] memory allCards = new uint8[](7);
-                allCards[0] = playerCards[0];
-                allCards[1] = playerCards[1];
-                for(uint j = 0; j < table.communityCards.length; j++) {
-                    allCards[j + 2] = table.communityCards[j];
-                }
-                
-                (HandRank winningRank, ) = evaluateHand(allCards);
-                
-                emit HandComplete(tableId, lastActivePlayer, table.pot);
-                emit HandWinner(tableId, lastActivePlayer, winningRank, table.pot);
-                
-                table.pot = 0;
-                table.gameState = GameState.Complete;
-            }
-        }
-        
-        emit PlayerLeft(tableId, msg.sender, remainingStake);
+        emit PlayerLeft(tableId, playerAddr, remainingStake);
     }
 
-    // Place bet
-    function placeBet(uint256 tableId, uint256 betAmount) 
+    // Adds chips to the player's stack from their treasury balance, between
+    // hands and up to the table's max buy-in. The player keeps their seat.
+    function rebuy(uint256 tableId, uint256 amount) 
         external 
         nonReentrant 
         onlyValidTable(tableId) 
-        onlyTablePlayer(tableId) 
     {
+        _rebuy(tableId, msg.sender, amount);
+    }
+
+    function _rebuy(uint256 tableId, address playerAddr, uint256 amount) internal {
         Table storage table = tables[tableId];
-        Player storage player = table.players[msg.sender];
-        
-        require(table.currentPosition == player.position, "Not your turn");
-        require(betAmount <= player.tableStake, "Bet exceeds table stake");
-        require(betAmount >= table.bigBlind, "Bet below minimum");
-        
-        player.currentBet = betAmount;
-        player.tableStake -= betAmount;
-        table.pot += betAmount;
-        
-        // Move to next active player
-        moveToNextPlayer(tableId);
-        
-        emit BetPlaced(tableId, msg.sender, betAmount);
+        Player storage player = table.players[playerAddr];
+        require(isSeated(table, playerAddr), "Player not at this table");
+        require(!tournamentTables[tableId], "Tournament table");
+        if (handInProgress(tableId)) revert InvalidGameState();
+        if (amount == 0 || player.tableStake + amount > table.maxBuyIn) revert InvalidBuyIn();
+
+        treasury.processBetLoss(playerAddr, amount);
+        player.tableStake += amount;
+
+        emit PlayerRebought(tableId, playerAddr, amount, player.tableStake);
+    }
+
+    // The owner sends an action the player signed: join (or accept-seat, for
+    // a seat offered off the waitlist), rebuy, leave, fold, check, call or
+    // raise. Each signed action can only be sent once.
+    function relayAction(PokerAction calldata intent, bytes calldata signature)
+        external
+        onlyOwner
+        nonReentrant
+        onlyValidTable(intent.tableId)
+    {
+        bytes32 digest = useIntent(keccak256(abi.encode(
+            POKER_ACTION_TYPEHASH,
+            intent.player,
+            intent.tableId,
+            keccak256(bytes(intent.action)),
+            intent.amount,
+            intent.nonce,
+            intent.deadline
+        )), intent.player, intent.deadline, signature);
+
+        bytes32 action = keccak256(bytes(intent.action));
+        if (action == keccak256("join") || action == keccak256("accept-seat")) {
+            _joinTable(intent.tableId, intent.player, intent.amount);
+        } else if (action == keccak256("rebuy")) {
+            _rebuy(intent.tableId, intent.player, intent.amount);
+        } else if (action == keccak256("leave")) {
+            _leaveTable(intent.tableId, intent.player);
+        } else if (action == keccak256("fold")) {
+            _fold(intent.tableId, intent.player);
+        } else if (action == keccak256("check")) {
+            _check(intent.tableId, intent.player);
+        } else if (action == keccak256("call")) {
+            _call(intent.tableId, intent.player);
+        } else if (action == keccak256("raise")) {
+            _raise(intent.tableId, intent.player, intent.amount);
+        } else {
+            revert("Unknown action");
+        }
+        emit ActionRelayed(intent.tableId, intent.player, digest, intent.action);
+    }
+
+    // Checks a signed intent and spends it, returning its EIP-712 digest
+    function useIntent(bytes32 structHash, address playerAddr, uint256 deadline, bytes calldata signature)
+        internal
+        returns (bytes32 digest)
+    {
+        require(block.timestamp <= deadline, "Intent has expired");
+        digest = _hashTypedDataV4(structHash);
+        require(ECDSA.recover(digest, signature) == playerAddr, "Intent was not signed by its player");
+        require(!usedIntents[digest], "Intent already used");
+        usedIntents[digest] = true;
+    }
+
+    // The owner collects a tournament buy-in the player signed a register
+    // entry for. The tournament's chips are dealt on a tournament table, so
+    // the buy-in only moves in the treasury.
+    function enterTournament(PokerTournamentEntry calldata entry, bytes calldata signature)
+        external
+        onlyOwner
+        nonReentrant
+    {
+        require(keccak256(bytes(entry.action)) == keccak256("register"), "Unknown action");
+        useIntent(keccak256(abi.encode(
+            POKER_TOURNAMENT_ENTRY_TYPEHASH,
+            entry.player,
+            entry.tournamentId,
+            keccak256(bytes(entry.action)),
+            entry.buyIn,
+            entry.nonce,
+            entry.deadline
+        )), entry.player, entry.deadline, signature);
+
+        treasury.processBetLoss(entry.player, entry.buyIn);
+        emit TournamentBuyIn(entry.tournamentId, entry.player, entry.buyIn);
+    }
+
+    function setRake(uint256 bps, uint256 cap, bool preflop) external onlyOwner {
+        require(bps <= MAX_RAKE_BPS, "Rake too high");
+        rakeBps = bps;
+        rakeCap = cap;
+        rakePreflop = preflop;
+    }
+
+    // The rake on the hand's pot, leaving out the part of the biggest bet
+    // nobody called. Tournament pots are chips, not stake, so never raked.
+    function rakeOf(uint256 tableId) internal view returns (uint256 rake) {
+        Table storage table = tables[tableId];
+        if (tournamentTables[tableId] || (table.communityCards.length < 3 && !rakePreflop)) return 0;
+
+        uint256 top;
+        uint256 second;
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
+            uint256 bet = table.players[table.playerAddresses[i]].currentBet;
+            if (bet > top) {
+                second = top;
+                top = bet;
+            } else if (bet > second) {
+                second = bet;
+            }
+        }
+        rake = (table.pot - (top - second)) * rakeBps / 10000;
+        if (rakeCap > 0 && rake > rakeCap) rake = rakeCap;
+    }
+
+    // Adds a winner's share of the pot to their stack, less the same share of
+    // the rake. Table stakes are already house funds in the treasury, so the
+    // rake is credited to the house by not being paid out. Returns what the
+    // winner was paid.
+    function payWinner(uint256 tableId, address playerAddr, uint256 amount, uint256 rake) internal returns (uint256 paid) {
+        uint256 share = rake * amount / tables[tableId].pot;
+        paid = amount - share;
+        tables[tableId].players[playerAddr].tableStake += paid;
+        if (share > 0) emit RakeTaken(tableId, playerAddr, share);
     }
 
     // Fold
@@ -322,300 +482,308 @@ contract Poker is Ownable, ReentrancyGuard {
         onlyValidTable(tableId) 
         onlyTablePlayer(tableId) 
     {
-        // Log initial state
-        console.log("=== Starting fold operation ===");
-        console.log("Table ID:", tableId);
-        console.log("Sender:", msg.sender);
-        
+        _fold(tableId, msg.sender);
+    }
+
+    function _fold(uint256 tableId, address playerAddr) internal {
         Table storage table = tables[tableId];
-        console.log("Table loaded. Player count:", table.playerCount);
-        console.log("Current position:", table.currentPosition);
-        
-        Player storage player = table.players[msg.sender];
-        console.log("Player loaded. Position:", player.position);
-        console.log("Player active status:", player.isActive);
+        Player storage player = playerToAct(table, playerAddr);
         
         // Basic checks
-        console.log("Performing checks...");
-        require(table.currentPosition == player.position, "Not your turn");
-        require(player.isActive, "Player not active");
         require(player.position < table.playerAddresses.length, "Invalid player position");
         require(table.playerCount > 0, "No players at table");
-        console.log("Basic checks passed");
         
         // Count active players before fold
         uint256 activeBefore = 0;
-        console.log("Counting active players...");
-        console.log("Player addresses length:", table.playerAddresses.length);
-        
         for (uint256 i = 0; i < table.playerAddresses.length; i++) {
-            address playerAddr = table.playerAddresses[i];
-            console.log("Checking player", i, ":", playerAddr);
-            if (table.players[playerAddr].isActive) {
+            if (table.players[table.playerAddresses[i]].isActive) {
                 activeBefore++;
-                console.log("Player", i, "is active");
             }
         }
-        
-        console.log("Active players count:", activeBefore);
         require(activeBefore > 1, "Not enough active players");
         
         // Perform fold
-        console.log("Performing fold...");
         player.isActive = false;
         table.hasActed[player.position] = true;
-        console.log("Player marked as inactive");
         
-        emit PlayerFolded(tableId, msg.sender);
-        emit TurnEnded(tableId, msg.sender, "fold");
+        emit PlayerFolded(tableId, playerAddr);
+        emit TurnEnded(tableId, playerAddr, "fold");
         
-        // Find next player
-        console.log("Finding next player...");
-        moveToNextPlayer(tableId);
-        console.log("=== Fold operation complete ===");
+        if (activeBefore == 2) {
+            // Folded to the last player in, who takes the pot
+            awardUncontested(tableId);
+        } else {
+            moveToNextPlayer(tableId);
+        }
     }
 
     // Internal helper functions
+
+    // Between hands, when seats can change and the owner can start the next one
+    function handInProgress(uint256 tableId) internal view returns (bool) {
+        GameState state = tables[tableId].gameState;
+        return state != GameState.Waiting && state != GameState.Complete;
+    }
+
+    // A player's old seat record stays behind when they leave, so check the
+    // seat still holds them
+    function isSeated(Table storage table, address playerAddr) internal view returns (bool) {
+        uint256 seat = table.players[playerAddr].position;
+        return seat < table.playerAddresses.length && table.playerAddresses[seat] == playerAddr;
+    }
+
+    // The player whose turn it is, still holding cards
+    function playerToAct(Table storage table, address playerAddr) internal view returns (Player storage player) {
+        player = table.players[playerAddr];
+        require(player.isActive, "Not a player at this table");
+        require(table.currentPosition == player.position, "Not your turn");
+    }
+
+    // The owner acts for the player to act once their turn has run past
+    // actionTimeout, or straight away if they are sitting out: a check if
+    // they can, a fold otherwise. With sitOut they also sit out the hands
+    // after this one.
+    function timeoutTurn(uint256 tableId, bool sitOut) external onlyOwner onlyValidTable(tableId) {
+        Table storage table = tables[tableId];
+        require(table.gameState >= GameState.PreFlop && table.gameState <= GameState.River, "No betting round open");
+        require(!checkRoundComplete(tableId), "Round is complete");
+
+        address playerAddr = table.playerAddresses[table.currentPosition];
+        Player storage player = table.players[playerAddr];
+        require(
+            player.isSittingOut || block.timestamp >= table.turnStartedAt + actionTimeout,
+            "Turn has not timed out"
+        );
+
+        emit PlayerTimedOut(tableId, playerAddr);
+        if (sitOut && !player.isSittingOut) {
+            player.isSittingOut = true;
+            emit PlayerSittingOut(tableId, playerAddr, true);
+        }
+        if (player.currentBet == table.currentBet) {
+            _check(tableId, playerAddr);
+        } else {
+            _fold(tableId, playerAddr);
+        }
+    }
+
+    // A player sitting out keeps their seat and chips but is not dealt into
+    // the next hand. Their turns in a hand they are still in can be timed out
+    // at once.
+    function setSittingOut(uint256 tableId, address playerAddr, bool sittingOut) external onlyOwner onlyValidTable(tableId) {
+        require(isSeated(tables[tableId], playerAddr), "Player not at this table");
+        tables[tableId].players[playerAddr].isSittingOut = sittingOut;
+        emit PlayerSittingOut(tableId, playerAddr, sittingOut);
+    }
+
+    function setActionTimeout(uint256 timeout) external onlyOwner {
+        actionTimeout = timeout;
+    }
+
+    // Starts the table's next hand: everyone with chips who is not sitting out
+    // is dealt in, the blinds are posted and the table waits in Dealing for
+    // the owner to deal the hole cards
+    function startHand(uint256 tableId) external onlyOwner onlyValidTable(tableId) {
+        if (handInProgress(tableId)) revert InvalidGameState();
+        startNewHand(tableId);
+    }
+
     function startNewHand(uint256 tableId) internal {
         Table storage table = tables[tableId];
         
         // Reset game state
         table.gameState = GameState.Dealing;
+        table.handNumber++;
         table.pot = 0;
         table.currentBet = 0;
         table.currentPosition = 0;
         table.roundComplete = false;
+        table.dealtCards = 0;
+        delete table.communityCards;
         
-        // Reset hasActed mapping
-        for (uint256 i = 0; i < table.playerCount; i++) {
+        // Reset every seat and deal in those with chips
+        uint256 dealtIn = 0;
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
+            address playerAddr = table.playerAddresses[i];
+            Player storage player = table.players[playerAddr];
             table.hasActed[i] = false;
+            delete table.playerCards[playerAddr];
+            delete table.holeCardCommitments[playerAddr];
+            player.currentBet = 0;
+            player.isActive = player.tableStake > 0 && !player.isSittingOut;
+            if (player.isActive) dealtIn++;
         }
-        
-        // Clear existing cards
-        delete table.communityCards;
-        for (uint i = 0; i < table.playerAddresses.length; i++) {
-            address player = table.playerAddresses[i];
-            delete table.playerCards[player];
-        }
+        require(dealtIn >= 2, "Need at least 2 players");
+
+        // The button moves on to the next seat dealt in, starting from the
+        // first for the table's first hand. The blinds are the two seats
+        // after it; heads-up the button posts the small blind.
+        table.dealerPosition = nextActiveSeat(
+            table,
+            table.handNumber == 1 ? table.playerAddresses.length - 1 : table.dealerPosition
+        );
+        uint256 smallBlindSeat = dealtIn == 2 ? table.dealerPosition : nextActiveSeat(table, table.dealerPosition);
+        uint256 bigBlindSeat = nextActiveSeat(table, smallBlindSeat);
+        address smallBlindPlayer = table.playerAddresses[smallBlindSeat];
+        address bigBlindPlayer = table.playerAddresses[bigBlindSeat];
+        uint256 smallBlindAmount = postBlind(tableId, smallBlindPlayer, table.smallBlind);
+        uint256 bigBlindAmount = postBlind(tableId, bigBlindPlayer, table.bigBlind);
+        table.currentBet = table.bigBlind;
+        table.currentPosition = bigBlindSeat;
+
+        emit GameStarted(tableId);
+        emit BlindsPosted(tableId, smallBlindPlayer, bigBlindPlayer, smallBlindAmount, bigBlindAmount);
+    }
 
-        // Reactivate all players
-        for (uint i = 0; i < table.playerAddresses.length; i++) {
-            table.players[table.playerAddresses[i]].isActive = true;
-        }
-        
-        // Deal new cards to active players
-        for (uint i = 0; i < table.playerAddresses.length; i++) {
-            address player = table.playerAddresses[i];
-            if (table.players[player].isActive) {
-                uint8[] memory cards = new uint8[](2);
-                cards[0] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, player, "card1"))) % 52 + 1);
-                cards[1] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, player, "card2"))) % 52 + 1);
-                dealPlayerCards(tableId, player, cards);
+    function postBlind(uint256 tableId, address playerAddr, uint256 amount) internal returns (uint256) {
+        Table storage table = tables[tableId];
+        Player storage player = table.players[playerAddr];
+        require(player.tableStake >= amount, "Blind cannot cover bet");
+        player.tableStake -= amount;
+        player.currentBet = amount;
+        table.pot += amount;
+        return amount;
+    }
+
+    // Hole cards stay off-chain until the showdown: the owner deals a
+    // commitment per seat, in seat order, to
+    // keccak256(tableId, handNumber, player, card1, card2, salt), and the
+    // server tells each player their own cards. Seats sitting the hand out get
+    // bytes32(0). Betting then opens left of the big blind.
+    function dealHoleCards(uint256 tableId, bytes32[] calldata commitments) 
+        external 
+        onlyOwner 
+        onlyValidTable(tableId) 
+    {
+        Table storage table = tables[tableId];
+        require(table.gameState == GameState.Dealing, "Not in Dealing state");
+        require(commitments.length == table.playerAddresses.length, "One commitment per seat");
+
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
+            address playerAddr = table.playerAddresses[i];
+            if (!table.players[playerAddr].isActive) {
+                require(commitments[i] == bytes32(0), "Seat is not in the hand");
+                continue;
             }
+            require(commitments[i] != bytes32(0), "Missing commitment");
+            table.holeCardCommitments[playerAddr] = commitments[i];
+            emit HoleCardsCommitted(tableId, playerAddr, commitments[i]);
         }
-        
-        // Move to PreFlop state
-        table.gameState = GameState.PreFlop;
 
-        // Post blinds first
-        address[] storage tablePlayers = table.playerAddresses;
-        require(tablePlayers.length >= 2, "Need at least 2 players");
-
-        // Post small blind (Player 0)
-        address smallBlindPlayer = tablePlayers[0];
-        uint256 smallBlindAmount = table.smallBlind;
-        Player storage smallBlindPlayerInfo = table.players[smallBlindPlayer];
-        require(smallBlindPlayerInfo.tableStake >= smallBlindAmount, "Small blind cannot cover bet");
-        smallBlindPlayerInfo.tableStake -= smallBlindAmount;
-        smallBlindPlayerInfo.currentBet = smallBlindAmount;
-        table.pot += smallBlindAmount;
-        
-        // Post big blind (Player 1)
-        address bigBlindPlayer = tablePlayers[1];
-        uint256 bigBlindAmount = table.bigBlind;
-        Player storage bigBlindPlayerInfo = table.players[bigBlindPlayer];
-        require(bigBlindPlayerInfo.tableStake >= bigBlindAmount, "Big blind cannot cover bet");
-        bigBlindPlayerInfo.tableStake -= bigBlindAmount;
-        bigBlindPlayerInfo.currentBet = bigBlindAmount;
-        table.pot += bigBlindAmount;
-        
-        // Update current bet to big blind amount
-        table.currentBet = bigBlindAmount;
-
-        //Start the turn for player 0
-        emit TurnStarted(tableId, table.playerAddresses[0]);
+        table.gameState = GameState.PreFlop;
+        moveToNextPlayer(tableId);
     }
 
-    function postBlinds(uint256 tableId) external onlyOwner {
-        Table storage table = tables[tableId];
-        require(table.gameState == GameState.PreFlop, "Not in PreFlop state");
-        
-        // Get players directly from storage
-        address[] storage tablePlayers = table.playerAddresses;
-        require(tablePlayers.length >= 2, "Need at least 2 players");
-        
-        // Post small blind (Player 0)
-        address smallBlindPlayer = tablePlayers[0];
-        uint256 smallBlindAmount = table.smallBlind;
-        Player storage smallBlindPlayerInfo = table.players[smallBlindPlayer];
-        require(smallBlindPlayerInfo.tableStake >= smallBlindAmount, "Small blind cannot cover bet");
-        smallBlindPlayerInfo.tableStake -= smallBlindAmount;
-        smallBlindPlayerInfo.currentBet = smallBlindAmount;
-        table.pot += smallBlindAmount;
-        
-        // Post big blind (Player 1)
-        address bigBlindPlayer = tablePlayers[1];
-        uint256 bigBlindAmount = table.bigBlind;
-        Player storage bigBlindPlayerInfo = table.players[bigBlindPlayer];
-        require(bigBlindPlayerInfo.tableStake >= bigBlindAmount, "Big blind cannot cover bet");
-        bigBlindPlayerInfo.tableStake -= bigBlindAmount;
-        bigBlindPlayerInfo.currentBet = bigBlindAmount;
-        table.pot += bigBlindAmount;
-        
-        // Update current bet to big blind amount
-        table.currentBet = bigBlindAmount;
-        
-        emit BlindsPosted(tableId, smallBlindPlayer, bigBlindPlayer, smallBlindAmount, bigBlindAmount);
+    // The round is over once everyone still in has acted and matched the bet
+    function isRoundComplete(uint256 tableId) external view returns (bool) {
+        return checkRoundComplete(tableId);
     }
 
+    // Passes the turn on, or ends the betting round for the owner to deal the
+    // next street or start the showdown
     function moveToNextPlayer(uint256 tableId) internal {
-        console.log("=== Starting moveToNextPlayer ===");
-        Table storage table = tables[tableId];
-        console.log("Current position:", table.currentPosition);
-        console.log("Player count:", table.playerCount);
-        console.log("Player addresses length:", table.playerAddresses.length);
-        
-        require(table.playerCount > 0, "No players at table");
-        require(table.playerAddresses.length > 0, "No player addresses");
-        require(table.currentPosition < table.playerAddresses.length, "Invalid current position");
-        
-        bool foundNext = false;
-        uint256 startingPosition = table.currentPosition;
-        
-        console.log("Starting position:", startingPosition);
-        
-        // Try to find next active player
-        for (uint256 i = 1; i <= table.playerAddresses.length; i++) {
-            uint256 nextPosition = (startingPosition + i) % table.playerAddresses.length;
-            console.log("Checking position:", nextPosition);
-            
-            address nextPlayer = table.playerAddresses[nextPosition];
-            console.log("Next player address:", nextPlayer);
-            
-            if (nextPlayer != address(0) && table.players[nextPlayer].isActive) {
-                table.currentPosition = nextPosition;
-                foundNext = true;
-                console.log("Found next player at position:", nextPosition);
-                emit TurnStarted(tableId, nextPlayer);
-                break;
-            }
-        }
-        
-        console.log("Found next:", foundNext);
-        console.log("Round complete:", checkRoundComplete(tableId));
-        
-        if (!foundNext || checkRoundComplete(tableId)) {
-            console.log("Advancing game state");
-            advanceGameState(tableId);
+        if (checkRoundComplete(tableId)) {
+            emit RoundComplete(tableId);
+            return;
         }
-        console.log("=== moveToNextPlayer complete ===");
+        startTurnAfter(tableId, tables[tableId].currentPosition);
     }
 
-    function advanceGameState(uint256 tableId) internal {
+    // Gives the turn to the next player still in after `seat`
+    function startTurnAfter(uint256 tableId, uint256 seat) internal {
         Table storage table = tables[tableId];
+        uint256 next = nextActiveSeat(table, seat);
+        table.currentPosition = next;
+        table.turnStartedAt = block.timestamp;
+        emit TurnStarted(tableId, table.playerAddresses[next]);
+    }
 
-        // Require that all players have acted
-        require(checkRoundComplete(tableId), "Not all players have acted");
-        
-        // Reset all hasActed flags and current bets for the new round
-        resetRound(tableId);
-        
-        if (table.gameState == GameState.PreFlop) {
-            table.gameState = GameState.Flop;
-            // Deal flop cards
-            uint8[] memory flopCards = new uint8[](3);
-            flopCards[0] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "flop1"))) % 52 + 1);
-            flopCards[1] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "flop2"))) % 52 + 1);
-            flopCards[2] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "flop3"))) % 52 + 1);
-            dealCommunityCards(tableId, flopCards);
-        } else if (table.gameState == GameState.Flop) {
-            table.gameState = GameState.Turn;
-            // Deal turn card
-            uint8[] memory turnCard = new uint8[](1);
-            turnCard[0] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "turn"))) % 52 + 1);
-            dealCommunityCards(tableId, turnCard);
-        } else if (table.gameState == GameState.Turn) {
-            table.gameState = GameState.River;
-            // Deal river card
-            uint8[] memory riverCard = new uint8[](1);
-            riverCard[0] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "river"))) % 52 + 1);
-            dealCommunityCards(tableId, riverCard);
-        } else if (table.gameState == GameState.River) {
-            table.gameState = GameState.Showdown;
-            determineWinner(tableId);
+    // The first seat after `seat` still in the hand with chips to bet;
+    // players all-in are passed over
+    function nextActiveSeat(Table storage table, uint256 seat) internal view returns (uint256) {
+        uint256 seats = table.playerAddresses.length;
+        for (uint256 i = 1; i <= seats; i++) {
+            uint256 next = (seat + i) % seats;
+            Player storage player = table.players[table.playerAddresses[next]];
+            if (player.isActive && player.tableStake > 0) return next;
         }
+        revert("No player to act");
     }
 
-    function determineWinner(uint256 tableId) internal {
+    // Everyone else has folded: the last player in takes the pot without a
+    // showdown
+    function awardUncontested(uint256 tableId) internal {
         Table storage table = tables[tableId];
-        
-        // Find player with highest hand
         address winner;
-        HandRank highestRank = HandRank.HighCard;
-        uint256 highestScore = 0;
-        
-        for (uint i = 0; i < table.playerAddresses.length; i++) {
-            address playerAddr = table.playerAddresses[i];
-            if (table.players[playerAddr].isActive) {
-                // Get player's cards
-                uint8[] memory playerCards = table.playerCards[playerAddr];
-                uint8[] memory allCards = new uint8[](7);
-                
-                // Combine player cards and community cards
-                allCards[0] = playerCards[0];
-                allCards[1] = playerCards[1];
-                for(uint j = 0; j < table.communityCards.length; j++) {
-                    allCards[j + 2] = table.communityCards[j];
-                }
-                
-                // Evaluate hand
-                (HandRank rank, uint256 score) = evaluateHand(allCards);
-                
-                // Update winner if this hand is better
-                if (winner == address(0) || 
-                    uint8(rank) > uint8(highestRank) || 
-                    (uint8(rank) == uint8(highestRank) && score > highestScore)) {
-                    winner = playerAddr;
-                    highestRank = rank;
-                    highestScore = score;
-                    
-                    console.log("New best hand found:");
-                    console.log("Player:", winner);
-                    console.log("Rank:", uint8(rank));
-                    console.log("Score:", score);
-                }
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
+            if (table.players[table.playerAddresses[i]].isActive) {
+                winner = table.playerAddresses[i];
+                break;
             }
         }
-        
-        // Award pot to winner
-        if (winner != address(0)) {
-            uint256 potAmount = table.pot;
-            table.pot = 0;
-            table.players[winner].tableStake += potAmount;
-            
-            // Emit events
-            emit HandComplete(tableId, winner, potAmount);
-            emit HandWinner(tableId, winner, highestRank, potAmount);
+
+        uint256 potAmount = table.pot;
+        uint256 paid = payWinner(tableId, winner, potAmount, rakeOf(tableId));
+        table.pot = 0;
+        table.gameState = GameState.Complete;
+
+        emit HandWinner(tableId, winner, HandRank.HighCard, paid);
+        emit HandComplete(tableId, winner, potAmount);
+    }
+
+    // Pays out the showdown as settled by the server, main and side pots
+    // split between the best hands. Amounts must add up to the pot, and no
+    // player can be paid more than the pots they are in could hold: up to
+    // their own contribution from each seat, plus chips left behind by
+    // players who have gone. The rake comes out of the amounts pro rata.
+    function payShowdown(uint256 tableId, address[] calldata winners, uint256[] calldata amounts) internal {
+        Table storage table = tables[tableId];
+        require(winners.length > 0 && winners.length == amounts.length, "One amount per winner");
+
+        uint256 contributed = 0;
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
+            contributed += table.players[table.playerAddresses[i]].currentBet;
         }
-        
+        uint256 deadMoney = table.pot - contributed;
+        uint256 rake = rakeOf(tableId);
+
+        uint256 paid = 0;
+        for (uint256 i = 0; i < winners.length; i++) {
+            Player storage winner = table.players[winners[i]];
+            require(winner.isActive, "Winner not in the hand");
+            for (uint256 j = 0; j < i; j++) {
+                require(winners[j] != winners[i], "Duplicate winner");
+            }
+            require(amounts[i] <= maxWinnings(table, winner.currentBet) + deadMoney, "Winnings exceed eligible pots");
+
+            paid += amounts[i];
+            emit HandWinner(tableId, winners[i], handRank(table, winners[i]), payWinner(tableId, winners[i], amounts[i], rake));
+        }
+        require(paid == table.pot, "Winnings must add up to the pot");
+
+        uint256 potAmount = table.pot;
+        table.pot = 0;
         table.gameState = GameState.Complete;
-        
-        // Start new hand if enough players
-        if (table.playerCount >= 2) {
-            startNewHand(tableId);
-        } else {
-            table.gameState = GameState.Waiting;
+        emit HandComplete(tableId, winners[0], potAmount);
+    }
+
+    // Most a player who put in `contribution` can win from the seats' chips
+    function maxWinnings(Table storage table, uint256 contribution) internal view returns (uint256 total) {
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
+            uint256 bet = table.players[table.playerAddresses[i]].currentBet;
+            total += bet < contribution ? bet : contribution;
+        }
+    }
+
+    // A shown-down player's best hand with the board
+    function handRank(Table storage table, address playerAddr) internal view returns (HandRank rank) {
+        uint8[] memory allCards = new uint8[](7);
+        allCards[0] = table.playerCards[playerAddr][0];
+        allCards[1] = table.playerCards[playerAddr][1];
+        for (uint256 j = 0; j < table.communityCards.length; j++) {
+            allCards[j + 2] = table.communityCards[j];
         }
+        (rank, ) = evaluateHand(allCards);
     }
 
     // Add this helper function to evaluate poker hands
@@ -793,10 +961,9 @@ contract Poker is Ownable, ReentrancyGuard {
         uint256 tableId,
         uint256 newMinBet,
         uint256 newMaxBet
-    ) external onlyOwner {
+    ) external onlyOwner onlyValidTable(tableId) {
         Table storage table = tables[tableId];
-        require(table.isActive, "Table not active");
-        require(table.gameState == GameState.Waiting, "Game in progress");
+        if (handInProgress(tableId)) revert InvalidGameState();
         
         if (newMinBet >= newMaxBet) revert InvalidBetLimits();
         if (newMinBet < table.bigBlind) revert InvalidBetLimits();
@@ -808,6 +975,20 @@ contract Poker is Ownable, ReentrancyGuard {
         emit TableConfigUpdated(tableId, newMinBet, newMaxBet);
     }
 
+    // Moves the table to new blinds between hands, as a tournament's blind
+    // levels go up. The minimum bet follows the big blind.
+    function setBlinds(uint256 tableId, uint256 smallBlind, uint256 bigBlind) external onlyOwner onlyValidTable(tableId) {
+        Table storage table = tables[tableId];
+        if (handInProgress(tableId)) revert InvalidGameState();
+        if (smallBlind == 0 || smallBlind >= bigBlind || bigBlind >= table.maxBet) revert InvalidBetLimits();
+
+        table.smallBlind = smallBlind;
+        table.bigBlind = bigBlind;
+        table.minBet = bigBlind;
+
+        emit TableConfigUpdated(tableId, bigBlind, table.maxBet);
+    }
+
     // Add this function to get all players at a table
     function getTablePlayers(uint256 tableId) external view returns (address[] memory) {
         Table storage table = tables[tableId];
@@ -819,15 +1000,17 @@ contract Poker is Ownable, ReentrancyGuard {
         onlyValidTable(tableId) 
         onlyTablePlayer(tableId) 
     {
+        _check(tableId, msg.sender);
+    }
+
+    function _check(uint256 tableId, address playerAddr) internal {
         Table storage table = tables[tableId];
-        Player storage player = table.players[msg.sender];
-        
-        require(table.currentPosition == player.position, "Not your turn");
+        Player storage player = playerToAct(table, playerAddr);
         require(player.currentBet == table.currentBet, "Cannot check");
         
         table.hasActed[player.position] = true;
         
-        emit TurnEnded(tableId, msg.sender, "check");
+        emit TurnEnded(tableId, playerAddr, "check");
         moveToNextPlayer(tableId);
     }
 
@@ -836,141 +1019,140 @@ contract Poker is Ownable, ReentrancyGuard {
         onlyValidTable(tableId) 
         onlyTablePlayer(tableId) 
     {
+        _call(tableId, msg.sender);
+    }
+
+    function _call(uint256 tableId, address playerAddr) internal {
         Table storage table = tables[tableId];
-        Player storage player = table.players[msg.sender];
-        
-        require(table.currentPosition == player.position, "Not your turn");
+        Player storage player = playerToAct(table, playerAddr);
         
+        // A short stack calls all-in for what it has left
         uint256 callAmount = table.currentBet - player.currentBet;
-        require(callAmount <= player.tableStake, "Insufficient funds");
+        if (callAmount > player.tableStake) callAmount = player.tableStake;
         
         player.tableStake -= callAmount;
-        player.currentBet = table.currentBet;
+        player.currentBet += callAmount;
         table.pot += callAmount;
         table.hasActed[player.position] = true;
         
-        emit BetPlaced(tableId, msg.sender, callAmount);
-        emit TurnEnded(tableId, msg.sender, "call");
+        emit BetPlaced(tableId, playerAddr, callAmount);
+        emit TurnEnded(tableId, playerAddr, "call");
         
         moveToNextPlayer(tableId);
     }
 
-    function startFlop(uint256 tableId) external onlyOwner {
-        Table storage table = tables[tableId];
-        require(table.gameState == GameState.PreFlop, "Not in PreFlop state");
-        require(checkRoundComplete(tableId), "Not all players have acted");
-        
-        
-        // Deal flop cards
-        uint8[] memory flopCards = new uint8[](3);
-        flopCards[0] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "flop1"))) % 52 + 1);
-        flopCards[1] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "flop2"))) % 52 + 1);
-        flopCards[2] = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "flop3"))) % 52 + 1);
-        
-        // Store cards directly
-        table.communityCards = flopCards;
-        
-        // Change game state
-        table.gameState = GameState.Flop;
-        
-        emit CommunityCardsDealt(tableId, flopCards);
+    // The owner deals each street from the server's deck once the betting
+    // round before it is complete
+    function startFlop(uint256 tableId, uint8[] calldata cards) external onlyOwner onlyValidTable(tableId) {
+        require(cards.length == 3, "Flop is 3 cards");
+        endStreet(tableId, GameState.PreFlop);
+        dealCommunityCards(tableId, cards);
     }
 
-    function startTurn(uint256 tableId) external onlyOwner {
-        Table storage table = tables[tableId];
-        require(table.gameState == GameState.Flop, "Not in Flop state");
-        require(checkRoundComplete(tableId), "Not all players have acted");
+    function startTurn(uint256 tableId, uint8 card) external onlyOwner onlyValidTable(tableId) {
+        dealOneCard(tableId, GameState.Flop, card);
+    }
 
-        // Deal turn card
-        uint8 turnCard = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "turn"))) % 52 + 1);
-        
-        // Add turn card to community cards
-        table.communityCards.push(turnCard);
-        
-        // Change game state
-        table.gameState = GameState.Turn;
-        
-        emit CommunityCardsDealt(tableId, table.communityCards);
+    function startRiver(uint256 tableId, uint8 card) external onlyOwner onlyValidTable(tableId) {
+        dealOneCard(tableId, GameState.Turn, card);
+    }
+
+    function dealOneCard(uint256 tableId, GameState street, uint8 card) internal {
+        endStreet(tableId, street);
+        uint8[] memory cards = new uint8[](1);
+        cards[0] = card;
+        dealCommunityCards(tableId, cards);
     }
 
-    function startRiver(uint256 tableId) external onlyOwner {
+    // Moves the table on from `street` once its betting round is complete
+    function endStreet(uint256 tableId, GameState street) internal {
         Table storage table = tables[tableId];
-        require(table.gameState == GameState.Turn, "Not in Turn state");
+        if (table.gameState != street) revert InvalidGameState();
         require(checkRoundComplete(tableId), "Not all players have acted");
-
-        // Deal river card
-        uint8 riverCard = uint8(uint256(keccak256(abi.encodePacked(block.timestamp, tableId, "river"))) % 52 + 1);
-        
-        // Add river card to community cards
-        table.communityCards.push(riverCard);
-        
-        // Change game state
-        table.gameState = GameState.River;
-        
-        emit CommunityCardsDealt(tableId, table.communityCards);
+        table.gameState = GameState(uint8(street) + 1);
     }
 
-    function startShowdown(uint256 tableId) 
+    // Reveals the hole cards of everyone still in, two per seat in seat order
+    // with the salt each seat's commitment was made with, and pays `amounts`
+    // of the pot to `winners`. Folded seats stay mucked and can pass 0, 0.
+    function startShowdown(
+        uint256 tableId,
+        uint8[] calldata cards,
+        bytes32[] calldata salts,
+        address[] calldata winners,
+        uint256[] calldata amounts
+    ) 
         external 
         onlyOwner 
         onlyValidTable(tableId) 
     {
-        Table storage table = tables[tableId];
-        require(table.gameState == GameState.River, "Invalid game state");
-        require(checkRoundComplete(tableId), "Not all players have acted");
-
-        table.gameState = GameState.Showdown;
-        determineWinner(tableId);
+        endStreet(tableId, GameState.River);
+        revealShowdownHands(tableId, cards, salts);
+        payShowdown(tableId, winners, amounts);
     }
 
-    // Helper function to reset bets between rounds
-    function resetBets(uint256 tableId) internal {
+    function revealShowdownHands(uint256 tableId, uint8[] calldata cards, bytes32[] calldata salts) internal {
         Table storage table = tables[tableId];
-        
-        for (uint i = 0; i < table.playerAddresses.length; i++) {
+        require(cards.length == table.playerAddresses.length * 2, "Two cards per seat");
+        require(salts.length == table.playerAddresses.length, "One salt per seat");
+
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
             address playerAddr = table.playerAddresses[i];
-            if (table.players[playerAddr].isActive) {
-                table.players[playerAddr].currentBet = 0;
-            }
+            if (!table.players[playerAddr].isActive) continue;
+
+            bytes32 commitment = keccak256(abi.encodePacked(
+                tableId, table.handNumber, playerAddr, cards[i * 2], cards[i * 2 + 1], salts[i]
+            ));
+            require(commitment == table.holeCardCommitments[playerAddr], "Hole cards do not match commitment");
+
+            uint8[] memory holeCards = new uint8[](2);
+            holeCards[0] = cards[i * 2];
+            holeCards[1] = cards[i * 2 + 1];
+            revealHoleCards(tableId, playerAddr, holeCards);
         }
     }
 
-    function dealPlayerCards(uint256 tableId, address player, uint8[] memory cards) 
-        internal 
-        onlyValidTable(tableId) 
-    {
-        require(cards.length == 2, "Must deal exactly 2 cards");
+    // Marks revealed hole cards dealt, so none can repeat the board or
+    // another player's hand
+    function revealHoleCards(uint256 tableId, address player, uint8[] memory cards) internal {
         Table storage table = tables[tableId];
-        require(table.players[player].isActive, "Player not active");
-        
         delete table.playerCards[player];
         for (uint i = 0; i < cards.length; i++) {
+            markDealt(table, cards[i]);
             table.playerCards[player].push(cards[i]);
         }
         
-        emit CardsDealt(tableId, player, cards);
+        emit HoleCardsRevealed(tableId, player, cards);
     }
 
-    function dealCommunityCards(uint256 tableId, uint8[] memory cards) 
-        internal 
-        onlyValidTable(tableId) 
-    {
+    // Cards are 1-52, and none can come up twice in a hand
+    function markDealt(Table storage table, uint8 card) internal {
+        require(card >= 1 && card <= 52, "Invalid card");
+        uint256 bit = uint256(1) << card;
+        require(table.dealtCards & bit == 0, "Card already dealt");
+        table.dealtCards |= bit;
+    }
+
+    // Adds a street to the board and opens its betting round
+    function dealCommunityCards(uint256 tableId, uint8[] memory cards) internal {
         Table storage table = tables[tableId];
         
         // Store the cards
         for (uint i = 0; i < cards.length; i++) {
+            markDealt(table, cards[i]);
             table.communityCards.push(cards[i]);
         }
         
-        emit CommunityCardsDealt(tableId, cards);
+        emit CommunityCardsDealt(tableId, table.communityCards);
+        resetRound(tableId);
     }
 
+    // A player's hole cards once they are shown down; empty until then
     function getPlayerCards(uint256 tableId, address player) 
         public 
         view 
         returns (uint8[] memory) 
     {
-        require(msg.sender == player || msg.sender == owner(), "Not authorized");
         return tables[tableId].playerCards[player];
     }
 
@@ -982,63 +1164,13 @@ contract Poker is Ownable, ReentrancyGuard {
         return tables[tableId].communityCards;
     }
 
-    // Internal helper function
-    function _placeBet(uint256 tableId, address player, uint256 amount) internal {
-        Table storage table = tables[tableId];
-        Player storage playerInfo = table.players[player];
-        
-        require(playerInfo.tableStake >= amount, "Insufficient balance");
-        
-        playerInfo.tableStake -= amount;
-        playerInfo.currentBet = amount;
-        table.pot += amount;
-        
-        emit BetPlaced(tableId, player, amount);
-    }
-
-    function _awardPot(uint256 tableId, address winner) internal {
-        Table storage table = tables[tableId];
-        Player storage player = table.players[winner];
-        
-        // Log before award
-        console.log("Awarding pot to winner:", winner);
-        console.log("Pot amount:", table.pot);
-        
-        // Add pot to winner's table stake
-        player.tableStake += table.pot;
-        
-        // Reset pot
-        uint256 potAmount = table.pot;
-        table.pot = 0;
-        
-        // Get winner's hand rank
-        uint8[] memory playerCards = table.playerCards[winner];
-        uint8[] memory allCards = new uint8[](7);
-        
-        // Combine player cards and community cards
-        allCards[0] = playerCards[0];
-        allCards[1] = playerCards[1];
-        for(uint j = 0; j < table.communityCards.length; j++) {
-            allCards[j + 2] = table.communityCards[j];
-        }
-        
-        // Evaluate hand
-        (HandRank winningRank, ) = evaluateHand(allCards);
-        
-        // Log after award
-        console.log("Pot awarded, emitting event");
-        
-        // Only emit HandComplete for game state tracking
-        emit HandComplete(tableId, winner, potAmount);
-        // Emit HandWinner with the actual hand rank
-        emit HandWinner(tableId, winner, winningRank, potAmount);
-        
-        console.log("Events emitted");
-    }
-
+    // Players all-in have nothing left to act with, whatever they are short
+    // of the bet. A player left alone with chips only has to match the bet.
     function checkRoundComplete(uint256 tableId) internal view returns (bool) {
         Table storage table = tables[tableId];
         uint256 activeCount = 0;
+        uint256 withChips = 0;
+        bool everyoneActed = true;
         uint256 targetBet = table.currentBet;
         
         for (uint i = 0; i < table.playerAddresses.length; i++) {
@@ -1047,13 +1179,14 @@ contract Poker is Ownable, ReentrancyGuard {
             
             if (player.isActive) {
                 activeCount++;
-                if (!table.hasActed[i] || player.currentBet != targetBet) {
-                    return false;
-                }
+                if (player.tableStake == 0) continue;
+                if (player.currentBet != targetBet) return false;
+                withChips++;
+                everyoneActed = everyoneActed && table.hasActed[i];
             }
         }
         
-        return activeCount >= 2;
+        return activeCount >= 2 && (everyoneActed || withChips < 2);
     }
 
     function raise(uint256 tableId, uint256 amount) 
@@ -1061,15 +1194,19 @@ contract Poker is Ownable, ReentrancyGuard {
         onlyValidTable(tableId) 
         onlyTablePlayer(tableId) 
     {
+        _raise(tableId, msg.sender, amount);
+    }
+
+    function _raise(uint256 tableId, address playerAddr, uint256 amount) internal {
         Table storage table = tables[tableId];
-        Player storage player = table.players[msg.sender];
-        
-        require(table.currentPosition == player.position, "Not your turn");
-        require(amount <= player.tableStake, "Insufficient funds");
-        require(amount >= table.minBet && amount <= table.maxBet, "Invalid bet amount");
+        Player storage player = playerToAct(table, playerAddr);
         
-        // Calculate the actual amount being added to the pot
+        // Raises to `amount` in all. A player can go all-in for the rest of
+        // their stack even when that is short of the minimum bet.
+        require(amount > table.currentBet, "Invalid bet amount");
         uint256 additionalBet = amount - player.currentBet;
+        require(additionalBet <= player.tableStake, "Insufficient funds");
+        require(amount <= table.maxBet && (amount >= table.minBet || additionalBet == player.tableStake), "Invalid bet amount");
         
         player.tableStake -= additionalBet;
         player.currentBet = amount;
@@ -1084,42 +1221,23 @@ contract Poker is Ownable, ReentrancyGuard {
             }
         }
         
-        emit BetPlaced(tableId, msg.sender, additionalBet);
-        emit TurnEnded(tableId, msg.sender, "raise");
+        emit BetPlaced(tableId, playerAddr, additionalBet);
+        emit TurnEnded(tableId, playerAddr, "raise");
         
         moveToNextPlayer(tableId);
     }
 
-    // Add this new helper function
+    // Opens a new betting round: nobody has acted yet, and the first player
+    // still in left of the button is up, unless all but one are all-in
     function resetRound(uint256 tableId) internal {
         Table storage table = tables[tableId];
         
         // Reset hasActed flags
-        for (uint256 i = 0; i < table.playerCount; i++) {
+        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
             table.hasActed[i] = false;
         }
         
-        // Only reset current bets if the hand is complete
-        if (table.gameState == GameState.Complete || table.gameState == GameState.Waiting) {
-            // Reset current bets
-            for (uint i = 0; i < table.playerAddresses.length; i++) {
-                address playerAddr = table.playerAddresses[i];
-                if (table.players[playerAddr].isActive) {
-                    table.players[playerAddr].currentBet = 0;
-                }
-            }
-            
-            // Reset table current bet
-            table.currentBet = 0;
-        }
-        
-        // Reset current position to first active player
-        for (uint256 i = 0; i < table.playerAddresses.length; i++) {
-            address playerAddr = table.playerAddresses[i];
-            if (table.players[playerAddr].isActive) {
-                table.currentPosition = i;
-                break;
-            }
-        }
+        table.currentPosition = table.dealerPosition;
+        moveToNextPlayer(tableId);
     }
 }
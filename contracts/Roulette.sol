@@ -1,9 +1,11 @@
 // SPDX-License-Identifier: MIT 
 pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 import "./HouseTreasury.sol";
 
-contract Roulette is ReentrancyGuard {
+contract Roulette is ReentrancyGuard, EIP712 {
     address public owner;
     uint256 public minBetAmount;
     HouseTreasury public treasury;
@@ -20,7 +22,23 @@ contract Roulette is ReentrancyGuard {
         uint256 amount;
     }
 
+    // A bet the player signed in their wallet, staked from their treasury
+    // balance. Same fields as the server's RouletteBet intent.
+    struct RouletteBet {
+        address player;
+        string betType;
+        uint8[] numbers;
+        uint256 amount;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    bytes32 private constant ROULETTE_BET_TYPEHASH = keccak256(
+        "RouletteBet(address player,string betType,uint8[] numbers,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+
     mapping(address => Bet[]) public playerBets;
+    mapping(bytes32 => bool) public usedIntents;
 
     // Add a state variable to track players with active bets
     address[] private activePlayers;
@@ -36,6 +54,7 @@ contract Roulette is ReentrancyGuard {
     event ContractUnpaused();
     event BetResolved(address indexed player, uint256 amount);
     event GameResult(uint8 result, uint256 payout, bool won);
+    event BetRelayed(address indexed player, bytes32 intentHash, uint256 amount);
 
     bool private paused;
     uint256 private maxWithdrawalAmount = 10 ether;
@@ -58,7 +77,7 @@ contract Roulette is ReentrancyGuard {
         _;
     }
 
-    constructor(uint256 _minBetAmount, address payable _treasuryAddress) {
+    constructor(uint256 _minBetAmount, address payable _treasuryAddress) EIP712("AIce Arena", "1") {
         owner = msg.sender;
         minBetAmount = _minBetAmount;
         treasury = HouseTreasury(payable(_treasuryAddress));
@@ -79,29 +98,60 @@ contract Roulette is ReentrancyGuard {
         require(msg.value >= minBetAmount * numbers.length, "Bet amount below minimum");
         require(numbers.length > 0, "Must bet on at least one number");
         
-        uint256 individualBetAmount = msg.value / numbers.length;
-        require(individualBetAmount >= minBetAmount, "Individual bet amount below minimum");
-        
         // Forward the bet amount to the treasury
         (bool success, ) = address(treasury).call{value: msg.value}("");
         require(success, "Transfer to treasury failed");
 
+        recordBets(msg.sender, numbers, msg.value);
+    }
+
+    // The owner places a bet the player signed, staking it from the player's
+    // treasury balance. Each signed bet can only be placed once.
+    function placeBetFor(RouletteBet calldata bet, bytes calldata signature) external onlyOwner nonReentrant whenNotPaused {
+        require(block.timestamp <= bet.deadline, "Intent has expired");
+        require(bet.numbers.length > 0, "Must bet on at least one number");
+        require(bet.amount >= minBetAmount * bet.numbers.length, "Bet amount below minimum");
+
+        bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+            ROULETTE_BET_TYPEHASH,
+            bet.player,
+            keccak256(bytes(bet.betType)),
+            keccak256(abi.encodePacked(bet.numbers)),
+            bet.amount,
+            bet.nonce,
+            bet.deadline
+        )));
+        require(ECDSA.recover(digest, signature) == bet.player, "Intent was not signed by its player");
+        require(!usedIntents[digest], "Intent already used");
+        usedIntents[digest] = true;
+
+        treasury.processBetLoss(bet.player, bet.amount);
+        recordBets(bet.player, bet.numbers, bet.amount);
+        emit BetRelayed(bet.player, digest, bet.amount);
+    }
+
+    // Splits the stake evenly over the numbers, one bet each, to be settled
+    // on the next spin
+    function recordBets(address player, uint8[] calldata numbers, uint256 amount) internal {
+        uint256 individualBetAmount = amount / numbers.length;
+        require(individualBetAmount >= minBetAmount, "Individual bet amount below minimum");
+
         // Add player to activePlayers if not already present
-        if (playerBets[msg.sender].length == 0) {
-            activePlayers.push(msg.sender);
+        if (playerBets[player].length == 0) {
+            activePlayers.push(player);
         }
         
         // Place individual bets for each number
         for (uint256 i = 0; i < numbers.length; i++) {
             require(numbers[i] <= 36, "Invalid roulette number");
             
-            playerBets[msg.sender].push(Bet({
-                player: msg.sender,
+            playerBets[player].push(Bet({
+                player: player,
                 amount: individualBetAmount,
                 number: numbers[i]
             }));
             
-            emit BetPlaced(msg.sender, individualBetAmount, numbers[i]);
+            emit BetPlaced(player, individualBetAmount, numbers[i]);
         }
     }
 
@@ -110,7 +160,12 @@ contract Roulette is ReentrancyGuard {
         require(result <= 36, "Invalid roulette number.");
         emit SpinResult(result);
 
-        WinningInfo[] memory winnings = new WinningInfo[](activePlayers.length * 10); // Assuming max 10 bets per player
+        // A player can have any number of bets on the wheel, so size for all of them
+        uint256 betCount = 0;
+        for (uint256 p = 0; p < activePlayers.length; p++) {
+            betCount += playerBets[activePlayers[p]].length;
+        }
+        WinningInfo[] memory winnings = new WinningInfo[](betCount);
         uint256 winningCount = 0;
 
         // Calculate all winnings and update state
@@ -0,0 +1,424 @@
+const {
+  BASIS_POINTS,
+  DEFAULT_RULES,
+  validateRules,
+  naturalPayoutBps
+} = require('./rules');
+const { shuffle } = require('../common/shuffle');
+
+const DEFAULT_DECKS = DEFAULT_RULES.decks;
+// Reshuffle once this share of the shoe has been dealt
+const RESHUFFLE_PENETRATION = 0.75;
+const DEALER_STANDS_ON = 17;
+// Insurance costs half the stake and pays 2:1
+const INSURANCE_STAKE_BPS = BASIS_POINTS / 2;
+const SURRENDER_RETURN_BPS = BASIS_POINTS / 2;
+
+// Cards are numbered 1-52, matching the frontend: value = card % 13 || 13 (1 = ace)
+function cardValue(card) {
+  return card % 13 || 13;
+}
+
+// Score plus whether an ace is still being counted as 11
+function handTotals(hand) {
+  let score = 0;
+  let aces = 0;
+
+  hand.forEach(card => {
+    let value = cardValue(card);
+    if (value > 10) value = 10;
+    if (value === 1) {
+      aces += 1;
+      value = 11;
+    }
+    score += value;
+  });
+
+  // Adjust for aces
+  while (score > 21 && aces > 0) {
+    score -= 10;
+    aces -= 1;
+  }
+
+  return { score, soft: aces > 0 };
+}
+
+function calculateHandScore(hand) {
+  return handTotals(hand).score;
+}
+
+function dealerShouldHit(dealerHand, rules = DEFAULT_RULES) {
+  const { score, soft } = handTotals(dealerHand);
+  return score < DEALER_STANDS_ON ||
+    (score === DEALER_STANDS_ON && soft && rules.dealerHitsSoft17);
+}
+
+function isNaturalBlackjack(hand) {
+  return hand.length === 2 && calculateHandScore(hand) === 21;
+}
+
+// Returns the total return for a finished hand in basis points of its stake.
+// A two-card 21 after a split counts as 21, not a natural.
+function verifyGameResult(playerHand, dealerHand, rules = DEFAULT_RULES, { splitHand = false } = {}) {
+  const playerNatural = !splitHand && isNaturalBlackjack(playerHand);
+  const dealerNatural = isNaturalBlackjack(dealerHand);
+  if (playerNatural && dealerNatural) return BASIS_POINTS; // Push
+  if (playerNatural) return naturalPayoutBps(rules);
+  if (dealerNatural) return 0;
+
+  const playerScore = calculateHandScore(playerHand);
+  const dealerScore = calculateHandScore(dealerHand);
+
+  if (playerScore > 21) return 0; // Player bust
+  if (dealerScore > 21) return 2 * BASIS_POINTS; // Dealer bust, player wins
+  if (dealerScore === playerScore) return BASIS_POINTS; // Push
+  if (dealerScore > playerScore) return 0; // Dealer wins
+  return 2 * BASIS_POINTS; // Player wins
+}
+
+function createShoe(deckCount = DEFAULT_DECKS, randomInt) {
+  const cards = [];
+  for (let d = 0; d < deckCount; d++) {
+    for (let card = 1; card <= 52; card++) {
+      cards.push(card);
+    }
+  }
+  return shuffle(cards, randomInt);
+}
+
+class BlackjackEngine {
+  constructor(rules = {}) {
+    this.rules = validateRules(rules);
+    this.decks = this.rules.decks;
+    // One session (shoe + current hand) per player address
+    this.sessions = new Map();
+  }
+
+  getSession(player) {
+    const key = player.toLowerCase();
+    if (!this.sessions.has(key)) {
+      this.sessions.set(key, { shoe: [], dealt: 0, drawn: [], hand: null });
+    }
+    return this.sessions.get(key);
+  }
+
+  draw(session) {
+    if (session.dealt >= session.shoe.length) {
+      throw new Error('Shoe is empty');
+    }
+    const card = session.shoe[session.dealt++];
+    session.drawn.push(card);
+    return card;
+  }
+
+  needsShuffle(session) {
+    return session.shoe.length === 0 ||
+      session.dealt >= session.shoe.length * RESHUFFLE_PENETRATION;
+  }
+
+  getHand(player) {
+    return this.getSession(player).hand;
+  }
+
+  // A shoe can be supplied for the hand (e.g. one derived from fairness seeds);
+  // otherwise the session's own shoe is used and reshuffled as it runs low
+  deal(player, bet, { shoe } = {}) {
+    const session = this.getSession(player);
+    if (session.hand && !session.hand.settlement.settled) {
+      throw new Error('Player already has a hand in progress');
+    }
+
+    if (shoe) {
+      session.shoe = [...shoe];
+      session.dealt = 0;
+    } else if (this.needsShuffle(session)) {
+      session.shoe = createShoe(this.decks);
+      session.dealt = 0;
+    }
+    session.drawn = [];
+
+    const playerCards = [this.draw(session)];
+    const dealerCards = [this.draw(session)];
+    playerCards.push(this.draw(session));
+    dealerCards.push(this.draw(session));
+
+    const hand = {
+      player,
+      bet: bet.toString(),
+      dealerCards,
+      hands: [{ cards: playerCards, stake: 1, doubled: false, done: false }],
+      activeIndex: 0,
+      insurance: null,
+      surrendered: false,
+      // Every card taken from the shoe, in draw order
+      drawn: session.drawn,
+      status: 'playing',
+      result: null,
+      settlement: { settled: false, txHash: null, remainderTxHash: null, error: null },
+      startedAt: Date.now(),
+      lastActionAt: Date.now()
+    };
+    session.hand = hand;
+
+    // With an ace showing, insurance is offered before the dealer peeks
+    if (this.rules.insurance && cardValue(dealerCards[0]) === 1) {
+      hand.status = 'insurance';
+      return hand;
+    }
+
+    this.peek(hand);
+    return hand;
+  }
+
+  // Naturals end the hand before the player acts
+  peek(hand) {
+    hand.status = 'playing';
+    if (isNaturalBlackjack(hand.hands[0].cards) || isNaturalBlackjack(hand.dealerCards)) {
+      hand.hands[0].done = true;
+      this.finish(hand);
+    }
+  }
+
+  getPlayableHand(player, status = 'playing') {
+    const hand = this.getHand(player);
+    if (!hand || hand.status !== status) {
+      throw new Error(status === 'insurance'
+        ? 'Insurance is not being offered'
+        : 'No hand in progress for player');
+    }
+    return hand;
+  }
+
+  // Throws if the action is not legal for the player's current hand
+  validateAction(player, action) {
+    if (action === 'insurance') {
+      return this.getPlayableHand(player, 'insurance');
+    }
+
+    const hand = this.getPlayableHand(player);
+    const current = hand.hands[hand.activeIndex];
+
+    switch (action) {
+      case 'hit':
+      case 'stand':
+        return hand;
+      case 'surrender':
+        if (!this.rules.lateSurrender) {
+          throw new Error('Surrender is not allowed');
+        }
+        if (hand.hands.length > 1 || current.cards.length !== 2) {
+          throw new Error('Can only surrender the first two cards');
+        }
+        return hand;
+      case 'double':
+        if (current.cards.length !== 2) {
+          throw new Error('Can only double down on the first two cards');
+        }
+        return hand;
+      case 'split':
+        if (hand.hands.length > 1) {
+          throw new Error('Hand has already been split');
+        }
+        if (current.cards.length !== 2 ||
+            cardValue(current.cards[0]) !== cardValue(current.cards[1])) {
+          throw new Error('Can only split a pair');
+        }
+        return hand;
+      default:
+        throw new Error('Invalid action');
+    }
+  }
+
+  hit(player) {
+    const hand = this.validateAction(player, 'hit');
+    hand.lastActionAt = Date.now();
+    const session = this.getSession(player);
+    const current = hand.hands[hand.activeIndex];
+
+    current.cards.push(this.draw(session));
+    if (calculateHandScore(current.cards) >= 21) {
+      current.done = true;
+      this.advance(hand);
+    }
+    return hand;
+  }
+
+  stand(player) {
+    const hand = this.validateAction(player, 'stand');
+    hand.lastActionAt = Date.now();
+    hand.hands[hand.activeIndex].done = true;
+    this.advance(hand);
+    return hand;
+  }
+
+  double(player) {
+    const hand = this.validateAction(player, 'double');
+    hand.lastActionAt = Date.now();
+    const session = this.getSession(player);
+    const current = hand.hands[hand.activeIndex];
+
+    current.stake *= 2;
+    current.doubled = true;
+    current.cards.push(this.draw(session));
+    current.done = true;
+    this.advance(hand);
+    return hand;
+  }
+
+  insurance(player, accept) {
+    const hand = this.validateAction(player, 'insurance');
+    hand.lastActionAt = Date.now();
+    hand.insurance = { taken: Boolean(accept), stakeBps: accept ? INSURANCE_STAKE_BPS : 0 };
+    this.peek(hand);
+    return hand;
+  }
+
+  // Late surrender: forfeit half the stake, the dealer does not play
+  surrender(player) {
+    const hand = this.validateAction(player, 'surrender');
+    hand.lastActionAt = Date.now();
+    hand.surrendered = true;
+    hand.hands[0].done = true;
+    this.finish(hand);
+    return hand;
+  }
+
+  // Ends an abandoned hand without playing it out: 'forfeit' loses every
+  // stake, 'push' returns them
+  abandon(player, policy) {
+    const hand = this.getHand(player);
+    if (!hand || hand.status === 'complete') {
+      throw new Error('No hand in progress for player');
+    }
+    hand.abandoned = policy;
+    hand.hands.forEach(h => {
+      h.done = true;
+    });
+    this.finish(hand);
+    return hand;
+  }
+
+  split(player) {
+    const hand = this.validateAction(player, 'split');
+    hand.lastActionAt = Date.now();
+    const session = this.getSession(player);
+    const [first, second] = hand.hands[0].cards;
+    const splitAces = cardValue(first) === 1;
+
+    hand.hands = [first, second].map(card => ({
+      cards: [card, this.draw(session)],
+      stake: 1,
+      doubled: false,
+      split: true,
+      // Split aces receive one card each
+      done: splitAces
+    }));
+    hand.activeIndex = 0;
+    this.advance(hand);
+    return hand;
+  }
+
+  // Move to the next unfinished player hand, or play out the dealer
+  advance(hand) {
+    const next = hand.hands.findIndex(h => !h.done && calculateHandScore(h.cards) < 21);
+    hand.hands.forEach(h => {
+      if (calculateHandScore(h.cards) >= 21) h.done = true;
+    });
+
+    if (next !== -1) {
+      hand.activeIndex = next;
+      return;
+    }
+
+    const session = this.getSession(hand.player);
+    const allBust = hand.hands.every(h => calculateHandScore(h.cards) > 21);
+    if (!allBust) {
+      while (dealerShouldHit(hand.dealerCards, this.rules)) {
+        hand.dealerCards.push(this.draw(session));
+      }
+    }
+    this.finish(hand);
+  }
+
+  finish(hand) {
+    const splitHand = hand.hands.length > 1;
+
+    const handPayout = (h) => {
+      if (hand.abandoned) return hand.abandoned === 'push' ? BASIS_POINTS : 0;
+      if (hand.surrendered) return SURRENDER_RETURN_BPS;
+      return verifyGameResult(h.cards, hand.dealerCards, this.rules, { splitHand });
+    };
+    const results = hand.hands.map(h => ({
+      score: calculateHandScore(h.cards),
+      stake: h.stake,
+      payoutBps: handPayout(h)
+    }));
+
+    let insuranceBps = 0;
+    if (hand.insurance && hand.insurance.taken) {
+      if (hand.abandoned) {
+        insuranceBps = hand.abandoned === 'push' ? hand.insurance.stakeBps : 0;
+      } else if (isNaturalBlackjack(hand.dealerCards)) {
+        insuranceBps = hand.insurance.stakeBps * 3;
+      }
+    }
+
+    // Total return in basis points of the on-chain bet. Extra stakes from
+    // doubles, splits and insurance are collected separately.
+    const payoutBps = results.reduce((sum, r) => sum + r.stake * r.payoutBps, 0) + insuranceBps;
+
+    hand.status = 'complete';
+    hand.result = {
+      dealerScore: calculateHandScore(hand.dealerCards),
+      hands: results,
+      surrendered: hand.surrendered,
+      abandoned: hand.abandoned || null,
+      insuranceBps,
+      payoutBps,
+      // The contract only takes whole multipliers; the remainder is paid
+      // separately through the treasury
+      payoutMultiplier: Math.floor(payoutBps / BASIS_POINTS),
+      remainderBps: payoutBps % BASIS_POINTS
+    };
+    hand.completedAt = Date.now();
+  }
+
+  // Client-facing view of a hand; the dealer's hole card stays hidden until the hand ends
+  view(hand) {
+    if (!hand) return null;
+    const complete = hand.status === 'complete';
+    return {
+      player: hand.player,
+      bet: hand.bet,
+      status: hand.status,
+      activeIndex: hand.activeIndex,
+      hands: hand.hands.map(h => ({
+        cards: h.cards,
+        score: calculateHandScore(h.cards),
+        stake: h.stake,
+        doubled: h.doubled,
+        done: h.done
+      })),
+      insurance: hand.insurance,
+      surrendered: hand.surrendered,
+      dealerCards: complete ? hand.dealerCards : [hand.dealerCards[0]],
+      dealerScore: complete
+        ? calculateHandScore(hand.dealerCards)
+        : calculateHandScore([hand.dealerCards[0]]),
+      result: hand.result,
+      settlement: hand.settlement
+    };
+  }
+}
+
+module.exports = {
+  BlackjackEngine,
+  calculateHandScore,
+  handTotals,
+  dealerShouldHit,
+  verifyGameResult,
+  isNaturalBlackjack,
+  cardValue,
+  createShoe,
+  shuffle
+};
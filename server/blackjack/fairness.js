@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+const { createShoe } = require('./engine');
+const { generateServerSeed, hashSeed, createSeededRandom } = require('../common/seeds');
+const { JsonFileStore } = require('../store/jsonFileStore');
+
+const MAX_ROUNDS = 5000;
+
+function deriveShoe(serverSeed, clientSeed, nonce, decks) {
+  return createShoe(decks, createSeededRandom(serverSeed, clientSeed, nonce));
+}
+
+// Same hash Blackjack.sol builds in submitGameResult/resolveGameForPlayer
+function computeGameHash(player, playerCards, dealerCards, multiplier, nonce) {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'uint8[]', 'uint8[]', 'uint256', 'uint256'],
+    [player, playerCards, dealerCards, multiplier, nonce]
+  );
+}
+
+// Arguments the player passes to submitGameResult for a finished hand
+function buildGameResult(player, hand, nonce) {
+  const playerCards = hand.hands.flatMap(h => h.cards);
+  const multiplier = hand.result.payoutMultiplier;
+  return {
+    playerCards,
+    dealerCards: hand.dealerCards,
+    multiplier,
+    nonce,
+    gameHash: computeGameHash(player, playerCards, hand.dealerCards, multiplier, nonce)
+  };
+}
+
+// Recompute a hand from its seeds: the revealed seed must match the commitment
+// and every card drawn must be the next card of the derived shoe
+function verifyRound({ serverSeed, serverSeedHash, clientSeed, nonce, decks, drawn }) {
+  const hashMatches = hashSeed(serverSeed) === serverSeedHash;
+  const shoe = deriveShoe(serverSeed, clientSeed, nonce, decks);
+  const expected = shoe.slice(0, drawn.length);
+  const cardsMatch = expected.every((card, i) => card === Number(drawn[i]));
+
+  return {
+    valid: hashMatches && cardsMatch,
+    hashMatches,
+    cardsMatch,
+    expectedCards: expected
+  };
+}
+
+// Seed commitments, nonces and rounds are kept on disk, so a restart neither
+// issues a nonce again (and with it a gameHash Blackjack.sol may already have
+// used) nor loses a round before its seed is revealed. Beyond maxRounds the
+// oldest revealed rounds are dropped.
+class FairnessManager {
+  constructor({ decks, filePath, maxRounds = MAX_ROUNDS }) {
+    this.decks = decks;
+    this.maxRounds = maxRounds;
+    // commitments: player => unused commitment
+    // nonces: player => last nonce issued
+    // rounds: serverSeedHash => round record
+    this.store = new JsonFileStore(filePath, { commitments: {}, nonces: {}, rounds: {} });
+  }
+
+  // Returns the player's pending commitment, creating one if needed.
+  // The seed itself stays secret until the hand is over.
+  commit(player) {
+    const key = player.toLowerCase();
+    const { commitments, nonces } = this.store.data;
+    if (!commitments[key]) {
+      const nonce = (nonces[key] || 0) + 1;
+      nonces[key] = nonce;
+
+      const serverSeed = generateServerSeed();
+      commitments[key] = {
+        serverSeed,
+        serverSeedHash: hashSeed(serverSeed),
+        nonce,
+        committedAt: Date.now()
+      };
+      this.store.save();
+    }
+
+    const { serverSeedHash, nonce, committedAt } = commitments[key];
+    return { serverSeedHash, nonce, committedAt };
+  }
+
+  // Mixes the player's seed into their pending commitment and returns the round
+  // along with the shoe to deal from
+  startRound(player, clientSeed) {
+    const key = player.toLowerCase();
+    const commitment = this.store.data.commitments[key];
+    if (!commitment) {
+      throw new Error('No seed commitment found; request one before betting');
+    }
+    if (!clientSeed) {
+      throw new Error('clientSeed is required');
+    }
+    delete this.store.data.commitments[key];
+
+    const round = {
+      player,
+      ...commitment,
+      clientSeed: String(clientSeed),
+      decks: this.decks,
+      revealed: false,
+      drawn: [],
+      startedAt: Date.now()
+    };
+    this.store.data.rounds[round.serverSeedHash] = round;
+    this.prune();
+    this.store.save();
+
+    return {
+      round,
+      shoe: deriveShoe(round.serverSeed, round.clientSeed, round.nonce, round.decks)
+    };
+  }
+
+  reveal(serverSeedHash, { drawn, result }) {
+    const round = this.getRound(serverSeedHash);
+    if (!round) {
+      throw new Error('Unknown round');
+    }
+    round.revealed = true;
+    round.drawn = [...drawn];
+    round.result = result;
+    round.revealedAt = Date.now();
+    this.store.save();
+    return this.view(round);
+  }
+
+  getRound(serverSeedHash) {
+    return this.store.data.rounds[serverSeedHash] || null;
+  }
+
+  // Drops the oldest revealed rounds past maxRounds; rounds still waiting
+  // for their reveal are always kept
+  prune() {
+    const { rounds } = this.store.data;
+    let excess = Object.keys(rounds).length - this.maxRounds;
+    for (const [serverSeedHash, round] of Object.entries(rounds)) {
+      if (excess <= 0) break;
+      if (!round.revealed) continue;
+      delete rounds[serverSeedHash];
+      excess--;
+    }
+  }
+
+  // Public view of a round; the server seed is withheld until it is revealed
+  view(round) {
+    if (!round) return null;
+    return {
+      player: round.player,
+      serverSeedHash: round.serverSeedHash,
+      serverSeed: round.revealed ? round.serverSeed : null,
+      clientSeed: round.clientSeed,
+      nonce: round.nonce,
+      decks: round.decks,
+      revealed: round.revealed,
+      drawn: round.revealed ? round.drawn : [],
+      result: round.result || null
+    };
+  }
+}
+
+module.exports = {
+  FairnessManager,
+  deriveShoe,
+  computeGameHash,
+  buildGameResult,
+  verifyRound
+};
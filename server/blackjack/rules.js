@@ -0,0 +1,63 @@
+// Payouts are expressed as total return in basis points of the stake:
+// 0 = loss, 10000 = push, 20000 = even-money win
+const BASIS_POINTS = 10000;
+
+const NATURAL_PAYOUTS = {
+  '3:2': [3, 2],
+  '6:5': [6, 5]
+};
+
+const DEFAULT_RULES = {
+  decks: 6,
+  dealerHitsSoft17: false,
+  naturalPayout: '3:2',
+  lateSurrender: false,
+  insurance: false
+};
+
+function parseFlag(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+// Rules profile for this deployment, e.g.
+// BLACKJACK_DECKS=6 BLACKJACK_DEALER_RULE=H17 BLACKJACK_NATURAL_PAYOUT=6:5
+// BLACKJACK_LATE_SURRENDER=true BLACKJACK_INSURANCE=true
+function rulesFromEnv(env = process.env) {
+  const dealerRule = (env.BLACKJACK_DEALER_RULE || 'S17').toUpperCase();
+  if (dealerRule !== 'H17' && dealerRule !== 'S17') {
+    throw new Error(`Invalid BLACKJACK_DEALER_RULE: ${dealerRule} (expected H17 or S17)`);
+  }
+
+  return validateRules({
+    decks: env.BLACKJACK_DECKS ? Number(env.BLACKJACK_DECKS) : DEFAULT_RULES.decks,
+    dealerHitsSoft17: dealerRule === 'H17',
+    naturalPayout: env.BLACKJACK_NATURAL_PAYOUT || DEFAULT_RULES.naturalPayout,
+    lateSurrender: parseFlag(env.BLACKJACK_LATE_SURRENDER, DEFAULT_RULES.lateSurrender),
+    insurance: parseFlag(env.BLACKJACK_INSURANCE, DEFAULT_RULES.insurance)
+  });
+}
+
+function validateRules(overrides = {}) {
+  const rules = { ...DEFAULT_RULES, ...overrides };
+  if (!Number.isInteger(rules.decks) || rules.decks < 1 || rules.decks > 8) {
+    throw new Error(`Invalid deck count: ${rules.decks}`);
+  }
+  if (!NATURAL_PAYOUTS[rules.naturalPayout]) {
+    throw new Error(`Invalid natural payout: ${rules.naturalPayout} (expected 3:2 or 6:5)`);
+  }
+  return rules;
+}
+
+function naturalPayoutBps(rules) {
+  const [numerator, denominator] = NATURAL_PAYOUTS[rules.naturalPayout];
+  return BASIS_POINTS + (BASIS_POINTS * numerator) / denominator;
+}
+
+module.exports = {
+  BASIS_POINTS,
+  DEFAULT_RULES,
+  rulesFromEnv,
+  validateRules,
+  naturalPayoutBps
+};
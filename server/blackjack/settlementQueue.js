@@ -0,0 +1,126 @@
+const DEFAULT_MAX_BATCH_SIZE = 20;
+const DEFAULT_FLUSH_INTERVAL_MS = 3000;
+
+// Collects validated hand results and settles them in batches through
+// settleBatch(entries), flushing when the queue reaches maxBatchSize or every
+// flushIntervalMs. A batch that reverts is bisected so one bad entry only
+// fails itself.
+class SettlementQueue {
+  constructor({
+    settleBatch,
+    maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+    flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS
+  }) {
+    this.settleBatch = settleBatch;
+    this.maxBatchSize = maxBatchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.queue = [];
+    this.flushing = null;
+    this.timer = null;
+    this.lastFlush = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      if (this.queue.length > 0) this.flush();
+    }, this.flushIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Resolves with { txHash } once the entry's batch is mined, rejects if the
+  // entry cannot be settled on its own. Fields besides player are passed
+  // through to settleBatch untouched.
+  enqueue(item) {
+    const key = item.player.toLowerCase();
+    const existing = this.queue.find(entry => entry.key === key);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const entry = { ...item, key, enqueuedAt: Date.now() };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    this.queue.push(entry);
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+    return entry.promise;
+  }
+
+  async flush() {
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    this.flushing = (async () => {
+      try {
+        while (this.queue.length > 0) {
+          const batch = this.queue.splice(0, this.maxBatchSize);
+          const startedAt = Date.now();
+          const outcome = await this.settle(batch);
+
+          this.lastFlush = {
+            startedAt,
+            finishedAt: Date.now(),
+            batchSize: batch.length,
+            ...outcome,
+            status: outcome.failed === 0 ? 'success' : (outcome.settled > 0 ? 'partial' : 'failed')
+          };
+          console.log('Settlement batch flushed:', this.lastFlush);
+        }
+      } finally {
+        this.flushing = null;
+      }
+    })();
+    return this.flushing;
+  }
+
+  async settle(entries) {
+    try {
+      const txHash = await this.settleBatch(entries);
+      entries.forEach(entry => entry.resolve({ txHash }));
+      return { settled: entries.length, failed: 0, txHashes: [txHash], errors: [] };
+    } catch (error) {
+      if (entries.length === 1) {
+        console.error('Settlement failed for player:', entries[0].player, error.message);
+        entries[0].reject(error);
+        return {
+          settled: 0,
+          failed: 1,
+          txHashes: [],
+          errors: [{ player: entries[0].player, error: error.message }]
+        };
+      }
+
+      const mid = Math.ceil(entries.length / 2);
+      const left = await this.settle(entries.slice(0, mid));
+      const right = await this.settle(entries.slice(mid));
+      return {
+        settled: left.settled + right.settled,
+        failed: left.failed + right.failed,
+        txHashes: [...left.txHashes, ...right.txHashes],
+        errors: [...left.errors, ...right.errors]
+      };
+    }
+  }
+
+  status() {
+    return {
+      depth: this.queue.length,
+      flushing: Boolean(this.flushing),
+      maxBatchSize: this.maxBatchSize,
+      flushIntervalMs: this.flushIntervalMs,
+      lastFlush: this.lastFlush
+    };
+  }
+}
+
+module.exports = { SettlementQueue };
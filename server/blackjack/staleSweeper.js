@@ -0,0 +1,111 @@
+const POLICIES = ['forfeit', 'push'];
+const MAX_SWEEP_HISTORY = 50;
+
+// Periodically resolves blackjack bets whose players have gone quiet, so they
+// stop blocking placeBet with PlayerAlreadyHasActiveBet.
+//
+// A player is stale once neither their on-chain bet nor their last action on
+// the server-side hand is newer than timeoutMs. Stale bets resolve as follows:
+//   - finished hands settle with their real result
+//   - hands in progress resolve under `policy`: 'forfeit' (the bet is lost) or
+//     'push' (every stake is returned)
+//   - bets that were never dealt always push, since no cards were seen
+class StaleGameSweeper {
+  constructor({
+    getActivePlayers,
+    getLastActivity,
+    resolveStale,
+    timeoutMs,
+    intervalMs,
+    policy = 'forfeit'
+  }) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(`Invalid stale game policy: ${policy} (expected ${POLICIES.join(' or ')})`);
+    }
+    this.getActivePlayers = getActivePlayers;
+    this.getLastActivity = getLastActivity;
+    this.resolveStale = resolveStale;
+    this.timeoutMs = timeoutMs;
+    this.intervalMs = intervalMs;
+    this.policy = policy;
+    this.timer = null;
+    this.sweeping = null;
+    this.history = [];
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Stale game sweep failed:', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async sweep() {
+    if (this.sweeping) {
+      return this.sweeping;
+    }
+
+    this.sweeping = (async () => {
+      const record = {
+        startedAt: Date.now(),
+        finishedAt: null,
+        policy: this.policy,
+        timeoutMs: this.timeoutMs,
+        checked: 0,
+        resolved: [],
+        error: null
+      };
+
+      try {
+        const players = await this.getActivePlayers();
+        record.checked = players.length;
+
+        for (const player of players) {
+          const lastActivity = await this.getLastActivity(player);
+          const idleMs = record.startedAt - lastActivity;
+          if (idleMs < this.timeoutMs) continue;
+
+          try {
+            const outcome = await this.resolveStale(player, this.policy);
+            record.resolved.push({ player, idleMs, ...outcome });
+          } catch (error) {
+            record.resolved.push({ player, idleMs, error: error.message });
+          }
+        }
+      } catch (error) {
+        record.error = error.message;
+      } finally {
+        record.finishedAt = Date.now();
+        this.history.unshift(record);
+        this.history.length = Math.min(this.history.length, MAX_SWEEP_HISTORY);
+        this.sweeping = null;
+      }
+
+      // Quiet unless the sweep found something or failed
+      if (record.error) {
+        console.error('Stale blackjack sweep failed:', record.error);
+      } else if (record.resolved.length > 0) {
+        console.log('Stale blackjack sweep:', { checked: record.checked, resolved: record.resolved });
+      }
+      return record;
+    })();
+    return this.sweeping;
+  }
+
+  status() {
+    return {
+      running: Boolean(this.timer),
+      policy: this.policy,
+      timeoutMs: this.timeoutMs,
+      intervalMs: this.intervalMs,
+      history: this.history
+    };
+  }
+}
+
+module.exports = { StaleGameSweeper, POLICIES };
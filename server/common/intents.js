@@ -0,0 +1,97 @@
+const { ethers } = require('ethers');
+
+// EIP-712 intents players sign in their wallets. The server never acts for a
+// player without one: the signer must be the intent's player, the deadline
+// (unix seconds) must not have passed, and the nonce is checked against the
+// submission ledger so an intent can only be used once.
+const INTENT_DOMAIN_NAME = 'AIce Arena';
+const INTENT_DOMAIN_VERSION = '1';
+
+const INTENT_TYPES = {
+  RouletteBet: [
+    { name: 'player', type: 'address' },
+    { name: 'betType', type: 'string' },
+    { name: 'numbers', type: 'uint8[]' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  BlackjackAction: [
+    { name: 'player', type: 'address' },
+    { name: 'action', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PokerAction: [
+    { name: 'player', type: 'address' },
+    { name: 'tableId', type: 'uint256' },
+    { name: 'action', type: 'string' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  PokerTournamentEntry: [
+    { name: 'player', type: 'address' },
+    { name: 'tournamentId', type: 'uint256' },
+    { name: 'action', type: 'string' },
+    { name: 'buyIn', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Intents are bound to the chain and to the game contract they are meant for
+function intentDomain(chainId, verifyingContract) {
+  return {
+    name: INTENT_DOMAIN_NAME,
+    version: INTENT_DOMAIN_VERSION,
+    chainId,
+    verifyingContract
+  };
+}
+
+function hashIntent(domain, primaryType, message) {
+  return ethers.TypedDataEncoder.hash(domain, { [primaryType]: INTENT_TYPES[primaryType] }, message);
+}
+
+// Returns the checked signer and intent hash, or throws if the intent is not
+// a valid signature by its own player
+function verifyIntent({ domain, primaryType, message, signature, now = Date.now() }) {
+  const types = INTENT_TYPES[primaryType];
+  if (!types) {
+    throw new Error(`Unknown intent type: ${primaryType}`);
+  }
+  if (!message || !signature) {
+    throw new Error('A signed intent is required');
+  }
+  for (const { name } of types) {
+    if (message[name] === undefined || message[name] === null) {
+      throw new Error(`Intent is missing ${name}`);
+    }
+  }
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, { [primaryType]: types }, message, signature);
+  } catch (error) {
+    throw new Error(`Invalid intent signature: ${error.shortMessage || error.message}`);
+  }
+  if (signer.toLowerCase() !== String(message.player).toLowerCase()) {
+    throw new Error('Intent was not signed by its player');
+  }
+  if (BigInt(message.deadline) * 1000n < BigInt(now)) {
+    throw new Error('Intent has expired');
+  }
+
+  return {
+    signer,
+    intentHash: hashIntent(domain, primaryType, message)
+  };
+}
+
+module.exports = {
+  INTENT_TYPES,
+  intentDomain,
+  hashIntent,
+  verifyIntent
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'x25519-hkdf-sha256-aes-256-gcm';
+const HKDF_INFO = Buffer.from('aice-arena sealed box');
+
+// Keys travel as the base64url `x` of an X25519 JWK (the raw 32-byte key)
+const publicKeyFromBase64 = (x) => crypto.createPublicKey({
+  key: { kty: 'OKP', crv: 'X25519', x },
+  format: 'jwk'
+});
+
+function deriveKey(privateKey, publicKey, salt) {
+  const secret = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(crypto.hkdfSync('sha256', secret, salt, HKDF_INFO, 32));
+}
+
+// Encrypts a JSON payload so only the holder of the recipient's X25519
+// private key can read it. A fresh ephemeral key is used for every box.
+function seal(recipientPublicKey, payload) {
+  const recipient = publicKeyFromBase64(recipientPublicKey);
+  const ephemeral = crypto.generateKeyPairSync('x25519');
+  const ephemeralPublicKey = ephemeral.publicKey.export({ format: 'jwk' }).x;
+  const iv = crypto.randomBytes(12);
+
+  const key = deriveKey(ephemeral.privateKey, recipient, Buffer.from(ephemeralPublicKey));
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return {
+    algorithm: ALGORITHM,
+    ephemeralPublicKey,
+    iv: iv.toString('base64url'),
+    ciphertext: ciphertext.toString('base64url'),
+    tag: cipher.getAuthTag().toString('base64url')
+  };
+}
+
+// Reverse of seal(); recipientPrivateKey is a KeyObject
+function open(recipientPrivateKey, box) {
+  const ephemeral = publicKeyFromBase64(box.ephemeralPublicKey);
+  const key = deriveKey(recipientPrivateKey, ephemeral, Buffer.from(box.ephemeralPublicKey));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64url'));
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(box.ciphertext, 'base64url')),
+    decipher.final()
+  ]);
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+// Throws unless key is a usable X25519 public key
+function validatePublicKey(key) {
+  try {
+    publicKeyFromBase64(key);
+  } catch (error) {
+    throw new Error('sessionKey must be a base64url X25519 public key');
+  }
+}
+
+module.exports = { ALGORITHM, seal, open, validatePublicKey };
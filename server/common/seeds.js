@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Deterministic randomInt(max) driven by HMAC-SHA256(serverSeed, clientSeed:nonce:counter).
+// Rejection sampling keeps every outcome equally likely.
+function createSeededRandom(serverSeed, clientSeed, nonce) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto
+        .createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}:${counter++}`)
+        .digest();
+      offset = 0;
+    }
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+module.exports = {
+  generateServerSeed,
+  hashSeed,
+  createSeededRandom
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { validatePublicKey } = require('./sealedBox');
+
+const DEFAULT_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_SESSION_TTL_MS = 60 * 60 * 1000;
+
+function challengeMessage({ address, sessionKey, nonce, expiresAt }) {
+  return [
+    'Sign in to AIce Arena',
+    `Address: ${address}`,
+    `Session key: ${sessionKey}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${new Date(expiresAt).toISOString()}`
+  ].join('\n');
+}
+
+// Wallet sign-in. The client asks for a challenge naming its address and the
+// X25519 public key it wants private data encrypted to, signs the challenge
+// with the wallet (personal_sign), and swaps the signature for a session
+// token. Signing the key in the challenge ties it to the wallet, so nobody
+// in between can substitute their own.
+class SessionManager {
+  constructor({ challengeTtlMs = DEFAULT_CHALLENGE_TTL_MS, sessionTtlMs = DEFAULT_SESSION_TTL_MS } = {}) {
+    this.challengeTtlMs = challengeTtlMs;
+    this.sessionTtlMs = sessionTtlMs;
+    // nonce => pending challenge
+    this.challenges = new Map();
+    // token => session
+    this.sessions = new Map();
+  }
+
+  challenge(address, sessionKey, now = Date.now()) {
+    if (!ethers.isAddress(address)) {
+      throw new Error('A valid address is required');
+    }
+    validatePublicKey(sessionKey);
+    this.prune(now);
+
+    const challenge = {
+      address: ethers.getAddress(address),
+      sessionKey,
+      nonce: crypto.randomBytes(16).toString('hex'),
+      expiresAt: now + this.challengeTtlMs
+    };
+    this.challenges.set(challenge.nonce, challenge);
+    return { nonce: challenge.nonce, message: challengeMessage(challenge), expiresAt: challenge.expiresAt };
+  }
+
+  // Each challenge can be used once
+  createSession(nonce, signature, now = Date.now()) {
+    const challenge = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+    if (!challenge || challenge.expiresAt < now) {
+      throw new Error('Unknown or expired challenge');
+    }
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(challengeMessage(challenge), signature);
+    } catch (error) {
+      throw new Error('Invalid signature');
+    }
+    if (signer !== challenge.address) {
+      throw new Error('Challenge was not signed by its address');
+    }
+
+    const session = {
+      token: crypto.randomBytes(32).toString('hex'),
+      address: challenge.address,
+      sessionKey: challenge.sessionKey,
+      expiresAt: now + this.sessionTtlMs
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  authenticate(token, now = Date.now()) {
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+    if (session.expiresAt < now) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  revoke(token) {
+    return this.sessions.delete(token);
+  }
+
+  prune(now = Date.now()) {
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt < now) this.challenges.delete(nonce);
+    }
+    for (const [token, session] of this.sessions) {
+      if (session.expiresAt < now) this.sessions.delete(token);
+    }
+  }
+}
+
+module.exports = { SessionManager, challengeMessage };
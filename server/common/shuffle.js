@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Fisher-Yates shuffle using a CSPRNG
+function shuffle(cards, randomInt = crypto.randomInt) {
+  const shuffled = [...cards];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = { shuffle };
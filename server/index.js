@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const { ethers } = require('ethers');
@@ -6,6 +7,31 @@ const BlackjackJSON = require('../artifacts/contracts/Blackjack.sol/Blackjack.js
 const RouletteJSON = require('../artifacts/contracts/Roulette.sol/Roulette.json');
 const TreasuryJSON = require('../artifacts/contracts/HouseTreasury.sol/HouseTreasury.json');
 const PokerJSON = require('../artifacts/contracts/Poker.sol/Poker.json');
+const { BlackjackEngine } = require('./blackjack/engine');
+const { BASIS_POINTS, rulesFromEnv } = require('./blackjack/rules');
+const { FairnessManager, buildGameResult, verifyRound } = require('./blackjack/fairness');
+const { SettlementQueue } = require('./blackjack/settlementQueue');
+const { StaleGameSweeper } = require('./blackjack/staleSweeper');
+const { RouletteSpinOracle, verifySpin } = require('./roulette/spinOracle');
+const { expandBet, quoteBet, describeBetTypes } = require('./roulette/bets');
+const { RouletteRoundScheduler } = require('./roulette/roundScheduler');
+const { SubmissionLedger } = require('./store/submissionLedger');
+const { INTENT_TYPES, intentDomain, verifyIntent } = require('./common/intents');
+const { SessionManager } = require('./common/sessions');
+const { seal } = require('./common/sealedBox');
+const { PokerDeckService } = require('./poker/deck');
+const { evaluateHand, rankHands, compareHands } = require('./poker/handEvaluator');
+const { PokerHouseBot } = require('./poker/houseBot');
+const { HouseSeatRegistry } = require('./poker/houseSeats');
+const { PokerHandHistory } = require('./poker/handHistory');
+const { PokerTournaments } = require('./poker/tournaments');
+const { PokerLobby, parseLobbyQuery } = require('./poker/lobby');
+const { PokerRakeLedger } = require('./poker/rake');
+const { PokerWaitlist, tableQueue, stakesQueue } = require('./poker/waitlist');
+const { DEFAULT_STRATEGY, STREETS, getStrategy, describeStrategies, seatPosition } = require('./poker/houseStrategies');
+const { buildPots, settlePots, payoutBreakdown } = require('./poker/sidePots');
+const { PokerTableOrchestrator, GAME_STATE, GAME_STATES, BETWEEN_HANDS } = require('./poker/tableOrchestrator');
+const { PokerTurnClock } = require('./poker/turnClock');
 
 const app = express();
 app.use(cors({
@@ -33,7 +59,7 @@ try {
     name: 'hardhat'
   });
   
-  houseSigner = new ethers.Wallet(process.env.HOUSE_PRIVATE_KEY, provider);
+  houseSigner = trackSubmissionTransactions(new ethers.Wallet(process.env.HOUSE_PRIVATE_KEY, provider));
   blackjackContract = new ethers.Contract(
     process.env.BLACKJACK_ADDRESS,
     BlackjackJSON.abi,
@@ -54,6 +80,7 @@ try {
     PokerJSON.abi,
     houseSigner
   );
+  watchBlackjackBets();
 
   // Verify contract ownership and authorize games
   const initializeContracts = async () => {
@@ -103,6 +130,16 @@ try {
         console.log('Poker contract authorized');
       }
 
+      // A treasury game can move any player's balance, so the house signer
+      // must never be one; an earlier deployment may have authorized it
+      const isHouseAuthorized = await treasuryContract.authorizedGames(houseSigner_address);
+      if (isHouseAuthorized) {
+        console.log('Deauthorizing house signer...');
+        const tx = await treasuryContract.deauthorizeGame(houseSigner_address);
+        await tx.wait();
+        console.log('House signer deauthorized');
+      }
+
     } catch (error) {
       console.error('Error initializing contracts:', error);
       throw error;
@@ -133,7 +170,7 @@ async function ensureConnection() {
         chainId: EXPECTED_CHAIN_ID,
         name: 'hardhat'
       });
-      houseSigner = new ethers.Wallet(process.env.HOUSE_PRIVATE_KEY, provider);
+      houseSigner = trackSubmissionTransactions(new ethers.Wallet(process.env.HOUSE_PRIVATE_KEY, provider));
       blackjackContract = new ethers.Contract(
         process.env.BLACKJACK_ADDRESS,
         BlackjackJSON.abi,
@@ -154,6 +191,7 @@ async function ensureConnection() {
         PokerJSON.abi,
         houseSigner
       );
+      watchBlackjackBets();
     }
     const network = await provider.getNetwork();
     return true;
@@ -183,359 +221,515 @@ app.get('/status', async (req, res) => {
   }
 });
 
-// Verify game result helper function
-function verifyGameResult(playerHand, dealerHand) {
-  // Calculate player score
-  let playerScore = calculateHandScore(playerHand);
-  let dealerScore = calculateHandScore(dealerHand);
-
-  console.log('Backend score calculation:', {
-    playerScore,
-    dealerScore,
-    playerHand,
-    dealerHand,
-    playerCards: playerHand.map(card => ({
-      card,
-      value: card % 13 || 13,
-      score: calculateHandScore([card])
-    })),
-    dealerCards: dealerHand.map(card => ({
-      card,
-      value: card % 13 || 13,
-      score: calculateHandScore([card])
-    }))
-  });
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-  // Match frontend logic exactly
-  if (playerScore > 21) {
-    console.log('Player bust - dealer wins');
-    return 0; // Player bust
-  }
-  if (dealerScore > 21) {
-    console.log('Dealer bust - player wins');
-    return 2; // Dealer bust, player wins
-  }
-  if (dealerScore === playerScore) {
-    console.log('Equal scores - push');
-    return 1; // Push
-  }
-  if (dealerScore > playerScore) {
-    console.log('Dealer score higher - dealer wins');
-    return 0; // Dealer wins
-  }
-  if (dealerScore < playerScore) {
-    console.log('Player score higher - player wins');
-    return 2; // Player wins
+// Admin routes require `Authorization: Bearer <ADMIN_API_KEY>`
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || req.get('Authorization') !== `Bearer ${adminKey}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized'
+    });
   }
-  
-  console.log('Unknown game state');
-  return 0;
+  next();
 }
 
-function calculateHandScore(hand) {
-  let score = 0;
-  let aces = 0;
+// Every nonce-carrying submission is recorded here so replays are rejected and
+// retries get the original result back
+const submissionLedger = new SubmissionLedger(
+  process.env.SUBMISSION_STORE_PATH || path.join(DATA_DIR, 'submissions.json'),
+  { getReceipt: (txHash) => provider.getTransactionReceipt(txHash) }
+);
+submissionLedger.recover().catch(error => {
+  console.error('Error recovering pending submissions:', error.message);
+});
 
-  console.log('Starting hand calculation:', hand);
+// Each transaction the house sends is recorded against the submission it
+// serves as soon as it is broadcast, before anything waits for it
+function trackSubmissionTransactions(signer) {
+  const sendTransaction = signer.sendTransaction.bind(signer);
+  signer.sendTransaction = async (tx) => {
+    const response = await sendTransaction(tx);
+    submissionLedger.sent(response.hash);
+    return response;
+  };
+  return signer;
+}
 
-  hand.forEach(card => {
-    // Match frontend calculation exactly
-    let value = card % 13 || 13;  // This is the key line that needs to match
+// Routes that act for a player take a signed EIP-712 intent instead of a bare
+// address; each intent type is bound to its game's contract
+const intentDomains = {
+  RouletteBet: intentDomain(EXPECTED_CHAIN_ID, process.env.ROULETTE_ADDRESS),
+  BlackjackAction: intentDomain(EXPECTED_CHAIN_ID, process.env.BLACKJACK_ADDRESS),
+  PokerAction: intentDomain(EXPECTED_CHAIN_ID, process.env.POKER_ADDRESS),
+  PokerTournamentEntry: intentDomain(EXPECTED_CHAIN_ID, process.env.POKER_ADDRESS)
+};
 
-    console.log('Processing card:', {
-      originalCard: card,
-      modResult: card % 13,
-      valueAfterMod: value
+// Expects `{ intent, signature }` in the body and exposes the verified intent,
+// with its signer as `player`, on req.intent. `expected` pins intent fields to
+// the route, e.g. { action: 'hit' }.
+const requireIntent = (primaryType, expected = {}) => (req, res, next) => {
+  try {
+    const { intent, signature } = req.body;
+    const { signer, intentHash } = verifyIntent({
+      domain: intentDomains[primaryType],
+      primaryType,
+      message: intent,
+      signature
     });
-
-    if (value > 10) value = 10;
-    if (value === 1) {
-      aces += 1;
-      value = 11;
+    for (const [field, value] of Object.entries(expected)) {
+      if (intent[field] !== value) {
+        throw new Error(`Intent ${field} must be ${value} for this route`);
+      }
     }
 
-    console.log('Card value after processing:', {
-      finalValue: value,
-      isAce: value === 11,
-      currentScore: score,
-      newScore: score + value
-    });
-
-    score += value;
-  });
-
-  // Adjust for aces
-  while (score > 21 && aces > 0) {
-    score -= 10;
-    aces -= 1;
-    console.log('Adjusted for ace:', {
-      newScore: score,
-      remainingAces: aces
+    req.intent = { ...intent, player: signer, intentHash };
+    next();
+  } catch (error) {
+    console.error('Rejected intent:', error.message);
+    res.status(401).json({
+      success: false,
+      error: error.message
     });
   }
+};
 
-  console.log('Final hand calculation:', {
-    originalHand: hand,
-    finalScore: score,
-    remainingAces: aces
+app.get('/intents', (req, res) => {
+  res.json({
+    success: true,
+    domains: intentDomains,
+    types: INTENT_TYPES
   });
+});
+
+// Wallet sign-in for reading private data such as hole cards
+const sessions = new SessionManager({
+  sessionTtlMs: Number(process.env.SESSION_TTL_MS) || undefined
+});
 
-  return score;
+// Session for `Authorization: Bearer <token>`, or null
+function sessionFromRequest(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  return match ? sessions.authenticate(match[1]) : null;
 }
 
-// Endpoint to handle game resolution
-app.post('/submit-game', async (req, res) => {
+// sessionKey is the base64url X25519 public key private data is sealed to
+app.post('/auth/challenge', (req, res) => {
   try {
-    const { player, playerHand, dealerHand, multiplier, nonce } = req.body;
+    const { address, sessionKey } = req.body;
+    res.json({
+      success: true,
+      ...sessions.challenge(address, sessionKey)
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    console.log('Received game submission:', {
-      player,
-      playerHand,
-      dealerHand,
-      multiplier,
-      nonce
+app.post('/auth/session', (req, res) => {
+  try {
+    const { nonce, signature } = req.body;
+    const { token, address, expiresAt } = sessions.createSession(nonce, signature);
+    res.json({
+      success: true,
+      token,
+      address,
+      expiresAt
     });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/auth/logout', (req, res) => {
+  const session = sessionFromRequest(req);
+  if (session) {
+    sessions.revoke(session.token);
+  }
+  res.json({ success: true });
+});
 
-    const playerScore = calculateHandScore(playerHand);
-    const dealerScore = calculateHandScore(dealerHand);
+// Server-authoritative blackjack: the server owns the shoe and every card dealt
+const blackjackEngine = new BlackjackEngine(rulesFromEnv());
+// Each hand's shoe is derived from a committed server seed and the player's seed
+const blackjackFairness = new FairnessManager({
+  decks: blackjackEngine.decks,
+  filePath: process.env.BLACKJACK_FAIRNESS_STORE_PATH || path.join(DATA_DIR, 'blackjack-fairness.json')
+});
+const pendingSettlements = new Map();
+// Time of the player's latest on-chain bet, cached while the bet stays active.
+// Filled as BetPlaced events arrive; bets placed while the server was down are
+// looked up over the last BLACKJACK_BET_LOOKBACK_BLOCKS blocks only.
+const blackjackBetTimes = new Map();
+const BLACKJACK_BET_LOOKBACK_BLOCKS = Number(process.env.BLACKJACK_BET_LOOKBACK_BLOCKS) || 1000;
+
+// Hash-verified results are settled many players at a time through
+// resolveGamesForPlayers, which checks each one against the hash its player
+// submitted and marks it used on-chain
+const blackjackSettlementQueue = new SettlementQueue({
+  maxBatchSize: Number(process.env.BLACKJACK_BATCH_SIZE) || 20,
+  flushIntervalMs: Number(process.env.BLACKJACK_FLUSH_INTERVAL_MS) || 3000,
+  settleBatch: async (entries) => {
+    const results = entries.map(({ player, result }) => ({
+      player,
+      playerCards: result.playerCards,
+      dealerCards: result.dealerCards,
+      multiplier: result.multiplier,
+      nonce: result.nonce
+    }));
 
-    console.log('Score calculation:', {
-      playerHand,
-      dealerHand,
-      playerScore,
-      dealerScore,
-      playerBust: playerScore > 21
+    // Estimating first makes a bad entry fail fast without spending gas
+    const gasEstimate = await blackjackContract.resolveGamesForPlayers.estimateGas(results);
+    const tx = await blackjackContract.resolveGamesForPlayers(results, {
+      gasLimit: gasEstimate * 12n / 10n
     });
-
-    // Verify the game result matches what the frontend calculated
-    const expectedMultiplier = verifyGameResult(playerHand, dealerHand);
-    console.log('Game result determination:', {
-      playerScore,
-      dealerScore,
-      expectedMultiplier,
-      receivedMultiplier: multiplier,
-      playerBust: playerScore > 21,
-      dealerBust: dealerScore > 21
+    const receipt = await tx.wait();
+    console.log('Blackjack batch resolved:', {
+      players: results.length,
+      txHash: receipt.hash
+    });
+    return receipt.hash;
+  }
+});
+blackjackSettlementQueue.start();
+
+// Hands the player never submitted a result for are settled by the house
+// through resolveGames: stale games found by the sweeper and bets never dealt
+const blackjackUnsubmittedQueue = new SettlementQueue({
+  maxBatchSize: Number(process.env.BLACKJACK_BATCH_SIZE) || 20,
+  flushIntervalMs: Number(process.env.BLACKJACK_FLUSH_INTERVAL_MS) || 3000,
+  settleBatch: async (entries) => {
+    const players = entries.map(entry => entry.player);
+    const multipliers = entries.map(entry => entry.multiplier);
+
+    const gasEstimate = await blackjackContract.resolveGames.estimateGas(players, multipliers);
+    const tx = await blackjackContract.resolveGames(players, multipliers, {
+      gasLimit: gasEstimate * 12n / 10n
+    });
+    const receipt = await tx.wait();
+    console.log('Unsubmitted blackjack hands resolved:', {
+      players: players.length,
+      txHash: receipt.hash
     });
+    return receipt.hash;
+  }
+});
+blackjackUnsubmittedQueue.start();
 
-    if (expectedMultiplier !== multiplier) {
-      throw new Error(`Invalid multiplier. Expected ${expectedMultiplier}, got ${multiplier}. Scores: player=${playerScore} (${playerHand.join(',')}), dealer=${dealerScore} (${dealerHand.join(',')})`);
-    }
+function blackjackHandResponse(hand) {
+  if (!hand) return null;
+  return {
+    ...blackjackEngine.view(hand),
+    fairness: blackjackFairness.view(blackjackFairness.getRound(hand.serverSeedHash)),
+    gameResult: hand.gameResult || null
+  };
+}
 
-    // Verify contract ownership first
-    const owner = await blackjackContract.owner();
-    const houseSigner_address = await houseSigner.getAddress();
-    console.log('Contract ownership check:', {
-      owner,
-      houseSigner: houseSigner_address,
-      isOwner: owner.toLowerCase() === houseSigner_address.toLowerCase()
-    });
+// Once a hand ends its result is fixed: reveal the server seed and try to settle
+async function completeBlackjackHand(player, options) {
+  const hand = blackjackEngine.getHand(player);
+  const round = blackjackFairness.getRound(hand.serverSeedHash);
 
-    // Check player status with more details
-    const isActive = await blackjackContract.isPlayerActive(player);
-    let playerState;
-    try {
-      playerState = await blackjackContract.playerHands(player);
-      console.log('Raw player state:', {
-        playerState,
-        type: typeof playerState,
-        keys: Object.keys(playerState || {}),
-        isArray: Array.isArray(playerState)
-      });
-    } catch (error) {
-      console.error('Error getting player state:', error);
-      playerState = {};
-    }
+  hand.gameResult = buildGameResult(player, hand, round.nonce);
+  blackjackFairness.reveal(hand.serverSeedHash, {
+    drawn: hand.drawn,
+    result: hand.result
+  });
 
-    // Safely access player state properties with more defensive checks
-    const gameState = {
-      player,
-      isActive,
-      bet: '0',
-      hasCards: false,
-      resolved: false,
-      activeGames: [],
-      isInActiveList: false
-    };
+  return settleBlackjackHand(player, options);
+}
+
+// Hands finished by a player action: the result is fixed and revealed at once,
+// settlement carries on in the background (a lost hand waits for its batch)
+function finishBlackjackHand(player) {
+  completeBlackjackHand(player).catch(error => {
+    console.error('Error completing blackjack hand:', error);
+  });
+}
+
+// Double downs and splits put up another unit of the on-chain bet, insurance
+// half a unit, taken from the player's treasury balance. Blackjack.sol takes
+// it on the strength of the player's signed action in the request.
+async function collectAdditionalStake(req, amount) {
+  const { player } = req.intent;
+  const balance = await treasuryContract.getPlayerBalance(player);
+  if (balance < amount) {
+    throw new Error('Insufficient balance for additional stake');
+  }
+
+  const tx = await blackjackContract.collectStakeFor(req.body.intent, req.body.signature, {
+    gasLimit: 200000
+  });
+  await tx.wait();
+  console.log('Additional stake collected:', {
+    player,
+    amount: ethers.formatEther(amount),
+    txHash: tx.hash
+  });
+  return tx.hash;
+}
+
+// Players with a blackjack action under way. An action is validated and
+// reserved here before any stake is taken, so a second request racing it is
+// turned away instead of paying for an action the engine would then refuse.
+const blackjackActionsInFlight = new Set();
+
+async function withBlackjackAction(player, fn) {
+  const key = player.toLowerCase();
+  if (blackjackActionsInFlight.has(key)) {
+    throw new Error('Another action is in progress for this hand');
+  }
+  blackjackActionsInFlight.add(key);
+  try {
+    return await fn();
+  } finally {
+    blackjackActionsInFlight.delete(key);
+  }
+}
+
+// Settle a finished hand once it is hash-verified: the player records the result
+// with submitGameResult, and only when that on-chain hash matches ours is the
+// hand queued for batched resolution, where the contract checks it again. A
+// losing player has nothing to claim and no reason to submit, so a lost hand
+// is settled by the house straight away; its seeds are revealed for anyone to
+// verify. The stale sweeper settles players who never came back to submit.
+async function settleBlackjackHand(player, { requireSubmission = true } = {}) {
+  const hand = blackjackEngine.getHand(player);
+  if (!hand || hand.status !== 'complete') {
+    throw new Error('Hand is not complete');
+  }
+  if (hand.settlement.settled) {
+    return hand.settlement;
+  }
+
+  const key = player.toLowerCase();
+  if (pendingSettlements.has(key)) {
+    return pendingSettlements.get(key);
+  }
 
+  const settlement = (async () => {
     try {
-      // Try to get bet amount
-      if (playerState && typeof playerState.bet !== 'undefined') {
-        gameState.bet = playerState.bet.toString();
-      }
+      const { multiplier, gameHash } = hand.gameResult;
+
+      if (!hand.settlement.txHash) {
+        const submittedHash = await blackjackContract.playerGameHashes(player);
+        const submitted = submittedHash.toLowerCase() === gameHash.toLowerCase();
+        if (requireSubmission && !submitted && multiplier > 0) {
+          console.log('Waiting for player to submit game result:', {
+            player,
+            expected: gameHash,
+            submitted: submittedHash
+          });
+          hand.settlement = {
+            ...hand.settlement,
+            awaitingSubmission: true,
+            error: null
+          };
+          return hand.settlement;
+        }
+
+        console.log('Queueing blackjack hand for settlement:', {
+          player,
+          multiplier,
+          gameHash
+        });
 
-      // Try to get cards
-      if (playerState && playerState.cards) {
-        gameState.hasCards = Array.isArray(playerState.cards) ? playerState.cards.length > 0 : false;
+        const { txHash } = submitted
+          ? await blackjackSettlementQueue.enqueue({ player, result: hand.gameResult })
+          : await blackjackUnsubmittedQueue.enqueue({ player, multiplier });
+        hand.settlement = { ...hand.settlement, awaitingSubmission: false, txHash };
       }
 
-      // Try to get resolved status
-      if (playerState && typeof playerState.resolved !== 'undefined') {
-        gameState.resolved = Boolean(playerState.resolved);
+      // Fractional returns (3:2 naturals, surrender, insurance) don't fit the
+      // contract's whole multipliers; the remainder goes through the treasury
+      const { remainderBps } = hand.result;
+      if (remainderBps > 0 && !hand.settlement.remainderTxHash) {
+        const amount = BigInt(hand.bet) * BigInt(remainderBps) / BigInt(BASIS_POINTS);
+        const tx = await treasuryContract.payFromHouse(player, amount, {
+          gasLimit: 200000
+        });
+        await tx.wait();
+        console.log('Blackjack remainder paid:', {
+          player,
+          amount: ethers.formatEther(amount),
+          txHash: tx.hash
+        });
+        hand.settlement = { ...hand.settlement, remainderTxHash: tx.hash };
       }
 
-      // Get active games list
-      const activeGames = await blackjackContract.getActivePlayers();
-      gameState.activeGames = activeGames;
-      gameState.isInActiveList = activeGames.includes(player);
+      hand.settlement = { ...hand.settlement, settled: true, error: null };
+      blackjackBetTimes.delete(key);
     } catch (error) {
-      console.error('Error processing game state:', error);
+      console.error('Error settling blackjack hand:', error);
+      hand.settlement = { ...hand.settlement, settled: false, error: error.message };
+    } finally {
+      pendingSettlements.delete(key);
     }
-    
-    console.log('Processed game state:', gameState);
+    return hand.settlement;
+  })();
+
+  pendingSettlements.set(key, settlement);
+  return settlement;
+}
+
+// Caches bet times as BetPlaced events arrive; called wherever the blackjack
+// contract is set up
+function watchBlackjackBets() {
+  blackjackContract.on('BetPlaced', (player) => {
+    blackjackBetTimes.set(player.toLowerCase(), Date.now());
+  }).catch(error => {
+    console.error('Error watching blackjack bets:', error.message);
+  });
+}
 
-    if (!isActive) {
-      throw new Error(`No active game found for player. Active games: ${gameState.activeGames.join(', ')}`);
+// A bet older than the lookback window counts from when the sweeper first
+// found it, so it still goes stale one timeout later
+async function getBlackjackBetTime(player) {
+  const key = player.toLowerCase();
+  if (!blackjackBetTimes.has(key)) {
+    const latest = await provider.getBlockNumber();
+    const events = await blackjackContract.queryFilter(
+      blackjackContract.filters.BetPlaced(player),
+      Math.max(0, latest - BLACKJACK_BET_LOOKBACK_BLOCKS),
+      latest
+    );
+    if (events.length === 0) {
+      blackjackBetTimes.set(key, Date.now());
+    } else {
+      const block = await provider.getBlock(events[events.length - 1].blockNumber);
+      blackjackBetTimes.set(key, block.timestamp * 1000);
     }
+  }
+  return blackjackBetTimes.get(key);
+}
 
-    // Add delay before resolution (sometimes helps with race conditions)
-    await new Promise(resolve => setTimeout(resolve, 1000));
+async function resolveStaleBlackjackGame(player, policy) {
+  const hand = blackjackEngine.getHand(player);
+  blackjackBetTimes.delete(player.toLowerCase());
 
-    console.log('Resolving game with params:', {
-      player,
-      multiplier,
-      signer: houseSigner_address,
-      isOwner: owner.toLowerCase() === houseSigner_address.toLowerCase()
-    });
+  // Bet placed but never dealt: nothing was seen, so the stake is returned
+  if (!hand || hand.settlement.settled) {
+    const { txHash } = await blackjackUnsubmittedQueue.enqueue({ player, multiplier: 1 });
+    return { reason: 'not-dealt', outcome: 'push', txHash };
+  }
 
-    const resolveTx = await blackjackContract.resolveGames(
-      [player],
-      [multiplier],
-      {
-        gasLimit: 500000
-      }
-    );
+  let reason = 'unsubmitted';
+  if (hand.status !== 'complete') {
+    blackjackEngine.abandon(player, policy);
+    await completeBlackjackHand(player, { requireSubmission: false });
+    reason = 'abandoned';
+  } else {
+    await settleBlackjackHand(player, { requireSubmission: false });
+  }
 
-    console.log('Transaction sent:', resolveTx.hash);
-    const receipt = await resolveTx.wait();
-    console.log('Transaction receipt:', {
-      status: receipt.status,
-      hash: receipt.hash,
-      from: receipt.from,
-      to: receipt.to
-    });
+  if (!hand.settlement.settled) {
+    throw new Error(hand.settlement.error || 'Settlement failed');
+  }
+  return {
+    reason,
+    outcome: hand.abandoned || 'result',
+    payoutBps: hand.result.payoutBps,
+    txHash: hand.settlement.txHash
+  };
+}
+
+const blackjackSweeper = new StaleGameSweeper({
+  timeoutMs: Number(process.env.BLACKJACK_STALE_TIMEOUT_MS) || 10 * 60 * 1000,
+  intervalMs: Number(process.env.BLACKJACK_SWEEP_INTERVAL_MS) || 60 * 1000,
+  policy: process.env.BLACKJACK_STALE_POLICY || 'forfeit',
+  getActivePlayers: () => blackjackContract.getActivePlayers(),
+  getLastActivity: async (player) => {
+    const hand = blackjackEngine.getHand(player);
+    const handActivity = hand && !hand.settlement.settled ? hand.lastActionAt : 0;
+    return Math.max(handActivity, await getBlackjackBetTime(player));
+  },
+  resolveStale: resolveStaleBlackjackGame
+});
+blackjackSweeper.start();
 
+app.get('/admin/blackjack/sweeper', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    ...blackjackSweeper.status()
+  });
+});
+
+app.post('/admin/blackjack/sweep', requireAdmin, async (req, res) => {
+  try {
+    const sweep = await blackjackSweeper.sweep();
     res.json({
       success: true,
-      txHash: resolveTx.hash
+      sweep
     });
-
   } catch (error) {
-    console.error('Detailed error:', {
-      message: error.message,
-      stack: error.stack,
-      type: error.code || 'UNKNOWN_ERROR',
-      error
-    });
+    console.error('Error running stale game sweep:', error);
     res.status(500).json({
       success: false,
-      error: error.message,
-      details: {
-        stack: error.stack,
-        type: error.code || 'UNKNOWN_ERROR'
-      }
+      error: error.message
     });
   }
 });
 
-// Add new endpoints for roulette
-app.post('/submit-roulette-bet', async (req, res) => {
+// Step one of a hand: the player fetches the server seed hash before betting
+app.post('/blackjack/fairness/commit', (req, res) => {
   try {
-    const { player, betAmount, numbers, betType, nonce } = req.body;
-
-    console.log('Received roulette bet:', {
-      player,
-      betAmount,
-      numbers,
-      betType,
-      nonce
-    });
-
-    // Verify player has an active account in Treasury
-    const hasAccount = await treasuryContract.activeAccounts(player);
-    if (!hasAccount) {
-      throw new Error('No active account found');
-    }
-
-    // Verify player has sufficient balance
-    const playerBalance = await treasuryContract.getPlayerBalance(player);
-    const betAmountWei = ethers.parseEther(betAmount.toString());
-    if (playerBalance < betAmountWei) {
-      throw new Error('Insufficient balance');
-    }
-
-    // Calculate dynamic gas limit based on number of bets
-    const baseGas = 200000;  // Increased base gas
-    const gasPerNumber = 75000;  // Increased gas per number
-    const gasLimit = baseGas + (numbers.length * gasPerNumber);
-
-    console.log('Gas calculation:', {
-      baseGas,
-      gasPerNumber,
-      numbersLength: numbers.length,
-      totalGasLimit: gasLimit
-    });
-
-    // Place the bet through the Roulette contract using house signer
-    const tx = await rouletteContract.connect(houseSigner).placeBet(
-      numbers,
-      { 
-        value: betAmountWei,
-        gasLimit: gasLimit
-      }
-    );
-    
-    console.log('Transaction sent:', tx.hash);
-    const receipt = await tx.wait();
-    console.log('Transaction confirmed:', receipt);
-
-    // Get updated balance after bet
-    const newBalance = await treasuryContract.getPlayerBalance(player);
+    const { player } = req.body;
+    const commitment = blackjackFairness.commit(player);
 
-    res.json({ 
-      success: true, 
-      txHash: tx.hash,
-      balance: ethers.formatEther(newBalance)
+    res.json({
+      success: true,
+      ...commitment
     });
   } catch (error) {
-    console.error('Error in submit-roulette-bet:', error);
-    res.status(500).json({ 
-      error: error.message,
-      details: error.stack
+    console.error('Error creating seed commitment:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
 });
 
-app.post('/resolve-roulette-bet', async (req, res) => {
-  try {
-    const { player, spinResult, nonce } = req.body;
-
-    console.log('Resolving roulette bet:', {
-      player,
-      spinResult,
-      nonce
+app.get('/blackjack/fairness/round/:serverSeedHash', (req, res) => {
+  const round = blackjackFairness.getRound(req.params.serverSeedHash);
+  if (!round) {
+    return res.status(404).json({
+      success: false,
+      error: 'Round not found'
     });
+  }
 
-    // Spin the wheel using house wallet
-    const tx = await rouletteContract.spin(
-      spinResult,
-      {
-        gasLimit: 500000
-      }
-    );
+  const response = { success: true, round: blackjackFairness.view(round) };
+  if (round.revealed) {
+    response.verification = verifyRound(round);
+  }
+  res.json(response);
+});
 
-    console.log('Transaction sent:', tx.hash);
-    const receipt = await tx.wait();
-    console.log('Transaction confirmed:', receipt);
+// Anyone can recompute a hand from its revealed seeds without trusting our records
+app.post('/blackjack/fairness/verify', (req, res) => {
+  try {
+    const { serverSeed, serverSeedHash, clientSeed, nonce, drawn, decks } = req.body;
 
     res.json({
       success: true,
-      txHash: tx.hash,
-      result: spinResult
+      ...verifyRound({
+        serverSeed,
+        serverSeedHash,
+        clientSeed: String(clientSeed),
+        nonce,
+        decks: Number(decks) || blackjackEngine.decks,
+        drawn: drawn || []
+      })
     });
-
   } catch (error) {
-    console.error('Error resolving roulette bet:', error);
+    console.error('Error verifying round:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -543,68 +737,41 @@ app.post('/resolve-roulette-bet', async (req, res) => {
   }
 });
 
-// Add poker routes
-app.get('/poker/tables', async (req, res) => {
-  try {
-    const maxTables = await pokerContract.maxTables();
-    const tables = [];
-
-    for (let i = 0; i < maxTables; i++) {
-      const table = await pokerContract.tables(i);
-      if (table.isActive) {
-        tables.push({
-          id: i,
-          minBuyIn: ethers.formatEther(table.minBuyIn),
-          maxBuyIn: ethers.formatEther(table.maxBuyIn),
-          smallBlind: ethers.formatEther(table.smallBlind),
-          bigBlind: ethers.formatEther(table.bigBlind),
-          playerCount: table.playerCount.toString(),
-          isActive: table.isActive
-        });
-      }
-    }
-
-    res.json({ success: true, tables });
-  } catch (error) {
-    console.error('Error fetching tables:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
-  }
-});
-
-app.post('/poker/create-table', async (req, res) => {
+app.post('/blackjack/deal', requireIntent('BlackjackAction', { action: 'deal' }), async (req, res) => {
   try {
-    const { minBuyIn, maxBuyIn, smallBlind, bigBlind } = req.body;
-
-    console.log('Creating poker table:', {
-      minBuyIn,
-      maxBuyIn,
-      smallBlind,
-      bigBlind
-    });
+    const { player, nonce } = req.intent;
+    const { clientSeed } = req.body;
 
-    const tx = await pokerContract.createTable(
-      ethers.parseEther(minBuyIn.toString()),
-      ethers.parseEther(maxBuyIn.toString()),
-      ethers.parseEther(smallBlind.toString()),
-      ethers.parseEther(bigBlind.toString()),
-      {
-        gasLimit: 500000
+    const response = await submissionLedger.run('blackjack-action', player, nonce, async () => {
+      const isActive = await blackjackContract.isPlayerActive(player);
+      if (!isActive) {
+        throw new Error('No active bet found for player');
       }
-    );
+      const playerState = await blackjackContract.playerHands(player);
+
+      const { round, shoe } = blackjackFairness.startRound(player, clientSeed);
+      const hand = blackjackEngine.deal(player, playerState.bet, { shoe });
+      hand.serverSeedHash = round.serverSeedHash;
+      console.log('Blackjack hand dealt:', {
+        player,
+        bet: ethers.formatEther(playerState.bet),
+        serverSeedHash: round.serverSeedHash,
+        status: hand.status
+      });
 
-    const receipt = await tx.wait();
-    console.log('Table created:', receipt.hash);
+      if (hand.status === 'complete') {
+        finishBlackjackHand(player);
+      }
 
-    res.json({
-      success: true,
-      txHash: receipt.hash
+      return {
+        success: true,
+        hand: blackjackHandResponse(hand)
+      };
     });
 
+    res.json(response);
   } catch (error) {
-    console.error('Error creating table:', error);
+    console.error('Error dealing blackjack hand:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -612,84 +779,1137 @@ app.post('/poker/create-table', async (req, res) => {
   }
 });
 
-app.post('/poker/join-table', async (req, res) => {
+const handleBlackjackAction = (action) => async (req, res) => {
   try {
-    const { player, tableId, buyIn } = req.body;
+    const { player, nonce } = req.intent;
 
-    console.log('Player joining table:', {
-      player,
-      tableId,
-      buyIn
-    });
+    const response = await submissionLedger.run('blackjack-action', player, nonce, () => withBlackjackAction(player, async () => {
+      const current = blackjackEngine.validateAction(player, action);
+      if (action === 'double' || action === 'split') {
+        await collectAdditionalStake(req, BigInt(current.bet));
+      }
 
-    // Verify player has sufficient funds in treasury
-    const playerBalance = await treasuryContract.getPlayerBalance(player);
-    if (playerBalance.lt(ethers.parseEther(buyIn.toString()))) {
-      throw new Error('Insufficient funds in treasury');
-    }
+      const hand = blackjackEngine[action](player);
+      console.log('Blackjack action:', {
+        player,
+        action,
+        status: hand.status
+      });
 
-    const tx = await pokerContract.joinTable(
-      tableId,
-      ethers.parseEther(buyIn.toString()),
-      {
-        gasLimit: 500000
+      if (hand.status === 'complete') {
+        finishBlackjackHand(player);
       }
-    );
-
-    const receipt = await tx.wait();
-    console.log('Player joined table:', receipt.hash);
 
-    res.json({
-      success: true,
-      txHash: receipt.hash
-    });
+      return {
+        success: true,
+        hand: blackjackHandResponse(hand)
+      };
+    }));
 
+    res.json(response);
   } catch (error) {
-    console.error('Error joining table:', error);
+    console.error(`Error processing blackjack ${action}:`, error);
     res.status(500).json({
       success: false,
       error: error.message
     });
   }
-});
+};
+
+for (const action of ['hit', 'stand', 'double', 'split', 'surrender']) {
+  app.post(`/blackjack/${action}`, requireIntent('BlackjackAction', { action }), handleBlackjackAction(action));
+}
+
+// The intent's action is 'insurance' to take insurance or 'no-insurance' to decline
+app.post('/blackjack/insurance', requireIntent('BlackjackAction'), async (req, res) => {
+  try {
+    const { player, nonce, action } = req.intent;
+    if (action !== 'insurance' && action !== 'no-insurance') {
+      throw new Error('Intent action must be insurance or no-insurance for this route');
+    }
+    const accept = action === 'insurance';
+
+    const response = await submissionLedger.run('blackjack-action', player, nonce, () => withBlackjackAction(player, async () => {
+      const current = blackjackEngine.validateAction(player, 'insurance');
+      if (accept) {
+        await collectAdditionalStake(req, BigInt(current.bet) / 2n);
+      }
+
+      const hand = blackjackEngine.insurance(player, accept);
+      console.log('Blackjack insurance:', {
+        player,
+        accept,
+        status: hand.status
+      });
+
+      if (hand.status === 'complete') {
+        finishBlackjackHand(player);
+      }
+
+      return {
+        success: true,
+        hand: blackjackHandResponse(hand)
+      };
+    }));
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error processing blackjack insurance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/blackjack/rules', (req, res) => {
+  res.json({
+    success: true,
+    rules: blackjackEngine.rules
+  });
+});
+
+app.get('/blackjack/settlement/status', (req, res) => {
+  res.json({
+    success: true,
+    ...blackjackSettlementQueue.status(),
+    unsubmitted: blackjackUnsubmittedQueue.status()
+  });
+});
+
+app.get('/blackjack/hand/:player', (req, res) => {
+  const hand = blackjackEngine.getHand(req.params.player);
+  res.json({
+    success: true,
+    hand: blackjackHandResponse(hand)
+  });
+});
+
+// Hands are dealt and scored server-side, so the cards in the request are
+// ignored; this (re)tries settlement of the player's finished hand once they
+// have called submitGameResult with the hand's gameResult
+app.post('/submit-game', async (req, res) => {
+  try {
+    const { player, nonce } = req.body;
+
+    console.log('Received game submission:', {
+      player,
+      nonce
+    });
+
+    const response = await submissionLedger.run('blackjack', player, nonce, async () => {
+      const settlement = await settleBlackjackHand(player);
+      if (settlement.awaitingSubmission) {
+        throw new Error('Game result has not been submitted on-chain yet');
+      }
+      if (!settlement.settled) {
+        throw new Error(`Settlement failed: ${settlement.error}`);
+      }
+
+      return {
+        success: true,
+        txHash: settlement.txHash,
+        hand: blackjackHandResponse(blackjackEngine.getHand(player))
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error submitting game:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Add new endpoints for roulette
+app.get('/roulette/bet-types', (req, res) => {
+  res.json({
+    success: true,
+    betTypes: describeBetTypes()
+  });
+});
+
+// Validates a bet and returns its odds and returns without placing it
+app.post('/roulette/quote', (req, res) => {
+  try {
+    const { betType, numbers, selection, betAmount } = req.body;
+    const quote = quoteBet(
+      { type: betType, numbers, selection },
+      ethers.parseEther(betAmount.toString())
+    );
+
+    res.json({
+      success: true,
+      quote: {
+        ...quote,
+        potentialReturn: ethers.formatEther(quote.potentialReturn),
+        expectedReturn: ethers.formatEther(quote.expectedReturn)
+      }
+    });
+  } catch (error) {
+    console.error('Error quoting roulette bet:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// The winning number is drawn server-side from a committed seed; the client
+// no longer chooses it
+const rouletteOracle = new RouletteSpinOracle(
+  process.env.ROULETTE_SPIN_STORE_PATH || path.join(DATA_DIR, 'roulette-spins.json')
+);
+
+// Blocks past the latest one at close whose hash a round's spin uses. The
+// spin waits for that block, so a local chain needs interval mining.
+const ROULETTE_ENTROPY_BLOCKS = Number(process.env.ROULETTE_ENTROPY_BLOCKS) || 2;
+
+async function lockRouletteEntropy(round) {
+  const latest = await provider.getBlockNumber();
+  const { spinId, blockNumber } = rouletteOracle.lock(round.roundId, latest + ROULETTE_ENTROPY_BLOCKS);
+  console.log('Roulette entropy locked:', { roundId: round.roundId, spinId, blockNumber });
+  return { spinId, blockNumber };
+}
+
+async function spinRoulette() {
+  return rouletteOracle.spin({
+    getBlockHash: async (blockNumber) => {
+      const block = await provider.getBlock(blockNumber);
+      return block ? block.hash : null;
+    },
+    submit: async (result) => {
+      // Spin the wheel using house wallet
+      const tx = await rouletteContract.spin(
+        result,
+        {
+          gasLimit: 500000
+        }
+      );
+
+      console.log('Transaction sent:', tx.hash);
+      const receipt = await tx.wait();
+      console.log('Transaction confirmed:', receipt.hash);
+      return receipt.hash;
+    }
+  });
+}
+
+function rouletteSpinView(spin) {
+  return {
+    spinId: spin.spinId,
+    result: spin.result,
+    serverSeed: spin.serverSeed,
+    serverSeedHash: spin.serverSeedHash,
+    blockHash: spin.blockHash,
+    blockNumber: spin.blockNumber,
+    txHash: spin.txHash,
+    spunAt: spin.spunAt
+  };
+}
+
+// Spins the wheel. Roulette.sol pays the round's winning bets from house
+// funds in the spin transaction itself, so a payout can only fail with the
+// whole spin, which the round scheduler retries until it lands.
+async function spinRouletteRound(round) {
+  const spin = await spinRoulette();
+
+  for (const entry of round.bets) {
+    const { numbers, stake } = entry.bet;
+    if (!numbers.includes(spin.result)) continue;
+
+    const amount = (BigInt(stake) / BigInt(numbers.length)) * 36n;
+    entry.payout = { amount: ethers.formatEther(amount), txHash: spin.txHash };
+  }
+
+  return spin;
+}
+
+// Bets are taken in timed rounds and the wheel spins on the round clock, so
+// no single player's request settles everyone else's bets
+const rouletteRounds = new RouletteRoundScheduler({
+  spin: (round) => spinRouletteRound(round),
+  lockEntropy: lockRouletteEntropy,
+  filePath: process.env.ROULETTE_ROUND_STORE_PATH || path.join(DATA_DIR, 'roulette-rounds.json'),
+  bettingMs: Number(process.env.ROULETTE_BETTING_MS) || undefined,
+  noMoreBetsMs: Number(process.env.ROULETTE_NO_MORE_BETS_MS) || undefined,
+  resultMs: Number(process.env.ROULETTE_RESULT_MS) || undefined
+});
+rouletteRounds.start();
+
+function rouletteRoundView(round) {
+  if (!round) return null;
+  const spin = round.spin && rouletteOracle.getSpin(round.spin.spinId);
+  return {
+    ...round,
+    spin: spin ? rouletteSpinView(spin) : null
+  };
+}
+
+app.get('/roulette/rounds/current', (req, res) => {
+  res.json({
+    success: true,
+    round: rouletteRoundView(rouletteRounds.current()),
+    commitment: rouletteOracle.commitment()
+  });
+});
+
+app.get('/roulette/rounds', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  res.json({
+    success: true,
+    rounds: rouletteRounds.history(limit).map(rouletteRoundView)
+  });
+});
+
+app.get('/roulette/rounds/:roundId', (req, res) => {
+  const round = rouletteRounds.getRound(req.params.roundId);
+  if (!round) {
+    return res.status(404).json({
+      success: false,
+      error: 'Round not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    round: rouletteRoundView(round)
+  });
+});
+
+// The player signs a RouletteBet intent naming the bet type, the numbers it
+// covers and the stake in wei; dozens and columns also pass their selection
+// (1-3) in the body. The house sends the signed bet to Roulette.sol, which
+// checks the signature and takes the stake from the player's treasury balance.
+app.post('/submit-roulette-bet', requireIntent('RouletteBet'), async (req, res) => {
+  try {
+    const { player, betType, nonce, intentHash } = req.intent;
+    const { selection } = req.body;
+    const signedNumbers = req.intent.numbers.map(Number);
+
+    console.log('Received roulette bet:', {
+      player,
+      amount: req.intent.amount,
+      numbers: signedNumbers,
+      betType,
+      selection,
+      nonce,
+      intentHash
+    });
+
+    const numbers = expandBet({ type: betType, numbers: signedNumbers, selection });
+    const sorted = [...signedNumbers].sort((a, b) => a - b);
+    if (numbers.length !== sorted.length || numbers.some((n, k) => n !== sorted[k])) {
+      throw new Error(`Signed numbers do not match the ${betType} bet`);
+    }
+
+    const response = await submissionLedger.run('roulette-bet', player, nonce, () => rouletteRounds.placeBet(player, async () => {
+      // Verify player has an active account in Treasury
+      const hasAccount = await treasuryContract.activeAccounts(player);
+      if (!hasAccount) {
+        throw new Error('No active account found');
+      }
+
+      // Verify player has sufficient balance
+      const playerBalance = await treasuryContract.getPlayerBalance(player);
+      const betAmountWei = BigInt(req.intent.amount);
+      if (playerBalance < betAmountWei) {
+        throw new Error('Insufficient balance');
+      }
+
+      // Same per-number minimum Roulette.sol enforces on every bet
+      const minBetAmount = await rouletteContract.minBetAmount();
+      if (betAmountWei / BigInt(numbers.length) < minBetAmount) {
+        throw new Error(`A ${betType} bet must be at least ${ethers.formatEther(minBetAmount * BigInt(numbers.length))}`);
+      }
+
+      const tx = await rouletteContract.placeBetFor(req.body.intent, req.body.signature);
+      console.log('Transaction sent:', tx.hash);
+      const receipt = await tx.wait();
+      console.log('Transaction confirmed:', receipt.hash);
+
+      // Get updated balance after bet
+      const newBalance = await treasuryContract.getPlayerBalance(player);
+
+      const quote = quoteBet({ type: betType, numbers, selection }, betAmountWei);
+
+      return { 
+        success: true, 
+        intentHash,
+        txHash: receipt.hash,
+        balance: ethers.formatEther(newBalance),
+        bet: {
+          type: betType,
+          numbers,
+          amount: ethers.formatEther(betAmountWei),
+          stake: betAmountWei.toString(),
+          odds: quote.odds,
+          potentialReturn: ethers.formatEther(quote.potentialReturn)
+        }
+      };
+    }));
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error in submit-roulette-bet:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Hash of the next spin's seed, published before betting closes
+app.get('/roulette/commitment', (req, res) => {
+  res.json({
+    success: true,
+    ...rouletteOracle.commitment()
+  });
+});
+
+app.get('/roulette/spins', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 20, 100);
+  res.json({
+    success: true,
+    spins: rouletteOracle.history(limit).map(rouletteSpinView)
+  });
+});
+
+app.get('/roulette/spins/:spinId', (req, res) => {
+  const spin = rouletteOracle.getSpin(req.params.spinId);
+  if (!spin) {
+    return res.status(404).json({
+      success: false,
+      error: 'Spin not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    spin: rouletteSpinView(spin),
+    verification: verifySpin(spin)
+  });
+});
+
+app.post('/roulette/verify', (req, res) => {
+  try {
+    const { serverSeed, serverSeedHash, blockHash, spinId, result } = req.body;
+    res.json({
+      success: true,
+      ...verifySpin({ serverSeed, serverSeedHash, blockHash, spinId: Number(spinId), result })
+    });
+  } catch (error) {
+    console.error('Error verifying spin:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Spins are run by the round scheduler; this reports how the player's latest
+// settled round went, or when the current round spins
+app.post('/resolve-roulette-bet', async (req, res) => {
+  try {
+    const { player } = req.body;
+    if (!player) {
+      throw new Error('player is required');
+    }
+
+    const round = rouletteRounds.lastRoundFor(player);
+    const current = rouletteRounds.current();
+    const pending = Boolean(current) && current.bets.some(bet => bet.player.toLowerCase() === player.toLowerCase());
+
+    res.json({
+      success: true,
+      pending,
+      currentRound: rouletteRoundView(current),
+      round: rouletteRoundView(round),
+      txHash: round && round.spin ? round.spin.txHash : null,
+      result: round && round.spin ? round.spin.result : null
+    });
+  } catch (error) {
+    console.error('Error resolving roulette bet:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Add poker routes
+// Every Poker.sol event, fanned out to the server's listeners from one log
+// subscription
+const pokerEventListeners = new Set();
+
+function onPokerEvent(listener) {
+  pokerEventListeners.add(listener);
+  if (pokerEventListeners.size === 1) {
+    provider.on({ address: process.env.POKER_ADDRESS }, dispatchPokerEvent);
+  }
+  return () => {
+    pokerEventListeners.delete(listener);
+    if (pokerEventListeners.size === 0) {
+      provider.off({ address: process.env.POKER_ADDRESS }, dispatchPokerEvent);
+    }
+  };
+}
+
+function dispatchPokerEvent(raw) {
+  let log;
+  try {
+    log = pokerContract.interface.parseLog(raw);
+  } catch (error) {
+    console.error('Unreadable Poker event:', error.message);
+    return;
+  }
+  if (!log) return;
+  for (const listener of pokerEventListeners) {
+    Promise.resolve()
+      .then(() => listener(log, raw))
+      .catch(error => console.error(`Poker event listener failed on ${log.name}:`, error.message));
+  }
+}
+
+// Lobby summaries of every table, read a few at a time (POKER_LOBBY_CONCURRENCY)
+// and cached for POKER_LOBBY_TTL_MS or until a table, or who sits at it,
+// changes
+let maxPlayersPerTable = null;
+async function pokerMaxPlayers() {
+  if (maxPlayersPerTable === null) {
+    maxPlayersPerTable = Number(await pokerContract.maxPlayersPerTable());
+  }
+  return maxPlayersPerTable;
+}
+
+const pokerLobby = new PokerLobby({
+  countTables: () => pokerContract.maxTables(),
+  readTable: async (tableId) => {
+    const maxPlayers = await pokerMaxPlayers();
+    const table = await pokerContract.tables(tableId);
+    return {
+      id: tableId,
+      minBuyIn: table.minBuyIn,
+      maxBuyIn: table.maxBuyIn,
+      smallBlind: table.smallBlind,
+      bigBlind: table.bigBlind,
+      playerCount: Number(table.playerCount),
+      maxPlayers,
+      gameState: Number(table.gameState),
+      isActive: table.isActive
+    };
+  },
+  concurrency: Number(process.env.POKER_LOBBY_CONCURRENCY) || undefined,
+  ttlMs: Number(process.env.POKER_LOBBY_TTL_MS) || undefined
+});
+onPokerEvent((log) => {
+  if (['TableCreated', 'PlayerJoined', 'PlayerLeft'].includes(log.name)) {
+    pokerLobby.invalidate(log.args.tableId);
+  }
+});
+
+// Query: minBigBlind/maxBigBlind (ETH), minSeatsOpen, gameState, sort,
+// order, page, pageSize
+app.get('/poker/tables', async (req, res) => {
+  try {
+    const { minBigBlind, maxBigBlind, minSeatsOpen, gameState, sort, order, page, pageSize } = req.query;
+    let query;
+    try {
+      query = parseLobbyQuery({
+        minBigBlind: minBigBlind === undefined ? undefined : ethers.parseEther(minBigBlind),
+        maxBigBlind: maxBigBlind === undefined ? undefined : ethers.parseEther(maxBigBlind),
+        minSeatsOpen,
+        gameState,
+        sort,
+        order,
+        page,
+        pageSize
+      });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.shortMessage || error.message
+      });
+    }
+    const result = await pokerLobby.query(query);
+
+    res.json({
+      success: true,
+      ...result,
+      tables: result.tables.map(table => ({
+        id: table.id,
+        minBuyIn: ethers.formatEther(table.minBuyIn),
+        maxBuyIn: ethers.formatEther(table.maxBuyIn),
+        smallBlind: ethers.formatEther(table.smallBlind),
+        bigBlind: ethers.formatEther(table.bigBlind),
+        playerCount: table.playerCount.toString(),
+        maxPlayers: table.maxPlayers,
+        seatsOpen: table.seatsOpen,
+        gameState: GAME_STATES[table.gameState],
+        isActive: table.isActive
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching tables:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.post('/poker/create-table', async (req, res) => {
+  try {
+    const { minBuyIn, maxBuyIn, smallBlind, bigBlind } = req.body;
+
+    console.log('Creating poker table:', {
+      minBuyIn,
+      maxBuyIn,
+      smallBlind,
+      bigBlind
+    });
+
+    const tx = await pokerContract.createTable(
+      ethers.parseEther(minBuyIn.toString()),
+      ethers.parseEther(maxBuyIn.toString()),
+      ethers.parseEther(smallBlind.toString()),
+      ethers.parseEther(bigBlind.toString()),
+      {
+        gasLimit: 500000
+      }
+    );
+
+    const receipt = await tx.wait();
+    console.log('Table created:', receipt.hash);
+
+    res.json({
+      success: true,
+      txHash: receipt.hash
+    });
+
+  } catch (error) {
+    console.error('Error creating table:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Poker routes check the player's signed PokerAction against the table and
+// send it to Poker.sol's relayAction, which checks the signature itself and
+// will not take the same intent twice. The route only succeeds, and the
+// nonce is only spent, once the transaction has landed.
+async function relayPokerAction(req) {
+  const tx = await pokerContract.relayAction(req.body.intent, req.body.signature);
+  console.log('Poker action relayed:', { action: req.intent.action, player: req.intent.player, txHash: tx.hash });
+  const receipt = await tx.wait();
+  return receipt.hash;
+}
+
+// Waitlists for full tables (POKER_WAITLIST_STORE_PATH). Seat offers last
+// POKER_SEAT_OFFER_MS. Accepting an offer seats the player there and then,
+// by relaying their signed accept-seat to Poker.sol.
+const pokerWaitlist = new PokerWaitlist({
+  filePath: process.env.POKER_WAITLIST_STORE_PATH || path.join(DATA_DIR, 'poker-waitlist.json'),
+  offerMs: Number(process.env.POKER_SEAT_OFFER_MS) || undefined,
+  onExpired: tableId => offerPokerSeats(tableId)
+});
+pokerWaitlist.start();
+
+// Seats at the table that are neither taken nor held by a seat offer to
+// someone other than `player`
+async function openPokerSeats(tableId, tableInfo, player) {
+  const maxPlayers = await pokerMaxPlayers();
+  return maxPlayers - Number(tableInfo.playerCount) - pokerWaitlist.reserved(tableId, player);
+}
+
+async function offerPokerSeats(tableId) {
+  const tableInfo = await pokerContract.getTableInfo(tableId);
+  if (!tableInfo.isActive) return [];
+  const maxPlayers = await pokerMaxPlayers();
+  const offers = pokerWaitlist.offerSeats(
+    { tableId, smallBlind: tableInfo.smallBlind, bigBlind: tableInfo.bigBlind },
+    maxPlayers - Number(tableInfo.playerCount)
+  );
+  for (const offer of offers) {
+    console.log('Poker seat offered:', {
+      tableId: offer.tableId,
+      player: offer.player,
+      expiresAt: new Date(offer.expiresAt).toISOString()
+    });
+  }
+  return offers;
+}
+
+onPokerEvent(async (log) => {
+  if (log.name === 'PlayerLeft') {
+    await offerPokerSeats(log.args.tableId);
+  } else if (log.name === 'PlayerJoined') {
+    const { withdrawn } = pokerWaitlist.seated(log.args.tableId, log.args.player);
+    for (const tableId of new Set(withdrawn.map(offer => offer.tableId))) {
+      await offerPokerSeats(tableId);
+    }
+  }
+});
+
+// Signed PokerAction with action 'join' and the buy-in in wei as amount. At a
+// full table the player is put on its waitlist instead.
+app.post('/poker/join-table', requireIntent('PokerAction', { action: 'join' }), async (req, res) => {
+  try {
+    const { player, tableId, amount, nonce, intentHash } = req.intent;
+    const buyIn = BigInt(amount);
+
+    console.log('Player joining table:', {
+      player,
+      tableId,
+      buyIn: ethers.formatEther(buyIn),
+      intentHash
+    });
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      // Verify player has sufficient funds in treasury
+      const [playerBalance, tableInfo] = await Promise.all([
+        treasuryContract.getPlayerBalance(player),
+        pokerContract.getTableInfo(tableId)
+      ]);
+      if (await openPokerSeats(tableId, tableInfo, player) <= 0) {
+        const queue = tableQueue(tableId);
+        const entry = pokerWaitlist.queue(queue).find(e => e.player.toLowerCase() === player.toLowerCase()) ||
+          pokerWaitlist.join(queue, player, { buyIn });
+        return {
+          success: true,
+          intentHash,
+          waitlisted: true,
+          waitlist: entry
+        };
+      }
+      if (playerBalance < buyIn) {
+        throw new Error('Insufficient funds in treasury');
+      }
+      if (buyIn < tableInfo.minBuyIn || buyIn > tableInfo.maxBuyIn) {
+        throw new Error(`Buy-in must be between ${ethers.formatEther(tableInfo.minBuyIn)} and ${ethers.formatEther(tableInfo.maxBuyIn)}`);
+      }
+
+      const txHash = await relayPokerAction(req);
+      return {
+        success: true,
+        intentHash,
+        txHash,
+        buyIn: ethers.formatEther(buyIn)
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error joining table:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed PokerAction with action 'waitlist' to queue for the table, or
+// 'waitlist-stakes' for any table at its blinds. amount is the buy-in in wei,
+// or 0 for the table's minimum.
+app.post('/poker/waitlist/join', requireIntent('PokerAction'), async (req, res) => {
+  try {
+    const { player, tableId, action, amount, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      if (action !== 'waitlist' && action !== 'waitlist-stakes') {
+        throw new Error('Invalid action');
+      }
+      const tableInfo = await pokerContract.getTableInfo(tableId);
+      if (!tableInfo.isActive) {
+        throw new Error('Table is not active');
+      }
+      if (await openPokerSeats(tableId, tableInfo, player) > 0) {
+        throw new Error('Table has an open seat; join it directly');
+      }
+      const buyIn = BigInt(amount);
+      if (buyIn > 0n && (buyIn < tableInfo.minBuyIn || buyIn > tableInfo.maxBuyIn)) {
+        throw new Error(`Buy-in must be between ${ethers.formatEther(tableInfo.minBuyIn)} and ${ethers.formatEther(tableInfo.maxBuyIn)}`);
+      }
+
+      const queue = action === 'waitlist'
+        ? tableQueue(tableId)
+        : stakesQueue(tableInfo.smallBlind, tableInfo.bigBlind);
+      return {
+        success: true,
+        intentHash,
+        waitlist: pokerWaitlist.join(queue, player, { buyIn: buyIn > 0n ? buyIn : null })
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed PokerAction with action 'leave-waitlist'; takes the player off the
+// table's waitlist and the one for its stakes
+app.post('/poker/waitlist/leave', requireIntent('PokerAction', { action: 'leave-waitlist' }), async (req, res) => {
+  try {
+    const { player, tableId, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      const tableInfo = await pokerContract.getTableInfo(tableId);
+      const left = [
+        pokerWaitlist.leave(tableQueue(tableId), player),
+        pokerWaitlist.leave(stakesQueue(tableInfo.smallBlind, tableInfo.bigBlind), player)
+      ];
+      if (!left.includes(true)) {
+        throw new Error('Player is not on this waitlist');
+      }
+      return {
+        success: true,
+        intentHash
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed PokerAction with action 'accept-seat' and the buy-in in wei as
+// amount. The buy-in given when queueing is on the offer for the wallet to
+// sign. The server sends the signed intent to Poker.sol, which seats the
+// player from their treasury balance; the offer closes once they are seated.
+app.post('/poker/waitlist/accept', requireIntent('PokerAction', { action: 'accept-seat' }), async (req, res) => {
+  try {
+    const { player, tableId, amount, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      const offer = pokerWaitlist.pendingOffer(tableId, player, Date.now());
+      const [playerBalance, tableInfo] = await Promise.all([
+        treasuryContract.getPlayerBalance(player),
+        pokerContract.getTableInfo(tableId)
+      ]);
+      // Someone can still sit down without going through the waitlist, e.g.
+      // a player rebuying
+      if (Number(tableInfo.playerCount) >= await pokerMaxPlayers()) {
+        throw new Error('Table is full');
+      }
+      const buyIn = BigInt(amount);
+      if (buyIn < tableInfo.minBuyIn || buyIn > tableInfo.maxBuyIn) {
+        throw new Error(`Buy-in must be between ${ethers.formatEther(tableInfo.minBuyIn)} and ${ethers.formatEther(tableInfo.maxBuyIn)}`);
+      }
+      if (playerBalance < buyIn) {
+        throw new Error('Insufficient funds in treasury');
+      }
+
+      const txHash = await relayPokerAction(req);
+      // The PlayerJoined listener does the same; whichever runs first closes
+      // the offer
+      pokerWaitlist.seated(tableId, player);
+
+      return {
+        success: true,
+        intentHash,
+        txHash,
+        offer,
+        buyIn: ethers.formatEther(buyIn)
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error accepting seat offer:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed PokerAction with action 'decline-seat'; the seat goes to the next
+// player in line
+app.post('/poker/waitlist/decline', requireIntent('PokerAction', { action: 'decline-seat' }), async (req, res) => {
+  try {
+    const { player, tableId, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => ({
+      success: true,
+      intentHash,
+      offer: pokerWaitlist.decline(tableId, player)
+    }));
+    offerPokerSeats(tableId).catch(error => console.error('Failed to offer seat:', error.message));
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error declining seat offer:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/poker/waitlist/table/:tableId', async (req, res) => {
+  try {
+    const { tableId } = req.params;
+    const tableInfo = await pokerContract.getTableInfo(tableId);
+    res.json({
+      success: true,
+      table: pokerWaitlist.queue(tableQueue(tableId)),
+      stakes: pokerWaitlist.queue(stakesQueue(tableInfo.smallBlind, tableInfo.bigBlind)),
+      offers: pokerWaitlist.openOffers({ tableId })
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// A player's places in line and any seat offers waiting on them
+app.get('/poker/waitlist/player/:player', (req, res) => {
+  res.json({
+    success: true,
+    ...pokerWaitlist.forPlayer(req.params.player)
+  });
+});
 
 app.get('/poker/table/:tableId', async (req, res) => {
   try {
-    const { tableId } = req.params;
-    const table = await pokerContract.tables(tableId);
-    
-    // Get all players at the table
-    const players = [];
-    const activePlayers = await pokerContract.getTablePlayers(tableId);
-    
-    for (const playerAddress of activePlayers) {
-      const playerInfo = await pokerContract.getPlayerInfo(tableId, playerAddress);
-      players.push({
-        address: playerAddress,
-        tableStake: ethers.formatEther(playerInfo.tableStake),
-        currentBet: ethers.formatEther(playerInfo.currentBet),
-        isActive: playerInfo.isActive,
-        isSittingOut: playerInfo.isSittingOut,
-        position: playerInfo.position
+    const { tableId } = req.params;
+    const [table, tableInfo, activePlayers] = await Promise.all([
+      pokerContract.tables(tableId),
+      pokerContract.getTableInfo(tableId),
+      pokerContract.getTablePlayers(tableId)
+    ]);
+    const infos = await Promise.all(activePlayers.map(player => pokerContract.getPlayerInfo(tableId, player)));
+    
+    // Get all players at the table
+    const players = activePlayers.map((playerAddress, i) => {
+      const playerInfo = infos[i];
+      return {
+        address: playerAddress,
+        tableStake: ethers.formatEther(playerInfo.tableStake),
+        currentBet: ethers.formatEther(playerInfo.currentBet),
+        isActive: playerInfo.isActive,
+        isSittingOut: playerInfo.isSittingOut || pokerTurnClock.isSittingOut(tableId, playerAddress),
+        position: Number(playerInfo.position),
+        clock: pokerTurnClock.player(tableId, playerAddress)
+      };
+    });
+
+    res.json({
+      success: true,
+      table: {
+        minBuyIn: ethers.formatEther(table.minBuyIn),
+        maxBuyIn: ethers.formatEther(table.maxBuyIn),
+        smallBlind: ethers.formatEther(table.smallBlind),
+        bigBlind: ethers.formatEther(table.bigBlind),
+        playerCount: table.playerCount.toString(),
+        isActive: table.isActive,
+        gameState: table.gameState.toString(),
+        players,
+        turnClock: pokerTurnClock.remaining(tableId),
+        settlement: pokerSettlementView(await buildPokerSettlement(tableId, {
+          reads: { tableInfo, table, players: activePlayers, infos }
+        })),
+        lastShowdown: pokerSettlementView(pokerSettlements.get(String(tableId)))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching table:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Add these new poker game action endpoints
+// Signed PokerAction with action fold, check, call or raise; amount is the
+// raise in wei and 0 otherwise
+app.post('/poker/action', requireIntent('PokerAction'), async (req, res) => {
+  try {
+    const { player, tableId, action, amount, nonce, intentHash } = req.intent;
+    
+    console.log('Player action:', {
+      tableId,
+      player,
+      action,
+      amount,
+      intentHash
+    });
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      if (!['fold', 'check', 'call', 'raise'].includes(action)) {
+        throw new Error('Invalid action');
+      }
+      const [players, table, playerInfo] = await Promise.all([
+        pokerContract.getTablePlayers(tableId),
+        pokerContract.tables(tableId),
+        pokerContract.getPlayerInfo(tableId, player)
+      ]);
+
+      if (!playerInfo.isActive) {
+        throw new Error('Player is not seated at this table');
+      }
+      const currentPosition = Number(table.currentPosition);
+      const currentPlayer = players[currentPosition];
+      if (!currentPlayer || currentPlayer.toLowerCase() !== player.toLowerCase()) {
+        throw new Error('Not your turn');
+      }
+
+      // Acting again brings a player who was sat out for timing out back in
+      pokerTurnClock.sitIn(tableId, player);
+      if (playerInfo.isSittingOut) {
+        await (await pokerContract.setSittingOut(tableId, player, false)).wait();
+      }
+
+      const txHash = await relayPokerAction(req);
+
+      const [tableInfo, seat, after] = await Promise.all([
+        pokerContract.getTableInfo(tableId),
+        pokerContract.getPlayerInfo(tableId, player),
+        pokerContract.tables(tableId)
+      ]);
+      const nextPosition = Number(after.currentPosition);
+      return {
+        success: true,
+        intentHash,
+        txHash,
+        tableState: {
+          gameState: tableInfo.gameState.toString(),
+          pot: ethers.formatEther(tableInfo.pot),
+          currentBet: ethers.formatEther(seat.currentBet),
+          currentTurn: players[nextPosition] || null,
+          currentPosition: nextPosition,
+          turnClock: pokerTurnClock.remaining(tableId)
+        }
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error processing player action:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// The table and the player's seat at it, throwing unless they are seated
+async function seatedPokerPlayer(tableId, player) {
+  const [tableInfo, players, playerInfo] = await Promise.all([
+    pokerContract.getTableInfo(tableId),
+    pokerContract.getTablePlayers(tableId),
+    pokerContract.getPlayerInfo(tableId, player)
+  ]);
+  if (!players.some(seated => seated.toLowerCase() === player.toLowerCase())) {
+    throw new Error('Player is not seated at this table');
+  }
+  const gameState = Number(tableInfo.gameState);
+  return {
+    tableInfo,
+    playerInfo,
+    gameState,
+    // Still holding cards in a hand that is being played
+    inHand: !BETWEEN_HANDS.includes(gameState) && playerInfo.isActive
+  };
+}
+
+// Signed PokerAction with action 'leave'. The player's table stake goes back
+// to their treasury balance; chips already in the pot stay there, so a player
+// still in a hand has to fold or wait for it to finish first.
+app.post('/poker/leave-table', requireIntent('PokerAction', { action: 'leave' }), async (req, res) => {
+  try {
+    const { player, tableId, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      const { playerInfo, gameState, inHand } = await seatedPokerPlayer(tableId, player);
+      if (inHand) {
+        throw new Error('Fold or wait for the hand to finish before leaving');
+      }
+      if (playerInfo.tableStake === 0n && playerInfo.currentBet === 0n) {
+        throw new Error('No stake to withdraw');
+      }
+      console.log('Player leaving table:', {
+        player,
+        tableId,
+        gameState: GAME_STATES[gameState],
+        remainingStake: ethers.formatEther(playerInfo.tableStake)
       });
-    }
 
-    res.json({
-      success: true,
-      table: {
-        minBuyIn: ethers.formatEther(table.minBuyIn),
-        maxBuyIn: ethers.formatEther(table.maxBuyIn),
-        smallBlind: ethers.formatEther(table.smallBlind),
-        bigBlind: ethers.formatEther(table.bigBlind),
-        playerCount: table.playerCount.toString(),
-        isActive: table.isActive,
-        gameState: table.gameState,
-        players
+      const txHash = await relayPokerAction(req);
+      const balance = await treasuryContract.getPlayerBalance(player);
+
+      return {
+        success: true,
+        intentHash,
+        txHash,
+        remainingStake: ethers.formatEther(playerInfo.tableStake),
+        treasuryBalance: ethers.formatEther(balance)
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error leaving table:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed PokerAction with action 'sit-out'. The player is sat out on Poker.sol
+// and dealt out of the hands after this one; in a hand they are still in, the
+// turn clock checks or folds for them as soon as their turn comes.
+app.post('/poker/sit-out', requireIntent('PokerAction', { action: 'sit-out' }), async (req, res) => {
+  try {
+    const { player, tableId, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      await seatedPokerPlayer(tableId, player);
+      if (pokerTurnClock.isSittingOut(tableId, player)) {
+        throw new Error('Player is already sitting out');
       }
+      await (await pokerContract.setSittingOut(tableId, player, true)).wait();
+      pokerTurnClock.sitOut(tableId, player);
+
+      return {
+        success: true,
+        intentHash,
+        clock: pokerTurnClock.player(tableId, player)
+      };
     });
 
+    res.json(response);
+
   } catch (error) {
-    console.error('Error fetching table:', error);
+    console.error('Error sitting out:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -697,82 +1917,539 @@ app.get('/poker/table/:tableId', async (req, res) => {
   }
 });
 
-// Add these new poker game action endpoints
-app.post('/poker/action', async (req, res) => {
+// Signed PokerAction with action 'sit-in'. Between hands the player is back
+// straight away; during a hand they stay sat out until the next one starts,
+// and are sat back in on Poker.sol just before it is dealt.
+app.post('/poker/sit-in', requireIntent('PokerAction', { action: 'sit-in' }), async (req, res) => {
   try {
-    const { tableId, player, action, amount = '0' } = req.body;
-    
-    console.log('Player action:', {
-      tableId,
-      player,
-      action,
-      amount
+    const { player, tableId, nonce, intentHash } = req.intent;
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      const { gameState } = await seatedPokerPlayer(tableId, player);
+      if (!pokerTurnClock.isSittingOut(tableId, player)) {
+        throw new Error('Player is not sitting out');
+      }
+      if (BETWEEN_HANDS.includes(gameState)) {
+        await (await pokerContract.setSittingOut(tableId, player, false)).wait();
+        pokerTurnClock.sitIn(tableId, player);
+      } else {
+        pokerTurnClock.sitInNextHand(tableId, player);
+      }
+
+      return {
+        success: true,
+        intentHash,
+        clock: pokerTurnClock.player(tableId, player)
+      };
     });
 
-    // Get initial state to calculate next turn
-    const [initialPlayers, initialTable] = await Promise.all([
-      pokerContract.getTablePlayers(tableId),
-      pokerContract.tables(tableId)
-    ]);
+    res.json(response);
 
-    // Calculate expected next turn
-    const currentPos = Number(initialTable.currentPosition);
-    const nextPosition = (currentPos + 1) % initialPlayers.length;
-    const expectedNextPlayer = initialPlayers[nextPosition];
-
-    let tx;
-    switch (action) {
-      case 'fold':
-        tx = await pokerContract.fold(tableId);
-        break;
-      case 'check':
-        tx = await pokerContract.check(tableId);
-        break;
-      case 'call':
-        tx = await pokerContract.call(tableId);
-        break;
-      case 'raise':
-        tx = await pokerContract.raise(tableId, ethers.parseEther(amount));
-        break;
-      default:
-        throw new Error('Invalid action');
+  } catch (error) {
+    console.error('Error sitting in:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed PokerAction with action 'rebuy' and the chips to add in wei as
+// amount. Between hands, Poker.sol adds the chips to the player's stack from
+// their treasury balance; the player never leaves the seat, so it cannot be
+// offered to the waitlist.
+app.post('/poker/rebuy', requireIntent('PokerAction', { action: 'rebuy' }), async (req, res) => {
+  try {
+    const { player, tableId, amount, nonce, intentHash } = req.intent;
+    const added = BigInt(amount);
+
+    const response = await submissionLedger.run('poker', player, nonce, async () => {
+      const { tableInfo, playerInfo } = await seatedPokerPlayer(tableId, player);
+      if (!BETWEEN_HANDS.includes(Number(tableInfo.gameState))) {
+        throw new Error('Rebuys are only allowed between hands');
+      }
+      const stack = playerInfo.tableStake + added;
+      if (added <= 0n || stack > tableInfo.maxBuyIn) {
+        throw new Error(`Rebuy must be above 0 and bring the stack to at most the max buy-in (${ethers.formatEther(tableInfo.maxBuyIn)} ETH)`);
+      }
+      const balance = await treasuryContract.getPlayerBalance(player);
+      if (balance < added) {
+        throw new Error('Insufficient funds in treasury');
+      }
+
+      console.log('Player rebuying:', {
+        player,
+        tableId,
+        from: ethers.formatEther(playerInfo.tableStake),
+        to: ethers.formatEther(stack)
+      });
+
+      const txHash = await relayPokerAction(req);
+
+      return {
+        success: true,
+        intentHash,
+        txHash,
+        previousStack: ethers.formatEther(playerInfo.tableStake),
+        stack: ethers.formatEther(stack)
+      };
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error rebuying:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Every card the server deals comes from the table's deck for the current
+// hand, kept on disk (POKER_DECK_STORE_PATH) so a restart mid-hand does not
+// reshuffle it. Poker.sol rejects any card dealt twice in a hand.
+const pokerDecks = new PokerDeckService({
+  filePath: process.env.POKER_DECK_STORE_PATH || path.join(DATA_DIR, 'poker-decks.json')
+});
+
+// Last showdown settlement per table
+const pokerSettlements = new Map();
+
+// Each seat's chips, read between hands before the next one starts
+async function readSeatStacks(tableId) {
+  const players = await pokerContract.getTablePlayers(tableId);
+  const infos = await Promise.all(players.map(player => pokerContract.getPlayerInfo(tableId, player)));
+  return players.map((player, i) => ({ player, stack: infos[i].tableStake }));
+}
+
+// Poker.sol events in a transaction receipt
+function pokerReceiptEvents(receipt) {
+  return receipt.logs
+    .map(log => {
+      try {
+        return pokerContract.interface.parseLog(log);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Rake of POKER_RAKE_PERCENT of each cash pot, capped at POKER_RAKE_CAP ETH
+// per pot. Pots that end before the flop are not raked unless
+// POKER_RAKE_NO_FLOP_NO_DROP=false. Poker.sol takes it out of the pot into
+// the house's treasury funds as the pot is awarded, never more than
+// MAX_RAKE_BPS (10%); the server sets it on the contract at startup and keeps
+// a ledger of what was taken for reporting.
+const pokerRake = new PokerRakeLedger({
+  filePath: process.env.POKER_RAKE_STORE_PATH || path.join(DATA_DIR, 'poker-rake.json'),
+  rateBps: Math.round((Number(process.env.POKER_RAKE_PERCENT) || 0) * 100),
+  cap: process.env.POKER_RAKE_CAP ? ethers.parseEther(process.env.POKER_RAKE_CAP) : 0n,
+  noFlopNoDrop: process.env.POKER_RAKE_NO_FLOP_NO_DROP !== 'false'
+});
+
+async function applyPokerRake() {
+  const { rateBps, cap, noFlopNoDrop } = pokerRake.config;
+  const [onChainBps, onChainCap, onChainPreflop] = await Promise.all([
+    pokerContract.rakeBps(),
+    pokerContract.rakeCap(),
+    pokerContract.rakePreflop()
+  ]);
+  if (onChainBps === BigInt(rateBps) && onChainCap === cap && onChainPreflop === !noFlopNoDrop) return;
+  const tx = await pokerContract.setRake(rateBps, cap, !noFlopNoDrop);
+  await tx.wait();
+  console.log('Poker rake set:', { percent: rateBps / 100, cap: ethers.formatEther(cap), noFlopNoDrop });
+}
+
+applyPokerRake().catch(error => {
+  console.error('Error setting poker rake:', error.message);
+});
+
+// Hand histories, recorded from Poker.sol's events for every table
+const pokerHandHistory = new PokerHandHistory({
+  filePath: process.env.POKER_HISTORY_STORE_PATH || path.join(DATA_DIR, 'poker-hands.json'),
+  onHandClosed: (hand) => {
+    pokerRake.recordHand({ handId: hand.handId, tableId: hand.tableId, raked: hand.raked, at: hand.endedAt });
+  }
+});
+onPokerEvent((log, raw) => {
+  if (log.args.tableId === undefined) return;
+  pokerHandHistory.record(log.args.tableId.toString(), {
+    name: log.name,
+    args: log.args.toObject(),
+    txHash: raw.transactionHash
+  });
+});
+
+// Opens the hand history for a hand the server has just started, from the
+// stacks read before it and the blinds in its start transaction. Seats with no
+// chips were not dealt in.
+function startHandHistory(tableId, { tableInfo, seats, receipt }) {
+  const blinds = [];
+  for (const event of pokerReceiptEvents(receipt)) {
+    if (event.name !== 'BlindsPosted') continue;
+    blinds.push(
+      { player: event.args.smallBlind, amount: event.args.smallBlindAmount, type: 'small', txHash: receipt.hash },
+      { player: event.args.bigBlind, amount: event.args.bigBlindAmount, type: 'big', txHash: receipt.hash }
+    );
+  }
+
+  pokerHandHistory.startHand(tableId, {
+    seats: seats.filter(seat => seat.stack > 0n),
+    smallBlind: tableInfo.smallBlind,
+    bigBlind: tableInfo.bigBlind,
+    blinds
+  });
+}
+
+// Main and side pots for the hand in progress and, for a showdown, who wins
+// each one. What each seat has put in comes from Poker.sol, where a player's
+// currentBet counts everything they have bet this hand; chips left in the pot
+// by players who have since left go to the main pot. Hole cards are only read
+// when `showdown` is set: from Poker.sol once they have been shown down, or
+// from the hand's deck before the showdown transaction. `reads` passes on
+// contract reads the caller already has (tableInfo, table, players, infos).
+async function buildPokerSettlement(tableId, { showdown = false, fromDeck = false, reads = {} } = {}) {
+  const [tableInfo, table, players, communityCards] = await Promise.all([
+    reads.tableInfo || pokerContract.getTableInfo(tableId),
+    reads.table || pokerContract.tables(tableId),
+    reads.players || pokerContract.getTablePlayers(tableId),
+    pokerContract.getCommunityCards(tableId)
+  ]);
+  const infos = reads.infos || await Promise.all(players.map(player => pokerContract.getPlayerInfo(tableId, player)));
+  const seats = players.map((player, i) => ({ player, info: infos[i] }));
+  const live = seats.filter(seat => seat.info.isActive).map(seat => seat.player);
+
+  // Between hands the seats still carry the last hand's bets, long since paid
+  const contributions = BETWEEN_HANDS.includes(Number(tableInfo.gameState))
+    ? []
+    : seats.map(({ player, info }) => ({ player, amount: info.currentBet, folded: !info.isActive }));
+  const pots = buildPots(contributions);
+  const deadMoney = tableInfo.pot - contributions.reduce((sum, c) => sum + c.amount, 0n);
+  if (deadMoney > 0n && pots.length > 0) {
+    pots[0].amount += deadMoney;
+  } else if (deadMoney > 0n) {
+    pots.push({ name: 'main', amount: deadMoney, eligible: live, cap: 0n, uncalled: live.length === 1 });
+  }
+
+  const board = communityCards.map(Number);
+  let settled = null;
+  const hands = new Map();
+  const holeCards = new Map();
+  if (showdown && board.length === 5) {
+    const shown = await Promise.all(live.map(player => (fromDeck
+      ? pokerDecks.holeCards(tableId, player) || []
+      : pokerContract.getPlayerCards(tableId, player))));
+    live.forEach((player, i) => {
+      const cards = shown[i].map(Number);
+      if (cards.length === 2) {
+        holeCards.set(player.toLowerCase(), cards);
+        hands.set(player.toLowerCase(), evaluateHand([...cards, ...board]));
+      }
+    });
+
+    // Seats from the first one left of the button, for odd chips
+    const dealer = Number(table.dealerPosition);
+    const seatOrder = [...players.slice(dealer + 1), ...players.slice(0, dealer + 1)];
+    settled = settlePots(pots, {
+      seatOrder,
+      chipUnit: tableInfo.smallBlind > 0n ? tableInfo.smallBlind : 1n,
+      compare: (a, b) => {
+        const handA = hands.get(a.toLowerCase());
+        const handB = hands.get(b.toLowerCase());
+        if (!handA || !handB) return (handA ? 1 : 0) - (handB ? 1 : 0);
+        return compareHands(handA, handB);
+      }
+    });
+    for (const pot of settled) {
+      pot.winningHands = pot.winners.map(player => ({ player, ...hands.get(player.toLowerCase()) }));
     }
+  }
+
+  return {
+    pots: settled || pots,
+    payouts: settled ? payoutBreakdown(contributions, settled) : null,
+    shown: settled ? [...hands].map(([player, hand]) => ({
+      player: live.find(p => p.toLowerCase() === player),
+      cards: holeCards.get(player),
+      description: hand.description
+    })) : null
+  };
+}
 
-    // Wait for transaction to be mined
+// BigInt amounts as ether strings for responses
+function pokerSettlementView(settlement) {
+  if (!settlement) return null;
+  return {
+    ...settlement,
+    pots: settlement.pots.map(pot => ({
+      ...pot,
+      amount: ethers.formatEther(pot.amount),
+      cap: pot.cap === null ? null : ethers.formatEther(pot.cap),
+      shares: pot.shares && pot.shares.map(share => ({ ...share, amount: ethers.formatEther(share.amount) }))
+    })),
+    payouts: settlement.payouts && settlement.payouts.map(payout => ({
+      ...payout,
+      contributed: ethers.formatEther(payout.contributed),
+      won: ethers.formatEther(payout.won),
+      net: ethers.formatEther(payout.net)
+    }))
+  };
+}
+
+// Board cards dealt by each street step
+const STREET_CARDS = { startFlop: 3, startTurn: 1, startRiver: 1 };
+
+// Takes the owner's next dealing step at a table: starts a hand, deals the
+// hole cards or the next street from the hand's deck, or starts the showdown
+async function runDealerAction(tableId, action) {
+  if (STREET_CARDS[action]) {
+    // A card is burned before each street
+    const cards = pokerDecks.draw(tableId, STREET_CARDS[action], { burn: true });
+    const tx = await pokerContract[action](tableId, action === 'startFlop' ? cards : cards[0]);
     const receipt = await tx.wait();
-    console.log('Action processed:', receipt.hash);
+    return { txHash: receipt.hash, cards };
+  }
 
-    // Get updated table state immediately after action
-    const [tableInfo, players, confirmedTable] = await Promise.all([
+  switch (action) {
+    case 'startHand': {
+      await syncTournamentBlinds(tableId);
+      const [tableInfo, seats] = await Promise.all([
+        pokerContract.getTableInfo(tableId),
+        readSeatStacks(tableId)
+      ]);
+      for (const player of pokerTurnClock.returningPlayers(tableId)) {
+        await (await pokerContract.setSittingOut(tableId, player, false)).wait();
+      }
+      const tx = await pokerContract.startHand(tableId);
+      const receipt = await tx.wait();
+      const { handNumber } = await pokerContract.tables(tableId);
+
+      pokerDecks.newHand(tableId, handNumber);
+      pokerTurnClock.newHand(tableId);
+      startHandHistory(tableId, { tableInfo, seats, receipt });
+      return { txHash: receipt.hash };
+    }
+    case 'dealHoleCards':
+      return dealInitialCards(tableId);
+    case 'startShowdown': {
+      // Settled from the hole cards and board before the showdown
+      // transaction, which reveals the hands still in and pays each pot to
+      // its winners. Poker.sol checks the payouts add up to the pot and that
+      // nobody gets more than the pots they are in.
+      const players = await pokerContract.getTablePlayers(tableId);
+      const settlement = await buildPokerSettlement(tableId, { showdown: true, fromDeck: true, reads: { players } });
+      const shown = settlement.shown || [];
+      const payouts = settlement.payouts.filter(payout => payout.won > 0n);
+      const { cards, salts } = pokerDecks.reveal(tableId, players, shown.map(hand => hand.player));
+      pokerHandHistory.recordShowdown(tableId, shown);
+      const tx = await pokerContract.startShowdown(
+        tableId,
+        cards,
+        salts,
+        payouts.map(payout => payout.player),
+        payouts.map(payout => payout.won)
+      );
+      pokerSettlements.set(String(tableId), { ...settlement, txHash: tx.hash, settledAt: Date.now() });
+      const receipt = await tx.wait();
+      return { txHash: receipt.hash };
+    }
+    default:
+      throw new Error('Invalid dealer action');
+  }
+}
+
+// Deals two hole cards from the hand's deck to each seat dealt in. Only
+// commitments to them go on-chain, all in one transaction; players get their
+// own cards from /poker/player-cards.
+async function dealInitialCards(tableId) {
+  const players = await pokerContract.getTablePlayers(tableId);
+  const infos = await Promise.all(players.map(player => pokerContract.getPlayerInfo(tableId, player)));
+  const dealtIn = players.filter((player, i) => infos[i].isActive);
+
+  const hands = pokerDecks.dealHoleCards(tableId, dealtIn);
+  const tx = await pokerContract.dealHoleCards(tableId, pokerDecks.commitments(tableId, players));
+  const receipt = await tx.wait();
+  pokerHandHistory.dealHoleCards(tableId, hands);
+  return { txHash: receipt.hash, players: dealtIn.length };
+}
+
+// Takes a dealing step by hand, e.g. with POKER_AUTO_DEAL=false
+app.post('/poker/dealer-action', requireAdmin, async (req, res) => {
+  try {
+    const { tableId, action } = req.body;
+    
+    console.log('Dealer action:', {
+      tableId,
+      action
+    });
+
+    const { txHash } = await runDealerAction(tableId, action);
+
+    // Get updated table state
+    const tableInfo = await pokerContract.getTableInfo(tableId);
+    const communityCards = await pokerContract.getCommunityCards(tableId);
+
+    res.json({
+      success: true,
+      txHash,
+      gameState: tableInfo.gameState.toString(),
+      communityCards: communityCards.map(card => Number(card)),
+      deck: pokerDecks.status(tableId)
+    });
+
+  } catch (error) {
+    console.error('Error processing dealer action:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+async function activePokerTables() {
+  const tables = await pokerLobby.summaries();
+  return tables.filter(table => table.isActive).map(table => table.id);
+}
+
+// Tables with a game to run: active with at least two players. Comes from the
+// lobby's cached summaries, so polling it does not read every table.
+async function pokerTablesInPlay() {
+  const tables = await pokerLobby.summaries();
+  return tables.filter(table => table.isActive && table.playerCount >= 2).map(table => table.id);
+}
+
+// Runs each table's hands without a client calling the dealer routes: starts
+// hands, deals hole cards and streets, and starts showdowns. Set
+// POKER_AUTO_DEAL=false to deal by hand.
+const pokerOrchestrator = new PokerTableOrchestrator({
+  listTables: pokerTablesInPlay,
+  getSnapshot: async (tableId) => {
+    const [tableInfo, table] = await Promise.all([
       pokerContract.getTableInfo(tableId),
-      pokerContract.getTablePlayers(tableId),
       pokerContract.tables(tableId)
     ]);
+    return {
+      gameState: Number(tableInfo.gameState),
+      pot: tableInfo.pot,
+      playerCount: Number(tableInfo.playerCount),
+      isActive: tableInfo.isActive,
+      handNumber: Number(table.handNumber)
+    };
+  },
+  // A step is ready once the contract would accept it; the deck is server-side
+  isReady: async (tableId, step) => {
+    if (step === 'dealHoleCards') return true;
+    if (step !== 'startHand') return pokerContract.isRoundComplete(tableId);
+    try {
+      await pokerContract.startHand.estimateGas(tableId);
+      return true;
+    } catch (error) {
+      if (error.code === 'CALL_EXCEPTION') return false;
+      throw error;
+    }
+  },
+  runStep: async (tableId, step) => {
+    console.log('Poker orchestrator step:', { tableId, step });
+    return runDealerAction(tableId, step);
+  },
+  intervalMs: Number(process.env.POKER_ORCHESTRATOR_INTERVAL_MS) || 2000,
+  concurrency: Number(process.env.POKER_ORCHESTRATOR_CONCURRENCY) || undefined,
+  pauses: {
+    handMs: Number(process.env.POKER_HAND_PAUSE_MS) || undefined,
+    dealMs: Number(process.env.POKER_DEAL_PAUSE_MS) || undefined,
+    streetMs: Number(process.env.POKER_STREET_PAUSE_MS) || undefined
+  }
+});
+if (process.env.POKER_AUTO_DEAL !== 'false') {
+  pokerOrchestrator.start();
+}
 
-    // Get the confirmed current position and player
-    const confirmedPosition = Number(confirmedTable.currentPosition);
-    const currentPlayer = players[confirmedPosition];
-    
-    // Get current player's info
-    const playerInfo = await pokerContract.getPlayerInfo(tableId, player);
+// Whose turn it is at a table while a betting round is open, or null
+async function currentPokerTurn(tableId) {
+  const [tableInfo, table, players] = await Promise.all([
+    pokerContract.getTableInfo(tableId),
+    pokerContract.tables(tableId),
+    pokerContract.getTablePlayers(tableId)
+  ]);
+  const gameState = Number(tableInfo.gameState);
+  if (gameState < GAME_STATE.PreFlop || gameState > GAME_STATE.River) return null;
+
+  const player = players[Number(table.currentPosition)];
+  if (!player) return null;
+  const playerInfo = await pokerContract.getPlayerInfo(tableId, player);
+  return {
+    player,
+    key: `${player}:${gameState}:${tableInfo.pot}`,
+    canCheck: playerInfo.currentBet === table.currentBet
+  };
+}
+
+// Per-turn action clock with an optional time bank (POKER_TIME_BANK_MS).
+// When a turn runs out the owner checks or folds for the player with
+// Poker.sol's timeoutTurn, which only allows it once the contract's own
+// actionTimeout has passed, so POKER_ACTION_MS should be at least that long.
+// A player the clock sits out is sat out on-chain in the same transaction and
+// dealt out of the hands after this one.
+const pokerTurnClock = new PokerTurnClock({
+  listTables: pokerTablesInPlay,
+  getTurn: currentPokerTurn,
+  autoAct: async (tableId, player, action, { sitOut }) => {
+    const tx = await pokerContract.timeoutTurn(tableId, sitOut, { gasLimit: 500000 });
+    await tx.wait();
+  },
+  actionMs: Number(process.env.POKER_ACTION_MS) || undefined,
+  timeBankMs: Number(process.env.POKER_TIME_BANK_MS) || 0,
+  maxTimeouts: Number(process.env.POKER_MAX_TIMEOUTS) || undefined,
+  intervalMs: Number(process.env.POKER_CLOCK_INTERVAL_MS) || 1000
+});
+pokerTurnClock.start();
+onPokerEvent((log) => {
+  if (log.name === 'PlayerLeft') {
+    pokerTurnClock.forget(log.args.tableId, log.args.player);
+  }
+});
+
+app.get('/poker/orchestrator', (req, res) => {
+  res.json({
+    success: true,
+    ...pokerOrchestrator.status()
+  });
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'healthy' });
+});
+
+// Add endpoints to get cards
+// Hole cards are only on-chain once shown down; until then the server's deck
+// is the only place they exist. They go to their owner, signed in with a
+// session and sealed to that session's key. Everyone else gets null
+// placeholders, unless the hand was shown down; folded hands stay mucked.
+app.get('/poker/player-cards/:tableId/:player', async (req, res) => {
+  try {
+    const { tableId, player } = req.params;
+    const session = sessionFromRequest(req);
+
+    if (session && session.address.toLowerCase() === player.toLowerCase()) {
+      return res.json({
+        success: true,
+        redacted: false,
+        sealed: seal(session.sessionKey, { tableId: Number(tableId), player, cards: pokerDecks.holeCards(tableId, player) || [] })
+      });
+    }
 
-    // Send back comprehensive state update
+    const shown = (await pokerContract.getPlayerCards(tableId, player)).map(card => Number(card));
+    const dealt = shown.length === 2 || pokerDecks.holeCards(tableId, player);
     res.json({
       success: true,
-      txHash: receipt.hash,
-      tableState: {
-        gameState: tableInfo.gameState,
-        pot: ethers.formatEther(tableInfo.pot),
-        currentBet: ethers.formatEther(playerInfo.currentBet),
-        isPlayerTurn: playerInfo.isActive && !playerInfo.isSittingOut,
-        currentTurn: currentPlayer,
-        currentPosition: confirmedPosition,
-        expectedNextPlayer: expectedNextPlayer
-      }
+      redacted: shown.length === 0,
+      cards: shown.length === 2 ? shown : dealt ? [null, null] : []
     });
-
   } catch (error) {
-    console.error('Error processing player action:', error);
+    console.error('Error getting player cards:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -780,228 +2457,373 @@ app.post('/poker/action', async (req, res) => {
   }
 });
 
-app.post('/poker/dealer-action', async (req, res) => {
+app.get('/poker/community-cards/:tableId', async (req, res) => {
   try {
-    const { tableId, action } = req.body;
+    const { tableId } = req.params;
+    const cards = await pokerContract.getCommunityCards(tableId);
     
-    console.log('Dealer action:', {
-      tableId,
-      action
+    res.json({
+      success: true,
+      cards: cards.map(card => Number(card))
+    });
+  } catch (error) {
+    console.error('Error getting community cards:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
+  }
+});
 
-    let tx;
-    let cardsTx;
-    
-    // First change game state
-    switch (action) {
-      case 'startFlop':
-        tx = await pokerContract.startFlop(tableId);
-        // Deal 3 flop cards after state change
-        await tx.wait();
-        cardsTx = await pokerContract.dealCommunityCards(
-          tableId, 
-          [
-            Math.floor(Math.random() * 52) + 1,
-            Math.floor(Math.random() * 52) + 1,
-            Math.floor(Math.random() * 52) + 1
-          ]
-        );
-        break;
-      case 'startTurn':
-        tx = await pokerContract.startTurn(tableId);
-        // Deal 1 turn card after state change
-        await tx.wait();
-        cardsTx = await pokerContract.dealCommunityCards(
-          tableId, 
-          [Math.floor(Math.random() * 52) + 1]
-        );
-        break;
-      case 'startRiver':
-        tx = await pokerContract.startRiver(tableId);
-        // Deal 1 river card after state change
-        await tx.wait();
-        cardsTx = await pokerContract.dealCommunityCards(
-          tableId, 
-          [Math.floor(Math.random() * 52) + 1]
-        );
-        break;
-      case 'startShowdown':
-        tx = await pokerContract.startShowdown(tableId);
-        break;
-      default:
-        throw new Error('Invalid dealer action');
+// Every hand still in at the table, ranked best first, with the side-pot
+// payout breakdown. Hole cards are only shown once the hand has reached
+// showdown; once the next hand has started this falls back to the table's
+// last recorded showdown.
+app.get('/poker/showdown/:tableId', async (req, res) => {
+  try {
+    const { tableId } = req.params;
+    const [tableInfo, players, communityCards] = await Promise.all([
+      pokerContract.getTableInfo(tableId),
+      pokerContract.getTablePlayers(tableId),
+      pokerContract.getCommunityCards(tableId)
+    ]);
+
+    const board = communityCards.map(Number);
+    if (Number(tableInfo.gameState) < GAME_STATE.Showdown || board.length !== 5) {
+      const lastShowdown = pokerSettlements.get(String(tableId));
+      if (!lastShowdown) {
+        throw new Error('Hand has not reached showdown');
+      }
+      return res.json({
+        success: true,
+        live: false,
+        settlement: pokerSettlementView(lastShowdown)
+      });
     }
 
-    await tx.wait();
-    if (cardsTx) await cardsTx.wait();
+    // The showdown has been paid, and the hands in it are on Poker.sol
+    const infos = await Promise.all(players.map(player => pokerContract.getPlayerInfo(tableId, player)));
+    const live = players.filter((player, i) => infos[i].isActive);
+    const shown = await Promise.all(live.map(player => pokerContract.getPlayerCards(tableId, player)));
+    const contenders = live
+      .map((player, i) => ({ player, cards: shown[i].map(Number) }))
+      .filter(contender => contender.cards.length === 2);
+
+    res.json({
+      success: true,
+      live: true,
+      communityCards: board,
+      hands: rankHands(contenders, board),
+      settlement: pokerSettlementView(pokerSettlements.get(String(tableId)))
+    });
+  } catch (error) {
+    console.error('Error previewing showdown:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Finished hands as PokerStars-style text (?format=text) or JSON. A player
+// signed in with a session sees their own hole cards; everyone else sees only
+// what was shown down.
+function sendHandHistory(req, res, hands) {
+  const session = sessionFromRequest(req);
+  const viewer = session ? session.address : null;
+
+  if (req.query.format === 'text') {
+    return res
+      .type('text/plain')
+      .send(hands.map(hand => pokerHandHistory.toText(hand, viewer)).join('\n\n\n'));
+  }
+  res.json({
+    success: true,
+    hands: hands.map(hand => pokerHandHistory.view(hand, viewer))
+  });
+}
+
+const historyLimit = (req) => Math.min(Number(req.query.limit) || 50, 500);
 
-    // Get updated table state
-    const tableInfo = await pokerContract.getTableInfo(tableId);
-    const communityCards = await pokerContract.getCommunityCards(tableId);
+app.get('/poker/history/table/:tableId', (req, res) => {
+  sendHandHistory(req, res, pokerHandHistory.hands({
+    tableId: req.params.tableId,
+    limit: historyLimit(req)
+  }));
+});
 
-    res.json({
-      success: true,
-      txHash: tx.hash,
-      gameState: tableInfo.gameState,
-      communityCards: communityCards.map(card => Number(card))
+app.get('/poker/history/player/:player', (req, res) => {
+  if (!ethers.isAddress(req.params.player)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid player address'
     });
+  }
+  sendHandHistory(req, res, pokerHandHistory.hands({
+    player: req.params.player,
+    limit: historyLimit(req)
+  }));
+});
 
-  } catch (error) {
-    console.error('Error processing dealer action:', error);
-    res.status(500).json({
+app.get('/poker/history/hand/:handId', (req, res) => {
+  const hand = pokerHandHistory.getHand(req.params.handId);
+  if (!hand) {
+    return res.status(404).json({
       success: false,
-      error: error.message
+      error: 'Hand not found'
     });
   }
+  sendHandHistory(req, res, [hand]);
 });
 
-// Add a new endpoint to deal initial player cards
-app.post('/poker/deal-initial-cards', async (req, res) => {
+// Rake totals by table, day or player: ?groupBy=table|day|player, optionally
+// narrowed with tableId, player, from and to (UTC days, YYYY-MM-DD)
+app.get('/poker/rake/report', (req, res) => {
   try {
-    const { tableId } = req.body;
-    
-    // Get all players at the table
-    const players = await pokerContract.getTablePlayers(tableId);
-    
-    // Deal 2 cards to each active player
-    for (const player of players) {
-      const playerInfo = await pokerContract.getPlayerInfo(tableId, player);
-      if (playerInfo.isActive) {
-        await pokerContract.dealPlayerCards(
-          tableId,
-          player,
-          [
-            Math.floor(Math.random() * 52) + 1,
-            Math.floor(Math.random() * 52) + 1
-          ]
-        );
-      }
-    }
-
+    const { groupBy, tableId, player, from, to } = req.query;
+    const report = pokerRake.report({ groupBy, tableId, player, from, to });
+    const eth = amount => ethers.formatEther(amount);
     res.json({
       success: true,
-      message: 'Initial cards dealt to all players'
+      config: {
+        percent: pokerRake.config.rateBps / 100,
+        cap: eth(pokerRake.config.cap),
+        noFlopNoDrop: pokerRake.config.noFlopNoDrop
+      },
+      groupBy: report.groupBy,
+      total: eth(report.total),
+      rows: report.rows.map(row => ({
+        ...row,
+        rake: eth(row.rake)
+      }))
     });
-
   } catch (error) {
-    console.error('Error dealing initial cards:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'healthy' });
+app.get('/poker/rake/ledger', (req, res) => {
+  const { tableId, player, from, to } = req.query;
+  res.json({
+    success: true,
+    entries: pokerRake.entries({ tableId, player, from, to })
+  });
+});
+
+// Sit-and-go tournaments. Buy-ins come out of the player's treasury balance
+// into the house's and prizes go back the same way. Each tournament plays on
+// a Poker.sol tournament table, whose stacks are tournament chips that never
+// touch the treasury; the table is dealt through /poker/dealer-action like
+// any other, and its results are read back from the stacks after each hand.
+const pokerTournaments = new PokerTournaments({
+  filePath: process.env.POKER_TOURNAMENT_STORE_PATH || path.join(DATA_DIR, 'poker-tournaments.json'),
+  collectBuyIn: async (player, amount, { intent, signature }) => {
+    const [hasAccount, balance] = await Promise.all([
+      treasuryContract.activeAccounts(player),
+      treasuryContract.getPlayerBalance(player)
+    ]);
+    if (!hasAccount) {
+      throw new Error('No active account found');
+    }
+    if (balance < amount) {
+      throw new Error(`Insufficient balance. Required: ${ethers.formatEther(amount)} ETH`);
+    }
+    const tx = await pokerContract.enterTournament(intent, signature, { gasLimit: 500000 });
+    return (await tx.wait()).hash;
+  },
+  refund: async (player, amount) => {
+    const tx = await treasuryContract.payFromHouse(player, amount, { gasLimit: 500000 });
+    return (await tx.wait()).hash;
+  },
+  payPrize: async (player, amount) => {
+    const tx = await treasuryContract.payFromHouse(player, amount, { gasLimit: 500000 });
+    return (await tx.wait()).hash;
+  },
+  // Buy-ins are 1 chip up to every chip in play, and so are bets
+  createTable: async (tournament) => {
+    const chipsInPlay = BigInt(tournament.startingChips) * BigInt(tournament.entries.length);
+    const { smallBlind, bigBlind } = tournament.levels[0];
+    const receipt = await (await pokerContract.createTable(
+      1n, chipsInPlay, BigInt(smallBlind), BigInt(bigBlind), BigInt(bigBlind), chipsInPlay
+    )).wait();
+    const created = pokerReceiptEvents(receipt).find(event => event.name === 'TableCreated');
+    console.log('Tournament table created:', { tournamentId: tournament.tournamentId, tableId: created.args.tableId.toString() });
+    return created.args.tableId.toString();
+  },
+  seatPlayer: async (tableId, player, chips) => {
+    const tx = await pokerContract.seatTournamentPlayer(tableId, player, BigInt(chips));
+    return (await tx.wait()).hash;
+  }
 });
+pokerTournaments.start();
+
+// Puts a tournament table on its current blind level before a hand starts
+async function syncTournamentBlinds(tableId) {
+  const tournament = pokerTournaments.forTable(tableId);
+  if (!tournament) return;
+  const { smallBlind, bigBlind } = pokerTournaments.blinds(tournament);
+  const tableInfo = await pokerContract.getTableInfo(tableId);
+  if (tableInfo.smallBlind === BigInt(smallBlind) && tableInfo.bigBlind === BigInt(bigBlind)) return;
+  await (await pokerContract.setBlinds(tableId, smallBlind, bigBlind)).wait();
+}
 
-// Add these new endpoints for dealing cards
+// Takes each finished tournament hand's results from the stacks on its table
+async function recordTournamentHand(tableId) {
+  const tournament = pokerTournaments.forTable(tableId);
+  if (!tournament) return [];
+  const alive = pokerTournaments.alive(tournament);
+  const infos = await Promise.all(alive.map(entry => pokerContract.getPlayerInfo(tableId, entry.player)));
+  const eliminated = await pokerTournaments.recordStacks(
+    tournament.tournamentId,
+    alive.map((entry, i) => ({ player: entry.player, chips: infos[i].tableStake }))
+  );
+  for (const { player, place } of eliminated) {
+    console.log('Tournament elimination:', { tournamentId: tournament.tournamentId, player, place });
+  }
+  return eliminated;
+}
+
+onPokerEvent((log) => {
+  if (log.name === 'HandComplete') {
+    return recordTournamentHand(log.args.tableId.toString());
+  }
+});
 
-app.post('/poker/deal-player-cards', async (req, res) => {
+app.post('/poker/tournaments', requireAdmin, async (req, res) => {
   try {
-    const { tableId, player } = req.body;
-    
-    // Generate random cards (1-52)
-    const cards = [
-      Math.floor(Math.random() * 52) + 1,
-      Math.floor(Math.random() * 52) + 1
-    ];
-    
-    console.log('Dealing player cards:', {
-      tableId,
-      player,
-      cards
+    const { name, buyIn, seats, startingChips, levelMs, levels, payouts } = req.body;
+    if (buyIn === undefined) {
+      throw new Error('buyIn (wei) is required');
+    }
+    if (seats !== undefined && Number(seats) > await pokerMaxPlayers()) {
+      throw new Error(`A tournament table seats at most ${await pokerMaxPlayers()}`);
+    }
+    const tournament = pokerTournaments.create({ name, buyIn, seats, startingChips, levelMs, levels, payouts });
+    console.log('Tournament created:', {
+      tournamentId: tournament.tournamentId,
+      buyIn: ethers.formatEther(tournament.buyIn),
+      seats: tournament.seats
     });
-
-    const tx = await pokerContract.dealPlayerCards(tableId, player, cards);
-    const receipt = await tx.wait();
-
     res.json({
       success: true,
-      txHash: receipt.hash,
-      cards
+      tournament: pokerTournaments.view(tournament)
     });
-
   } catch (error) {
-    console.error('Error dealing player cards:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message
     });
   }
 });
 
-app.post('/poker/deal-community-cards', async (req, res) => {
-  try {
-    const { tableId, stage } = req.body;
-    
-    // Generate random cards based on stage
-    let cards;
-    if (stage === 'flop') {
-      cards = Array(3).fill().map(() => Math.floor(Math.random() * 52) + 1);
-    } else if (stage === 'turn' || stage === 'river') {
-      cards = [Math.floor(Math.random() * 52) + 1];
-    } else {
-      throw new Error('Invalid stage');
-    }
-    
-    console.log('Dealing community cards:', {
-      tableId,
-      stage,
-      cards
+app.get('/poker/tournaments', (req, res) => {
+  res.json({
+    success: true,
+    tournaments: pokerTournaments.list({ status: req.query.status }).map(t => pokerTournaments.view(t))
+  });
+});
+
+app.get('/poker/tournaments/:tournamentId', (req, res) => {
+  const tournament = pokerTournaments.get(req.params.tournamentId);
+  if (!tournament) {
+    return res.status(404).json({
+      success: false,
+      error: 'Tournament not found'
     });
+  }
+  res.json({
+    success: true,
+    tournament: pokerTournaments.view(tournament)
+  });
+});
 
-    const tx = await pokerContract.dealCommunityCards(tableId, cards);
-    const receipt = await tx.wait();
+// Register and unregister take a PokerTournamentEntry intent whose buyIn
+// matches the tournament's
+for (const action of ['register', 'unregister']) {
+  app.post(`/poker/tournaments/:tournamentId/${action}`, requireIntent('PokerTournamentEntry', { action }), async (req, res) => {
+    try {
+      const { player, tournamentId, buyIn, nonce } = req.intent;
+      if (String(tournamentId) !== req.params.tournamentId) {
+        throw new Error('Intent is for a different tournament');
+      }
+      const tournament = pokerTournaments.find(tournamentId);
+      if (BigInt(buyIn) !== BigInt(tournament.buyIn)) {
+        throw new Error('Intent buyIn does not match the tournament');
+      }
+
+      const response = await submissionLedger.run('poker-tournament', player, nonce, async () => {
+        const result = action === 'register'
+          ? await pokerTournaments.register(tournamentId, player, Date.now(), {
+            intent: req.body.intent,
+            signature: req.body.signature
+          })
+          : await pokerTournaments.unregister(tournamentId, player);
+        return {
+          success: true,
+          ...result,
+          tournament: pokerTournaments.view(pokerTournaments.find(tournamentId))
+        };
+      });
+      res.json(response);
+    } catch (error) {
+      console.error(`Error on tournament ${action}:`, error);
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+}
 
+app.post('/poker/tournaments/:tournamentId/cancel', requireAdmin, async (req, res) => {
+  try {
+    const refunds = await pokerTournaments.cancel(req.params.tournamentId);
     res.json({
       success: true,
-      txHash: receipt.hash,
-      cards
+      refunds
     });
-
   } catch (error) {
-    console.error('Error dealing community cards:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// Add endpoints to get cards
-app.get('/poker/player-cards/:tableId/:player', async (req, res) => {
+// Records the last hand at the tournament's table again, from its stacks,
+// if the HandComplete listener missed it
+app.post('/poker/tournaments/:tournamentId/hands', requireAdmin, async (req, res) => {
   try {
-    const { tableId, player } = req.params;
-    const cards = await pokerContract.getPlayerCards(tableId, player);
-    
+    const tournament = pokerTournaments.find(req.params.tournamentId);
+    if (tournament.tableId === null) {
+      throw new Error('Tournament has no table yet');
+    }
+    const eliminated = await recordTournamentHand(tournament.tableId);
     res.json({
       success: true,
-      cards: cards.map(card => Number(card))
+      eliminated,
+      tournament: pokerTournaments.view(tournament)
     });
   } catch (error) {
-    console.error('Error getting player cards:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message
     });
   }
 });
 
-app.get('/poker/community-cards/:tableId', async (req, res) => {
+// Retries prize payments that failed when the tournament finished
+app.post('/poker/tournaments/:tournamentId/pay', requireAdmin, async (req, res) => {
   try {
-    const { tableId } = req.params;
-    const cards = await pokerContract.getCommunityCards(tableId);
-    
     res.json({
       success: true,
-      cards: cards.map(card => Number(card))
+      prizes: await pokerTournaments.payPrizes(req.params.tournamentId)
     });
   } catch (error) {
-    console.error('Error getting community cards:', error);
-    res.status(500).json({
+    res.status(400).json({
       success: false,
       error: error.message
     });
@@ -1024,9 +2846,20 @@ function getCardDetails(cardNumber) {
 }
 
 // Add house player endpoints
-app.post('/poker/add-house', async (req, res) => {
+app.get('/poker/house-strategies', (req, res) => {
+  res.json({
+    success: true,
+    defaultStrategy: process.env.POKER_HOUSE_STRATEGY || DEFAULT_STRATEGY,
+    strategies: describeStrategies()
+  });
+});
+
+// Seats the house at a table with the max buy-in, funded from the house wallet
+app.post('/poker/add-house', requireAdmin, async (req, res) => {
   try {
-    const { tableId } = req.body;
+    const { tableId, strategy = process.env.POKER_HOUSE_STRATEGY || DEFAULT_STRATEGY } = req.body;
+    // Throws for an unknown strategy before anything is spent
+    getStrategy(strategy);
     
     // Get table info to determine buy-in amount
     const tableInfo = await pokerContract.getTableInfo(tableId);
@@ -1034,6 +2867,7 @@ app.post('/poker/add-house', async (req, res) => {
     
     console.log('House joining table:', {
       tableId,
+      strategy,
       maxBuyIn: ethers.formatEther(maxBuyIn)
     });
 
@@ -1045,25 +2879,7 @@ app.post('/poker/add-house', async (req, res) => {
     }
 
     // First ensure house has enough balance in treasury
-    const treasuryBalance = await treasuryContract.getPlayerBalance(houseAddress);
-    console.log('Treasury balance check:', {
-      balance: ethers.formatEther(treasuryBalance),
-      required: ethers.formatEther(maxBuyIn)
-    });
-
-    // Convert to BigNumber for comparison
-    if (treasuryBalance < maxBuyIn) {
-      // Add funds to treasury if needed
-      const fundAmount = maxBuyIn - treasuryBalance;
-      console.log('Depositing to treasury:', ethers.formatEther(fundAmount));
-      
-      const depositTx = await treasuryContract.connect(houseSigner).deposit({ 
-        value: fundAmount,
-        gasLimit: 500000
-      });
-      await depositTx.wait();
-      console.log('Deposit complete');
-    }
+    await fundHouseTreasury(maxBuyIn);
 
     // Join table with maximum buy-in
     console.log('Joining table with:', ethers.formatEther(maxBuyIn));
@@ -1078,13 +2894,15 @@ app.post('/poker/add-house', async (req, res) => {
     const receipt = await tx.wait();
     console.log('House joined table:', receipt.hash);
 
-    // Start monitoring this table for house's turn
-    monitorHousePlay(tableId);
+    // Play the house seat from here on
+    houseSeats.add(tableId, { strategy, buyIn: maxBuyIn });
+    houseBot.watch(tableId);
 
     res.json({
       success: true,
       txHash: receipt.hash,
-      houseAddress
+      houseAddress,
+      strategy
     });
 
   } catch (error) {
@@ -1096,189 +2914,320 @@ app.post('/poker/add-house', async (req, res) => {
   }
 });
 
-// Update the monitorHousePlay function to handle errors better
-const monitorHousePlay = async (tableId) => {
-  // Check if monitoring is already active for this table
-  if (houseMonitors.has(tableId)) {
-    console.log('Monitor already exists for table:', tableId);
-    return;
+// Tops the house's treasury balance up to `required`, depositing from the
+// house wallet
+async function fundHouseTreasury(required) {
+  const houseAddress = await houseSigner.getAddress();
+  const treasuryBalance = await treasuryContract.getPlayerBalance(houseAddress);
+  console.log('Treasury balance check:', {
+    balance: ethers.formatEther(treasuryBalance),
+    required: ethers.formatEther(required)
+  });
+
+  if (treasuryBalance < required) {
+    const fundAmount = required - treasuryBalance;
+    console.log('Depositing to treasury:', ethers.formatEther(fundAmount));
+
+    const depositTx = await treasuryContract.connect(houseSigner).deposit({
+      value: fundAmount,
+      gasLimit: 500000
+    });
+    await depositTx.wait();
+    console.log('Deposit complete');
   }
-  
-  console.log('Starting house monitor for table:', tableId);
-  
-  const monitor = setInterval(async () => {
-    try {
-      // Get table info with proper destructuring
-      const [
-        minBuyIn,
-        maxBuyIn,
-        smallBlind,
-        bigBlind,
-        minBet,
-        maxBet,
-        pot,
-        playerCount,
-        gameState,
-        isActive
-      ] = await pokerContract.getTableInfo(tableId);
+}
 
-      // Get current position from the contract directly
-      const currentPosition = await pokerContract.tables(tableId).then(table => table.currentPosition);
-      
-      const houseAddress = await houseSigner.getAddress();
-      
-      // Get all players at the table
-      const players = await pokerContract.getTablePlayers(tableId);
-      
-      // Debug logging
-      console.log('Table state:', {
-        tableId,
-        currentPosition: currentPosition.toString(),
-        gameState: gameState.toString(),
-        players,
-        houseAddress
-      });
-      
-      // Check if it's house's turn
-      if (!players[currentPosition] || 
-          players[currentPosition].toLowerCase() !== houseAddress.toLowerCase()) {
-        return; // Not house's turn
-      }
+// House seats, the strategy played at each and whether the bot is paused
+const houseSeats = new HouseSeatRegistry({
+  filePath: process.env.HOUSE_SEAT_STORE_PATH || path.join(DATA_DIR, 'house-seats.json'),
+  defaultStrategy: process.env.POKER_HOUSE_STRATEGY || DEFAULT_STRATEGY
+});
 
-      console.log('House turn detected:', {
-        tableId,
-        currentPosition: currentPosition.toString(),
-        gameState: gameState.toString()
-      });
+// Builds the house's view of the hand and asks the seat's strategy what to do
+async function decideHouseAction(tableId, houseAddress) {
+  const [tableInfo, table, players, playerInfo, communityCards] = await Promise.all([
+    pokerContract.getTableInfo(tableId),
+    pokerContract.tables(tableId),
+    pokerContract.getTablePlayers(tableId),
+    pokerContract.getPlayerInfo(tableId, houseAddress),
+    pokerContract.getCommunityCards(tableId)
+  ]);
+  const holeCards = pokerDecks.holeCards(tableId, houseAddress) || [];
+  const opponents = await Promise.all(players
+    .filter(player => player.toLowerCase() !== houseAddress.toLowerCase())
+    .map(player => pokerContract.getPlayerInfo(tableId, player)));
+
+  const context = {
+    holeCards: holeCards.map(Number),
+    board: communityCards.map(Number),
+    street: STREETS[Number(tableInfo.gameState)],
+    pot: tableInfo.pot,
+    toCall: table.currentBet - playerInfo.currentBet,
+    tableBet: table.currentBet,
+    playerBet: playerInfo.currentBet,
+    stack: playerInfo.tableStake,
+    bigBlind: tableInfo.bigBlind,
+    minBet: tableInfo.minBet,
+    maxBet: tableInfo.maxBet,
+    position: seatPosition(Number(playerInfo.position), Number(table.dealerPosition), players.length),
+    opponents: opponents.filter(info => info.isActive).length
+  };
 
-      // Add a 5-second delay before making a move
-      console.log('Waiting 5 seconds before making house move...');
-      await new Promise(resolve => setTimeout(resolve, 5000));
-      console.log('Delay complete, proceeding with house move');
+  const seat = houseSeats.get(tableId);
+  const strategy = getStrategy(seat ? seat.strategy : undefined);
+  return { strategy: strategy.name, ...strategy.decide(context) };
+}
 
-      // Get game state info
-      const [tableStake, currentBet, isPlayerActive, isSittingOut, position] = 
-        await pokerContract.getPlayerInfo(tableId, houseAddress);
-      
-      const houseCards = await pokerContract.getPlayerCards(tableId, houseAddress);
-      const communityCards = await pokerContract.getCommunityCards(tableId);
+// Makes the house's move at a table with the seat's strategy
+async function playHouseTurn(tableId) {
+  const houseAddress = await houseSigner.getAddress();
+  const decision = await decideHouseAction(tableId, houseAddress);
+  console.log('House decision:', {
+    tableId,
+    strategy: decision.strategy,
+    action: decision.action,
+    amount: decision.amount === undefined ? undefined : ethers.formatEther(decision.amount),
+    reasoning: decision.reasoning
+  });
 
-      // Simple house strategy based on hand strength
-      const handStrength = evaluateHouseHand(
-        houseCards.map(c => Number(c)), 
-        communityCards.map(c => Number(c))
-      );
-      
-      console.log('House hand evaluation:', {
-        handStrength,
-        houseCards: houseCards.map(c => Number(c)),
-        communityCards: communityCards.map(c => Number(c)),
-        tableStake: ethers.formatEther(tableStake),
-        currentBet: ethers.formatEther(currentBet)
-      });
-      
-      let tx;
-      
-      if (handStrength >= 0.5) { // Strong hand
-        // Raise 2x the current bet
-        const raiseAmount = currentBet * 2n;
-        if (tableStake >= raiseAmount) {
-          console.log('House raising:', ethers.formatEther(raiseAmount));
-          tx = await pokerContract.connect(houseSigner).raise(tableId, raiseAmount, {
-            gasLimit: 500000
-          });
-        } else {
-          console.log('House calling (insufficient funds to raise)');
-          tx = await pokerContract.connect(houseSigner).call(tableId, {
-            gasLimit: 500000
-          });
-        }
-      } else if (handStrength >= 0.1) { // Medium hand
-        // Call or check
-        if (currentBet > 0n) {
-          console.log('House calling');
-          tx = await pokerContract.connect(houseSigner).call(tableId, {
-            gasLimit: 500000
-          });
-        } else {
-          console.log('House checking');
-          tx = await pokerContract.connect(houseSigner).check(tableId, {
-            gasLimit: 500000
-          });
-        }
-      } else { // Weak hand
-        // Fold if there's a bet, check if possible
-        if (currentBet > 0n) {
-          console.log('House folding');
-          tx = await pokerContract.connect(houseSigner).fold(tableId, {
-            gasLimit: 500000
-          });
-        } else {
-          console.log('House checking (weak hand)');
-          tx = await pokerContract.connect(houseSigner).check(tableId, {
-            gasLimit: 500000
-          });
-        }
-      }
+  const house = pokerContract.connect(houseSigner);
+  const tx = decision.action === 'raise'
+    ? await house.raise(tableId, decision.amount, { gasLimit: 500000 })
+    : await house[decision.action](tableId, { gasLimit: 500000 });
+  const receipt = await tx.wait();
+  console.log('House played action:', receipt.hash);
 
-      const receipt = await tx.wait();
-      console.log('House played action:', receipt.hash);
+  return {
+    strategy: decision.strategy,
+    action: decision.action,
+    amount: decision.amount === undefined ? undefined : decision.amount.toString(),
+    txHash: receipt.hash
+  };
+}
 
-    } catch (error) {
-      console.error('Error in house play monitoring:', error);
-      
-      // If the table is no longer active or house is not in the game, stop monitoring
-      if (error.message.includes('Table not active') || 
-          error.message.includes('Player not at table')) {
-        console.log('Stopping monitor for table:', tableId);
-        clearInterval(monitor);
-        houseMonitors.delete(tableId);
-      }
+// The events that drive the house at every table, from the shared Poker
+// event subscription
+function subscribeHouseEvents(handlers) {
+  const byEvent = {
+    TurnStarted: (log) => handlers.turnStarted(log.args.tableId.toString(), log.args.player),
+    RoundComplete: (log) => handlers.roundComplete(log.args.tableId.toString()),
+    HandComplete: (log) => handlers.handComplete(log.args.tableId.toString())
+  };
+  return onPokerEvent((log) => byEvent[log.name] && byEvent[log.name](log));
+}
+
+// Plays house seats as Poker.sol's events come in, re-reading watched tables
+// every POKER_HOUSE_RESYNC_MS in case an event was missed
+const houseBot = new PokerHouseBot({
+  subscribe: subscribeHouseEvents,
+  getTurn: currentPokerTurn,
+  act: playHouseTurn,
+  getHouseAddress: () => houseSigner.getAddress(),
+  thinkMs: Number(process.env.POKER_HOUSE_THINK_MS) || undefined,
+  resyncMs: Number(process.env.POKER_HOUSE_RESYNC_MS) || undefined
+});
+
+app.get('/poker/house-bot', (req, res) => {
+  res.json({
+    success: true,
+    ...houseBot.status()
+  });
+});
+
+// Tables the house is seated at on-chain
+async function seatedHouseTables() {
+  const houseAddress = (await houseSigner.getAddress()).toLowerCase();
+  const seated = [];
+  for (const tableId of await activePokerTables()) {
+    const players = await pokerContract.getTablePlayers(tableId);
+    if (players.some(player => player.toLowerCase() === houseAddress)) {
+      seated.push(tableId);
     }
-  }, 3000); // Check every 3 seconds
+  }
+  return seated;
+}
 
-  houseMonitors.set(tableId, monitor);
-};
+// Rebuilds the house seats from on-chain seating and restarts their bots
+async function restoreHouseSeats() {
+  const { seats, dropped, added } = houseSeats.reconcile(await seatedHouseTables());
+  for (const seat of seats) {
+    if (!seat.paused) houseBot.watch(seat.tableId);
+  }
+  console.log('House seats restored:', {
+    tables: seats.map(seat => seat.tableId),
+    paused: seats.filter(seat => seat.paused).map(seat => seat.tableId),
+    dropped,
+    added
+  });
+}
+restoreHouseSeats().catch(error => console.error('Failed to restore house seats:', error));
+
+// Responds 404 and returns null when the house has no seat at the table
+function findHouseSeat(tableId, res) {
+  const seat = houseSeats.get(tableId);
+  if (!seat) {
+    res.status(404).json({
+      success: false,
+      error: `House is not seated at table ${tableId}`
+    });
+  }
+  return seat;
+}
 
-// Simple hand strength evaluation (0-1 scale)
-const evaluateHouseHand = (houseCards, communityCards) => {
+app.get('/poker/house-seats', async (req, res) => {
   try {
-    // Convert card numbers to values and suits
-    const allCards = [...houseCards, ...communityCards].map(card => ({
-      value: ((card - 1) % 13) + 1,
-      suit: Math.floor((card - 1) / 13)
+    const houseAddress = await houseSigner.getAddress();
+    const bot = new Map(houseBot.status().tables.map(table => [table.tableId, table]));
+    const seats = await Promise.all(houseSeats.list().map(async (seat) => {
+      const playerInfo = await pokerContract.getPlayerInfo(seat.tableId, houseAddress);
+      return {
+        ...seat,
+        stack: playerInfo.tableStake.toString(),
+        inHand: playerInfo.isActive,
+        watching: houseBot.isWatching(seat.tableId),
+        bot: bot.get(seat.tableId) || null
+      };
     }));
 
-    // Count pairs, three of a kind, etc.
-    const valueCounts = {};
-    allCards.forEach(card => {
-      valueCounts[card.value] = (valueCounts[card.value] || 0) + 1;
+    res.json({
+      success: true,
+      houseAddress,
+      seats
+    });
+  } catch (error) {
+    console.error('Error listing house seats:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// While paused the house seat is left to the turn clock, which checks or
+// folds for it when its time runs out
+app.post('/poker/house-seats/:tableId/pause', requireAdmin, (req, res) => {
+  try {
+    const { tableId } = req.params;
+    if (!findHouseSeat(tableId, res)) return;
+    houseBot.unwatch(tableId);
+    res.json({
+      success: true,
+      seat: houseSeats.update(tableId, { paused: true })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.post('/poker/house-seats/:tableId/resume', requireAdmin, (req, res) => {
+  try {
+    const { tableId } = req.params;
+    if (!findHouseSeat(tableId, res)) return;
+    const seat = houseSeats.update(tableId, { paused: false });
+    houseBot.watch(tableId);
+    res.json({
+      success: true,
+      seat
     });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Check for pairs, three of a kind, etc.
-    const pairs = Object.values(valueCounts).filter(count => count === 2).length;
-    const threeOfKind = Object.values(valueCounts).some(count => count === 3);
-    const fourOfKind = Object.values(valueCounts).some(count => count === 4);
+// The house rebuys between hands to bring its stack up to `amount` (wei),
+// which defaults to the table's max buy-in. It keeps its seat throughout.
+app.post('/poker/house-seats/:tableId/top-up', requireAdmin, async (req, res) => {
+  const { tableId } = req.params;
+  let resumeBot = false;
+  try {
+    const seat = findHouseSeat(tableId, res);
+    if (!seat) return;
+    const houseAddress = await houseSigner.getAddress();
+    const [tableInfo, playerInfo] = await Promise.all([
+      pokerContract.getTableInfo(tableId),
+      pokerContract.getPlayerInfo(tableId, houseAddress)
+    ]);
+    const target = req.body.amount === undefined ? tableInfo.maxBuyIn : BigInt(req.body.amount);
 
-    // Simple scoring system
-    if (fourOfKind) return 1.0;
-    if (threeOfKind && pairs > 0) return 0.9;
-    if (threeOfKind) return 0.7;
-    if (pairs === 2) return 0.6;
-    if (pairs === 1) return 0.4;
-    
-    // High card - scale based on highest card
-    const highestCard = Math.max(...allCards.map(card => card.value));
-    return 0.2 + (highestCard / 13) * 0.2;
+    if (!BETWEEN_HANDS.includes(Number(tableInfo.gameState))) {
+      return res.status(409).json({
+        success: false,
+        error: 'The house can only top up between hands'
+      });
+    }
+    if (target > tableInfo.maxBuyIn || target <= playerInfo.tableStake) {
+      return res.status(400).json({
+        success: false,
+        error: `Top-up must be above the current stack and at most the max buy-in (${ethers.formatEther(tableInfo.maxBuyIn)} ETH)`
+      });
+    }
 
+    resumeBot = houseBot.unwatch(tableId);
+    const house = pokerContract.connect(houseSigner);
+
+    console.log('House topping up:', {
+      tableId,
+      from: ethers.formatEther(playerInfo.tableStake),
+      to: ethers.formatEther(target)
+    });
+    const added = target - playerInfo.tableStake;
+    await fundHouseTreasury(added);
+    const receipt = await (await house.rebuy(tableId, added, { gasLimit: 500000 })).wait();
+
+    if (!seat.paused) houseBot.watch(tableId);
+
+    res.json({
+      success: true,
+      txHash: receipt.hash,
+      seat: houseSeats.update(tableId, { buyIn: target.toString() }),
+      previousStack: playerInfo.tableStake.toString(),
+      stack: target.toString()
+    });
   } catch (error) {
-    console.error('Error evaluating house hand:', error);
-    return 0.5; // Default to medium strength on error
+    console.error('Error topping up house stack:', error);
+    if (resumeBot) {
+      houseBot.watch(tableId);
+    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-};
+});
 
-// Keep track of active house monitors
-const houseMonitors = new Map();
+// Takes the house off a table; its stake goes back to the treasury
+app.post('/poker/remove-house', requireAdmin, async (req, res) => {
+  try {
+    const { tableId } = req.body;
+    if (!findHouseSeat(tableId, res)) return;
+
+    houseBot.unwatch(tableId);
+    const tx = await pokerContract.connect(houseSigner).leaveTable(tableId, { gasLimit: 500000 });
+    const receipt = await tx.wait();
+    houseSeats.remove(tableId);
+    console.log('House left table:', { tableId, txHash: receipt.hash });
+
+    res.json({
+      success: true,
+      txHash: receipt.hash
+    });
+  } catch (error) {
+    console.error('Error removing house from table:', error);
+    // Still seated, so keep playing unless the seat was paused
+    const seat = houseSeats.get(req.body.tableId);
+    if (seat && !seat.paused) houseBot.watch(seat.tableId);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { shuffle } = require('../common/shuffle');
+const { JsonFileStore } = require('../store/jsonFileStore');
+
+const DECK_SIZE = 52;
+const ORDERED_DECK = Array.from({ length: DECK_SIZE }, (_, i) => i + 1);
+
+// One freshly shuffled 52-card deck per table per hand. Every card the server
+// deals comes off the top of the table's deck, so no card can appear twice in
+// a hand. Burned cards are set aside face down and never dealt.
+//
+// Hole cards never go on-chain before the showdown. Each hand gets a random
+// salt and Poker.sol is given holeCardCommitment() of it; the cards and salt
+// are revealed to the contract only for the hands that are shown down.
+//
+// With a filePath the decks are kept on disk, so a restart mid-hand carries on
+// dealing from the same deck, and can still reveal its hole cards, instead of
+// shuffling a new one.
+class PokerDeckService {
+  constructor({ randomInt, filePath } = {}) {
+    this.randomInt = randomInt;
+    this.store = filePath ? new JsonFileStore(filePath, { decks: {} }) : null;
+    // tableId => { handNumber, cards, dealt, burned, hands, startedAt }, where
+    // hands is player (lowercase) => { cards, salt }
+    this.decks = new Map(this.store ? Object.entries(this.store.data.decks) : []);
+  }
+
+  save() {
+    if (!this.store) return;
+    this.store.data.decks = Object.fromEntries(this.decks);
+    this.store.save();
+  }
+
+  // Shuffles a new deck for the table's next hand. handNumber is the hand's
+  // number on-chain, and defaults to one more than the last deck's.
+  newHand(tableId, handNumber) {
+    const key = String(tableId);
+    const previous = this.decks.get(key);
+    const deck = {
+      handNumber: handNumber === undefined ? (previous ? previous.handNumber + 1 : 1) : Number(handNumber),
+      cards: shuffle(ORDERED_DECK, this.randomInt),
+      dealt: [],
+      burned: [],
+      hands: {},
+      startedAt: Date.now()
+    };
+    this.decks.set(key, deck);
+    this.save();
+    return deck;
+  }
+
+  // The table's current deck, shuffling one if the table has none yet
+  deck(tableId) {
+    return this.decks.get(String(tableId)) || this.newHand(tableId);
+  }
+
+  draw(tableId, count, { burn = false } = {}) {
+    const cards = this.take(tableId, count, { burn });
+    this.save();
+    return cards;
+  }
+
+  take(tableId, count, { burn = false } = {}) {
+    const deck = this.deck(tableId);
+    const needed = count + (burn ? 1 : 0);
+    if (deck.cards.length < needed) {
+      throw new Error(`Deck for table ${tableId} has ${deck.cards.length} cards left, ${needed} needed`);
+    }
+
+    if (burn) {
+      deck.burned.push(deck.cards.shift());
+    }
+    const cards = deck.cards.splice(0, count);
+    deck.dealt.push(...cards);
+    return cards;
+  }
+
+  burn(tableId) {
+    const deck = this.deck(tableId);
+    if (deck.cards.length === 0) {
+      throw new Error(`Deck for table ${tableId} is empty`);
+    }
+    const card = deck.cards.shift();
+    deck.burned.push(card);
+    this.save();
+    return card;
+  }
+
+  // Two hole cards each, dealt one at a time around the table as at a live game
+  dealHoleCards(tableId, players) {
+    const deck = this.deck(tableId);
+    if (deck.cards.length < players.length * 2) {
+      throw new Error(`Deck for table ${tableId} cannot deal ${players.length} hands`);
+    }
+
+    const hands = new Map(players.map(player => [player, []]));
+    for (let round = 0; round < 2; round++) {
+      for (const player of players) {
+        hands.get(player).push(...this.take(tableId, 1));
+      }
+    }
+    for (const [player, cards] of hands) {
+      deck.hands[player.toLowerCase()] = { cards, salt: ethers.hexlify(crypto.randomBytes(32)) };
+    }
+    this.save();
+    return hands;
+  }
+
+  // The player's hole cards this hand, or null if they were not dealt in
+  holeCards(tableId, player) {
+    const deck = this.decks.get(String(tableId));
+    const hand = deck && deck.hands[player.toLowerCase()];
+    return hand ? hand.cards : null;
+  }
+
+  // Poker.sol's commitment per seat, in seat order, with bytes32(0) for seats
+  // not dealt in
+  commitments(tableId, seats) {
+    const deck = this.deck(tableId);
+    return seats.map(player => {
+      const hand = deck.hands[player.toLowerCase()];
+      if (!hand) return ethers.ZeroHash;
+      return holeCardCommitment({ tableId, handNumber: deck.handNumber, player, ...hand });
+    });
+  }
+
+  // startShowdown's arguments: two cards and a salt per seat, in seat order.
+  // Only `shown` seats are revealed; the rest stay mucked as 0, 0.
+  reveal(tableId, seats, shown = seats) {
+    const deck = this.deck(tableId);
+    const showing = new Set(shown.map(player => player.toLowerCase()));
+    const hands = seats.map(player => showing.has(player.toLowerCase()) && deck.hands[player.toLowerCase()]);
+    return {
+      cards: hands.flatMap(hand => (hand ? hand.cards : [0, 0])),
+      salts: hands.map(hand => (hand ? hand.salt : ethers.ZeroHash))
+    };
+  }
+
+  // Counts only: the order of the remaining cards stays secret
+  status(tableId) {
+    const deck = this.decks.get(String(tableId));
+    if (!deck) return null;
+    return {
+      handNumber: deck.handNumber,
+      dealt: deck.dealt.length,
+      burned: deck.burned.length,
+      remaining: deck.cards.length,
+      startedAt: deck.startedAt
+    };
+  }
+}
+
+// keccak256(tableId, handNumber, player, card1, card2, salt), as Poker.sol
+// checks it at the showdown
+function holeCardCommitment({ tableId, handNumber, player, cards, salt }) {
+  return ethers.solidityPackedKeccak256(
+    ['uint256', 'uint256', 'address', 'uint8', 'uint8', 'bytes32'],
+    [tableId, handNumber, player, cards[0], cards[1], salt]
+  );
+}
+
+module.exports = { PokerDeckService, DECK_SIZE, holeCardCommitment };
@@ -0,0 +1,171 @@
+// Texas Hold'em hand evaluation: the best five of up to seven cards, as a
+// category plus the ranks that break ties within it. Categories use the same
+// order and numbering as Poker.sol's HandRank enum.
+const HAND_RANKS = [
+  'HighCard',
+  'Pair',
+  'TwoPair',
+  'ThreeOfAKind',
+  'Straight',
+  'Flush',
+  'FullHouse',
+  'FourOfAKind',
+  'StraightFlush',
+  'RoyalFlush'
+];
+const HAND_RANK = Object.fromEntries(HAND_RANKS.map((name, i) => [name, i]));
+
+const HAND_NAMES = [
+  'High Card',
+  'Pair',
+  'Two Pair',
+  'Three of a Kind',
+  'Straight',
+  'Flush',
+  'Full House',
+  'Four of a Kind',
+  'Straight Flush',
+  'Royal Flush'
+];
+
+const RANK_LABELS = { 11: 'J', 12: 'Q', 13: 'K', 14: 'A' };
+const ACE = 14;
+
+// Cards are 1-52 in suit blocks of 13 running A, 2 ... K. Aces rank high (14);
+// the wheel (A-2-3-4-5) is handled when looking for straights.
+function parseCard(card) {
+  const n = Number(card);
+  if (!Number.isInteger(n) || n < 1 || n > 52) {
+    throw new Error(`Invalid card: ${card}`);
+  }
+  const index = (n - 1) % 13;
+  return {
+    rank: index === 0 ? ACE : index + 1,
+    suit: Math.floor((n - 1) / 13)
+  };
+}
+
+const rankLabel = (rank) => RANK_LABELS[rank] || String(rank);
+
+// High card of the straight in a set of distinct ranks sorted high to low, or 0
+function straightHigh(ranks) {
+  const unique = [...new Set(ranks)];
+  if (unique[0] === ACE) unique.push(1);
+  for (let i = 0; i + 4 < unique.length; i++) {
+    if (unique[i] - unique[i + 4] === 4) return unique[i];
+  }
+  return 0;
+}
+
+function evaluateFive(cards) {
+  const parsed = cards.map(parseCard);
+  const ranks = parsed.map(c => c.rank).sort((a, b) => b - a);
+  const isFlush = parsed.every(c => c.suit === parsed[0].suit);
+  const high = new Set(ranks).size === 5 ? straightHigh(ranks) : 0;
+
+  // Ranks grouped by count, biggest group first, then by rank
+  const counts = new Map();
+  for (const rank of ranks) counts.set(rank, (counts.get(rank) || 0) + 1);
+  const groups = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+  const grouped = groups.map(([rank]) => rank);
+  const shape = groups.map(([, count]) => count).join('');
+
+  let rank;
+  let kickers = grouped;
+  if (high && isFlush) {
+    rank = high === ACE ? HAND_RANK.RoyalFlush : HAND_RANK.StraightFlush;
+    kickers = [high];
+  } else if (shape === '41') {
+    rank = HAND_RANK.FourOfAKind;
+  } else if (shape === '32') {
+    rank = HAND_RANK.FullHouse;
+  } else if (isFlush) {
+    rank = HAND_RANK.Flush;
+  } else if (high) {
+    rank = HAND_RANK.Straight;
+    kickers = [high];
+  } else if (shape === '311') {
+    rank = HAND_RANK.ThreeOfAKind;
+  } else if (shape === '221') {
+    rank = HAND_RANK.TwoPair;
+  } else if (shape === '2111') {
+    rank = HAND_RANK.Pair;
+  } else {
+    rank = HAND_RANK.HighCard;
+  }
+
+  return { rank, kickers, cards: cards.map(Number) };
+}
+
+// Positive when a beats b, negative when b wins, 0 for a split
+function compareHands(a, b) {
+  if (a.rank !== b.rank) return a.rank - b.rank;
+  for (let i = 0; i < Math.max(a.kickers.length, b.kickers.length); i++) {
+    const diff = (a.kickers[i] || 0) - (b.kickers[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+function* combinations(items, size, start = 0, chosen = []) {
+  if (chosen.length === size) {
+    yield chosen;
+    return;
+  }
+  for (let i = start; i <= items.length - (size - chosen.length); i++) {
+    yield* combinations(items, size, i + 1, [...chosen, items[i]]);
+  }
+}
+
+// Best five-card hand from five to seven cards (hole cards plus board)
+function evaluateHand(cards) {
+  const all = cards.map(Number);
+  if (all.length < 5 || all.length > 7) {
+    throw new Error(`Need 5 to 7 cards to evaluate a hand, got ${all.length}`);
+  }
+  if (new Set(all).size !== all.length) {
+    throw new Error('Hand contains duplicate cards');
+  }
+
+  let best = null;
+  for (const five of combinations(all, 5)) {
+    const hand = evaluateFive(five);
+    if (!best || compareHands(hand, best) > 0) best = hand;
+  }
+
+  return {
+    ...best,
+    category: HAND_RANKS[best.rank],
+    name: HAND_NAMES[best.rank],
+    description: `${HAND_NAMES[best.rank]} (${best.kickers.map(rankLabel).join(', ')})`
+  };
+}
+
+// Evaluates every player's hole cards against the board and marks the
+// winner(s); ties share the win
+function rankHands(players, communityCards) {
+  const hands = players.map(({ player, cards }) => ({
+    player,
+    holeCards: cards.map(Number),
+    hand: evaluateHand([...cards, ...communityCards])
+  }));
+
+  let best = null;
+  for (const { hand } of hands) {
+    if (!best || compareHands(hand, best) > 0) best = hand;
+  }
+  return hands
+    .map(entry => ({ ...entry, winner: compareHands(entry.hand, best) === 0 }))
+    .sort((a, b) => compareHands(b.hand, a.hand));
+}
+
+module.exports = {
+  HAND_RANKS,
+  HAND_RANK,
+  HAND_NAMES,
+  parseCard,
+  evaluateHand,
+  compareHands,
+  rankHands
+};
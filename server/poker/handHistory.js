@@ -0,0 +1,328 @@
+const { ethers } = require('ethers');
+const { JsonFileStore } = require('../store/jsonFileStore');
+const { HAND_NAMES, parseCard } = require('./handEvaluator');
+
+const MAX_HANDS = 1000;
+const SUIT_LETTERS = ['s', 'c', 'h', 'd'];
+const RANK_LETTERS = { 10: 'T', 11: 'J', 12: 'Q', 13: 'K', 14: 'A' };
+const STREET_BY_BOARD = { 3: 'flop', 4: 'turn', 5: 'river' };
+const STREET_TITLES = { flop: 'FLOP', turn: 'TURN', river: 'RIVER' };
+const FOLDED_ON = { preflop: 'before Flop', flop: 'on the Flop', turn: 'on the Turn', river: 'on the River' };
+const onStreet = (street) => FOLDED_ON[street] || `on the ${street}`;
+
+// Card number 1-52 as hand-history text, e.g. "Ah" or "Tc"
+function cardText(card) {
+  const { rank, suit } = parseCard(card);
+  return `${RANK_LETTERS[rank] || rank}${SUIT_LETTERS[suit]}`;
+}
+
+const cardsText = (cards) => `[${cards.map(cardText).join(' ')}]`;
+const eth = (amount) => ethers.formatEther(BigInt(amount));
+const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Record of every poker hand, built from Poker.sol's events plus what the
+// server itself knows (stacks at the start of the hand, the hole cards it
+// dealt, showdown hands). Amounts are kept as wei strings.
+//
+// A hand is opened with startHand() when a table starts dealing, fed events
+// with record() and closed by the HandComplete event, which follows a
+// HandWinner for each player paid from the pot, and a RakeTaken for each
+// winner raked, and calls onHandClosed(hand). Events for a table with no open
+// hand are ignored.
+class PokerHandHistory {
+  constructor({ filePath, maxHands = MAX_HANDS, onHandClosed = () => {} }) {
+    this.store = new JsonFileStore(filePath, { nextHandId: 1, open: {}, hands: [] });
+    this.maxHands = maxHands;
+    this.onHandClosed = onHandClosed;
+  }
+
+  // seats: [{ player, stack }] in seat order, stacks before blinds.
+  // blinds: [{ player, amount, type: 'small' | 'big', txHash }] when they are
+  // already known from the transaction that started the hand; its
+  // BlindsPosted event is then not recorded a second time.
+  startHand(tableId, { seats, smallBlind, bigBlind, blinds = [], at = Date.now() }) {
+    const id = String(tableId);
+    if (this.store.data.open[id]) {
+      this.close(id, { incomplete: true, at });
+    }
+
+    const hand = {
+      handId: this.store.data.nextHandId++,
+      tableId: id,
+      startedAt: at,
+      endedAt: null,
+      smallBlind: smallBlind.toString(),
+      bigBlind: bigBlind.toString(),
+      seats: seats.map(({ player, stack }, seat) => ({ seat: seat + 1, player, stack: stack.toString() })),
+      holeCards: {},
+      board: [],
+      street: 'preflop',
+      actions: [],
+      showdown: [],
+      winners: [],
+      rake: '0',
+      raked: [],
+      incomplete: false
+    };
+    this.store.data.open[id] = hand;
+    for (const { player, amount, type, txHash = null } of blinds) {
+      this.addAction(hand, { player, action: `posts ${type} blind`, amount: amount.toString(), txHash, at });
+    }
+    this.store.save();
+    return hand;
+  }
+
+  // hands: player => [card, card] for everyone dealt in. Hole cards never go
+  // on-chain before the showdown, so they come from the server's deck.
+  dealHoleCards(tableId, hands) {
+    const hand = this.store.data.open[String(tableId)];
+    if (!hand) return false;
+    for (const [player, cards] of hands) {
+      hand.holeCards[player.toLowerCase()] = cards.map(Number);
+    }
+    this.store.save();
+    return true;
+  }
+
+  addAction(hand, action) {
+    hand.actions.push({ street: hand.street, ...action });
+  }
+
+  // Chips the player has in on the current street
+  committed(hand, player) {
+    return hand.actions
+      .filter(a => a.street === hand.street && a.player && same(a.player, player) && a.amount)
+      .reduce((sum, a) => sum + BigInt(a.amount), 0n);
+  }
+
+  streetBet(hand) {
+    const bets = hand.seats.map(({ player }) => this.committed(hand, player));
+    return bets.reduce((max, bet) => (bet > max ? bet : max), 0n);
+  }
+
+  // event is { name, args, txHash, at } with args keyed by the event's
+  // parameter names. Returns false when there is no hand to record it in.
+  record(tableId, { name, args, txHash = null, at = Date.now() }) {
+    const id = String(tableId);
+    const hand = this.store.data.open[id];
+    if (!hand) return false;
+
+    switch (name) {
+      case 'BlindsPosted':
+        if (txHash && hand.actions.some(a => a.txHash === txHash && a.action.startsWith('posts'))) return false;
+        this.addAction(hand, { player: args.smallBlind, action: 'posts small blind', amount: args.smallBlindAmount.toString(), txHash, at });
+        this.addAction(hand, { player: args.bigBlind, action: 'posts big blind', amount: args.bigBlindAmount.toString(), txHash, at });
+        break;
+      case 'CommunityCardsDealt':
+        hand.board = args.cards.map(Number);
+        hand.street = STREET_BY_BOARD[hand.board.length] || hand.street;
+        break;
+      case 'BetPlaced':
+        // Named by the TurnEnded that follows in the same transaction
+        hand.pendingBet = { player: args.player, amount: args.amount.toString(), txHash };
+        break;
+      case 'TurnEnded':
+        this.recordTurn(hand, args, txHash, at);
+        break;
+      case 'PlayerFolded':
+        this.addAction(hand, { player: args.player, action: 'folds', txHash, at });
+        break;
+      case 'PlayerTimedOut':
+        // The check or fold made for them follows in the same transaction
+        this.addAction(hand, { player: args.player, action: 'has timed out', note: true, txHash, at });
+        break;
+      case 'PlayerLeft':
+        this.addAction(hand, { player: args.player, action: 'leaves the table', txHash, at });
+        break;
+      case 'HandWinner':
+        hand.winners.push({
+          player: args.winner,
+          amount: args.potAmount.toString(),
+          handRank: HAND_NAMES[Number(args.winningHandRank)],
+          txHash
+        });
+        break;
+      case 'RakeTaken':
+        // Taken from the winner's share of the pot before it was paid
+        hand.raked.push({ player: args.player, amount: args.amount.toString(), txHash });
+        hand.rake = (BigInt(hand.rake) + BigInt(args.amount)).toString();
+        break;
+      case 'HandComplete':
+        this.onHandClosed(this.close(id, { at }));
+        return true;
+      default:
+        return false;
+    }
+    this.store.save();
+    return true;
+  }
+
+  recordTurn(hand, { player, action }, txHash, at) {
+    // Folds are recorded from PlayerFolded
+    if (action === 'fold') return;
+
+    const pending = hand.pendingBet && same(hand.pendingBet.player, player) && hand.pendingBet.txHash === txHash
+      ? hand.pendingBet
+      : null;
+    delete hand.pendingBet;
+
+    if (action === 'check') {
+      this.addAction(hand, { player, action: 'checks', txHash, at });
+    } else if (action === 'call') {
+      this.addAction(hand, { player, action: 'calls', amount: pending ? pending.amount : '0', txHash, at });
+    } else if (action === 'raise') {
+      const amount = pending ? BigInt(pending.amount) : 0n;
+      const facing = this.streetBet(hand);
+      const to = this.committed(hand, player) + amount;
+      this.addAction(hand, {
+        player,
+        action: facing === 0n ? 'bets' : 'raises',
+        amount: amount.toString(),
+        to: to.toString(),
+        by: (to - facing).toString(),
+        txHash,
+        at
+      });
+    }
+  }
+
+  // shown: [{ player, cards, description }] for hands turned over at showdown
+  recordShowdown(tableId, shown) {
+    const hand = this.store.data.open[String(tableId)];
+    if (!hand) return false;
+    hand.showdown = shown.map(({ player, cards, description }) => ({ player, cards: cards.map(Number), description }));
+    this.store.save();
+    return true;
+  }
+
+  // Something the server did or saw that the contract has no event for, such
+  // as a timeout
+  close(tableId, { incomplete = false, at = Date.now() } = {}) {
+    const id = String(tableId);
+    const hand = this.store.data.open[id];
+    if (!hand) return null;
+
+    delete hand.pendingBet;
+    hand.endedAt = at;
+    hand.incomplete = incomplete;
+    delete this.store.data.open[id];
+    this.store.data.hands.push(hand);
+    if (this.store.data.hands.length > this.maxHands) {
+      this.store.data.hands.splice(0, this.store.data.hands.length - this.maxHands);
+    }
+    this.store.save();
+    return hand;
+  }
+
+  getHand(handId) {
+    return this.store.data.hands.find(hand => hand.handId === Number(handId)) || null;
+  }
+
+  // Finished hands, newest first
+  hands({ tableId, player, limit = 50 } = {}) {
+    return this.store.data.hands
+      .filter(hand => tableId === undefined || hand.tableId === String(tableId))
+      .filter(hand => !player || hand.seats.some(seat => same(seat.player, player)))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // The hand as `viewer` may see it: their own hole cards and anything shown
+  // down, nobody else's
+  view(hand, viewer = null) {
+    const { holeCards, ...rest } = hand;
+    const own = viewer ? holeCards[viewer.toLowerCase()] : undefined;
+    return {
+      ...rest,
+      holeCards: own ? { [viewer.toLowerCase()]: own } : {}
+    };
+  }
+
+  // PokerStars-style hand history text
+  toText(hand, viewer = null) {
+    const lines = [];
+    const date = new Date(hand.startedAt).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+    lines.push(`AIce Arena Hand #${hand.handId}: Hold'em No Limit (${eth(hand.smallBlind)}/${eth(hand.bigBlind)} ETH) - ${date}`);
+    lines.push(`Table '${hand.tableId}' ${hand.seats.length}-max`);
+    for (const { seat, player, stack } of hand.seats) {
+      lines.push(`Seat ${seat}: ${player} (${eth(stack)} ETH in chips)`);
+    }
+
+    const own = viewer ? hand.holeCards[viewer.toLowerCase()] : undefined;
+    const streetBoards = { flop: hand.board.slice(0, 3), turn: hand.board.slice(0, 4), river: hand.board };
+    let street = 'preflop';
+    let dealt = false;
+    for (const action of hand.actions) {
+      if (!dealt && !action.action.startsWith('posts')) {
+        lines.push('*** HOLE CARDS ***');
+        if (own) lines.push(`Dealt to ${viewer} ${cardsText(own)}`);
+        dealt = true;
+      }
+      if (action.street !== street) {
+        street = action.street;
+        lines.push(this.streetLine(street, streetBoards));
+      }
+      lines.push(this.actionLine(action));
+    }
+    // Streets dealt with no action on them (everyone all in, or folded to)
+    for (const boardStreet of ['flop', 'turn', 'river']) {
+      const dealt = hand.board.length >= { flop: 3, turn: 4, river: 5 }[boardStreet];
+      if (dealt && !hand.actions.some(a => a.street === boardStreet)) {
+        lines.push(this.streetLine(boardStreet, streetBoards));
+      }
+    }
+
+    if (hand.showdown.length > 0) {
+      lines.push('*** SHOW DOWN ***');
+      for (const { player, cards, description } of hand.showdown) {
+        lines.push(`${player}: shows ${cardsText(cards)} (${description})`);
+      }
+    }
+    for (const { player, amount } of hand.winners) {
+      lines.push(`${player} collected ${eth(amount)} ETH from pot`);
+    }
+
+    lines.push('*** SUMMARY ***');
+    const total = hand.winners.reduce((sum, w) => sum + BigInt(w.amount), BigInt(hand.rake || 0));
+    lines.push(`Total pot ${eth(total)} ETH | Rake ${eth(hand.rake || 0)} ETH`);
+    if (hand.board.length > 0) lines.push(`Board ${cardsText(hand.board)}`);
+    for (const { seat, player } of hand.seats) {
+      lines.push(`Seat ${seat}: ${player} ${this.summary(hand, player)}`);
+    }
+    if (hand.incomplete) lines.push('Hand was not completed');
+    return lines.join('\n');
+  }
+
+  streetLine(street, boards) {
+    const board = boards[street];
+    if (street === 'flop') return `*** FLOP *** ${cardsText(board)}`;
+    return `*** ${STREET_TITLES[street]} *** ${cardsText(board.slice(0, -1))} [${cardText(board[board.length - 1])}]`;
+  }
+
+  actionLine({ player, action, amount, to, by, note }) {
+    if (note) return `${player} ${action}`;
+    if (action === 'raises') return `${player}: raises ${eth(by)} to ${eth(to)} ETH`;
+    if (amount !== undefined) return `${player}: ${action} ${eth(amount)} ETH`;
+    return `${player}: ${action}`;
+  }
+
+  summary(hand, player) {
+    const won = hand.winners.find(w => same(w.player, player));
+    const shown = hand.showdown.find(s => same(s.player, player));
+    const folded = hand.actions.find(a => a.action === 'folds' && same(a.player, player));
+    const left = hand.actions.find(a => a.action === 'leaves the table' && same(a.player, player));
+
+    if (shown) {
+      return won
+        ? `showed ${cardsText(shown.cards)} and won (${eth(won.amount)} ETH) with ${shown.description}`
+        : `showed ${cardsText(shown.cards)} and lost with ${shown.description}`;
+    }
+    if (won) return `collected (${eth(won.amount)} ETH)`;
+    if (folded) return `folded ${onStreet(folded.street)}`;
+    if (left) return `left the table ${onStreet(left.street)}`;
+    if (hand.incomplete) return 'did not finish the hand';
+    return 'lost';
+  }
+}
+
+module.exports = { PokerHandHistory, cardText };
@@ -0,0 +1,198 @@
+const DEFAULT_THINK_MS = 1500;
+const DEFAULT_RESYNC_MS = 15000;
+
+// Contract errors meaning the house has no seat to play any more
+const SEAT_GONE_ERRORS = ['Table not active', 'Player not at table'];
+
+// Plays the house seat at every watched table from Poker.sol's events.
+//
+// subscribe(handlers) opens one event subscription for all tables and
+// returns a function that closes it; it is called with
+// { turnStarted(tableId, player), roundComplete(tableId), handComplete(tableId) }.
+// TurnStarted naming the house schedules a move after thinkMs; the end of a
+// round or hand re-reads the table, since a new street or hand can start with
+// the house to act without a TurnStarted of its own.
+//
+// getTurn(tableId) returns { player, key } for whoever is to act, or null, and
+// is checked again just before acting so a stale event never plays out of
+// turn. act(tableId) makes the move. Every resyncMs all tables are re-read as
+// a fallback for missed events.
+class PokerHouseBot {
+  constructor({
+    subscribe,
+    getTurn,
+    act,
+    getHouseAddress,
+    thinkMs = DEFAULT_THINK_MS,
+    resyncMs = DEFAULT_RESYNC_MS
+  }) {
+    this.subscribe = subscribe;
+    this.getTurn = getTurn;
+    this.act = act;
+    this.getHouseAddress = getHouseAddress;
+    this.thinkMs = thinkMs;
+    this.resyncMs = resyncMs;
+    // tableId => { pending, acting, actedKey, lastEvent, lastAction, lastError }
+    this.tables = new Map();
+    this.unsubscribe = null;
+    this.resyncTimer = null;
+  }
+
+  isWatching(tableId) {
+    return this.tables.has(String(tableId));
+  }
+
+  watch(tableId) {
+    const id = String(tableId);
+    if (this.tables.has(id)) return false;
+
+    this.tables.set(id, {
+      tableId: id,
+      pending: null,
+      acting: false,
+      actedKey: null,
+      lastEvent: null,
+      lastAction: null,
+      lastError: null
+    });
+    this.start();
+    this.resync(id).catch(error => console.error(`House bot resync failed on table ${id}:`, error.message));
+    return true;
+  }
+
+  unwatch(tableId) {
+    const id = String(tableId);
+    const table = this.tables.get(id);
+    if (!table) return false;
+
+    clearTimeout(table.pending);
+    this.tables.delete(id);
+    if (this.tables.size === 0) this.stop();
+    return true;
+  }
+
+  // Opens the shared subscription and fallback resync with the first table
+  start() {
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.subscribe({
+        turnStarted: (tableId, player) => this.turnStarted(tableId, player),
+        roundComplete: (tableId) => this.roundEnded(tableId, 'RoundComplete'),
+        handComplete: (tableId) => this.roundEnded(tableId, 'HandComplete')
+      });
+    }
+    if (!this.resyncTimer && this.resyncMs > 0) {
+      this.resyncTimer = setInterval(() => {
+        this.resyncAll().catch(error => console.error('House bot resync failed:', error));
+      }, this.resyncMs);
+    }
+  }
+
+  stop() {
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    clearInterval(this.resyncTimer);
+    this.resyncTimer = null;
+  }
+
+  async isHouse(player) {
+    const houseAddress = await this.getHouseAddress();
+    return Boolean(player) && player.toLowerCase() === houseAddress.toLowerCase();
+  }
+
+  async turnStarted(tableId, player) {
+    const table = this.tables.get(String(tableId));
+    if (!table) return;
+
+    table.lastEvent = { name: 'TurnStarted', player, at: Date.now() };
+    this.cancel(table);
+    if (await this.isHouse(player)) {
+      this.schedule(table);
+    }
+  }
+
+  async roundEnded(tableId, name) {
+    const table = this.tables.get(String(tableId));
+    if (!table) return;
+
+    table.lastEvent = { name, at: Date.now() };
+    this.cancel(table);
+    await this.resync(table.tableId);
+  }
+
+  async resyncAll() {
+    for (const tableId of this.tables.keys()) {
+      try {
+        await this.resync(tableId);
+      } catch (error) {
+        console.error(`House bot resync failed on table ${tableId}:`, error.message);
+      }
+    }
+  }
+
+  // Schedules a move if the table is waiting on the house and none is due
+  async resync(tableId) {
+    const table = this.tables.get(String(tableId));
+    if (!table || table.pending || table.acting) return;
+
+    const turn = await this.getTurn(table.tableId);
+    if (turn && turn.key !== table.actedKey && await this.isHouse(turn.player)) {
+      this.schedule(table);
+    }
+  }
+
+  cancel(table) {
+    clearTimeout(table.pending);
+    table.pending = null;
+  }
+
+  schedule(table) {
+    if (table.pending || table.acting) return;
+    table.pending = setTimeout(() => {
+      table.pending = null;
+      this.play(table.tableId).catch(error => console.error(`House bot failed on table ${table.tableId}:`, error.message));
+    }, this.thinkMs);
+  }
+
+  // Acts if it is still the house's turn; returns the act() result, or null
+  async play(tableId) {
+    const table = this.tables.get(String(tableId));
+    if (!table || table.acting) return null;
+
+    table.acting = true;
+    try {
+      const turn = await this.getTurn(table.tableId);
+      if (!turn || turn.key === table.actedKey || !(await this.isHouse(turn.player))) {
+        return null;
+      }
+
+      const result = await this.act(table.tableId);
+      table.actedKey = turn.key;
+      table.lastAction = { ...result, at: Date.now() };
+      table.lastError = null;
+      return result;
+    } catch (error) {
+      table.lastError = error.message;
+      if (SEAT_GONE_ERRORS.some(message => error.message.includes(message))) {
+        console.log('Stopping house bot for table:', table.tableId);
+        this.unwatch(table.tableId);
+      }
+      throw error;
+    } finally {
+      table.acting = false;
+    }
+  }
+
+  status() {
+    return {
+      subscribed: Boolean(this.unsubscribe),
+      thinkMs: this.thinkMs,
+      resyncMs: this.resyncMs,
+      tables: [...this.tables.values()].map(({ pending, ...table }) => ({
+        ...table,
+        moveScheduled: Boolean(pending)
+      }))
+    };
+  }
+}
+
+module.exports = { PokerHouseBot };
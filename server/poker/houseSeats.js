@@ -0,0 +1,88 @@
+const { JsonFileStore } = require('../store/jsonFileStore');
+const { DEFAULT_STRATEGY } = require('./houseStrategies');
+
+// The tables the house sits at, the strategy it plays at each and whether its
+// bot is paused, kept on disk so a restart picks up where it left off.
+// On-chain seating is the source of truth: reconcile() brings the saved seats
+// in line with the tables the house is actually seated at.
+class HouseSeatRegistry {
+  constructor({ filePath, defaultStrategy = DEFAULT_STRATEGY }) {
+    this.store = new JsonFileStore(filePath, { seats: {} });
+    this.defaultStrategy = defaultStrategy;
+  }
+
+  get(tableId) {
+    return this.store.data.seats[String(tableId)] || null;
+  }
+
+  list() {
+    return Object.values(this.store.data.seats);
+  }
+
+  add(tableId, { strategy = this.defaultStrategy, buyIn, now = Date.now() } = {}) {
+    const seat = {
+      tableId: String(tableId),
+      strategy,
+      paused: false,
+      buyIn: buyIn === undefined ? null : buyIn.toString(),
+      joinedAt: now,
+      updatedAt: now
+    };
+    this.store.data.seats[seat.tableId] = seat;
+    this.store.save();
+    return seat;
+  }
+
+  update(tableId, changes, now = Date.now()) {
+    const seat = this.get(tableId);
+    if (!seat) {
+      throw new Error(`House is not seated at table ${tableId}`);
+    }
+    Object.assign(seat, changes, { updatedAt: now });
+    this.store.save();
+    return seat;
+  }
+
+  remove(tableId) {
+    const id = String(tableId);
+    if (!this.store.data.seats[id]) return false;
+    delete this.store.data.seats[id];
+    this.store.save();
+    return true;
+  }
+
+  // Drops saved seats the house no longer holds and adds any it holds that
+  // were never saved. Returns the seats after reconciling.
+  reconcile(seatedTableIds, now = Date.now()) {
+    const seated = new Set(seatedTableIds.map(String));
+    const dropped = [];
+    const added = [];
+
+    for (const tableId of Object.keys(this.store.data.seats)) {
+      if (!seated.has(tableId)) {
+        delete this.store.data.seats[tableId];
+        dropped.push(tableId);
+      }
+    }
+    for (const tableId of seated) {
+      if (!this.store.data.seats[tableId]) {
+        this.store.data.seats[tableId] = {
+          tableId,
+          strategy: this.defaultStrategy,
+          paused: false,
+          buyIn: null,
+          joinedAt: null,
+          updatedAt: now
+        };
+        added.push(tableId);
+      }
+    }
+
+    if (dropped.length > 0 || added.length > 0) {
+      this.store.save();
+    }
+    return { seats: this.list(), dropped, added };
+  }
+}
+
+module.exports = { HouseSeatRegistry };
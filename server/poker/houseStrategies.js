@@ -0,0 +1,311 @@
+const { DECK_SIZE } = require('./deck');
+const { evaluateHand, compareHands, parseCard } = require('./handEvaluator');
+const { GAME_STATE } = require('./tableOrchestrator');
+const { shuffle } = require('../common/shuffle');
+
+// Decision strategies for the house seat. A strategy is
+// { name, description, decide(context, { random }) } where decide returns
+// { action, amount, reasoning } with action one of fold/check/call/raise,
+// amount (raises only) the total bet to raise to in wei, and reasoning a list
+// of short notes on why, for the logs.
+//
+// The context describes the house's spot:
+//   holeCards, board       card numbers 1-52
+//   street                 'preflop', 'flop', 'turn' or 'river'
+//   pot, toCall, tableBet, playerBet, stack, bigBlind, minBet, maxBet  wei
+//   position               'early', 'middle' or 'late'
+//   opponents              other players still in the hand
+
+// Betting street for each of Poker.sol's betting game states
+const STREETS = {
+  [GAME_STATE.PreFlop]: 'preflop',
+  [GAME_STATE.Flop]: 'flop',
+  [GAME_STATE.Turn]: 'turn',
+  [GAME_STATE.River]: 'river'
+};
+
+// Hand strength on a 0-1 scale. Before the flop hole cards are scored on
+// rank, pairs, suits and connectedness; after it the evaluator's category
+// decides, with kickers placing the hand within its category's band.
+const HAND_STRENGTH = [0.2, 0.4, 0.6, 0.7, 0.75, 0.8, 0.9, 1.0, 1.0, 1.0];
+
+function preflopStrength(holeCards) {
+  const [a, b] = holeCards.map(parseCard);
+  const high = Math.max(a.rank, b.rank);
+  const low = Math.min(a.rank, b.rank);
+  if (a.rank === b.rank) return 0.45 + (high / 14) * 0.55;
+
+  const gap = high - low;
+  let strength = (high / 14) * 0.35 + (low / 14) * 0.2;
+  if (a.suit === b.suit) strength += 0.08;
+  if (gap <= 1) strength += 0.06;
+  else if (gap === 2) strength += 0.03;
+  return strength;
+}
+
+function handStrength(holeCards, board) {
+  if (board.length === 0) return preflopStrength(holeCards);
+  const hand = evaluateHand([...holeCards, ...board]);
+  return Math.min(1, HAND_STRENGTH[hand.rank] + (hand.kickers[0] / 14) * 0.05);
+}
+
+// Share of the pot the house wins against `opponents` random hands, found by
+// dealing out the rest of the board `iterations` times
+function estimateEquity(holeCards, board, { opponents = 1, iterations = 300, random = Math.random } = {}) {
+  const known = new Set([...holeCards, ...board]);
+  const remaining = [];
+  for (let card = 1; card <= DECK_SIZE; card++) {
+    if (!known.has(card)) remaining.push(card);
+  }
+  const randomInt = (max) => Math.floor(random() * max);
+  const boardNeeded = 5 - board.length;
+
+  let won = 0;
+  for (let i = 0; i < iterations; i++) {
+    const deck = shuffle(remaining, randomInt);
+    const fullBoard = [...board, ...deck.slice(0, boardNeeded)];
+    const ours = evaluateHand([...holeCards, ...fullBoard]);
+
+    let tied = 0;
+    let beaten = false;
+    for (let o = 0; o < opponents; o++) {
+      const start = boardNeeded + o * 2;
+      const theirs = evaluateHand([deck[start], deck[start + 1], ...fullBoard]);
+      const order = compareHands(ours, theirs);
+      if (order < 0) {
+        beaten = true;
+        break;
+      }
+      if (order === 0) tied++;
+    }
+    if (!beaten) won += 1 / (tied + 1);
+  }
+  return won / iterations;
+}
+
+// a / b as a plain number, for wei amounts
+function ratio(a, b) {
+  if (b === 0n) return a === 0n ? 0 : Infinity;
+  return Number((a * 10000n) / b) / 10000;
+}
+
+// Scales a wei amount by a plain-number factor
+const scale = (amount, factor) => (amount * BigInt(Math.round(factor * 1000))) / 1000n;
+
+// Share of the final pot the house has to put in to call
+const potOdds = (context) => ratio(context.toCall, context.pot + context.toCall);
+
+// Stack depth in big blinds
+const stackDepth = (context) => ratio(context.stack, context.bigBlind);
+
+// Where the seat acts relative to the dealer
+function seatPosition(seat, dealer, playerCount) {
+  if (playerCount <= 2) return seat === dealer ? 'late' : 'early';
+  const fromButton = (seat - dealer + playerCount) % playerCount;
+  if (fromButton === 0 || fromButton === playerCount - 1) return 'late';
+  if (fromButton <= Math.ceil((playerCount - 1) / 2)) return 'early';
+  return 'middle';
+}
+
+// A raise to `target`, or the next best thing when the table won't take it.
+// Poker.sol takes the total bet to raise to, up to maxBet and as much as the
+// stack covers on top of what is already in, and at least minBet unless it
+// puts the stack all-in.
+function raiseTo(context, target, reasoning) {
+  const floor = context.tableBet + context.bigBlind > context.minBet
+    ? context.tableBet + context.bigBlind
+    : context.minBet;
+  const allIn = context.playerBet + context.stack;
+  const ceiling = allIn < context.maxBet ? allIn : context.maxBet;
+
+  if (ceiling <= context.tableBet || (ceiling < floor && ceiling !== allIn)) {
+    return continueWith(context, [...reasoning, 'cannot raise at this table, continuing instead']);
+  }
+  let amount = target < floor ? floor : target;
+  if (amount > ceiling) amount = ceiling;
+  return { action: 'raise', amount, reasoning };
+}
+
+// Calls, all-in when the stack is short, or checks when there is nothing to
+// call
+function continueWith(context, reasoning) {
+  if (context.toCall === 0n) return { action: 'check', reasoning };
+  return { action: 'call', reasoning };
+}
+
+// Folds, or checks when that is free
+function giveUp(context, reasoning) {
+  return { action: context.toCall === 0n ? 'check' : 'fold', reasoning };
+}
+
+const fmt = (n) => n.toFixed(2);
+
+// Plays few hands and plays them hard: tighter out of position, shove or fold
+// when short-stacked, value bets two-thirds of the pot
+const tightAggressive = {
+  name: 'tight-aggressive',
+  description: 'Plays a narrow range by position and bets it hard',
+  decide(context) {
+    const strength = handStrength(context.holeCards, context.board);
+    const depth = stackDepth(context);
+    const odds = potOdds(context);
+    const positionBonus = { early: 0, middle: 0.03, late: 0.07 }[context.position] || 0;
+    const reasoning = [
+      `strength ${fmt(strength)} on the ${context.street}`,
+      `${context.position} position, ${fmt(depth)} big blinds deep`
+    ];
+
+    if (context.street === 'preflop') {
+      const openAt = 0.62 - positionBonus;
+      if (depth < 15) {
+        return strength >= openAt
+          ? raiseTo(context, context.playerBet + context.stack, [...reasoning, 'short stack: all in'])
+          : giveUp(context, [...reasoning, 'short stack and not strong enough to shove']);
+      }
+      if (strength >= openAt + 0.15) {
+        return raiseTo(context, context.tableBet * 3n, [...reasoning, 'premium hand: raise 3x']);
+      }
+      if (strength >= openAt) {
+        return context.toCall <= context.bigBlind * 3n
+          ? raiseTo(context, context.tableBet * 3n, [...reasoning, 'playable hand: open 3x'])
+          : continueWith(context, [...reasoning, 'playable hand facing a big raise: call']);
+      }
+      return giveUp(context, [...reasoning, `below opening range (${fmt(openAt)})`]);
+    }
+
+    if (strength >= 0.7) {
+      return raiseTo(context, context.tableBet + scale(context.pot, 2 / 3), [...reasoning, 'strong made hand: value raise']);
+    }
+    if (strength >= 0.6 && odds <= 0.35) {
+      return continueWith(context, [...reasoning, `decent hand at pot odds ${fmt(odds)}: call`]);
+    }
+    return giveUp(context, [...reasoning, 'not strong enough to continue']);
+  }
+};
+
+// Calls with most things and rarely raises
+const loosePassive = {
+  name: 'loose-passive',
+  description: 'Calls widely and only raises with monsters',
+  decide(context) {
+    const strength = handStrength(context.holeCards, context.board);
+    const share = ratio(context.toCall, context.stack);
+    const reasoning = [
+      `strength ${fmt(strength)} on the ${context.street}`,
+      `call costs ${fmt(share * 100)}% of the stack`
+    ];
+
+    if (strength >= 0.85) {
+      return raiseTo(context, context.tableBet * 2n, [...reasoning, 'monster: min raise']);
+    }
+    if (strength >= 0.25 || share <= 0.05) {
+      return continueWith(context, [...reasoning, 'good enough to see another card']);
+    }
+    if (share <= 0.25 && context.street === 'preflop') {
+      return continueWith(context, [...reasoning, 'cheap enough to see a flop']);
+    }
+    return giveUp(context, [...reasoning, 'too weak for the price']);
+  }
+};
+
+// Continues whenever its rough equity beats the pot odds; raises the pot when
+// well ahead of them
+const potOddsStrategy = {
+  name: 'pot-odds',
+  description: 'Calls when hand strength beats the pot odds, raises when well ahead',
+  decide(context) {
+    const strength = handStrength(context.holeCards, context.board);
+    // Strength stands in for equity, discounted for each extra opponent
+    const equity = strength * Math.pow(0.85, Math.max(0, context.opponents - 1));
+    const odds = potOdds(context);
+    const reasoning = [
+      `estimated equity ${fmt(equity)} against ${context.opponents} opponent(s)`,
+      `pot odds ${fmt(odds)}`
+    ];
+
+    if (equity >= odds + 0.25 && equity >= 0.55) {
+      return raiseTo(context, context.tableBet + context.pot + context.toCall, [...reasoning, 'well ahead of the odds: pot-sized raise']);
+    }
+    if (equity >= odds) {
+      return continueWith(context, [...reasoning, 'equity covers the price']);
+    }
+    return giveUp(context, [...reasoning, 'equity below the price']);
+  }
+};
+
+// Simulates the rest of the hand to estimate equity, value bets in proportion
+// and bluffs some of the time it would otherwise check or fold
+function monteCarlo({ iterations = 300, bluffFrequency = 0.1 } = {}) {
+  return {
+    name: 'monte-carlo',
+    description: `Simulated equity over ${iterations} run-outs, bluffing ${Math.round(bluffFrequency * 100)}% of the time`,
+    decide(context, { random = Math.random } = {}) {
+      const equity = estimateEquity(context.holeCards, context.board, {
+        opponents: Math.max(1, context.opponents),
+        iterations,
+        random
+      });
+      const odds = potOdds(context);
+      const fairShare = 1 / (Math.max(1, context.opponents) + 1);
+      const reasoning = [
+        `simulated equity ${fmt(equity)} over ${iterations} run-outs against ${context.opponents} opponent(s)`,
+        `pot odds ${fmt(odds)}, fair share ${fmt(fairShare)}`
+      ];
+
+      if (equity >= Math.max(0.6, fairShare * 1.5)) {
+        const size = equity >= 0.8 ? 1 : 0.5;
+        return raiseTo(
+          context,
+          context.tableBet + scale(context.pot + context.toCall, size),
+          [...reasoning, `ahead: raise ${size === 1 ? 'the pot' : 'half the pot'}`]
+        );
+      }
+
+      // Bluffs come from late position, or once the board is out, where the
+      // story holds up best
+      const canBluff = context.position === 'late' || context.street === 'river';
+      if (canBluff && random() < bluffFrequency) {
+        return raiseTo(context, context.tableBet + scale(context.pot, 0.5), [...reasoning, 'bluff: half-pot raise']);
+      }
+
+      if (equity >= odds) {
+        return continueWith(context, [...reasoning, 'equity covers the price']);
+      }
+      return giveUp(context, [...reasoning, 'equity below the price']);
+    }
+  };
+}
+
+const HOUSE_STRATEGIES = {
+  'tight-aggressive': tightAggressive,
+  'loose-passive': loosePassive,
+  'pot-odds': potOddsStrategy,
+  'monte-carlo': monteCarlo()
+};
+
+const DEFAULT_STRATEGY = 'tight-aggressive';
+
+function getStrategy(name = DEFAULT_STRATEGY) {
+  const strategy = HOUSE_STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown house strategy: ${name}. Expected one of ${Object.keys(HOUSE_STRATEGIES).join(', ')}`);
+  }
+  return strategy;
+}
+
+function describeStrategies() {
+  return Object.values(HOUSE_STRATEGIES).map(({ name, description }) => ({ name, description }));
+}
+
+module.exports = {
+  HOUSE_STRATEGIES,
+  DEFAULT_STRATEGY,
+  STREETS,
+  getStrategy,
+  describeStrategies,
+  monteCarlo,
+  handStrength,
+  estimateEquity,
+  seatPosition,
+  potOdds
+};
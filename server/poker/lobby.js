@@ -0,0 +1,155 @@
+const { mapLimit } = require('../common/concurrency');
+const { GAME_STATES } = require('./tableOrchestrator');
+
+const DEFAULT_TTL_MS = 15000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_KEYS = ['id', 'bigBlind', 'smallBlind', 'minBuyIn', 'maxBuyIn', 'playerCount', 'seatsOpen'];
+
+const compareValues = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Cached summaries of every poker table for the lobby.
+//
+// countTables() gives the number of table slots and readTable(tableId) one
+// table's summary ({ id, smallBlind, bigBlind, minBuyIn, maxBuyIn,
+// playerCount, maxPlayers, gameState, isActive }, amounts BigInt wei).
+// Tables are read in parallel, at most `concurrency` at a time. The cache
+// is refreshed in full once it is ttlMs old; invalidate(tableId) re-reads a
+// single table on the next query, and invalidate() everything.
+class PokerLobby {
+  constructor({ countTables, readTable, concurrency = DEFAULT_CONCURRENCY, ttlMs = DEFAULT_TTL_MS }) {
+    this.countTables = countTables;
+    this.readTable = readTable;
+    this.concurrency = concurrency;
+    this.ttlMs = ttlMs;
+    // tableId => summary
+    this.tables = new Map();
+    this.loadedAt = null;
+    this.dirty = new Set();
+    this.refreshing = null;
+  }
+
+  invalidate(tableId) {
+    if (tableId === undefined) {
+      this.loadedAt = null;
+    } else {
+      this.dirty.add(Number(tableId));
+    }
+  }
+
+  async summaries(now = Date.now()) {
+    if (this.refreshing) await this.refreshing;
+
+    const stale = this.loadedAt === null || now - this.loadedAt >= this.ttlMs;
+    if (stale || this.dirty.size > 0) {
+      this.refreshing = (stale ? this.reload(now) : this.reloadDirty()).finally(() => {
+        this.refreshing = null;
+      });
+      await this.refreshing;
+    }
+    return [...this.tables.values()];
+  }
+
+  async reload(now) {
+    const count = Number(await this.countTables());
+    const ids = Array.from({ length: count }, (_, i) => i);
+    this.dirty.clear();
+    const summaries = await mapLimit(ids, this.concurrency, tableId => this.readTable(tableId));
+
+    this.tables = new Map();
+    for (const summary of summaries) {
+      if (summary) this.tables.set(summary.id, summary);
+    }
+    this.loadedAt = now;
+  }
+
+  async reloadDirty() {
+    const ids = [...this.dirty];
+    this.dirty.clear();
+    const summaries = await mapLimit(ids, this.concurrency, tableId => this.readTable(tableId));
+    ids.forEach((tableId, i) => {
+      if (summaries[i]) this.tables.set(tableId, summaries[i]);
+      else this.tables.delete(tableId);
+    });
+  }
+
+  // Options as checked by parseLobbyQuery()
+  async query(options = {}, now = Date.now()) {
+    const { minBigBlind, maxBigBlind, minSeatsOpen, gameState, includeInactive, sort, order, page, pageSize } =
+      parseLobbyQuery(options);
+
+    const tables = (await this.summaries(now))
+      .map(table => ({ ...table, seatsOpen: Math.max(0, table.maxPlayers - table.playerCount) }))
+      .filter(table => includeInactive || table.isActive)
+      .filter(table => minBigBlind === undefined || table.bigBlind >= minBigBlind)
+      .filter(table => maxBigBlind === undefined || table.bigBlind <= maxBigBlind)
+      .filter(table => minSeatsOpen === undefined || table.seatsOpen >= minSeatsOpen)
+      .filter(table => gameState === undefined || table.gameState === gameState)
+      .sort((a, b) => {
+        const byKey = compareValues(a[sort], b[sort]);
+        return (order === 'desc' ? -byKey : byKey) || a.id - b.id;
+      });
+
+    const totalPages = Math.max(1, Math.ceil(tables.length / pageSize));
+    const current = Math.min(page, totalPages);
+
+    return {
+      tables: tables.slice((current - 1) * pageSize, current * pageSize),
+      page: current,
+      pageSize,
+      total: tables.length,
+      totalPages,
+      cachedAt: this.loadedAt
+    };
+  }
+}
+
+// Checks lobby query options, throwing on anything invalid. Filters:
+// minBigBlind/maxBigBlind (wei), minSeatsOpen, gameState (name or number),
+// includeInactive. sort is one of SORT_KEYS, order 'asc' or 'desc'.
+function parseLobbyQuery({
+  minBigBlind,
+  maxBigBlind,
+  minSeatsOpen,
+  gameState,
+  includeInactive = false,
+  sort = 'id',
+  order = 'asc',
+  page = 1,
+  pageSize = DEFAULT_PAGE_SIZE
+} = {}) {
+  if (!SORT_KEYS.includes(sort)) {
+    throw new Error(`sort must be one of ${SORT_KEYS.join(', ')}`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error('order must be asc or desc');
+  }
+
+  let state;
+  if (gameState !== undefined) {
+    state = GAME_STATES.includes(gameState) ? GAME_STATES.indexOf(gameState) : Number(gameState);
+    if (!Number.isInteger(state) || !GAME_STATES[state]) {
+      throw new Error(`gameState must be one of ${GAME_STATES.join(', ')}`);
+    }
+  }
+  const seats = minSeatsOpen === undefined ? undefined : Number(minSeatsOpen);
+  if (seats !== undefined && !Number.isInteger(seats)) {
+    throw new Error('minSeatsOpen must be an integer');
+  }
+
+  return {
+    minBigBlind: minBigBlind === undefined ? undefined : BigInt(minBigBlind),
+    maxBigBlind: maxBigBlind === undefined ? undefined : BigInt(maxBigBlind),
+    minSeatsOpen: seats,
+    gameState: state,
+    includeInactive: Boolean(includeInactive),
+    sort,
+    order,
+    page: Math.max(1, Math.floor(Number(page)) || 1),
+    pageSize: Math.min(Math.max(1, Math.floor(Number(pageSize)) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+  };
+}
+
+module.exports = { PokerLobby, parseLobbyQuery, SORT_KEYS };
@@ -0,0 +1,86 @@
+const { JsonFileStore } = require('../store/jsonFileStore');
+
+const MAX_ENTRIES = 5000;
+const REPORT_GROUPS = ['table', 'day', 'player'];
+
+const dayOf = (at) => new Date(at).toISOString().slice(0, 10);
+
+// Ledger of the rake Poker.sol took from poker pots, for reporting. The
+// contract takes it out of each cash pot as the pot is awarded, at the rate
+// set with setRake(), and emits a RakeTaken per winner charged; the ledger
+// records a finished hand's RakeTaken events and reports on them. config is
+// the rake the server sets on the contract: rateBps of each pot, at most cap
+// (0 for no cap), and with noFlopNoDrop nothing from a hand that ended before
+// the flop.
+class PokerRakeLedger {
+  constructor({ filePath, rateBps = 0, cap = 0n, noFlopNoDrop = true }) {
+    this.store = new JsonFileStore(filePath, { entries: [] });
+    this.config = { rateBps: Number(rateBps), cap: BigInt(cap), noFlopNoDrop };
+  }
+
+  get enabled() {
+    return this.config.rateBps > 0;
+  }
+
+  // Records a finished hand's rake: raked is [{ player, amount, txHash }]
+  // from its RakeTaken events. Returns the new ledger entries.
+  recordHand({ handId, tableId, raked = [], at = Date.now() }) {
+    const entries = raked
+      .filter(({ amount }) => BigInt(amount) > 0n)
+      .map(({ player, amount, txHash = null }) => ({
+        handId,
+        tableId: String(tableId),
+        player,
+        amount: BigInt(amount).toString(),
+        day: dayOf(at),
+        at,
+        txHash
+      }));
+    if (entries.length === 0) return [];
+
+    this.store.data.entries.push(...entries);
+    if (this.store.data.entries.length > MAX_ENTRIES) {
+      this.store.data.entries.splice(0, this.store.data.entries.length - MAX_ENTRIES);
+    }
+    this.store.save();
+    return entries;
+  }
+
+  entries({ tableId, player, from, to } = {}) {
+    return this.store.data.entries.filter(entry =>
+      (tableId === undefined || entry.tableId === String(tableId)) &&
+      (!player || entry.player.toLowerCase() === player.toLowerCase()) &&
+      (!from || entry.day >= from) &&
+      (!to || entry.day <= to));
+  }
+
+  // Rake totals grouped by table, day or player. Days are UTC YYYY-MM-DD.
+  report({ groupBy = 'table', ...filters } = {}) {
+    if (!REPORT_GROUPS.includes(groupBy)) {
+      throw new Error(`groupBy must be one of ${REPORT_GROUPS.join(', ')}`);
+    }
+    const keyOf = {
+      table: entry => entry.tableId,
+      day: entry => entry.day,
+      player: entry => entry.player.toLowerCase()
+    }[groupBy];
+
+    const groups = new Map();
+    for (const entry of this.entries(filters)) {
+      const key = keyOf(entry);
+      if (!groups.has(key)) {
+        groups.set(key, { [groupBy]: groupBy === 'player' ? entry.player : key, hands: new Set(), rake: 0n });
+      }
+      const group = groups.get(key);
+      // A hand's rake can be shared by several winners
+      group.hands.add(entry.handId);
+      group.rake += BigInt(entry.amount);
+    }
+
+    const rows = [...groups.values()].map(group => ({ ...group, hands: group.hands.size })).sort((a, b) => (a.rake < b.rake ? 1 : a.rake > b.rake ? -1 : 0));
+    const total = rows.reduce((sum, row) => sum + row.rake, 0n);
+    return { groupBy, total, rows };
+  }
+}
+
+module.exports = { PokerRakeLedger, REPORT_GROUPS };
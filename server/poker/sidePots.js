@@ -0,0 +1,117 @@
+// Main and side pots for a poker hand, rebuilt from what each player put in.
+// Amounts are BigInt wei.
+//
+// Each distinct amount a live (not folded) player has in caps a pot: everyone
+// pays into it up to that level, and only live players who reached the level
+// can win it. Folded players' chips stay in the pots they paid into.
+function buildPots(contributions) {
+  const live = contributions.filter(c => !c.folded && c.amount > 0n);
+  const levels = [...new Set(live.map(c => c.amount))].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+  const pots = [];
+  let previous = 0n;
+  for (const level of levels) {
+    let amount = 0n;
+    for (const { amount: paid } of contributions) {
+      const upTo = paid < level ? paid : level;
+      if (upTo > previous) amount += upTo - previous;
+    }
+    const eligible = live.filter(c => c.amount >= level).map(c => c.player);
+    pots.push({ amount, eligible, cap: level });
+    previous = level;
+  }
+
+  // Anything paid above the last live level (a folded player's raise) belongs
+  // to the last pot
+  const total = contributions.reduce((sum, c) => sum + c.amount, 0n);
+  const potted = pots.reduce((sum, pot) => sum + pot.amount, 0n);
+  if (pots.length > 0 && total > potted) {
+    pots[pots.length - 1].amount += total - potted;
+  } else if (pots.length === 0 && total > 0n) {
+    // Only folded players put anything in: whoever is left takes it
+    const eligible = contributions.filter(c => !c.folded).map(c => c.player);
+    pots.push({ amount: total, eligible, cap: 0n });
+  }
+
+  return pots.map((pot, i) => ({
+    name: i === 0 ? 'main' : `side ${i}`,
+    ...pot,
+    // A pot only one player can win is their uncalled bet coming back
+    uncalled: pot.eligible.length === 1
+  }));
+}
+
+// Splits every pot between its best eligible hands. compare(a, b) orders two
+// players' hands (positive when a wins). Pots are divided in whole chips of
+// chipUnit; odd chips go one at a time to the winners in seatOrder, which
+// should start with the first seat left of the button.
+function settlePots(pots, { compare, seatOrder, chipUnit = 1n }) {
+  const seat = (player) => {
+    const index = seatOrder.findIndex(p => p.toLowerCase() === player.toLowerCase());
+    return index === -1 ? seatOrder.length : index;
+  };
+
+  return pots.map(pot => {
+    let winners = [];
+    for (const player of pot.eligible) {
+      const order = winners.length === 0 ? 1 : compare(player, winners[0]);
+      if (order > 0) winners = [player];
+      else if (order === 0) winners.push(player);
+    }
+    winners.sort((a, b) => seat(a) - seat(b));
+
+    const chips = pot.amount / chipUnit;
+    const baseChips = chips / BigInt(winners.length);
+    let oddChips = chips % BigInt(winners.length);
+    // Whatever is left below one chip goes with the first odd chip
+    let dust = pot.amount % chipUnit;
+
+    const shares = winners.map(player => {
+      let amount = baseChips * chipUnit;
+      if (oddChips > 0n) {
+        amount += chipUnit;
+        oddChips--;
+      }
+      if (dust > 0n) {
+        amount += dust;
+        dust = 0n;
+      }
+      return { player, amount };
+    });
+
+    return { ...pot, winners, shares };
+  });
+}
+
+// What each player put in, won and netted across all pots
+function payoutBreakdown(contributions, settledPots) {
+  const byPlayer = new Map(contributions.map(c => [c.player.toLowerCase(), {
+    player: c.player,
+    contributed: c.amount,
+    won: 0n,
+    pots: []
+  }]));
+
+  settledPots.forEach((pot, index) => {
+    for (const { player, amount } of pot.shares) {
+      const key = player.toLowerCase();
+      if (!byPlayer.has(key)) {
+        byPlayer.set(key, { player, contributed: 0n, won: 0n, pots: [] });
+      }
+      const entry = byPlayer.get(key);
+      entry.won += amount;
+      entry.pots.push(index);
+    }
+  });
+
+  return [...byPlayer.values()].map(entry => ({
+    ...entry,
+    net: entry.won - entry.contributed
+  }));
+}
+
+module.exports = {
+  buildPots,
+  settlePots,
+  payoutBreakdown
+};
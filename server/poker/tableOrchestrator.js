@@ -0,0 +1,172 @@
+const { mapLimit } = require('../common/concurrency');
+
+// Same order as Poker.sol's GameState enum
+const GAME_STATES = ['Waiting', 'Dealing', 'PreFlop', 'Flop', 'Turn', 'River', 'Showdown', 'Complete'];
+const GAME_STATE = Object.fromEntries(GAME_STATES.map((name, i) => [name, i]));
+
+// Game states between hands, when the owner can start the next one
+const BETWEEN_HANDS = [GAME_STATE.Waiting, GAME_STATE.Complete];
+
+// Dealer step that ends each betting round
+const STREET_STEPS = {
+  [GAME_STATE.PreFlop]: 'startFlop',
+  [GAME_STATE.Flop]: 'startTurn',
+  [GAME_STATE.Turn]: 'startRiver',
+  [GAME_STATE.River]: 'startShowdown'
+};
+
+const DEFAULT_PAUSES = {
+  // Between one hand ending and the next one starting
+  handMs: 5000,
+  // Between posting blinds and dealing hole cards
+  dealMs: 1000,
+  // Between the end of a betting round and the next street or showdown
+  streetMs: 2000
+};
+const DEFAULT_CONCURRENCY = 4;
+const MAX_STEP_HISTORY = 20;
+
+// The step a table needs next, or null when it is waiting on players. Every
+// step is the owner's to take, so the on-chain game state alone decides it.
+function nextStep(snapshot) {
+  if (!snapshot.isActive || snapshot.playerCount < 2) return null;
+  if (BETWEEN_HANDS.includes(snapshot.gameState)) return 'startHand';
+  if (snapshot.gameState === GAME_STATE.Dealing) return 'dealHoleCards';
+  return STREET_STEPS[snapshot.gameState] || null;
+}
+
+// Drives every active table through its hands: starts each hand (Poker.sol
+// posts the blinds), deals hole cards, and deals the next street or starts
+// the showdown once a betting round is over. Poker.sol waits for the owner at
+// each of these steps, so a table only moves on when the orchestrator (or an
+// admin) takes the step.
+//
+// A step is ready when isReady(tableId, step) says the contract would accept
+// it, and runs once it has stayed ready for the configured pause. Tables are
+// advanced `concurrency` at a time.
+class PokerTableOrchestrator {
+  constructor({ listTables, getSnapshot, isReady, runStep, intervalMs = 2000, concurrency = DEFAULT_CONCURRENCY, pauses = {} }) {
+    this.listTables = listTables;
+    this.getSnapshot = getSnapshot;
+    this.isReady = isReady;
+    this.runStep = runStep;
+    this.intervalMs = intervalMs;
+    this.concurrency = concurrency;
+    this.pauses = { ...DEFAULT_PAUSES };
+    for (const [name, ms] of Object.entries(pauses)) {
+      if (ms !== undefined) this.pauses[name] = ms;
+    }
+    // tableId => orchestration state
+    this.tables = new Map();
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Poker orchestrator tick failed:', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  tableState(tableId) {
+    const key = String(tableId);
+    if (!this.tables.has(key)) {
+      this.tables.set(key, {
+        tableId: key,
+        handNumber: 0,
+        gameState: null,
+        pendingStep: null,
+        readySince: null,
+        lastError: null,
+        steps: []
+      });
+    }
+    return this.tables.get(key);
+  }
+
+  async tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      try {
+        await mapLimit(await this.listTables(), this.concurrency, async (tableId) => {
+          try {
+            await this.advance(tableId);
+          } catch (error) {
+            this.tableState(tableId).lastError = error.message;
+            console.error(`Poker orchestrator failed on table ${tableId}:`, error.message);
+          }
+        });
+      } finally {
+        this.ticking = null;
+      }
+    })();
+    return this.ticking;
+  }
+
+  pauseFor(step) {
+    if (step === 'startHand') return this.pauses.handMs;
+    if (step === 'dealHoleCards') return this.pauses.dealMs;
+    return this.pauses.streetMs;
+  }
+
+  // Runs the table's next step if it is due; returns the step run, or null
+  async advance(tableId, now = Date.now()) {
+    const table = this.tableState(tableId);
+    const snapshot = await this.getSnapshot(tableId);
+    table.handNumber = snapshot.handNumber;
+    table.gameState = snapshot.gameState;
+
+    const step = nextStep(snapshot);
+    if (step !== table.pendingStep) {
+      table.pendingStep = step;
+      table.readySince = null;
+    }
+    if (!step) return null;
+
+    if (table.readySince === null) {
+      if (!(await this.isReady(tableId, step))) return null;
+      table.readySince = now;
+    }
+    if (now - table.readySince < this.pauseFor(step)) return null;
+
+    let result;
+    try {
+      result = await this.runStep(tableId, step);
+    } catch (error) {
+      // Check readiness again before the retry
+      table.readySince = null;
+      throw error;
+    }
+    table.steps.unshift({ step, handNumber: table.handNumber, at: now, ...result });
+    table.steps.length = Math.min(table.steps.length, MAX_STEP_HISTORY);
+    table.pendingStep = null;
+    table.readySince = null;
+    table.lastError = null;
+    return step;
+  }
+
+  status() {
+    return {
+      running: Boolean(this.timer),
+      intervalMs: this.intervalMs,
+      concurrency: this.concurrency,
+      pauses: this.pauses,
+      tables: [...this.tables.values()]
+    };
+  }
+}
+
+module.exports = {
+  PokerTableOrchestrator,
+  GAME_STATES,
+  GAME_STATE,
+  BETWEEN_HANDS,
+  nextStep
+};
@@ -0,0 +1,446 @@
+const { JsonFileStore } = require('../store/jsonFileStore');
+
+const MAX_FINISHED = 100;
+
+// Blinds double roughly every other level; each level lasts levelMs unless
+// the tournament gives its own schedule
+const DEFAULT_BLINDS = [
+  [10, 20], [15, 30], [25, 50], [50, 100], [75, 150],
+  [100, 200], [150, 300], [200, 400], [300, 600], [400, 800],
+  [600, 1200], [800, 1600], [1000, 2000]
+];
+const DEFAULT_LEVEL_MS = 5 * 60 * 1000;
+
+// Prize-pool percentages by finishing place, for the number of entrants
+function defaultPayouts(entrants) {
+  if (entrants <= 3) return [100];
+  if (entrants <= 6) return [65, 35];
+  return [50, 30, 20];
+}
+
+function defaultLevels(levelMs = DEFAULT_LEVEL_MS) {
+  return DEFAULT_BLINDS.map(([smallBlind, bigBlind]) => ({ smallBlind, bigBlind, ante: 0, durationMs: levelMs }));
+}
+
+function validateConfig({ buyIn, seats, startingChips, levels, payouts }) {
+  if (buyIn <= 0n) throw new Error('buyIn must be positive');
+  if (!Number.isInteger(seats) || seats < 2 || seats > 10) {
+    throw new Error('seats must be between 2 and 10');
+  }
+  if (!Number.isInteger(startingChips) || startingChips <= 0) {
+    throw new Error('startingChips must be a positive integer');
+  }
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new Error('At least one blind level is required');
+  }
+  for (const level of levels) {
+    if (!(level.bigBlind > level.smallBlind && level.smallBlind > 0 && level.durationMs > 0)) {
+      throw new Error('Each level needs smallBlind < bigBlind and a positive durationMs');
+    }
+  }
+  if (payouts.length === 0 || payouts.length > seats || payouts.some(p => p <= 0)) {
+    throw new Error('payouts must be 1 to seats positive percentages');
+  }
+  if (payouts.reduce((sum, p) => sum + p, 0) !== 100) {
+    throw new Error('payouts must add up to 100');
+  }
+}
+
+// Sit-and-go poker tournaments. Players register with a buy-in taken from
+// their treasury balance and start with tournament chips, which are counted
+// here and are never table stake. A tournament starts as soon as its seats
+// fill, the blinds go up on a timed schedule, and players are eliminated when
+// they run out of chips. The last player standing ends it, and the prize pool
+// (every buy-in) is paid out by finishing place.
+//
+// Money moves through the callbacks: collectBuyIn(player, amount,
+// authorization), with whatever register() was given to authorize the buy-in,
+// and refund(player, amount) on registration, payPrize(player, amount) at the
+// end. Each returns a transaction hash. Amounts are BigInt wei; chips are
+// integers.
+//
+// The hands are played on a Poker.sol table of the tournament's own, where
+// stacks are tournament chips. Once the tournament fills, createTable
+// (tournament) opens it and returns its ID, and seatPlayer(tableId, player,
+// chips) seats each entrant, returning a transaction hash; tick() retries
+// whatever failed. After every hand recordStacks() takes the results from the
+// stacks left on the table.
+class PokerTournaments {
+  constructor({ filePath, collectBuyIn, refund, payPrize, createTable, seatPlayer, intervalMs = 1000 }) {
+    this.store = new JsonFileStore(filePath, { nextTournamentId: 1, tournaments: [] });
+    this.collectBuyIn = collectBuyIn;
+    this.refund = refund;
+    this.payPrize = payPrize;
+    this.createTable = createTable;
+    this.seatPlayer = seatPlayer;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.opening = new Set();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  create({
+    name,
+    buyIn,
+    seats = 6,
+    startingChips = 1500,
+    levelMs,
+    levels = defaultLevels(levelMs),
+    payouts = defaultPayouts(seats),
+    now = Date.now()
+  }) {
+    const config = { buyIn: BigInt(buyIn), seats: Number(seats), startingChips: Number(startingChips), levels, payouts };
+    validateConfig(config);
+
+    const tournament = {
+      tournamentId: this.store.data.nextTournamentId++,
+      name: name || `Sit & Go #${this.store.data.nextTournamentId - 1}`,
+      status: 'registering',
+      buyIn: config.buyIn.toString(),
+      seats: config.seats,
+      startingChips: config.startingChips,
+      levels: levels.map(({ smallBlind, bigBlind, ante = 0, durationMs }) => ({
+        smallBlind: Number(smallBlind),
+        bigBlind: Number(bigBlind),
+        ante: Number(ante),
+        durationMs: Number(durationMs)
+      })),
+      payouts,
+      entries: [],
+      level: 0,
+      levelStartedAt: null,
+      createdAt: now,
+      startedAt: null,
+      finishedAt: null,
+      handsPlayed: 0,
+      prizes: [],
+      tableId: null,
+      tableError: null
+    };
+    this.store.data.tournaments.push(tournament);
+    this.store.save();
+    return tournament;
+  }
+
+  get(tournamentId) {
+    return this.store.data.tournaments.find(t => t.tournamentId === Number(tournamentId)) || null;
+  }
+
+  find(tournamentId) {
+    const tournament = this.get(tournamentId);
+    if (!tournament) {
+      throw new Error(`Tournament ${tournamentId} not found`);
+    }
+    return tournament;
+  }
+
+  list({ status } = {}) {
+    return this.store.data.tournaments.filter(t => !status || t.status === status);
+  }
+
+  entry(tournament, player) {
+    return tournament.entries.find(e => e.player.toLowerCase() === player.toLowerCase()) || null;
+  }
+
+  async register(tournamentId, player, now = Date.now(), authorization = null) {
+    const tournament = this.find(tournamentId);
+    if (tournament.status !== 'registering') {
+      throw new Error('Registration is closed');
+    }
+    if (this.entry(tournament, player)) {
+      throw new Error('Already registered');
+    }
+    if (tournament.entries.length >= tournament.seats) {
+      throw new Error('Tournament is full');
+    }
+
+    // Hold the seat while the buy-in is collected
+    const entry = {
+      player,
+      chips: tournament.startingChips,
+      registeredAt: now,
+      buyInTx: null,
+      seatTx: null,
+      place: null,
+      eliminatedAt: null
+    };
+    tournament.entries.push(entry);
+    try {
+      entry.buyInTx = await this.collectBuyIn(player, BigInt(tournament.buyIn), authorization);
+    } catch (error) {
+      tournament.entries.splice(tournament.entries.indexOf(entry), 1);
+      throw error;
+    }
+
+    if (tournament.entries.length === tournament.seats) {
+      this.begin(tournament, now);
+    }
+    this.store.save();
+    if (tournament.status === 'running') {
+      await this.openTable(tournament);
+    }
+    return entry;
+  }
+
+  async unregister(tournamentId, player) {
+    const tournament = this.find(tournamentId);
+    if (tournament.status !== 'registering') {
+      throw new Error('Tournament has already started');
+    }
+    const entry = this.entry(tournament, player);
+    if (!entry) {
+      throw new Error('Not registered');
+    }
+
+    const refundTx = await this.refund(player, BigInt(tournament.buyIn));
+    tournament.entries.splice(tournament.entries.indexOf(entry), 1);
+    this.store.save();
+    return { player, refundTx };
+  }
+
+  // Refunds everyone registered to a tournament that has not started
+  async cancel(tournamentId, now = Date.now()) {
+    const tournament = this.find(tournamentId);
+    if (tournament.status !== 'registering') {
+      throw new Error('Only a tournament that has not started can be cancelled');
+    }
+
+    const refunds = [];
+    for (const entry of [...tournament.entries]) {
+      refunds.push(await this.unregister(tournamentId, entry.player));
+    }
+    tournament.status = 'cancelled';
+    tournament.finishedAt = now;
+    this.store.save();
+    return refunds;
+  }
+
+  begin(tournament, now) {
+    tournament.status = 'running';
+    tournament.startedAt = now;
+    tournament.level = 0;
+    tournament.levelStartedAt = now;
+  }
+
+  seated(tournament) {
+    return tournament.tableId !== null && tournament.entries.every(entry => entry.seatTx);
+  }
+
+  // Opens the tournament's table if it has none yet and seats every entrant
+  // not already there. A failure is kept on the tournament as tableError for
+  // tick() to retry.
+  async openTable(tournament) {
+    const { tournamentId } = tournament;
+    if (this.opening.has(tournamentId)) return;
+    this.opening.add(tournamentId);
+    try {
+      if (tournament.tableId === null) {
+        tournament.tableId = String(await this.createTable(tournament));
+        this.store.save();
+      }
+      for (const entry of tournament.entries) {
+        if (entry.seatTx) continue;
+        entry.seatTx = await this.seatPlayer(tournament.tableId, entry.player, entry.chips);
+        this.store.save();
+      }
+      tournament.tableError = null;
+    } catch (error) {
+      console.error('Failed to open tournament table:', { tournamentId, error: error.message });
+      tournament.tableError = error.message;
+    } finally {
+      this.opening.delete(tournamentId);
+      this.store.save();
+    }
+  }
+
+  // The running tournament played at a Poker.sol table, or null
+  forTable(tableId) {
+    return this.list({ status: 'running' }).find(t => t.tableId === String(tableId)) || null;
+  }
+
+  // Whether the Poker.sol table is or was a tournament's
+  hasTable(tableId) {
+    return this.store.data.tournaments.some(t => t.tableId === String(tableId));
+  }
+
+  // Moves running tournaments up the blind schedule, and retries opening any
+  // table that failed to. The last level lasts until the tournament ends.
+  tick(now = Date.now()) {
+    let changed = false;
+    for (const tournament of this.list({ status: 'running' })) {
+      if (!this.seated(tournament)) {
+        this.openTable(tournament);
+      }
+      while (tournament.level < tournament.levels.length - 1 &&
+             now - tournament.levelStartedAt >= tournament.levels[tournament.level].durationMs) {
+        tournament.levelStartedAt += tournament.levels[tournament.level].durationMs;
+        tournament.level++;
+        changed = true;
+      }
+    }
+    if (changed) this.store.save();
+    return changed;
+  }
+
+  // Current blinds and how long until they go up
+  blinds(tournament, now = Date.now()) {
+    const level = tournament.levels[tournament.level];
+    const last = tournament.level === tournament.levels.length - 1;
+    return {
+      level: tournament.level + 1,
+      smallBlind: level.smallBlind,
+      bigBlind: level.bigBlind,
+      ante: level.ante,
+      nextLevelAt: last || tournament.levelStartedAt === null ? null : tournament.levelStartedAt + level.durationMs,
+      next: last ? null : tournament.levels[tournament.level + 1]
+    };
+  }
+
+  alive(tournament) {
+    return tournament.entries.filter(e => e.place === null);
+  }
+
+  // Applies one hand's chip changes. deltas is [{ player, chips }] with chips
+  // the player's net win or loss; they must add up to zero. Players left with
+  // no chips are eliminated, those who started the hand with more placing
+  // higher. Returns the players eliminated.
+  async recordHand(tournamentId, deltas, now = Date.now()) {
+    const tournament = this.find(tournamentId);
+    if (tournament.status !== 'running') {
+      throw new Error('Tournament is not running');
+    }
+    if (deltas.reduce((sum, d) => sum + Number(d.chips), 0) !== 0) {
+      throw new Error('Chip changes must add up to zero');
+    }
+
+    const changes = deltas.map(({ player, chips }) => {
+      const entry = this.entry(tournament, player);
+      if (!entry || entry.place !== null) {
+        throw new Error(`${player} is not playing in this tournament`);
+      }
+      const after = entry.chips + Number(chips);
+      if (!Number.isInteger(after) || after < 0) {
+        throw new Error(`${player} cannot lose more chips than they have`);
+      }
+      return { entry, before: entry.chips, after };
+    });
+
+    for (const change of changes) {
+      change.entry.chips = change.after;
+    }
+    tournament.handsPlayed++;
+
+    const busted = changes
+      .filter(change => change.after === 0)
+      .sort((a, b) => a.before - b.before);
+    let place = this.alive(tournament).length;
+    for (const { entry } of busted) {
+      entry.place = place--;
+      entry.eliminatedAt = now;
+    }
+
+    const eliminated = busted.map(({ entry }) => ({ player: entry.player, place: entry.place }));
+    if (this.alive(tournament).length <= 1) {
+      await this.finish(tournament, now);
+    } else {
+      this.store.save();
+    }
+    return eliminated;
+  }
+
+  // Records a hand from the stacks left on the tournament's table, given as
+  // [{ player, chips }] for the players still in
+  async recordStacks(tournamentId, stacks, now = Date.now()) {
+    const tournament = this.find(tournamentId);
+    const deltas = this.alive(tournament).map(entry => {
+      const stack = stacks.find(s => s.player.toLowerCase() === entry.player.toLowerCase());
+      if (!stack) {
+        throw new Error(`No stack for ${entry.player}`);
+      }
+      return { player: entry.player, chips: Number(stack.chips) - entry.chips };
+    });
+    return this.recordHand(tournamentId, deltas, now);
+  }
+
+  // Prize for each paying place. Whole-wei remainders go to the winner.
+  prizes(tournament) {
+    const pool = BigInt(tournament.buyIn) * BigInt(tournament.entries.length);
+    const amounts = tournament.payouts.map(pct => (pool * BigInt(pct)) / 100n);
+    amounts[0] += pool - amounts.reduce((sum, amount) => sum + amount, 0n);
+    return amounts;
+  }
+
+  async finish(tournament, now) {
+    const [winner] = this.alive(tournament);
+    if (winner) {
+      winner.place = 1;
+    }
+    tournament.status = 'paying';
+    tournament.finishedAt = now;
+    tournament.prizes = this.prizes(tournament).map((amount, i) => {
+      const entry = tournament.entries.find(e => e.place === i + 1);
+      return { place: i + 1, player: entry ? entry.player : null, amount: amount.toString(), txHash: null, error: null };
+    });
+    this.store.save();
+    return this.payPrizes(tournament.tournamentId);
+  }
+
+  // Pays every unpaid prize; safe to call again after a failure
+  async payPrizes(tournamentId) {
+    const tournament = this.find(tournamentId);
+    if (tournament.status !== 'paying') {
+      throw new Error('Tournament has no prizes to pay');
+    }
+
+    for (const prize of tournament.prizes) {
+      if (prize.txHash || !prize.player) continue;
+      try {
+        prize.txHash = await this.payPrize(prize.player, BigInt(prize.amount));
+        prize.error = null;
+      } catch (error) {
+        console.error('Tournament prize payment failed:', { tournamentId, place: prize.place, error: error.message });
+        prize.error = error.message;
+      }
+      this.store.save();
+    }
+
+    if (tournament.prizes.every(prize => prize.txHash || !prize.player)) {
+      tournament.status = 'finished';
+      this.prune();
+      this.store.save();
+    }
+    return tournament.prizes;
+  }
+
+  prune() {
+    const done = this.store.data.tournaments.filter(t => t.status === 'finished' || t.status === 'cancelled');
+    const excess = done.length - MAX_FINISHED;
+    if (excess > 0) {
+      const drop = new Set(done.slice(0, excess));
+      this.store.data.tournaments = this.store.data.tournaments.filter(t => !drop.has(t));
+    }
+  }
+
+  view(tournament, now = Date.now()) {
+    const standings = [...tournament.entries].sort((a, b) =>
+      (a.place === null ? 0 : a.place) - (b.place === null ? 0 : b.place) || b.chips - a.chips);
+    return {
+      ...tournament,
+      entrants: tournament.entries.length,
+      prizePool: (BigInt(tournament.buyIn) * BigInt(tournament.entries.length)).toString(),
+      blinds: tournament.status === 'running' ? this.blinds(tournament, now) : null,
+      standings
+    };
+  }
+}
+
+module.exports = { PokerTournaments, defaultLevels, defaultPayouts };
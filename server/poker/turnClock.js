@@ -0,0 +1,234 @@
+const { mapLimit } = require('../common/concurrency');
+
+const DEFAULT_ACTION_MS = 30000;
+const DEFAULT_MAX_TIMEOUTS = 2;
+const DEFAULT_CONCURRENCY = 4;
+
+// Action clock for poker tables. Each turn gets actionMs; a player with time
+// bank left then keeps the turn until the bank runs out too. When all of it is
+// used the clock acts for the player, checking if they could check and folding
+// otherwise. A player who times out maxTimeouts turns in a row is sat out, and
+// from then on is acted for as soon as their turn comes round.
+//
+// The clock is fed by observe(), which is given whose turn it is each time a
+// table is polled. A turn is identified by its player and the table's state
+// (street and pot), so the clock restarts when anyone acts.
+class PokerTurnClock {
+  constructor({
+    getTurn,
+    listTables,
+    autoAct,
+    actionMs = DEFAULT_ACTION_MS,
+    timeBankMs = 0,
+    maxTimeouts = DEFAULT_MAX_TIMEOUTS,
+    intervalMs = 1000,
+    concurrency = DEFAULT_CONCURRENCY
+  }) {
+    this.getTurn = getTurn;
+    this.listTables = listTables;
+    this.autoAct = autoAct;
+    this.actionMs = actionMs;
+    this.timeBankMs = timeBankMs;
+    this.maxTimeouts = maxTimeouts;
+    this.intervalMs = intervalMs;
+    this.concurrency = concurrency;
+    // tableId => current turn
+    this.turns = new Map();
+    // tableId:player => { timeBankMs, timeouts, sittingOut, returning }
+    this.players = new Map();
+    this.timer = null;
+    this.ticking = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => console.error('Poker turn clock tick failed:', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      try {
+        await mapLimit(await this.listTables(), this.concurrency, async (tableId) => {
+          try {
+            await this.observe(tableId, await this.getTurn(tableId));
+          } catch (error) {
+            console.error(`Poker turn clock failed on table ${tableId}:`, error.message);
+          }
+        });
+      } finally {
+        this.ticking = null;
+      }
+    })();
+    return this.ticking;
+  }
+
+  playerKey(tableId, player) {
+    return `${tableId}:${player.toLowerCase()}`;
+  }
+
+  playerClock(tableId, player) {
+    const key = this.playerKey(tableId, player);
+    if (!this.players.has(key)) {
+      this.players.set(key, { timeBankMs: this.timeBankMs, timeouts: 0, sittingOut: false, returning: false });
+    }
+    return this.players.get(key);
+  }
+
+  // Charges the time bank for however long the finished turn ran over
+  endTurn(turn, now) {
+    const clock = this.playerClock(turn.tableId, turn.player);
+    const overrun = now - (turn.startedAt + this.actionMs);
+    if (overrun > 0) {
+      clock.timeBankMs = Math.max(0, clock.timeBankMs - overrun);
+    }
+    if (!turn.timedOut) {
+      clock.timeouts = 0;
+    }
+  }
+
+  // turn is { player, key, canCheck }, or null between betting rounds.
+  // Returns the action taken for a timed-out player, or null.
+  async observe(tableId, turn, now = Date.now()) {
+    const id = String(tableId);
+    const current = this.turns.get(id);
+
+    if (!turn) {
+      if (current) this.endTurn(current, now);
+      this.turns.delete(id);
+      return null;
+    }
+
+    if (!current || current.key !== turn.key) {
+      if (current) this.endTurn(current, now);
+      this.turns.set(id, {
+        tableId: id,
+        player: turn.player,
+        key: turn.key,
+        startedAt: now,
+        timedOut: false
+      });
+    }
+
+    const active = this.turns.get(id);
+    if (active.timedOut || active.acting) return null;
+
+    const clock = this.playerClock(id, turn.player);
+    const deadline = active.startedAt + this.actionMs + clock.timeBankMs;
+    if (!clock.sittingOut && now < deadline) return null;
+
+    // The turn only counts as timed out once the action has gone through; a
+    // failed one (an RPC error, or the contract's actionTimeout not yet
+    // passed) is tried again on the next tick
+    const action = turn.canCheck ? 'check' : 'fold';
+    const sitOut = clock.sittingOut || clock.timeouts + 1 >= this.maxTimeouts;
+    active.acting = true;
+    try {
+      await this.autoAct(id, turn.player, action, { sitOut });
+    } catch (error) {
+      console.error('Poker timeout action failed:', error.message);
+      active.error = error.message;
+      return null;
+    } finally {
+      active.acting = false;
+    }
+
+    active.timedOut = true;
+    delete active.error;
+    if (!clock.sittingOut) {
+      clock.timeouts++;
+      clock.sittingOut = sitOut;
+    }
+    console.log('Poker turn timed out:', {
+      tableId: id,
+      player: turn.player,
+      action,
+      timeouts: clock.timeouts,
+      sittingOut: clock.sittingOut
+    });
+    return action;
+  }
+
+  sitIn(tableId, player) {
+    const clock = this.playerClock(String(tableId), player);
+    clock.sittingOut = false;
+    clock.returning = false;
+    clock.timeouts = 0;
+  }
+
+  // Sits a player out at their own request; they are acted for like a player
+  // sat out for timing out
+  sitOut(tableId, player) {
+    const clock = this.playerClock(String(tableId), player);
+    clock.sittingOut = true;
+    clock.returning = false;
+  }
+
+  // Keeps a sat-out player sitting out until the table's next hand starts
+  sitInNextHand(tableId, player) {
+    this.playerClock(String(tableId), player).returning = true;
+  }
+
+  // Players at the table who asked to sit back in when the next hand starts
+  returningPlayers(tableId) {
+    const prefix = `${tableId}:`;
+    return [...this.players]
+      .filter(([key, clock]) => key.startsWith(prefix) && clock.returning)
+      .map(([key]) => key.slice(prefix.length));
+  }
+
+  // Sits in everyone at the table who asked to come back for this hand
+  newHand(tableId) {
+    const prefix = `${tableId}:`;
+    for (const [key, clock] of this.players) {
+      if (key.startsWith(prefix) && clock.returning) {
+        clock.sittingOut = false;
+        clock.returning = false;
+        clock.timeouts = 0;
+      }
+    }
+  }
+
+  // Drops a player's clock once they leave the table
+  forget(tableId, player) {
+    this.players.delete(this.playerKey(String(tableId), player));
+  }
+
+  isSittingOut(tableId, player) {
+    const clock = this.players.get(this.playerKey(String(tableId), player));
+    return Boolean(clock && clock.sittingOut);
+  }
+
+  // Time left on the table's current turn and the player's bank, for
+  // table-state responses
+  remaining(tableId, now = Date.now()) {
+    const turn = this.turns.get(String(tableId));
+    if (!turn) return null;
+
+    const clock = this.playerClock(turn.tableId, turn.player);
+    const actionEnds = turn.startedAt + this.actionMs;
+    const usedBank = Math.max(0, now - actionEnds);
+    return {
+      player: turn.player,
+      actionMsRemaining: Math.max(0, actionEnds - now),
+      timeBankMsRemaining: Math.max(0, clock.timeBankMs - usedBank),
+      deadline: actionEnds + clock.timeBankMs,
+      timedOut: turn.timedOut
+    };
+  }
+
+  player(tableId, player) {
+    const { timeBankMs, timeouts, sittingOut, returning } = this.playerClock(String(tableId), player);
+    return { timeBankMs, timeouts, sittingOut, returning };
+  }
+}
+
+module.exports = { PokerTurnClock };
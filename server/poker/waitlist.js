@@ -0,0 +1,209 @@
+const { JsonFileStore } = require('../store/jsonFileStore');
+
+const DEFAULT_OFFER_MS = 60000;
+const MAX_CLOSED_OFFERS = 500;
+const OPEN = ['pending', 'accepted'];
+
+// Waitlist keys: one table, or every table at the same blinds
+const tableQueue = (tableId) => `table:${tableId}`;
+const stakesQueue = (smallBlind, bigBlind) => `stakes:${BigInt(smallBlind)}/${BigInt(bigBlind)}`;
+
+const samePlayer = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Waitlists for full poker tables. Players queue for a table or for a stakes
+// level; when a seat frees up the longest-waiting player on either of the
+// table's queues gets a seat offer. Each open offer holds a seat. An offer
+// not accepted within offerMs expires, and an accepted one expires if the
+// player has not joined within another offerMs. Declining or letting an offer
+// expire takes the player off the queue it came from. tick() expires offers
+// and calls onExpired(tableId) for each table with a seat to offer again.
+class PokerWaitlist {
+  constructor({ filePath, offerMs = DEFAULT_OFFER_MS, onExpired = () => {}, intervalMs = 1000 }) {
+    this.store = new JsonFileStore(filePath, { nextOfferId: 1, entries: [], offers: [] });
+    this.offerMs = offerMs;
+    this.onExpired = onExpired;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  queue(queue) {
+    return this.store.data.entries
+      .filter(entry => entry.queue === queue)
+      .map((entry, i) => ({ ...entry, position: i + 1 }));
+  }
+
+  // buyIn (wei) is what the player wants to sit down with; null for the
+  // table's minimum
+  join(queue, player, { buyIn = null, now = Date.now() } = {}) {
+    if (this.store.data.entries.some(entry => entry.queue === queue && samePlayer(entry.player, player))) {
+      throw new Error('Already on this waitlist');
+    }
+    this.store.data.entries.push({
+      queue,
+      player,
+      buyIn: buyIn === null ? null : BigInt(buyIn).toString(),
+      joinedAt: now
+    });
+    this.store.save();
+    return this.queue(queue).find(entry => samePlayer(entry.player, player));
+  }
+
+  leave(queue, player) {
+    const before = this.store.data.entries.length;
+    this.store.data.entries = this.store.data.entries.filter(entry =>
+      !(entry.queue === queue && samePlayer(entry.player, player)));
+    if (this.store.data.entries.length === before) return false;
+    this.store.save();
+    return true;
+  }
+
+  openOffers({ tableId, player } = {}) {
+    return this.store.data.offers.filter(offer =>
+      OPEN.includes(offer.status) &&
+      (tableId === undefined || offer.tableId === String(tableId)) &&
+      (!player || samePlayer(offer.player, player)));
+  }
+
+  // The player's open offer at the table, or null
+  offer(tableId, player) {
+    return this.openOffers({ tableId, player })[0] || null;
+  }
+
+  // Seats at the table held by open offers, other than `player`'s own
+  reserved(tableId, player) {
+    return this.openOffers({ tableId }).filter(offer => !player || !samePlayer(offer.player, player)).length;
+  }
+
+  // Offers the table's open seats, less those already held, to the
+  // longest-waiting players on its queues. Returns the new offers.
+  offerSeats({ tableId, smallBlind, bigBlind }, openSeats, now = Date.now()) {
+    const queues = [tableQueue(tableId), stakesQueue(smallBlind, bigBlind)];
+    const count = openSeats - this.reserved(tableId);
+    const offers = [];
+
+    const candidates = this.store.data.entries
+      .filter(entry => queues.includes(entry.queue))
+      .sort((a, b) => a.joinedAt - b.joinedAt);
+    for (const entry of candidates) {
+      if (offers.length >= count) break;
+      if (this.openOffers({ player: entry.player }).length > 0) continue;
+
+      const offer = {
+        offerId: this.store.data.nextOfferId++,
+        tableId: String(tableId),
+        queue: entry.queue,
+        player: entry.player,
+        buyIn: entry.buyIn,
+        status: 'pending',
+        offeredAt: now,
+        expiresAt: now + this.offerMs,
+        respondedAt: null
+      };
+      this.store.data.offers.push(offer);
+      offers.push(offer);
+    }
+
+    if (offers.length > 0) this.store.save();
+    return offers;
+  }
+
+  pendingOffer(tableId, player, now) {
+    const offer = this.offer(tableId, player);
+    if (!offer || offer.status !== 'pending' || now >= offer.expiresAt) {
+      throw new Error(`No open seat offer at table ${tableId}`);
+    }
+    return offer;
+  }
+
+  // The seat stays held for another offerMs while the player joins
+  accept(tableId, player, now = Date.now()) {
+    const offer = this.pendingOffer(tableId, player, now);
+    offer.status = 'accepted';
+    offer.respondedAt = now;
+    offer.expiresAt = now + this.offerMs;
+    this.store.save();
+    return offer;
+  }
+
+  decline(tableId, player, now = Date.now()) {
+    const offer = this.pendingOffer(tableId, player, now);
+    this.close(offer, 'declined', now);
+    this.leave(offer.queue, offer.player);
+    this.store.save();
+    return offer;
+  }
+
+  // The player took a seat, here or anywhere else: they come off every queue
+  // and any offers they still hold elsewhere are withdrawn. Returns the offer
+  // they were seated from, if any, and the withdrawn offers.
+  seated(tableId, player, now = Date.now()) {
+    let seatedFrom = null;
+    const withdrawn = [];
+    for (const offer of this.openOffers({ player })) {
+      if (offer.tableId === String(tableId)) {
+        this.close(offer, 'seated', now);
+        seatedFrom = offer;
+      } else {
+        this.close(offer, 'withdrawn', now);
+        withdrawn.push(offer);
+      }
+    }
+    const before = this.store.data.entries.length;
+    this.store.data.entries = this.store.data.entries.filter(entry => !samePlayer(entry.player, player));
+
+    if (seatedFrom || withdrawn.length > 0 || this.store.data.entries.length !== before) {
+      this.store.save();
+    }
+    return { seated: seatedFrom, withdrawn };
+  }
+
+  expire(now = Date.now()) {
+    const expired = this.openOffers().filter(offer => now >= offer.expiresAt);
+    for (const offer of expired) {
+      this.close(offer, 'expired', now);
+      this.leave(offer.queue, offer.player);
+    }
+    if (expired.length > 0) this.store.save();
+    return expired;
+  }
+
+  tick(now = Date.now()) {
+    const expired = this.expire(now);
+    for (const tableId of new Set(expired.map(offer => offer.tableId))) {
+      Promise.resolve()
+        .then(() => this.onExpired(tableId))
+        .catch(error => console.error(`Failed to offer seat at table ${tableId}:`, error.message));
+    }
+    return expired;
+  }
+
+  close(offer, status, now) {
+    offer.status = status;
+    offer.respondedAt = offer.respondedAt || now;
+    const closed = this.store.data.offers.filter(o => !OPEN.includes(o.status));
+    if (closed.length > MAX_CLOSED_OFFERS) {
+      const drop = new Set(closed.slice(0, closed.length - MAX_CLOSED_OFFERS));
+      this.store.data.offers = this.store.data.offers.filter(o => !drop.has(o));
+    }
+  }
+
+  // A player's places in line and open offers
+  forPlayer(player) {
+    const entries = this.store.data.entries
+      .filter(entry => samePlayer(entry.player, player))
+      .map(entry => this.queue(entry.queue).find(e => samePlayer(e.player, player)));
+    return { entries, offers: this.openOffers({ player }) };
+  }
+}
+
+module.exports = { PokerWaitlist, tableQueue, stakesQueue };
@@ -0,0 +1,157 @@
+// Roulette bet model for a single-zero wheel. Every named bet expands to the
+// numbers it covers; Roulette.sol splits the stake evenly across those numbers
+// and pays 36x the share on the winning one, so a bet covering n numbers
+// returns 36/n times its stake - the standard payout for every type below.
+const WHEEL_SIZE = 37;
+const RED_NUMBERS = [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36];
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+const LAYOUT_NUMBERS = range(1, 36);
+
+// Row of the layout a number sits in (1-12), columns run 1-3 across a row
+const rowOf = (n) => Math.ceil(n / 3);
+const columnOf = (n) => ((n - 1) % 3) + 1;
+
+const sameSet = (a, b) => a.length === b.length && a.every((n, i) => n === b[i]);
+
+function parseNumbers(numbers, count) {
+  if (!Array.isArray(numbers) || numbers.length !== count) {
+    throw new Error(`Bet must cover exactly ${count} number${count === 1 ? '' : 's'}`);
+  }
+  const parsed = numbers.map(Number);
+  if (parsed.some(n => !Number.isInteger(n) || n < 0 || n > 36)) {
+    throw new Error('Roulette numbers must be between 0 and 36');
+  }
+  if (new Set(parsed).size !== parsed.length) {
+    throw new Error('Bet numbers must be distinct');
+  }
+  return parsed.sort((a, b) => a - b);
+}
+
+function parseSelection(selection) {
+  const value = Number(selection);
+  if (![1, 2, 3].includes(value)) {
+    throw new Error('Selection must be 1, 2 or 3');
+  }
+  return value;
+}
+
+// Inside bets: the numbers given must form the shape on the layout
+const INSIDE_BETS = {
+  straight: {
+    count: 1,
+    isLegal: () => true
+  },
+  split: {
+    count: 2,
+    isLegal: ([a, b]) => {
+      if (a === 0) return b <= 3;
+      const sideBySide = b - a === 1 && rowOf(a) === rowOf(b);
+      return sideBySide || b - a === 3;
+    }
+  },
+  street: {
+    count: 3,
+    isLegal: (numbers) => {
+      // Zero trios: 0-1-2 and 0-2-3
+      if (numbers[0] === 0) return sameSet(numbers, [0, 1, 2]) || sameSet(numbers, [0, 2, 3]);
+      const [a] = numbers;
+      return columnOf(a) === 1 && sameSet(numbers, [a, a + 1, a + 2]);
+    }
+  },
+  corner: {
+    count: 4,
+    isLegal: (numbers) => {
+      // First four: 0-1-2-3
+      if (numbers[0] === 0) return sameSet(numbers, [0, 1, 2, 3]);
+      const [a] = numbers;
+      return columnOf(a) !== 3 && sameSet(numbers, [a, a + 1, a + 3, a + 4]);
+    }
+  },
+  'six-line': {
+    count: 6,
+    isLegal: (numbers) => {
+      const [a] = numbers;
+      return a !== 0 && columnOf(a) === 1 && sameSet(numbers, range(a, a + 5));
+    }
+  }
+};
+
+// Outside bets: a fixed set of numbers, optionally chosen by selection (1-3)
+const OUTSIDE_BETS = {
+  dozen: (selection) => range(12 * (selection - 1) + 1, 12 * selection),
+  column: (selection) => LAYOUT_NUMBERS.filter(n => columnOf(n) === selection),
+  red: () => RED_NUMBERS,
+  black: () => LAYOUT_NUMBERS.filter(n => !RED_NUMBERS.includes(n)),
+  odd: () => LAYOUT_NUMBERS.filter(n => n % 2 === 1),
+  even: () => LAYOUT_NUMBERS.filter(n => n % 2 === 0),
+  low: () => range(1, 18),
+  high: () => range(19, 36)
+};
+
+const BET_TYPES = [...Object.keys(INSIDE_BETS), ...Object.keys(OUTSIDE_BETS)];
+
+// Checks the bet is legal on the layout and returns the numbers it covers
+function expandBet({ type, numbers, selection }) {
+  if (INSIDE_BETS[type]) {
+    const bet = INSIDE_BETS[type];
+    const parsed = parseNumbers(numbers, bet.count);
+    if (!bet.isLegal(parsed)) {
+      throw new Error(`Numbers ${parsed.join(', ')} are not a valid ${type} bet`);
+    }
+    return parsed;
+  }
+
+  if (OUTSIDE_BETS[type]) {
+    const needsSelection = type === 'dozen' || type === 'column';
+    return [...OUTSIDE_BETS[type](needsSelection ? parseSelection(selection) : undefined)];
+  }
+
+  throw new Error(`Unknown bet type: ${type}. Expected one of ${BET_TYPES.join(', ')}`);
+}
+
+// Odds, total return and expected value for a bet; amounts are in wei
+function quoteBet(bet, amount) {
+  const numbers = expandBet(bet);
+  const stake = BigInt(amount);
+  const covered = BigInt(numbers.length);
+
+  return {
+    type: bet.type,
+    numbers,
+    odds: `${36 / numbers.length - 1}:1`,
+    winProbability: numbers.length / WHEEL_SIZE,
+    // The contract stakes amount / n per number, so round the same way
+    potentialReturn: ((stake / covered) * 36n).toString(),
+    expectedReturn: ((stake / covered) * covered * 36n / BigInt(WHEEL_SIZE)).toString()
+  };
+}
+
+function describeBetTypes() {
+  const example = {
+    straight: [17],
+    split: [17, 18],
+    street: [16, 17, 18],
+    corner: [17, 18, 20, 21],
+    'six-line': [13, 14, 15, 16, 17, 18]
+  };
+
+  return BET_TYPES.map(type => {
+    const numbers = expandBet({ type, numbers: example[type], selection: 1 });
+    return {
+      type,
+      kind: INSIDE_BETS[type] ? 'inside' : 'outside',
+      numbersCovered: numbers.length,
+      requires: INSIDE_BETS[type] ? 'numbers' : (type === 'dozen' || type === 'column' ? 'selection' : null),
+      odds: `${36 / numbers.length - 1}:1`
+    };
+  });
+}
+
+module.exports = {
+  BET_TYPES,
+  RED_NUMBERS,
+  expandBet,
+  quoteBet,
+  describeBetTypes
+};
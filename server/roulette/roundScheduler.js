@@ -0,0 +1,239 @@
+const { JsonFileStore } = require('../store/jsonFileStore');
+
+const DEFAULT_BETTING_MS = 30000;
+const DEFAULT_NO_MORE_BETS_MS = 5000;
+const DEFAULT_RESULT_MS = 5000;
+const MAX_HISTORY = 200;
+
+// Runs the shared wheel on a fixed clock:
+//   betting       bets are accepted for bettingMs
+//   no-more-bets  new bets are refused and lockEntropy(round) fixes the spin's
+//                 entropy; bets already in flight get noMoreBetsMs to land
+//   spinning      the wheel is spun once every in-flight bet has finished
+//   settled       the result is shown for resultMs before the next round opens
+// If the spin transaction fails the round stays in `spinning` and is retried.
+// The open round is kept on disk with its bets, so after a restart it picks
+// up where it left off instead of dropping bets that are already on-chain.
+class RouletteRoundScheduler {
+  constructor({
+    spin,
+    lockEntropy = async () => null,
+    filePath,
+    bettingMs = DEFAULT_BETTING_MS,
+    noMoreBetsMs = DEFAULT_NO_MORE_BETS_MS,
+    resultMs = DEFAULT_RESULT_MS
+  }) {
+    this.spin = spin;
+    this.lockEntropy = lockEntropy;
+    this.bettingMs = bettingMs;
+    this.noMoreBetsMs = noMoreBetsMs;
+    this.resultMs = resultMs;
+    this.store = new JsonFileStore(filePath, { nextRoundId: 1, current: null, rounds: [] });
+    this.round = null;
+    this.pending = new Set();
+    this.timer = null;
+  }
+
+  start() {
+    if (this.round) return;
+    const open = this.store.data.current;
+    if (open) {
+      this.resume(open);
+    } else {
+      this.openRound();
+    }
+  }
+
+  // Carries on with a round left open by a restart: it keeps betting until
+  // it was due to close, and otherwise goes on to spin at its spin time once
+  // its entropy is locked
+  resume(round) {
+    this.round = round;
+    const now = Date.now();
+    if (round.phase === 'betting' && now < round.bettingClosesAt) {
+      this.schedule(this.closeBetting, round.bettingClosesAt - now);
+    } else {
+      round.phase = 'no-more-bets';
+      this.store.save();
+      if (round.entropy) {
+        this.schedule(this.runSpin, Math.max(0, round.spinAt - now));
+      } else {
+        this.schedule(this.closeBetting, 0);
+      }
+    }
+    console.log('Roulette round resumed:', { roundId: round.roundId, phase: round.phase, bets: round.bets.length });
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule(fn, delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      fn.call(this).catch(error => console.error('Roulette round scheduler error:', error));
+    }, delayMs);
+  }
+
+  async openRound() {
+    const openedAt = Date.now();
+    this.round = {
+      roundId: this.store.data.nextRoundId++,
+      phase: 'betting',
+      openedAt,
+      bettingClosesAt: openedAt + this.bettingMs,
+      spinAt: openedAt + this.bettingMs + this.noMoreBetsMs,
+      entropy: null,
+      bets: [],
+      spin: null,
+      error: null,
+      settledAt: null
+    };
+    this.store.data.current = this.round;
+    this.store.save();
+    console.log('Roulette round opened:', {
+      roundId: this.round.roundId,
+      bettingClosesAt: new Date(this.round.bettingClosesAt).toISOString()
+    });
+    this.schedule(this.closeBetting, this.bettingMs);
+  }
+
+  // Bets are refused from here on, then the entropy is locked; a failed lock
+  // is retried before the round can spin
+  async closeBetting() {
+    const round = this.round;
+    round.phase = 'no-more-bets';
+    this.store.save();
+
+    try {
+      round.entropy = await this.lockEntropy(round);
+      round.error = null;
+    } catch (error) {
+      console.error('Roulette entropy lock failed, retrying:', error);
+      round.error = error.message;
+      this.store.save();
+      this.schedule(this.closeBetting, this.resultMs);
+      return;
+    }
+    this.store.save();
+    this.schedule(this.runSpin, Math.max(0, round.spinAt - Date.now()));
+  }
+
+  async runSpin() {
+    const round = this.round;
+    round.phase = 'spinning';
+    this.store.save();
+    await Promise.allSettled([...this.pending]);
+
+    if (round.bets.length === 0) {
+      // Nothing to settle, so skip the transaction
+      this.settle(round);
+      return;
+    }
+
+    try {
+      const spin = await this.spin(round);
+      round.spin = {
+        spinId: spin.spinId,
+        result: spin.result,
+        txHash: spin.txHash
+      };
+      round.error = null;
+      this.settle(round);
+    } catch (error) {
+      console.error('Roulette spin failed, retrying:', error);
+      round.error = error.message;
+      this.store.save();
+      this.schedule(this.runSpin, this.resultMs);
+    }
+  }
+
+  settle(round) {
+    round.phase = 'settled';
+    round.settledAt = Date.now();
+
+    const { rounds } = this.store.data;
+    rounds.push(round);
+    this.store.data.current = null;
+    if (rounds.length > MAX_HISTORY) {
+      rounds.splice(0, rounds.length - MAX_HISTORY);
+    }
+    this.store.save();
+    console.log('Roulette round settled:', {
+      roundId: round.roundId,
+      bets: round.bets.length,
+      spin: round.spin
+    });
+
+    this.schedule(this.openRound, this.resultMs);
+  }
+
+  // Runs submit() as a bet in the current round if betting is still open.
+  // submit() resolves to { intentHash, txHash, bet }, which is recorded on the round.
+  async placeBet(player, submit) {
+    const round = this.round;
+    if (!round || round.phase !== 'betting') {
+      throw new Error(round
+        ? `Betting is closed for round ${round.roundId}`
+        : 'No roulette round is open');
+    }
+
+    const bet = submit();
+    this.pending.add(bet);
+    try {
+      const placed = await bet;
+      round.bets.push({
+        player,
+        intentHash: placed.intentHash,
+        txHash: placed.txHash,
+        bet: placed.bet,
+        placedAt: Date.now()
+      });
+      this.store.save();
+      return { roundId: round.roundId, ...placed };
+    } finally {
+      this.pending.delete(bet);
+    }
+  }
+
+  view(round) {
+    if (!round) return null;
+    const now = Date.now();
+    return {
+      ...round,
+      msUntilBettingCloses: round.phase === 'betting' ? Math.max(0, round.bettingClosesAt - now) : 0,
+      msUntilSpin: ['betting', 'no-more-bets'].includes(round.phase) ? Math.max(0, round.spinAt - now) : 0
+    };
+  }
+
+  current() {
+    return this.view(this.round);
+  }
+
+  getRound(roundId) {
+    const id = Number(roundId);
+    if (this.round && this.round.roundId === id) {
+      return this.view(this.round);
+    }
+    return this.store.data.rounds.find(round => round.roundId === id) || null;
+  }
+
+  history(limit = 20) {
+    return this.store.data.rounds.slice(-limit).reverse();
+  }
+
+  // Latest settled round the player had a bet in
+  lastRoundFor(player) {
+    const key = player.toLowerCase();
+    const { rounds } = this.store.data;
+    for (let i = rounds.length - 1; i >= 0; i--) {
+      if (rounds[i].bets.some(bet => bet.player.toLowerCase() === key)) {
+        return rounds[i];
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { RouletteRoundScheduler };
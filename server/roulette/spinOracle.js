@@ -0,0 +1,125 @@
+const { JsonFileStore } = require('../store/jsonFileStore');
+const { generateServerSeed, hashSeed, createSeededRandom } = require('../common/seeds');
+
+const WHEEL_SIZE = 37; // 0-36, single zero
+
+// The winning number comes from the committed server seed mixed with the hash
+// of a block fixed when betting closes and not yet mined at that point, so
+// neither side can know it in advance or pick a favorable one
+function spinResultFromSeed(serverSeed, blockHash, spinId) {
+  return createSeededRandom(serverSeed, blockHash, spinId)(WHEEL_SIZE);
+}
+
+function verifySpin({ serverSeed, serverSeedHash, blockHash, spinId, result }) {
+  const hashMatches = hashSeed(serverSeed) === serverSeedHash;
+  const expectedResult = spinResultFromSeed(serverSeed, blockHash, spinId);
+  return {
+    valid: hashMatches && expectedResult === Number(result),
+    hashMatches,
+    expectedResult
+  };
+}
+
+// Commit-reveal spins: the hash of the next spin's seed is public before
+// betting closes, the entropy block is fixed by lock() when it closes, the
+// seed is revealed once the spin is on-chain, and every spin is kept on disk
+// so past rounds can be verified
+class RouletteSpinOracle {
+  constructor(filePath) {
+    this.store = new JsonFileStore(filePath, { nextSpinId: 1, commitment: null, spins: [] });
+    this.spinning = false;
+    if (!this.store.data.commitment) {
+      this.rotate();
+    }
+  }
+
+  rotate() {
+    const serverSeed = generateServerSeed();
+    this.store.data.commitment = {
+      spinId: this.store.data.nextSpinId++,
+      serverSeed,
+      serverSeedHash: hashSeed(serverSeed),
+      committedAt: Date.now(),
+      roundId: null,
+      result: null,
+      blockHash: null,
+      blockNumber: null
+    };
+    this.store.save();
+  }
+
+  // Public part of the upcoming spin's commitment
+  commitment() {
+    const { spinId, serverSeedHash, committedAt, blockNumber } = this.store.data.commitment;
+    return { spinId, serverSeedHash, committedAt, blockNumber };
+  }
+
+  // Fixes the block whose hash the upcoming spin uses; called as a round's
+  // betting closes with a block that is not mined yet. The round keeps the
+  // block it locked first, even across restarts. A round with no bets never
+  // spins, so the next round locks a new block for the same seed.
+  lock(roundId, blockNumber) {
+    const commitment = this.store.data.commitment;
+    if (commitment.roundId !== roundId) {
+      if (commitment.result !== null) {
+        throw new Error(`Spin ${commitment.spinId} is already drawn`);
+      }
+      commitment.roundId = roundId;
+      commitment.blockNumber = blockNumber;
+      this.store.save();
+    }
+    return this.commitment();
+  }
+
+  // Draws the result for the committed seed from the locked block's hash,
+  // read with getBlockHash(blockNumber) (null while it is not mined), and
+  // hands it to submit(result), which sends the spin transaction and returns
+  // its hash. Once drawn, a result is kept: a failed submit is retried with
+  // the same number.
+  async spin({ getBlockHash, submit }) {
+    if (this.spinning) {
+      throw new Error('A spin is already in progress');
+    }
+    this.spinning = true;
+
+    try {
+      const commitment = this.store.data.commitment;
+      if (commitment.result === null) {
+        if (commitment.blockNumber === null) {
+          throw new Error(`Spin ${commitment.spinId} has no entropy block locked`);
+        }
+        const blockHash = await getBlockHash(commitment.blockNumber);
+        if (!blockHash) {
+          throw new Error(`Entropy block ${commitment.blockNumber} is not mined yet`);
+        }
+        commitment.blockHash = blockHash;
+        commitment.result = spinResultFromSeed(commitment.serverSeed, blockHash, commitment.spinId);
+        this.store.save();
+      }
+
+      const txHash = await submit(commitment.result);
+
+      const spin = { ...commitment, txHash, spunAt: Date.now() };
+      this.store.data.spins.push(spin);
+      this.rotate();
+      return spin;
+    } finally {
+      this.spinning = false;
+    }
+  }
+
+  getSpin(spinId) {
+    return this.store.data.spins.find(spin => spin.spinId === Number(spinId)) || null;
+  }
+
+  history(limit = 20) {
+    return this.store.data.spins.slice(-limit).reverse();
+  }
+}
+
+module.exports = {
+  RouletteSpinOracle,
+  spinResultFromSeed,
+  verifySpin,
+  WHEEL_SIZE
+};
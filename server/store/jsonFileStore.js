@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small JSON-on-disk store. Writes go to a temp file first and are renamed into
+// place, so a crash mid-write never leaves a truncated file behind.
+class JsonFileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.data = this.load(defaults);
+  }
+
+  load(defaults) {
+    try {
+      return { ...defaults, ...JSON.parse(fs.readFileSync(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load store ${this.filePath}: ${error.message}`);
+      }
+      return JSON.parse(JSON.stringify(defaults));
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = { JsonFileStore };
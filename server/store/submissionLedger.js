@@ -0,0 +1,223 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { JsonFileStore } = require('./jsonFileStore');
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+function parseNonce(nonce) {
+  const value = Number(nonce);
+  if (nonce === undefined || nonce === null || nonce === '' ||
+      !Number.isSafeInteger(value) || value < 0) {
+    throw new Error('A non-negative integer nonce is required');
+  }
+  return value;
+}
+
+// Persistent record of every submission, keyed by game, player and nonce.
+// Nonces must increase per player and game; a retry of a nonce that already
+// succeeded gets the original response back instead of a second transaction.
+// Every transaction sent while a submission runs is recorded against it (see
+// sent) before it is waited on, so a submission whose transaction was mined is
+// never retried, even if it failed afterwards or the server died mid-way.
+// Those are settled from their receipts, via getReceipt(txHash), on the next
+// attempt or by recover() at startup. Finished records are pruned after
+// retentionMs; their nonces stay used.
+class SubmissionLedger {
+  constructor(filePath, {
+    getReceipt = async () => null,
+    retentionMs = DEFAULT_RETENTION_MS,
+    pendingTimeoutMs = DEFAULT_PENDING_TIMEOUT_MS
+  } = {}) {
+    this.store = new JsonFileStore(filePath, { lastNonces: {}, submissions: {} });
+    for (const record of Object.values(this.store.data.submissions)) {
+      record.txHashes = record.txHashes || (record.txHash ? [record.txHash] : []);
+    }
+    this.getReceipt = getReceipt;
+    this.retentionMs = retentionMs;
+    this.pendingTimeoutMs = pendingTimeoutMs;
+    // Submissions running in this process; any other pending record was left
+    // behind by a restart
+    this.inFlight = new Set();
+    this.context = new AsyncLocalStorage();
+  }
+
+  nonceKey(game, player) {
+    return `${game}:${player.toLowerCase()}`;
+  }
+
+  submissionKey(game, player, nonce) {
+    return `${this.nonceKey(game, player)}:${nonce}`;
+  }
+
+  get(game, player, nonce) {
+    return this.store.data.submissions[this.submissionKey(game, player, parseNonce(nonce))] || null;
+  }
+
+  // Claims a nonce. Returns { replayed: true, record } when the submission has
+  // already succeeded, and throws for in-flight, used or out-of-order nonces.
+  begin(game, player, nonce, now = Date.now()) {
+    if (!player) {
+      throw new Error('player is required');
+    }
+    const value = parseNonce(nonce);
+    const { lastNonces, submissions } = this.store.data;
+    const key = this.submissionKey(game, player, value);
+    const existing = submissions[key];
+
+    if (existing) {
+      if (existing.status === 'success') {
+        return { replayed: true, record: existing };
+      }
+      if (existing.status === 'pending' && (this.inFlight.has(key) || existing.txHashes.length > 0)) {
+        throw new Error(`Submission with nonce ${value} is already in progress`);
+      }
+      // Failed, or cut off by a restart before it sent anything: the nonce may
+      // be retried
+    } else {
+      const nonceKey = this.nonceKey(game, player);
+      const lastNonce = lastNonces[nonceKey];
+      if (lastNonce !== undefined && value <= lastNonce) {
+        throw new Error(`Nonce ${value} already used or out of order (last: ${lastNonce})`);
+      }
+      lastNonces[nonceKey] = value;
+    }
+
+    submissions[key] = {
+      game,
+      player,
+      nonce: value,
+      status: 'pending',
+      txHash: null,
+      txHashes: [],
+      response: null,
+      error: null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    this.inFlight.add(key);
+    this.prune(now);
+    this.store.save();
+    return { replayed: false, record: submissions[key] };
+  }
+
+  // Records a transaction sent on behalf of the submission currently running
+  // (if any), before it is waited on
+  sent(txHash) {
+    const record = this.store.data.submissions[this.context.getStore()];
+    if (!record || record.status !== 'pending') return;
+    record.txHashes.push(txHash);
+    record.updatedAt = Date.now();
+    this.store.save();
+  }
+
+  complete(game, player, nonce, response) {
+    const record = this.get(game, player, nonce);
+    record.status = 'success';
+    record.txHash = response.txHash || null;
+    record.response = response;
+    record.error = null;
+    record.updatedAt = Date.now();
+    this.store.save();
+    return record;
+  }
+
+  // A submission that sent nothing failed outright. One that sent transactions
+  // is settled from their receipts, and stays pending while that is unknown.
+  async fail(game, player, nonce, error) {
+    const record = this.get(game, player, nonce);
+    record.error = error.message;
+    record.updatedAt = Date.now();
+    if (record.txHashes.length === 0) {
+      record.status = 'failed';
+      this.store.save();
+      return record;
+    }
+
+    this.store.save();
+    try {
+      await this.resolve(record);
+    } catch (resolveError) {
+      console.error(`Could not resolve submission ${this.submissionKey(game, player, nonce)}:`, resolveError.message);
+    }
+    return record;
+  }
+
+  // Settles a pending record from its transactions' receipts: any mined
+  // transaction makes it a success, all reverted makes it a failure. One whose
+  // transactions are still unknown after pendingTimeoutMs is taken as dropped.
+  async resolve(record, now = Date.now()) {
+    const receipts = await Promise.all(record.txHashes.map(txHash => this.getReceipt(txHash)));
+    const mined = record.txHashes.filter((txHash, i) => receipts[i] && receipts[i].status === 1);
+
+    if (mined.length > 0) {
+      record.status = 'success';
+      record.txHash = mined[mined.length - 1];
+      record.response = { success: true, txHash: record.txHash, recovered: true };
+    } else if (receipts.every(Boolean) || now - record.updatedAt >= this.pendingTimeoutMs) {
+      record.status = 'failed';
+      record.error = record.error || 'Transaction was not mined';
+    } else {
+      return record;
+    }
+    record.updatedAt = now;
+    this.store.save();
+    return record;
+  }
+
+  // Settles every pending record left behind by a restart
+  async recover(now = Date.now()) {
+    const leftover = Object.entries(this.store.data.submissions)
+      .filter(([key, record]) => record.status === 'pending' && !this.inFlight.has(key))
+      .map(([, record]) => record);
+
+    for (const record of leftover) {
+      if (record.txHashes.length === 0) {
+        record.status = 'failed';
+        record.error = 'Interrupted before sending a transaction';
+        record.updatedAt = now;
+        this.store.save();
+      } else {
+        await this.resolve(record, now);
+      }
+    }
+    return leftover;
+  }
+
+  // Drops finished records older than retentionMs
+  prune(now = Date.now()) {
+    const { submissions } = this.store.data;
+    for (const [key, record] of Object.entries(submissions)) {
+      if (record.status !== 'pending' && now - record.updatedAt >= this.retentionMs) {
+        delete submissions[key];
+      }
+    }
+  }
+
+  // Runs submit() at most once per successful (game, player, nonce)
+  async run(game, player, nonce, submit) {
+    const existing = player ? this.get(game, player, nonce) : null;
+    if (existing && existing.status === 'pending' && existing.txHashes.length > 0 &&
+        !this.inFlight.has(this.submissionKey(game, player, existing.nonce))) {
+      await this.resolve(existing);
+    }
+
+    const { replayed, record } = this.begin(game, player, nonce);
+    if (replayed) {
+      return { ...record.response, replayed: true };
+    }
+
+    const key = this.submissionKey(game, player, record.nonce);
+    try {
+      const response = await this.context.run(key, submit);
+      this.complete(game, player, record.nonce, response);
+      return response;
+    } catch (error) {
+      await this.fail(game, player, record.nonce, error);
+      throw error;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+}
+
+module.exports = { SubmissionLedger, parseNonce };
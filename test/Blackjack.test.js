@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Blackjack", function () {
   let Blackjack, blackjack, Treasury, treasury;
@@ -180,6 +181,14 @@ describe("Blackjack", function () {
       ).to.be.revertedWithCustomError(blackjack, "OnlyOwnerAllowed");
     });
 
+    it("Should prevent a player from settling their own hand", async function () {
+      await blackjack.connect(player1).placeBet({ value: betAmount });
+      await expect(
+        blackjack.connect(player1).resolveGames([player1.address], [2])
+      ).to.be.revertedWithCustomError(blackjack, "OnlyOwnerAllowed");
+      expect(await blackjack.isPlayerActive(player1.address)).to.be.true;
+    });
+
     it("Should prevent resolution during paused state", async function () {
       await blackjack.connect(player1).placeBet({ value: betAmount });
       await blackjack.connect(owner).pause();
@@ -220,4 +229,97 @@ describe("Blackjack", function () {
       expect(finalHouseFunds).to.equal(initialHouseFunds - betAmount);
     });
   });
+  describe("Hash-Verified Resolution", function () {
+    const result = (player, multiplier, nonce) => ({
+      player: player.address,
+      playerCards: [10, 11],
+      dealerCards: [9, 8],
+      multiplier,
+      nonce
+    });
+
+    beforeEach(async function () {
+      await blackjack.connect(player1).placeBet({ value: betAmount });
+      await blackjack.connect(player2).placeBet({ value: betAmount });
+    });
+
+    it("Should resolve a batch of submitted results and mark their hashes used", async function () {
+      const results = [result(player1, 2, 1), result(player2, 1, 2)];
+      for (const [signer, r] of [[player1, results[0]], [player2, results[1]]]) {
+        await blackjack.connect(signer).submitGameResult(r.playerCards, r.dealerCards, r.multiplier, r.nonce);
+      }
+      const hash = await blackjack.playerGameHashes(player1.address);
+
+      await expect(blackjack.connect(owner).resolveGamesForPlayers(results))
+        .to.emit(blackjack, "GameResolved")
+        .withArgs(player1.address, betAmount * 2n);
+
+      expect(await blackjack.usedHashes(hash)).to.be.true;
+      expect(await blackjack.playerGameHashes(player1.address)).to.equal(ethers.ZeroHash);
+      expect(await blackjack.isPlayerActive(player2.address)).to.be.false;
+    });
+
+    it("Should reject a result that does not match the submitted hash", async function () {
+      await blackjack.connect(player1).submitGameResult([10, 11], [9, 8], 0, 1);
+
+      await expect(
+        blackjack.connect(owner).resolveGamesForPlayers([result(player1, 2, 1)])
+      ).to.be.revertedWith("Invalid game state");
+      await expect(
+        blackjack.connect(player1).resolveGamesForPlayers([result(player1, 0, 1)])
+      ).to.be.revertedWithCustomError(blackjack, "OnlyOwnerAllowed");
+    });
+  });
+
+  describe("Signed Extra Stakes", function () {
+    const types = {
+      BlackjackAction: [
+        { name: "player", type: "address" },
+        { name: "action", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+
+    async function signAction(signer, action, { nonce = 1, player = signer.address } = {}) {
+      const domain = {
+        name: "AIce Arena",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await blackjack.getAddress()
+      };
+      const intent = { player, action, nonce, deadline: (await time.latest()) + 600 };
+      return { intent, signature: await signer.signTypedData(domain, types, intent) };
+    }
+
+    beforeEach(async function () {
+      await blackjack.connect(player1).placeBet({ value: betAmount });
+    });
+
+    it("Should take another unit for a double and half a unit for insurance", async function () {
+      const double = await signAction(player1, "double");
+      await expect(blackjack.connect(owner).collectStakeFor(double.intent, double.signature))
+        .to.emit(blackjack, "StakeAdded").withArgs(player1.address, "double", betAmount);
+
+      const insurance = await signAction(player1, "insurance", { nonce: 2 });
+      await blackjack.connect(owner).collectStakeFor(insurance.intent, insurance.signature);
+      expect(await treasury.getPlayerBalance(player1.address)).to.equal(playerFunds - betAmount - betAmount / 2n);
+    });
+
+    it("Should only take a stake once, from its own player's signed action", async function () {
+      const { intent, signature } = await signAction(player1, "split");
+      await expect(blackjack.connect(player2).collectStakeFor(intent, signature))
+        .to.be.revertedWithCustomError(blackjack, "OnlyOwnerAllowed");
+      await blackjack.connect(owner).collectStakeFor(intent, signature);
+      await expect(blackjack.connect(owner).collectStakeFor(intent, signature))
+        .to.be.revertedWith("Intent already used");
+
+      const forged = await signAction(player2, "double", { nonce: 2, player: player1.address });
+      await expect(blackjack.connect(owner).collectStakeFor(forged.intent, forged.signature))
+        .to.be.revertedWith("Intent was not signed by its player");
+      const stand = await signAction(player1, "stand", { nonce: 3 });
+      await expect(blackjack.connect(owner).collectStakeFor(stand.intent, stand.signature))
+        .to.be.revertedWith("Unknown action");
+    });
+  });
 });
\ No newline at end of file
@@ -165,6 +165,15 @@ describe("HouseTreasury", function () {
                 );
             });
 
+            it("Should let the owner pay a player from house funds but nobody else", async function () {
+                await treasury.connect(owner).payFromHouse(addr2.address, ethers.parseEther("0.2"));
+                expect(await treasury.getPlayerBalance(addr2.address)).to.equal(ethers.parseEther("1.2"));
+                expect(await treasury.getHouseFunds()).to.equal(ethers.parseEther("9.8"));
+                await expect(
+                    treasury.connect(addr1).payFromHouse(addr1.address, ethers.parseEther("0.2"))
+                ).to.be.revertedWith("Only owner can call this function.");
+            });
+
             it("Should reject bet wins if house funds are insufficient", async function () {
                 await treasury.connect(owner).withdrawHouseFunds(ethers.parseEther("9.9"));
                 await expect(
@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 
 describe("Poker", function () {
     let Poker;
@@ -159,6 +161,20 @@ describe("Poker", function () {
             ).to.be.revertedWithCustomError(poker, "TableFull");
         });
 
+        it("Should add chips to a seated player's stack between hands", async function () {
+            await poker.connect(player1).joinTable(tableId, buyIn);
+            await treasury.connect(player1).deposit({ value: buyIn });
+            await expect(poker.connect(player1).rebuy(tableId, buyIn))
+                .to.emit(poker, "PlayerRebought").withArgs(tableId, player1.address, buyIn, buyIn * 2n)
+                .and.not.to.emit(poker, "PlayerLeft");
+            expect(await poker.getTablePlayers(tableId)).to.deep.equal([player1.address]);
+
+            await expect(poker.connect(player2).rebuy(tableId, buyIn))
+                .to.be.revertedWith("Player not at this table");
+            await expect(poker.connect(player1).rebuy(tableId, ethers.parseEther("9")))
+                .to.be.revertedWithCustomError(poker, "InvalidBuyIn");
+        });
+
         it("Should allow players to leave table", async function () {
             await poker.connect(player1).joinTable(tableId, buyIn);
             await poker.connect(player1).leaveTable(tableId);
@@ -172,6 +188,525 @@ describe("Poker", function () {
     describe("Game Flow", function () {
         // Add tests for game flow, betting rounds, etc.
         // This section will be expanded as more game logic is implemented
+        const tableId = 0;
+        const buyIn = ethers.parseEther("1");
+        const smallBlind = ethers.parseEther("0.01");
+        const bigBlind = ethers.parseEther("0.02");
+
+        beforeEach(async function () {
+            await poker.createTable(
+                ethers.parseEther("1"),
+                ethers.parseEther("10"),
+                smallBlind,
+                bigBlind,
+                ethers.parseEther("0.02"),
+                ethers.parseEther("2")
+            );
+            for (const player of [player1, player2, player3]) {
+                await treasury.connect(player).openAccount({ value: buyIn });
+            }
+            await poker.connect(player1).joinTable(tableId, buyIn);
+            await poker.connect(player2).joinTable(tableId, buyIn);
+        });
+
+        // Commitments to two hole cards per seat; 0, 0 for a seat sitting
+        // the hand out
+        async function holeCards(players, cards) {
+            const { handNumber } = await poker.tables(tableId);
+            const salts = players.map(player => ethers.id(`salt ${player.address}`));
+            const commitments = players.map((player, i) => cards[i * 2] === 0 ? ethers.ZeroHash :
+                ethers.solidityPackedKeccak256(
+                    ["uint256", "uint256", "address", "uint8", "uint8", "bytes32"],
+                    [tableId, handNumber, player.address, cards[i * 2], cards[i * 2 + 1], salts[i]]
+                ));
+            return { cards, salts, commitments };
+        }
+
+        async function dealHand(cards = [1, 2, 3, 4]) {
+            await poker.startHand(tableId);
+            const hand = await holeCards([player1, player2], cards);
+            await poker.dealHoleCards(tableId, hand.commitments);
+            return hand;
+        }
+
+        // The player whose turn it is
+        async function toAct() {
+            const { currentPosition } = await poker.tables(tableId);
+            const player = (await poker.getTablePlayers(tableId))[currentPosition];
+            return [player1, player2, player3].find(signer => signer.address === player);
+        }
+
+        async function playToRiver(board = [5, 6, 7, 20, 30]) {
+            await poker.connect(await toAct()).call(tableId);
+            await poker.connect(await toAct()).check(tableId);
+            await poker.startFlop(tableId, board.slice(0, 3));
+            for (const [street, card] of [["startTurn", board[3]], ["startRiver", board[4]]]) {
+                await poker.connect(await toAct()).check(tableId);
+                await poker.connect(await toAct()).check(tableId);
+                await poker[street](tableId, card);
+            }
+            await poker.connect(await toAct()).check(tableId);
+            await poker.connect(await toAct()).check(tableId);
+        }
+
+        it("Should wait for the owner to start a hand and post the blinds", async function () {
+            expect((await poker.getTableInfo(tableId)).gameState).to.equal(0);
+
+            await expect(poker.connect(player1).startHand(tableId))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await expect(poker.startHand(tableId))
+                .to.emit(poker, "BlindsPosted")
+                .withArgs(tableId, player1.address, player2.address, smallBlind, bigBlind);
+
+            const tableInfo = await poker.getTableInfo(tableId);
+            expect(tableInfo.gameState).to.equal(1);
+            expect(tableInfo.pot).to.equal(smallBlind + bigBlind);
+            expect((await poker.tables(tableId)).handNumber).to.equal(1);
+            await expect(poker.startHand(tableId)).to.be.revertedWithCustomError(poker, "InvalidGameState");
+        });
+
+        it("Should deal committed hole cards and open betting left of the big blind", async function () {
+            await poker.startHand(tableId);
+            const hand = await holeCards([player1, player2], [1, 2, 3, 4]);
+            await expect(poker.dealHoleCards(tableId, hand.commitments.slice(0, 1)))
+                .to.be.revertedWith("One commitment per seat");
+            await expect(poker.dealHoleCards(tableId, [hand.commitments[0], ethers.ZeroHash]))
+                .to.be.revertedWith("Missing commitment");
+
+            await expect(poker.dealHoleCards(tableId, hand.commitments))
+                .to.emit(poker, "HoleCardsCommitted").withArgs(tableId, player2.address, hand.commitments[1])
+                .and.to.emit(poker, "TurnStarted").withArgs(tableId, player1.address);
+            expect((await poker.getTableInfo(tableId)).gameState).to.equal(2);
+            // Nothing on-chain gives the cards away before the showdown
+            expect(await poker.getPlayerCards(tableId, player2.address)).to.deep.equal([]);
+        });
+
+        it("Should only show down the hole cards that were committed to", async function () {
+            const hand = await dealHand();
+            await playToRiver();
+
+            await expect(poker.startShowdown(tableId, [1, 2, 3, 9], hand.salts, [player1.address], [bigBlind * 2n]))
+                .to.be.revertedWith("Hole cards do not match commitment");
+            await expect(poker.startShowdown(tableId, hand.cards, hand.salts, [player1.address], [bigBlind * 2n]))
+                .to.emit(poker, "HoleCardsRevealed").withArgs(tableId, player2.address, [3, 4]);
+            expect(await poker.getPlayerCards(tableId, player2.address)).to.deep.equal([3n, 4n]);
+        });
+
+        it("Should not deal the same card twice in a hand", async function () {
+            await dealHand();
+            await poker.connect(player1).call(tableId);
+            await poker.connect(player2).check(tableId);
+            await expect(poker.startFlop(tableId, [5, 6, 5])).to.be.revertedWith("Card already dealt");
+            await expect(poker.startFlop(tableId, [5, 6, 53])).to.be.revertedWith("Invalid card");
+            await poker.startFlop(tableId, [5, 6, 7]);
+
+            // The next hand starts from a full deck
+            await poker.connect(player2).fold(tableId);
+            const hand = await dealHand([5, 6, 7, 8]);
+            await playToRiver([1, 2, 3, 4, 9]);
+            await poker.startShowdown(tableId, hand.cards, hand.salts, [player1.address], [bigBlind * 2n]);
+
+            // A hole card shown down that is already on the board is rejected
+            const repeat = await dealHand([5, 6, 7, 8]);
+            await playToRiver([1, 2, 3, 4, 8]);
+            await expect(poker.startShowdown(tableId, repeat.cards, repeat.salts, [player1.address], [bigBlind * 2n]))
+                .to.be.revertedWith("Card already dealt");
+        });
+
+        it("Should end a betting round without dealing the next street", async function () {
+            await dealHand();
+            await expect(poker.startFlop(tableId, [5, 6, 7])).to.be.revertedWith("Not all players have acted");
+
+            await poker.connect(player1).call(tableId);
+            await expect(poker.connect(player2).check(tableId)).to.emit(poker, "RoundComplete").withArgs(tableId);
+            expect((await poker.getTableInfo(tableId)).gameState).to.equal(2);
+            expect(await poker.isRoundComplete(tableId)).to.be.true;
+
+            await expect(poker.connect(player1).startFlop(tableId, [5, 6, 7]))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            // Heads-up the big blind acts first after the flop
+            await expect(poker.startFlop(tableId, [5, 6, 7]))
+                .to.emit(poker, "CommunityCardsDealt").withArgs(tableId, [5, 6, 7])
+                .and.to.emit(poker, "TurnStarted").withArgs(tableId, player2.address);
+            expect((await poker.getTableInfo(tableId)).gameState).to.equal(3);
+            expect(await poker.isRoundComplete(tableId)).to.be.false;
+        });
+
+        it("Should play a hand through to the showdown and wait for the next one", async function () {
+            const hand = await dealHand();
+            await playToRiver();
+
+            await expect(poker.startShowdown(tableId, hand.cards, hand.salts, [player1.address], [bigBlind * 2n]))
+                .to.emit(poker, "HandWinner").withArgs(tableId, player1.address, 1, bigBlind * 2n)
+                .and.to.emit(poker, "HandComplete").withArgs(tableId, player1.address, bigBlind * 2n);
+            const tableInfo = await poker.getTableInfo(tableId);
+            expect(tableInfo.gameState).to.equal(7);
+            expect(tableInfo.pot).to.equal(0);
+            expect(await poker.getCommunityCards(tableId)).to.deep.equal([5n, 6n, 7n, 20n, 30n]);
+        });
+
+        it("Should pay a split pot and refuse payouts that do not add up", async function () {
+            const hand = await dealHand();
+            await poker.connect(player3).joinTable(tableId, buyIn);
+            await playToRiver();
+            // Player 3 sat down mid-hand and has nothing to show
+            const showdown = (winners, amounts) => poker.startShowdown(
+                tableId, [...hand.cards, 0, 0], [...hand.salts, ethers.ZeroHash], winners.map(w => w.address), amounts
+            );
+
+            await expect(showdown([player1], [bigBlind])).to.be.revertedWith("Winnings must add up to the pot");
+            await expect(showdown([player1, player1], [bigBlind, bigBlind])).to.be.revertedWith("Duplicate winner");
+            await expect(showdown([player1, player3], [bigBlind, bigBlind])).to.be.revertedWith("Winner not in the hand");
+            await expect(showdown([player1], [bigBlind * 3n])).to.be.revertedWith("Winnings exceed eligible pots");
+            await expect(showdown([player1, player2], [bigBlind])).to.be.revertedWith("One amount per winner");
+
+            await expect(showdown([player1, player2], [bigBlind, bigBlind]))
+                .to.emit(poker, "HandWinner").withArgs(tableId, player2.address, anyValue, bigBlind);
+            expect((await poker.getPlayerInfo(tableId, player1.address)).tableStake).to.equal(buyIn);
+            expect((await poker.getPlayerInfo(tableId, player2.address)).tableStake).to.equal(buyIn);
+        });
+
+        it("Should let a short stack call all-in and pay out the side pot", async function () {
+            for (const player of [player1, player2]) {
+                await treasury.connect(player).deposit({ value: buyIn });
+                await poker.connect(player).rebuy(tableId, buyIn);
+            }
+            await poker.connect(player3).joinTable(tableId, buyIn);
+            const players = [player1, player2, player3];
+            await poker.startHand(tableId);
+            const hand = await holeCards(players, [1, 2, 3, 4, 5, 6]);
+            await poker.dealHoleCards(tableId, hand.commitments);
+
+            // Player 3 in the big blind has less than the raise left
+            const raise = ethers.parseEther("1.5");
+            await poker.connect(player1).raise(tableId, raise);
+            await poker.connect(player2).call(tableId);
+            await expect(poker.connect(player3).raise(tableId, raise * 2n)).to.be.revertedWith("Insufficient funds");
+            await expect(poker.connect(player3).call(tableId))
+                .to.emit(poker, "BetPlaced").withArgs(tableId, player3.address, buyIn - bigBlind)
+                .and.to.emit(poker, "RoundComplete").withArgs(tableId);
+            expect((await poker.getPlayerInfo(tableId, player3.address)).currentBet).to.equal(buyIn);
+
+            // Betting carries on without them
+            await expect(poker.startFlop(tableId, [14, 15, 16]))
+                .to.emit(poker, "TurnStarted").withArgs(tableId, player2.address);
+            for (const [street, card] of [["startTurn", 40], ["startRiver", 41]]) {
+                await poker.connect(player2).check(tableId);
+                await poker.connect(player1).check(tableId);
+                await poker[street](tableId, card);
+            }
+            await poker.connect(player2).check(tableId);
+            await poker.connect(player1).check(tableId);
+
+            // Player 3 can only win the main pot; the rest is a side pot
+            // between the other two
+            const showdown = (amounts) => poker.startShowdown(
+                tableId, hand.cards, hand.salts, [player3.address, player2.address], amounts
+            );
+            await expect(showdown([buyIn * 3n + 1n, (raise - buyIn) * 2n - 1n])).to.be.revertedWith("Winnings exceed eligible pots");
+            await showdown([buyIn * 3n, (raise - buyIn) * 2n]);
+            expect((await poker.getPlayerInfo(tableId, player3.address)).tableStake).to.equal(buyIn * 3n);
+            expect((await poker.getPlayerInfo(tableId, player2.address)).tableStake).to.equal(buyIn * 2n - raise + (raise - buyIn) * 2n);
+        });
+
+        it("Should give the pot to the last player in when everyone else folds", async function () {
+            await dealHand();
+
+            await expect(poker.connect(player1).fold(tableId))
+                .to.emit(poker, "HandWinner").withArgs(tableId, player2.address, 0, smallBlind + bigBlind);
+            expect((await poker.getTableInfo(tableId)).gameState).to.equal(7);
+            expect((await poker.getPlayerInfo(tableId, player2.address)).tableStake).to.equal(buyIn + smallBlind);
+        });
+
+        it("Should deal a player who joins mid-hand into the next hand", async function () {
+            await dealHand();
+            await poker.connect(player3).joinTable(tableId, buyIn);
+            expect((await poker.getPlayerInfo(tableId, player3.address)).isActive).to.be.false;
+
+            await poker.connect(player1).fold(tableId);
+            await expect(poker.startHand(tableId))
+                .to.emit(poker, "BlindsPosted").withArgs(tableId, player3.address, player1.address, smallBlind, bigBlind);
+            expect((await poker.getPlayerInfo(tableId, player3.address)).isActive).to.be.true;
+            const hand = await holeCards([player1, player2, player3], [1, 2, 3, 4, 5, 6]);
+            await expect(poker.dealHoleCards(tableId, hand.commitments))
+                .to.emit(poker, "TurnStarted").withArgs(tableId, player2.address);
+        });
+
+        it("Should move the button and the blinds round the table each hand", async function () {
+            await poker.connect(player3).joinTable(tableId, buyIn);
+            const players = [player1, player2, player3];
+
+            // Player 1 has the button for the first hand
+            await expect(poker.startHand(tableId))
+                .to.emit(poker, "BlindsPosted").withArgs(tableId, player2.address, player3.address, smallBlind, bigBlind);
+            expect((await poker.tables(tableId)).dealerPosition).to.equal(0);
+            await expect(poker.dealHoleCards(tableId, (await holeCards(players, [1, 2, 3, 4, 5, 6])).commitments))
+                .to.emit(poker, "TurnStarted").withArgs(tableId, player1.address);
+            await poker.connect(player1).fold(tableId);
+            await poker.connect(player2).fold(tableId);
+
+            // Then player 2, with players 3 and 1 in the blinds
+            await expect(poker.startHand(tableId))
+                .to.emit(poker, "BlindsPosted").withArgs(tableId, player3.address, player1.address, smallBlind, bigBlind);
+            expect((await poker.tables(tableId)).dealerPosition).to.equal(1);
+            await expect(poker.dealHoleCards(tableId, (await holeCards(players, [1, 2, 3, 4, 5, 6])).commitments))
+                .to.emit(poker, "TurnStarted").withArgs(tableId, player2.address);
+
+            // After the flop the first player left of the button is up
+            await poker.connect(player2).call(tableId);
+            await poker.connect(player3).call(tableId);
+            await poker.connect(player1).check(tableId);
+            await expect(poker.startFlop(tableId, [7, 8, 9]))
+                .to.emit(poker, "TurnStarted").withArgs(tableId, player3.address);
+        });
+
+        it("Should only let a player leave mid-hand once they have folded", async function () {
+            await poker.connect(player3).joinTable(tableId, buyIn);
+            await poker.startHand(tableId);
+            const hand = await holeCards([player1, player2, player3], [1, 2, 3, 4, 5, 6]);
+            await poker.dealHoleCards(tableId, hand.commitments);
+            await expect(poker.connect(player1).leaveTable(tableId)).to.be.revertedWith("Fold before leaving");
+
+            // Player 1 folds to a raise and leaves; player 3 moves into their
+            // seat with their raise still counted
+            await poker.connect(player1).call(tableId);
+            await poker.connect(player2).call(tableId);
+            await poker.connect(player3).raise(tableId, bigBlind * 2n);
+            await poker.connect(player1).fold(tableId);
+            await poker.connect(player1).leaveTable(tableId);
+            expect(await poker.getTablePlayers(tableId)).to.deep.equal([player3.address, player2.address]);
+            expect((await poker.getPlayerInfo(tableId, player3.address)).position).to.equal(0);
+            await expect(poker.connect(player2).call(tableId)).to.emit(poker, "RoundComplete");
+        });
+
+        it("Should let the owner check or fold for a player whose turn has timed out", async function () {
+            await dealHand();
+            await expect(poker.connect(player2).timeoutTurn(tableId, false))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await expect(poker.timeoutTurn(tableId, false)).to.be.revertedWith("Turn has not timed out");
+
+            // Player 1 owes the rest of the big blind, so is folded
+            await time.increase(await poker.actionTimeout());
+            await expect(poker.timeoutTurn(tableId, false))
+                .to.emit(poker, "PlayerTimedOut").withArgs(tableId, player1.address)
+                .and.to.emit(poker, "HandWinner").withArgs(tableId, player2.address, 0, smallBlind + bigBlind);
+
+            // Player 1, now in the big blind, can check, so is checked for,
+            // and sits out from here on
+            await poker.startHand(tableId);
+            await poker.dealHoleCards(tableId, (await holeCards([player1, player2], [1, 2, 3, 4])).commitments);
+            await poker.connect(player2).call(tableId);
+            await time.increase(await poker.actionTimeout());
+            await expect(poker.timeoutTurn(tableId, true))
+                .to.emit(poker, "PlayerSittingOut").withArgs(tableId, player1.address, true)
+                .and.to.emit(poker, "TurnEnded").withArgs(tableId, player1.address, "check");
+            await expect(poker.timeoutTurn(tableId, false)).to.be.revertedWith("Round is complete");
+            expect((await poker.getPlayerInfo(tableId, player1.address)).isSittingOut).to.be.true;
+        });
+
+        it("Should deal a player sitting out out of the next hand and time out their turns at once", async function () {
+            await poker.connect(player3).joinTable(tableId, buyIn);
+            await expect(poker.connect(player3).setSittingOut(tableId, player3.address, true))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await poker.setSittingOut(tableId, player3.address, true);
+
+            await poker.startHand(tableId);
+            expect((await poker.getPlayerInfo(tableId, player3.address)).isActive).to.be.false;
+            const hand = await holeCards([player1, player2, player3], [1, 2, 3, 4, 0, 0]);
+            await poker.dealHoleCards(tableId, hand.commitments);
+
+            // Player 1 sits out mid-hand: still in this hand, but acted for
+            // without waiting out the clock
+            await poker.setSittingOut(tableId, player1.address, true);
+            await expect(poker.timeoutTurn(tableId, false))
+                .to.emit(poker, "PlayerFolded").withArgs(tableId, player1.address);
+
+            await poker.setSittingOut(tableId, player3.address, false);
+            await expect(poker.startHand(tableId))
+                .to.emit(poker, "BlindsPosted").withArgs(tableId, player2.address, player3.address, smallBlind, bigBlind);
+            expect((await poker.getPlayerInfo(tableId, player1.address)).isActive).to.be.false;
+        });
+    });
+
+    describe("Tournament Tables", function () {
+        const tableId = 0;
+
+        beforeEach(async function () {
+            await poker.createTable(1, 3000, 10, 20, 20, 3000);
+            await poker.seatTournamentPlayer(tableId, player1.address, 1500);
+            await poker.seatTournamentPlayer(tableId, player2.address, 1500);
+        });
+
+        it("Should seat entrants with tournament chips and keep the chips on the table", async function () {
+            expect((await poker.getPlayerInfo(tableId, player1.address)).tableStake).to.equal(1500);
+            expect(await treasury.getPlayerBalance(player1.address)).to.equal(0);
+            await expect(poker.connect(player1).seatTournamentPlayer(tableId, player3.address, 1500))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await expect(poker.seatTournamentPlayer(tableId, player1.address, 1500))
+                .to.be.revertedWith("Already seated");
+
+            await treasury.connect(player3).openAccount({ value: ethers.parseEther("1") });
+            await expect(poker.connect(player3).joinTable(tableId, 1000)).to.be.revertedWith("Tournament table");
+            await expect(poker.connect(player1).leaveTable(tableId)).to.be.revertedWith("Tournament chips stay in play");
+        });
+
+        it("Should collect a buy-in only from its player's signed register entry", async function () {
+            const buyIn = ethers.parseEther("0.5");
+            await treasury.connect(player3).openAccount({ value: ethers.parseEther("1") });
+            const domain = {
+                name: "AIce Arena",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await poker.getAddress()
+            };
+            const types = {
+                PokerTournamentEntry: [
+                    { name: "player", type: "address" },
+                    { name: "tournamentId", type: "uint256" },
+                    { name: "action", type: "string" },
+                    { name: "buyIn", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" }
+                ]
+            };
+            const sign = async (action, nonce) => {
+                const entry = { player: player3.address, tournamentId: 1, action, buyIn, nonce, deadline: (await time.latest()) + 600 };
+                return [entry, await player3.signTypedData(domain, types, entry)];
+            };
+
+            const register = await sign("register", 1);
+            await expect(poker.connect(player3).enterTournament(...register))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await expect(poker.enterTournament(...register))
+                .to.emit(poker, "TournamentBuyIn").withArgs(1, player3.address, buyIn);
+            expect(await treasury.getPlayerBalance(player3.address)).to.equal(ethers.parseEther("1") - buyIn);
+            await expect(poker.enterTournament(...register)).to.be.revertedWith("Intent already used");
+            await expect(poker.enterTournament(...await sign("unregister", 2))).to.be.revertedWith("Unknown action");
+        });
+
+        it("Should raise the blinds between hands", async function () {
+            await expect(poker.setBlinds(tableId, 15, 30))
+                .to.emit(poker, "TableConfigUpdated").withArgs(tableId, 30, 3000);
+            await expect(poker.startHand(tableId))
+                .to.emit(poker, "BlindsPosted").withArgs(tableId, player1.address, player2.address, 15, 30);
+            await expect(poker.setBlinds(tableId, 25, 50)).to.be.revertedWithCustomError(poker, "InvalidGameState");
+        });
+    });
+
+    describe("Relayed Actions", function () {
+        const tableId = 0;
+        const buyIn = ethers.parseEther("1");
+        const types = {
+            PokerAction: [
+                { name: "player", type: "address" },
+                { name: "tableId", type: "uint256" },
+                { name: "action", type: "string" },
+                { name: "amount", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+
+        beforeEach(async function () {
+            await poker.createTable(
+                ethers.parseEther("1"),
+                ethers.parseEther("10"),
+                ethers.parseEther("0.01"),
+                ethers.parseEther("0.02"),
+                ethers.parseEther("0.02"),
+                ethers.parseEther("2")
+            );
+            await treasury.connect(player1).openAccount({ value: buyIn });
+            await treasury.connect(player2).openAccount({ value: buyIn });
+        });
+
+        async function signAction(signer, action, { amount = 0n, nonce = 1, deadline, player = signer.address } = {}) {
+            const domain = {
+                name: "AIce Arena",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await poker.getAddress()
+            };
+            const intent = {
+                player,
+                tableId,
+                action,
+                amount,
+                nonce,
+                deadline: deadline ?? (await time.latest()) + 600
+            };
+            return { intent, signature: await signer.signTypedData(domain, types, intent) };
+        }
+
+        async function relay(signer, action, options) {
+            const { intent, signature } = await signAction(signer, action, options);
+            return poker.relayAction(intent, signature);
+        }
+
+        it("Should seat, play for and unseat a player from their signed actions", async function () {
+            await expect(relay(player1, "join", { amount: buyIn }))
+                .to.emit(poker, "PlayerJoined").withArgs(tableId, player1.address, buyIn)
+                .and.to.emit(poker, "ActionRelayed").withArgs(tableId, player1.address, anyValue, "join");
+            await expect(relay(player2, "accept-seat", { amount: buyIn }))
+                .to.emit(poker, "PlayerJoined").withArgs(tableId, player2.address, buyIn);
+
+            await poker.startHand(tableId);
+            await poker.dealHoleCards(tableId, [ethers.id("one"), ethers.id("two")]);
+            await expect(relay(player1, "fold", { nonce: 2 }))
+                .to.emit(poker, "PlayerFolded").withArgs(tableId, player1.address);
+
+            await expect(relay(player1, "leave", { nonce: 3 }))
+                .to.emit(poker, "PlayerLeft").withArgs(tableId, player1.address, buyIn - ethers.parseEther("0.01"));
+        });
+
+        it("Should take rake from the pot, leaving out the uncalled bet", async function () {
+            await expect(poker.setRake(1001, 0, true)).to.be.revertedWith("Rake too high");
+            await expect(poker.connect(player1).setRake(1000, 0, true))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await poker.setRake(1000, 0, true);
+
+            await relay(player1, "join", { amount: buyIn });
+            await relay(player2, "join", { amount: buyIn });
+            await poker.startHand(tableId);
+            await poker.dealHoleCards(tableId, [ethers.id("one"), ethers.id("two")]);
+
+            // Half the big blind was never called, so a tenth of 0.02 is raked
+            const rake = ethers.parseEther("0.002");
+            const won = ethers.parseEther("0.03") - rake;
+            await expect(relay(player1, "fold", { nonce: 2 }))
+                .to.emit(poker, "RakeTaken").withArgs(tableId, player2.address, rake)
+                .and.to.emit(poker, "HandWinner").withArgs(tableId, player2.address, 0, won);
+
+            // The rake stays in the house's funds when the winner cashes out
+            await expect(relay(player2, "leave", { nonce: 2 }))
+                .to.emit(poker, "PlayerLeft").withArgs(tableId, player2.address, buyIn - ethers.parseEther("0.02") + won);
+        });
+
+        it("Should not rake a hand that ends before the flop unless told to", async function () {
+            await poker.setRake(1000, 0, false);
+            await relay(player1, "join", { amount: buyIn });
+            await relay(player2, "join", { amount: buyIn });
+            await poker.startHand(tableId);
+            await poker.dealHoleCards(tableId, [ethers.id("one"), ethers.id("two")]);
+
+            await expect(relay(player1, "fold", { nonce: 2 }))
+                .to.emit(poker, "HandWinner").withArgs(tableId, player2.address, 0, ethers.parseEther("0.03"))
+                .and.not.to.emit(poker, "RakeTaken");
+        });
+
+        it("Should only relay an action once, before its deadline, as signed by its player", async function () {
+            const { intent, signature } = await signAction(player1, "join", { amount: buyIn });
+            await expect(poker.connect(player1).relayAction(intent, signature))
+                .to.be.revertedWithCustomError(poker, "OwnableUnauthorizedAccount");
+            await poker.relayAction(intent, signature);
+            await expect(poker.relayAction(intent, signature)).to.be.revertedWith("Intent already used");
+
+            await expect(relay(player1, "join", { amount: buyIn, player: player2.address }))
+                .to.be.revertedWith("Intent was not signed by its player");
+            await expect(relay(player2, "join", { amount: buyIn, deadline: (await time.latest()) - 1 }))
+                .to.be.revertedWith("Intent has expired");
+            await expect(relay(player2, "stand", { nonce: 2 })).to.be.revertedWith("Unknown action");
+        });
     });
 
     describe("Bet Limits", function () {
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Roulette", function () {
     let HouseTreasury;
@@ -53,4 +54,67 @@ describe("Roulette", function () {
             expect(finalBalance).to.equal(initialBalance + (minBetAmount * BigInt(36)));
         });
     });
-});
\ No newline at end of file
+
+    describe("Relayed Bets", function () {
+        const types = {
+            RouletteBet: [
+                { name: "player", type: "address" },
+                { name: "betType", type: "string" },
+                { name: "numbers", type: "uint8[]" },
+                { name: "amount", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" }
+            ]
+        };
+
+        async function signBet(signer, betType, numbers, amount, { nonce = 1, deadline } = {}) {
+            const domain = {
+                name: "AIce Arena",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: await roulette.getAddress()
+            };
+            const bet = {
+                player: signer.address,
+                betType,
+                numbers,
+                amount,
+                nonce,
+                deadline: deadline ?? (await time.latest()) + 600
+            };
+            return { bet, signature: await signer.signTypedData(domain, types, bet) };
+        }
+
+        it("Should stake a signed bet from the treasury and pay it on the spin", async function () {
+            const red = [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36];
+            const stake = minBetAmount * 18n;
+            const { bet, signature } = await signBet(addr1, "red", red, stake);
+            const before = await treasury.playerBalances(addr1.address);
+
+            await expect(roulette.connect(owner).placeBetFor(bet, signature))
+                .to.emit(roulette, "BetRelayed");
+            expect(await treasury.playerBalances(addr1.address)).to.equal(before - stake);
+            expect(await roulette.getPlayerBets(addr1.address)).to.have.length(18);
+
+            await expect(roulette.connect(owner).spin(7))
+                .to.emit(roulette, "Payout").withArgs(addr1.address, minBetAmount * 36n);
+            expect(await treasury.playerBalances(addr1.address)).to.equal(before - stake + minBetAmount * 36n);
+        });
+
+        it("Should only place a signed bet once, for the owner, before its deadline", async function () {
+            const { bet, signature } = await signBet(addr1, "straight", [17], minBetAmount);
+            await expect(roulette.connect(addr1).placeBetFor(bet, signature))
+                .to.be.revertedWith("Only owner can call this function.");
+            await roulette.connect(owner).placeBetFor(bet, signature);
+            await expect(roulette.connect(owner).placeBetFor(bet, signature))
+                .to.be.revertedWith("Intent already used");
+
+            const forged = await signBet(addr2, "straight", [17], minBetAmount);
+            await expect(roulette.connect(owner).placeBetFor({ ...forged.bet, player: addr1.address }, forged.signature))
+                .to.be.revertedWith("Intent was not signed by its player");
+            const expired = await signBet(addr1, "straight", [17], minBetAmount, { nonce: 2, deadline: (await time.latest()) - 1 });
+            await expect(roulette.connect(owner).placeBetFor(expired.bet, expired.signature))
+                .to.be.revertedWith("Intent has expired");
+        });
+    });
+});
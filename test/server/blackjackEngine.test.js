@@ -0,0 +1,177 @@
+const { expect } = require("chai");
+const {
+  BlackjackEngine,
+  calculateHandScore,
+  dealerShouldHit,
+  verifyGameResult,
+  createShoe
+} = require("../../server/blackjack/engine");
+const { DEFAULT_RULES, rulesFromEnv } = require("../../server/blackjack/rules");
+
+const PLAYER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+// Cards are listed in deal order; padding keeps later draws predictable
+function stackShoe(engine, cards) {
+  const session = engine.getSession(PLAYER);
+  session.shoe = [...cards, ...Array(200).fill(2)];
+  session.dealt = 0;
+}
+
+describe("BlackjackEngine", function () {
+  let engine;
+
+  beforeEach(function () {
+    engine = new BlackjackEngine({ decks: 6 });
+    engine.needsShuffle = () => false;
+  });
+
+  it("Should build a full shoe with every card once per deck", function () {
+    const shoe = createShoe(2);
+    expect(shoe).to.have.length(104);
+    expect(shoe.filter(card => card === 1)).to.have.length(2);
+  });
+
+  it("Should score aces as 1 or 11", function () {
+    expect(calculateHandScore([1, 13])).to.equal(21);
+    expect(calculateHandScore([1, 1, 9])).to.equal(21);
+    expect(calculateHandScore([1, 12, 5])).to.equal(16);
+  });
+
+  it("Should settle a natural immediately at 3:2", function () {
+    // player A, dealer 9, player K, dealer 8
+    stackShoe(engine, [1, 9, 13, 8]);
+    const hand = engine.deal(PLAYER, 100n);
+    expect(hand.status).to.equal("complete");
+    expect(hand.result.payoutBps).to.equal(25000);
+    expect(hand.result.payoutMultiplier).to.equal(2);
+    expect(hand.result.remainderBps).to.equal(5000);
+  });
+
+  it("Should pay 6:5 naturals when configured", function () {
+    expect(verifyGameResult([1, 13], [10, 8], { ...DEFAULT_RULES, naturalPayout: "6:5" })).to.equal(22000);
+    // 21 after a split is not a natural
+    expect(verifyGameResult([1, 13], [10, 8], DEFAULT_RULES, { splitHand: true })).to.equal(20000);
+  });
+
+  it("Should hit soft 17 only under H17", function () {
+    expect(dealerShouldHit([1, 6], DEFAULT_RULES)).to.be.false;
+    expect(dealerShouldHit([1, 6], { ...DEFAULT_RULES, dealerHitsSoft17: true })).to.be.true;
+    expect(dealerShouldHit([10, 7], { ...DEFAULT_RULES, dealerHitsSoft17: true })).to.be.false;
+  });
+
+  it("Should return half the stake on late surrender", function () {
+    engine = new BlackjackEngine({ lateSurrender: true });
+    stackShoe(engine, [10, 10, 6, 9]);
+    engine.deal(PLAYER, 100n);
+    const hand = engine.surrender(PLAYER);
+    expect(hand.dealerCards).to.have.length(2);
+    expect(hand.result.payoutBps).to.equal(5000);
+    expect(hand.result.payoutMultiplier).to.equal(0);
+  });
+
+  it("Should reject surrender when the rules do not allow it", function () {
+    stackShoe(engine, [10, 10, 6, 9]);
+    engine.deal(PLAYER, 100n);
+    expect(() => engine.surrender(PLAYER)).to.throw("Surrender is not allowed");
+  });
+
+  it("Should offer insurance against an ace and pay 2:1", function () {
+    engine = new BlackjackEngine({ insurance: true });
+    // player 10+8, dealer A+K
+    stackShoe(engine, [10, 1, 8, 13]);
+    let hand = engine.deal(PLAYER, 100n);
+    expect(hand.status).to.equal("insurance");
+    expect(() => engine.hit(PLAYER)).to.throw();
+
+    hand = engine.insurance(PLAYER, true);
+    expect(hand.status).to.equal("complete");
+    // Main bet lost, insurance returns 1.5x the base stake
+    expect(hand.result.payoutBps).to.equal(15000);
+  });
+
+  it("Should play out the dealer when the player stands", function () {
+    // player 10+7, dealer 6+10, dealer draws 5 to make 21
+    stackShoe(engine, [10, 6, 7, 10, 5]);
+    engine.deal(PLAYER, 100n);
+    const hand = engine.stand(PLAYER);
+    expect(hand.dealerCards).to.deep.equal([6, 10, 5]);
+    expect(hand.result.payoutMultiplier).to.equal(0);
+  });
+
+  it("Should end the hand when the player busts", function () {
+    stackShoe(engine, [10, 6, 6, 10, 10]);
+    engine.deal(PLAYER, 100n);
+    const hand = engine.hit(PLAYER);
+    expect(hand.status).to.equal("complete");
+    expect(hand.dealerCards).to.have.length(2);
+    expect(hand.result.payoutMultiplier).to.equal(0);
+  });
+
+  it("Should pay double the stake on a winning double down", function () {
+    // player 5+6, dealer 10+7, double draws 10
+    stackShoe(engine, [5, 10, 6, 7, 10]);
+    engine.deal(PLAYER, 100n);
+    const hand = engine.double(PLAYER);
+    expect(hand.hands[0].stake).to.equal(2);
+    expect(hand.result.payoutBps).to.equal(40000);
+    expect(hand.result.payoutMultiplier).to.equal(4);
+  });
+
+  it("Should split a pair into two hands played in order", function () {
+    // player 8+8, dealer 10+7, split hands draw 3 and 10
+    stackShoe(engine, [8, 10, 8, 7, 3, 10]);
+    engine.deal(PLAYER, 100n);
+    engine.split(PLAYER);
+    engine.stand(PLAYER);
+    const hand = engine.stand(PLAYER);
+    expect(hand.hands.map(h => h.cards)).to.deep.equal([[8, 3], [8, 10]]);
+    // 11 loses, 18 beats 17
+    expect(hand.result.payoutMultiplier).to.equal(2);
+  });
+
+  it("Should reject illegal actions", function () {
+    stackShoe(engine, [10, 6, 7, 10]);
+    engine.deal(PLAYER, 100n);
+    expect(() => engine.split(PLAYER)).to.throw("Can only split a pair");
+    engine.hit(PLAYER);
+    expect(() => engine.double(PLAYER)).to.throw();
+  });
+
+  it("Should hide the dealer hole card until the hand ends", function () {
+    stackShoe(engine, [10, 6, 7, 10]);
+    const view = engine.view(engine.deal(PLAYER, 100n));
+    expect(view.dealerCards).to.deep.equal([6]);
+  });
+
+  it("Should resolve an abandoned hand under the given policy", function () {
+    stackShoe(engine, [8, 10, 8, 7, 3, 10]);
+    engine.deal(PLAYER, 100n);
+    engine.split(PLAYER);
+    const hand = engine.abandon(PLAYER, "push");
+    expect(hand.status).to.equal("complete");
+    expect(hand.dealerCards).to.have.length(2);
+    expect(hand.result.payoutBps).to.equal(20000);
+
+    stackShoe(engine, [10, 6, 7, 10]);
+    hand.settlement.settled = true;
+    engine.deal(PLAYER, 100n);
+    expect(engine.abandon(PLAYER, "forfeit").result.payoutBps).to.equal(0);
+  });
+
+  it("Should read the rules profile from the environment", function () {
+    const rules = rulesFromEnv({
+      BLACKJACK_DECKS: "2",
+      BLACKJACK_DEALER_RULE: "h17",
+      BLACKJACK_NATURAL_PAYOUT: "6:5",
+      BLACKJACK_LATE_SURRENDER: "true"
+    });
+    expect(rules).to.deep.equal({
+      decks: 2,
+      dealerHitsSoft17: true,
+      naturalPayout: "6:5",
+      lateSurrender: true,
+      insurance: false
+    });
+    expect(() => rulesFromEnv({ BLACKJACK_NATURAL_PAYOUT: "2:1" })).to.throw("Invalid natural payout");
+  });
+});
@@ -0,0 +1,121 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { BlackjackEngine } = require("../../server/blackjack/engine");
+const {
+  FairnessManager,
+  deriveShoe,
+  computeGameHash,
+  verifyRound
+} = require("../../server/blackjack/fairness");
+const { hashSeed } = require("../../server/common/seeds");
+
+const PLAYER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("Blackjack fairness", function () {
+  let dir;
+  let filePath;
+  let fairness;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "blackjack-fairness-"));
+    filePath = path.join(dir, "blackjack-fairness.json");
+    fairness = new FairnessManager({ decks: 6, filePath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should derive the same shoe from the same seeds", function () {
+    const a = deriveShoe("server", "client", 1, 6);
+    const b = deriveShoe("server", "client", 1, 6);
+    const c = deriveShoe("server", "client", 2, 6);
+    expect(a).to.deep.equal(b);
+    expect(a).to.not.deep.equal(c);
+    expect([...a].sort((x, y) => x - y)).to.deep.equal(
+      [...deriveShoe("other", "seed", 9, 6)].sort((x, y) => x - y)
+    );
+  });
+
+  it("Should keep the server seed secret until the round is revealed", function () {
+    const commitment = fairness.commit(PLAYER);
+    expect(commitment).to.not.have.property("serverSeed");
+    expect(fairness.commit(PLAYER)).to.deep.equal(commitment);
+
+    const { round } = fairness.startRound(PLAYER, "lucky");
+    expect(fairness.view(round).serverSeed).to.equal(null);
+
+    const revealed = fairness.reveal(round.serverSeedHash, { drawn: [], result: null });
+    expect(hashSeed(revealed.serverSeed)).to.equal(commitment.serverSeedHash);
+  });
+
+  it("Should issue a new nonce for every commitment", function () {
+    const first = fairness.commit(PLAYER);
+    fairness.startRound(PLAYER, "a");
+    const second = fairness.commit(PLAYER);
+    expect(second.nonce).to.equal(first.nonce + 1);
+    expect(second.serverSeedHash).to.not.equal(first.serverSeedHash);
+  });
+
+  it("Should keep nonces and unrevealed rounds across a restart", function () {
+    const first = fairness.commit(PLAYER);
+    const { round } = fairness.startRound(PLAYER, "a");
+    const pending = fairness.commit(PLAYER);
+
+    const restarted = new FairnessManager({ decks: 6, filePath });
+    expect(restarted.getRound(round.serverSeedHash)).to.deep.equal(round);
+    expect(restarted.commit(PLAYER)).to.deep.equal(pending);
+    restarted.startRound(PLAYER, "b");
+    expect(restarted.commit(PLAYER).nonce).to.equal(first.nonce + 2);
+  });
+
+  it("Should drop the oldest revealed rounds but keep unrevealed ones", function () {
+    fairness = new FairnessManager({ decks: 6, filePath, maxRounds: 2 });
+    const start = () => {
+      fairness.commit(PLAYER);
+      return fairness.startRound(PLAYER, "a").round.serverSeedHash;
+    };
+    const unrevealed = start();
+    const revealed = start();
+    fairness.reveal(revealed, { drawn: [], result: null });
+    const latest = start();
+
+    expect(fairness.getRound(revealed)).to.equal(null);
+    expect(fairness.getRound(unrevealed)).to.not.equal(null);
+    expect(fairness.getRound(latest)).to.not.equal(null);
+  });
+
+  it("Should require a commitment before a round starts", function () {
+    expect(() => fairness.startRound(PLAYER, "a")).to.throw("No seed commitment");
+  });
+
+  it("Should verify a hand dealt from the derived shoe", function () {
+    const engine = new BlackjackEngine({ decks: 6 });
+    fairness.commit(PLAYER);
+    const { round, shoe } = fairness.startRound(PLAYER, "lucky");
+    const hand = engine.deal(PLAYER, 100n, { shoe });
+    if (hand.status === "playing") engine.stand(PLAYER);
+    fairness.reveal(round.serverSeedHash, { drawn: hand.drawn, result: hand.result });
+
+    const verification = verifyRound(fairness.getRound(round.serverSeedHash));
+    expect(verification.valid).to.be.true;
+
+    const tampered = verifyRound({ ...round, drawn: [...hand.drawn].reverse() });
+    expect(tampered.cardsMatch).to.be.false;
+  });
+
+  it("Should hash game results like Blackjack.sol", function () {
+    const expected = ethers.keccak256(ethers.concat([
+      PLAYER,
+      ethers.zeroPadValue("0x0a", 32),
+      ethers.zeroPadValue("0x05", 32),
+      ethers.zeroPadValue("0x09", 32),
+      ethers.zeroPadValue("0x02", 32),
+      ethers.zeroPadValue("0x07", 32)
+    ]));
+    expect(computeGameHash(PLAYER, [10, 5], [9], 2, 7)).to.equal(expected);
+  });
+});
@@ -0,0 +1,77 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { INTENT_TYPES, intentDomain, hashIntent, verifyIntent } = require("../../server/common/intents");
+
+const ROULETTE = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const OTHER_CONTRACT = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+describe("Player intents", function () {
+  const wallet = ethers.Wallet.createRandom();
+  const domain = intentDomain(31337, ROULETTE);
+  const deadline = Math.floor(Date.now() / 1000) + 600;
+
+  function bet(overrides = {}) {
+    return {
+      player: wallet.address,
+      betType: "split",
+      numbers: [17, 18],
+      amount: ethers.parseEther("0.1").toString(),
+      nonce: 1,
+      deadline,
+      ...overrides
+    };
+  }
+
+  const sign = (message, signer = wallet, signDomain = domain) =>
+    signer.signTypedData(signDomain, { RouletteBet: INTENT_TYPES.RouletteBet }, message);
+
+  function verify(message, signature, now) {
+    return verifyIntent({ domain, primaryType: "RouletteBet", message, signature, now });
+  }
+
+  it("Should recover the player from a signed intent", async function () {
+    const message = bet();
+    const result = verify(message, await sign(message));
+
+    expect(result.signer).to.equal(wallet.address);
+    expect(result.intentHash).to.equal(hashIntent(domain, "RouletteBet", message));
+  });
+
+  it("Should reject an intent signed by someone else", async function () {
+    const message = bet();
+    const signature = await sign(message, ethers.Wallet.createRandom());
+
+    expect(() => verify(message, signature)).to.throw("Intent was not signed by its player");
+  });
+
+  it("Should reject an intent whose fields were changed after signing", async function () {
+    const signature = await sign(bet());
+
+    expect(() => verify(bet({ amount: ethers.parseEther("1").toString() }), signature))
+      .to.throw("Intent was not signed by its player");
+  });
+
+  it("Should reject an intent signed for another contract", async function () {
+    const message = bet();
+    const signature = await sign(message, wallet, intentDomain(31337, OTHER_CONTRACT));
+
+    expect(() => verify(message, signature)).to.throw("Intent was not signed by its player");
+  });
+
+  it("Should reject an expired intent", async function () {
+    const message = bet();
+    const signature = await sign(message);
+
+    expect(() => verify(message, signature, (deadline + 1) * 1000)).to.throw("Intent has expired");
+  });
+
+  it("Should require a signature and every field", async function () {
+    const message = bet();
+    const signature = await sign(message);
+    const { nonce, ...withoutNonce } = message;
+
+    expect(() => verify(message, undefined)).to.throw("A signed intent is required");
+    expect(() => verify(withoutNonce, signature)).to.throw("Intent is missing nonce");
+    expect(() => verify(message, "0x1234")).to.throw("Invalid intent signature");
+  });
+});
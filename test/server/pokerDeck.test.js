@@ -0,0 +1,106 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ethers } = require("ethers");
+const { PokerDeckService, DECK_SIZE, holeCardCommitment } = require("../../server/poker/deck");
+
+const PLAYERS = ["0xA", "0xB", "0xC"];
+
+describe("PokerDeckService", function () {
+  let decks;
+
+  beforeEach(function () {
+    decks = new PokerDeckService();
+  });
+
+  it("Should never deal the same card twice in a hand", function () {
+    const hands = decks.dealHoleCards(0, PLAYERS);
+    const board = [
+      ...decks.draw(0, 3, { burn: true }),
+      ...decks.draw(0, 1, { burn: true }),
+      ...decks.draw(0, 1, { burn: true })
+    ];
+    const seen = [...[...hands.values()].flat(), ...board, ...decks.deck(0).burned];
+
+    expect(seen).to.have.length(PLAYERS.length * 2 + 5 + 3);
+    expect(new Set(seen).size).to.equal(seen.length);
+    expect(seen.every(card => card >= 1 && card <= DECK_SIZE)).to.equal(true);
+  });
+
+  it("Should deal hole cards one at a time around the table", function () {
+    // Identity shuffle so the deck is dealt in order 1..52
+    decks = new PokerDeckService({ randomInt: (max) => max - 1 });
+    const hands = decks.dealHoleCards(0, PLAYERS);
+
+    expect(hands.get("0xA")).to.deep.equal([1, 4]);
+    expect(hands.get("0xB")).to.deep.equal([2, 5]);
+    expect(hands.get("0xC")).to.deep.equal([3, 6]);
+  });
+
+  it("Should burn a card before the street when asked", function () {
+    decks = new PokerDeckService({ randomInt: (max) => max - 1 });
+
+    expect(decks.draw(0, 3, { burn: true })).to.deep.equal([2, 3, 4]);
+    expect(decks.status(0)).to.include({ dealt: 3, burned: 1, remaining: 48 });
+  });
+
+  it("Should reshuffle a full deck for each new hand", function () {
+    decks.draw(0, 10);
+    decks.newHand(0);
+
+    expect(decks.status(0)).to.include({ handNumber: 2, dealt: 0, burned: 0, remaining: DECK_SIZE });
+  });
+
+  it("Should keep a separate deck per table", function () {
+    decks.draw(0, 5);
+    decks.draw(1, 2);
+
+    expect(decks.status(0).remaining).to.equal(47);
+    expect(decks.status(1).remaining).to.equal(50);
+    expect(decks.status(2)).to.equal(null);
+  });
+
+  it("Should refuse to deal past the end of the deck", function () {
+    decks.draw(0, 51);
+
+    expect(() => decks.draw(0, 1, { burn: true })).to.throw("1 cards left, 2 needed");
+  });
+
+  it("Should commit to each hand dealt and reveal only the hands shown down", function () {
+    const seats = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    decks.newHand(3, 9);
+    const hands = decks.dealHoleCards(3, seats.slice(0, 2));
+    const { salt } = decks.deck(3).hands[seats[0].toLowerCase()];
+
+    const commitments = decks.commitments(3, seats);
+    expect(commitments[0]).to.equal(holeCardCommitment({ tableId: 3, handNumber: 9, player: seats[0], cards: hands.get(seats[0]), salt }));
+    expect(commitments[1]).to.not.equal(commitments[0]);
+    expect(commitments[2]).to.equal(ethers.ZeroHash);
+    expect(decks.holeCards(3, seats[1].toLowerCase())).to.deep.equal(hands.get(seats[1]));
+    expect(decks.holeCards(3, seats[2])).to.equal(null);
+
+    const { cards, salts } = decks.reveal(3, seats, [seats[1]]);
+    expect(cards).to.deep.equal([0, 0, ...hands.get(seats[1]), 0, 0]);
+    expect(salts[0]).to.equal(ethers.ZeroHash);
+    expect(salts[1]).to.equal(decks.deck(3).hands[seats[1].toLowerCase()].salt);
+  });
+
+  it("Should keep dealing from the same deck after a restart", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "poker-decks-"));
+    try {
+      const filePath = path.join(dir, "poker-decks.json");
+      decks = new PokerDeckService({ filePath });
+      decks.newHand(0, 7);
+      const hole = [...decks.dealHoleCards(0, PLAYERS).values()].flat();
+
+      const restarted = new PokerDeckService({ filePath });
+      expect(restarted.status(0)).to.include({ handNumber: 7, dealt: PLAYERS.length * 2 });
+      const flop = restarted.draw(0, 3, { burn: true });
+      expect(flop.some(card => hole.includes(card))).to.equal(false);
+      expect(restarted.deck(0).cards).to.deep.equal(decks.deck(0).cards.slice(4));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const {
+  HAND_RANK,
+  evaluateHand,
+  compareHands,
+  rankHands
+} = require("../../server/poker/handEvaluator");
+
+const SUITS = { s: 0, c: 1, h: 2, d: 3 };
+const RANKS = { A: 14, K: 13, Q: 12, J: 11, T: 10 };
+
+// "As" => ace of spades as a 1-52 card number
+function card(code) {
+  const rank = RANKS[code[0]] || Number(code[0]);
+  const index = rank === 14 ? 0 : rank - 1;
+  return SUITS[code[1]] * 13 + index + 1;
+}
+const cards = (codes) => codes.split(" ").map(card);
+const evaluate = (codes) => evaluateHand(cards(codes));
+
+describe("Poker hand evaluator", function () {
+  it("Should number categories like Poker.sol's HandRank enum", function () {
+    expect(HAND_RANK.HighCard).to.equal(0);
+    expect(HAND_RANK.Straight).to.equal(4);
+    expect(HAND_RANK.RoyalFlush).to.equal(9);
+  });
+
+  it("Should find the best category in seven cards", function () {
+    expect(evaluate("As Ks Qs Js Ts 2d 3c").category).to.equal("RoyalFlush");
+    expect(evaluate("9h 8h 7h 6h 5h Ad Ac").category).to.equal("StraightFlush");
+    expect(evaluate("7s 7c 7h 7d Kc 2d 3c").category).to.equal("FourOfAKind");
+    expect(evaluate("Ks Kc Kh 4d 4c 2d 3c").category).to.equal("FullHouse");
+    expect(evaluate("2h 9h Jh 4h Kh Ac Ad").category).to.equal("Flush");
+    expect(evaluate("9s Tc Jh Qd Kc 2d 2c").category).to.equal("Straight");
+    expect(evaluate("5s 5c 5h Qd 9c 2d 3c").category).to.equal("ThreeOfAKind");
+    expect(evaluate("5s 5c Qh Qd 9c 2d 3c").category).to.equal("TwoPair");
+    expect(evaluate("5s 5c Qh Td 9c 2d 3c").category).to.equal("Pair");
+    expect(evaluate("As 5c Qh Td 9c 2d 3c").category).to.equal("HighCard");
+  });
+
+  it("Should rank aces high and play the wheel as a five-high straight", function () {
+    const wheel = evaluate("As 2c 3h 4d 5c Kd Qc");
+    expect(wheel.category).to.equal("Straight");
+    expect(wheel.kickers).to.deep.equal([5]);
+
+    const sixHigh = evaluate("6s 2c 3h 4d 5c Kd Qc");
+    expect(compareHands(sixHigh, wheel)).to.be.greaterThan(0);
+    expect(compareHands(evaluate("As Ac 3h 8d 9c Jd 2c"), evaluate("Ks Kc 3h 8d 9c Jd 2c")))
+      .to.be.greaterThan(0);
+  });
+
+  it("Should choose the highest straight and the best five for a flush", function () {
+    expect(evaluate("4s 5c 6h 7d 8c 9d 2c").kickers).to.deep.equal([9]);
+    expect(evaluate("2h 9h Jh 4h Kh 3h Ac").kickers).to.deep.equal([13, 11, 9, 4, 3]);
+  });
+
+  it("Should break ties on kickers", function () {
+    const aceKicker = evaluate("Ks Kc Ah 8d 6c 3d 2c");
+    const queenKicker = evaluate("Ks Kc Qh 8d 6c 3d 2c");
+    expect(aceKicker.kickers).to.deep.equal([13, 14, 8, 6]);
+    expect(compareHands(aceKicker, queenKicker)).to.be.greaterThan(0);
+
+    // The fifth card plays: both two pair with the same kicker split
+    expect(compareHands(evaluate("Ks Kc 9h 9d 4c 3d 2c"), evaluate("Kh Kd 9s 9c 4d 3c 2h")))
+      .to.equal(0);
+  });
+
+  it("Should rank players at a showdown and split ties", function () {
+    const board = cards("Ks Qd 7h 4c 2s");
+    const ranked = rankHands([
+      { player: "0xA", cards: cards("Kc 3d") },
+      { player: "0xB", cards: cards("Kh 3h") },
+      { player: "0xC", cards: cards("Ah Jc") }
+    ], board);
+
+    expect(ranked.filter(entry => entry.winner).map(entry => entry.player)).to.deep.equal(["0xA", "0xB"]);
+    expect(ranked[2]).to.include({ player: "0xC", winner: false });
+  });
+
+  it("Should reject duplicate and out-of-range cards", function () {
+    expect(() => evaluateHand([1, 1, 2, 3, 4])).to.throw("duplicate");
+    expect(() => evaluateHand([0, 1, 2, 3, 4])).to.throw("Invalid card");
+    expect(() => evaluateHand([1, 2, 3, 4])).to.throw("Need 5 to 7 cards");
+  });
+});
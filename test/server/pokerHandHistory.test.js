@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PokerHandHistory, cardText } = require("../../server/poker/handHistory");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const ETH = 10n ** 18n;
+const SB = ETH / 200n;
+const BB = ETH / 100n;
+
+// Cards are 1-52 in suit blocks of 13 (spades, clubs, hearts, diamonds)
+const card = (rank, suit = 0) => suit * 13 + (rank === 14 ? 1 : rank);
+
+describe("PokerHandHistory", function () {
+  let dir;
+  let filePath;
+  let history;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "poker-hands-"));
+    filePath = path.join(dir, "poker-hands.json");
+    history = new PokerHandHistory({ filePath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function playHand({ rake = 0n } = {}) {
+    history.startHand(0, {
+      seats: [{ player: ALICE, stack: ETH }, { player: BOB, stack: ETH }],
+      smallBlind: SB,
+      bigBlind: BB,
+      blinds: [{ player: ALICE, amount: SB, type: "small" }, { player: BOB, amount: BB, type: "big" }],
+      at: Date.UTC(2026, 0, 2, 3, 4, 5)
+    });
+    history.dealHoleCards(0, new Map([[ALICE, [card(14, 0), card(13, 0)]], [BOB, [card(9, 2), card(9, 3)]]]));
+    history.record(0, { name: "BetPlaced", args: { player: ALICE, amount: SB * 5n }, txHash: "0x1" });
+    history.record(0, { name: "TurnEnded", args: { player: ALICE, action: "raise" }, txHash: "0x1" });
+    history.record(0, { name: "BetPlaced", args: { player: BOB, amount: BB * 2n }, txHash: "0x2" });
+    history.record(0, { name: "TurnEnded", args: { player: BOB, action: "call" }, txHash: "0x2" });
+    history.record(0, { name: "CommunityCardsDealt", args: { cards: [card(14, 2), card(7, 1), card(2, 3)] } });
+    history.record(0, { name: "TurnEnded", args: { player: BOB, action: "check" } });
+    history.record(0, { name: "PlayerTimedOut", args: { player: ALICE }, txHash: "0x3" });
+    history.record(0, { name: "TurnEnded", args: { player: ALICE, action: "check" }, txHash: "0x3" });
+    history.record(0, { name: "CommunityCardsDealt", args: { cards: [card(14, 2), card(7, 1), card(2, 3), card(11, 1)] } });
+    history.record(0, { name: "CommunityCardsDealt", args: { cards: [card(14, 2), card(7, 1), card(2, 3), card(11, 1), card(4, 0)] } });
+    history.recordShowdown(0, [
+      { player: ALICE, cards: [card(14, 0), card(13, 0)], description: "Pair (A, K, J, 7)" },
+      { player: BOB, cards: [card(9, 2), card(9, 3)], description: "Pair (9, A, J, 7)" }
+    ]);
+    if (rake > 0n) {
+      history.record(0, { name: "RakeTaken", args: { player: ALICE, amount: rake }, txHash: "0x9" });
+    }
+    history.record(0, { name: "HandWinner", args: { winner: ALICE, winningHandRank: 1n, potAmount: BB * 6n - rake }, txHash: "0x9" });
+    history.record(0, { name: "HandComplete", args: { winner: ALICE, pot: BB * 6n }, txHash: "0x9" });
+  }
+
+  it("Should write cards in hand-history notation", function () {
+    expect(cardText(card(14, 0))).to.equal("As");
+    expect(cardText(card(10, 2))).to.equal("Th");
+    expect(cardText(card(2, 3))).to.equal("2d");
+  });
+
+  it("Should record a hand from contract events and close it on the winner", function () {
+    playHand();
+
+    const [hand] = history.hands({ tableId: 0 });
+    expect(hand.board).to.have.length(5);
+    expect(hand.winners).to.deep.equal([{ player: ALICE, amount: (BB * 6n).toString(), handRank: "Pair", txHash: "0x9" }]);
+    expect(hand.actions.map(a => [a.street, a.action])).to.deep.equal([
+      ["preflop", "posts small blind"],
+      ["preflop", "posts big blind"],
+      ["preflop", "raises"],
+      ["preflop", "calls"],
+      ["flop", "checks"],
+      ["flop", "has timed out"],
+      ["flop", "checks"]
+    ]);
+    expect(hand.actions[2]).to.include({ amount: (SB * 5n).toString(), to: (BB * 3n).toString() });
+
+    // Kept on disk
+    expect(new PokerHandHistory({ filePath }).getHand(hand.handId).winners).to.have.length(1);
+  });
+
+  it("Should export PokerStars-style text", function () {
+    playHand();
+    const text = history.toText(history.hands()[0], ALICE);
+
+    expect(text).to.include("Hold'em No Limit (0.005/0.01 ETH) - 2026-01-02 03:04:05 UTC");
+    expect(text).to.include(`Seat 1: ${ALICE} (1.0 ETH in chips)`);
+    expect(text).to.include(`${ALICE}: posts small blind 0.005 ETH`);
+    expect(text).to.include(`*** HOLE CARDS ***\nDealt to ${ALICE} [As Ks]`);
+    expect(text).to.include(`${ALICE}: raises 0.02 to 0.03 ETH`);
+    expect(text).to.include(`${BOB}: calls 0.02 ETH`);
+    expect(text).to.include("*** FLOP *** [Ah 7c 2d]");
+    expect(text).to.include("*** TURN *** [Ah 7c 2d] [Jc]");
+    expect(text).to.include("*** RIVER *** [Ah 7c 2d Jc] [4s]");
+    expect(text).to.include(`${ALICE} has timed out`);
+    expect(text).to.include(`${BOB}: shows [9h 9d] (Pair (9, A, J, 7))`);
+    expect(text).to.include("Total pot 0.06 ETH");
+    expect(text).to.include(`Seat 2: ${BOB} showed [9h 9d] and lost with Pair (9, A, J, 7)`);
+  });
+
+  it("Should hand closed hands on and show their rake", function () {
+    const closed = [];
+    history = new PokerHandHistory({ filePath, onHandClosed: hand => closed.push(hand) });
+    playHand({ rake: BB / 2n });
+
+    expect(closed.map(hand => hand.winners[0].player)).to.deep.equal([ALICE]);
+    expect(closed[0].raked).to.deep.equal([{ player: ALICE, amount: (BB / 2n).toString(), txHash: "0x9" }]);
+    expect(history.toText(closed[0])).to.include("Total pot 0.06 ETH | Rake 0.005 ETH");
+  });
+
+  it("Should only show a viewer their own hole cards", function () {
+    playHand();
+    const hand = history.hands()[0];
+
+    expect(history.view(hand, BOB).holeCards).to.deep.equal({ [BOB.toLowerCase()]: [card(9, 2), card(9, 3)] });
+    expect(history.view(hand).holeCards).to.deep.equal({});
+    expect(history.toText(hand)).to.not.include("Dealt to");
+  });
+
+  it("Should list hands per player and ignore events outside a hand", function () {
+    expect(history.record(0, { name: "TurnEnded", args: { player: ALICE, action: "check" } })).to.equal(false);
+    playHand();
+
+    expect(history.hands({ player: BOB.toLowerCase() })).to.have.length(1);
+    expect(history.hands({ player: "0x0000000000000000000000000000000000000001" })).to.deep.equal([]);
+  });
+
+  it("Should not record blinds twice when they came with the hand's start", function () {
+    history.startHand(0, {
+      seats: [{ player: ALICE, stack: ETH }, { player: BOB, stack: ETH }],
+      smallBlind: SB,
+      bigBlind: BB,
+      blinds: [
+        { player: ALICE, amount: SB, type: "small", txHash: "0xa" },
+        { player: BOB, amount: BB, type: "big", txHash: "0xa" }
+      ]
+    });
+    const blinds = { smallBlind: ALICE, bigBlind: BOB, smallBlindAmount: SB, bigBlindAmount: BB };
+    expect(history.record(0, { name: "BlindsPosted", args: blinds, txHash: "0xa" })).to.equal(false);
+    history.record(0, { name: "PlayerFolded", args: { player: ALICE } });
+    history.record(0, { name: "HandWinner", args: { winner: BOB, winningHandRank: 0n, potAmount: SB + BB } });
+    history.record(0, { name: "HandComplete", args: { winner: BOB, pot: SB + BB } });
+
+    expect(history.hands()[0].actions.map(a => a.action)).to.deep.equal(["posts small blind", "posts big blind", "folds"]);
+  });
+
+  it("Should record every winner of a split pot before closing the hand", function () {
+    history.startHand(0, { seats: [{ player: ALICE, stack: ETH }, { player: BOB, stack: ETH }], smallBlind: SB, bigBlind: BB });
+    history.record(0, { name: "HandWinner", args: { winner: ALICE, winningHandRank: 4n, potAmount: BB } });
+    expect(history.hands()).to.have.length(0);
+    history.record(0, { name: "HandWinner", args: { winner: BOB, winningHandRank: 4n, potAmount: BB } });
+    history.record(0, { name: "HandComplete", args: { winner: ALICE, pot: BB * 2n } });
+
+    expect(history.hands()[0].winners.map(w => [w.player, w.amount, w.handRank])).to.deep.equal([
+      [ALICE, BB.toString(), "Straight"],
+      [BOB, BB.toString(), "Straight"]
+    ]);
+  });
+
+  it("Should describe seats that left the table or never finished the hand", function () {
+    const CAROL = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+    history.startHand(0, {
+      seats: [{ player: ALICE, stack: ETH }, { player: BOB, stack: ETH }, { player: CAROL, stack: ETH }],
+      smallBlind: SB,
+      bigBlind: BB
+    });
+    history.record(0, { name: "CommunityCardsDealt", args: { cards: [card(14, 2), card(7, 1), card(2, 3)] } });
+    history.record(0, { name: "PlayerLeft", args: { player: CAROL } });
+    history.startHand(0, { seats: [{ player: ALICE, stack: ETH }], smallBlind: SB, bigBlind: BB });
+
+    const text = history.toText(history.hands()[0]);
+    expect(text).to.include(`Seat 3: ${CAROL} left the table on the Flop`);
+    expect(text).to.include(`Seat 1: ${ALICE} did not finish the hand`);
+    expect(text).to.not.include("undefined");
+  });
+
+  it("Should mark a hand cut short by the next one as incomplete", function () {
+    const hand = { seats: [{ player: ALICE, stack: ETH }], smallBlind: SB, bigBlind: BB };
+    history.startHand(0, hand);
+    history.startHand(0, hand);
+
+    expect(history.hands()[0].incomplete).to.equal(true);
+    expect(history.toText(history.hands()[0])).to.include("Hand was not completed");
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { PokerHouseBot } = require("../../server/poker/houseBot");
+
+const HOUSE = "0xHouse";
+const ALICE = "0xAlice";
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe("PokerHouseBot", function () {
+  let turns;
+  let acted;
+  let handlers;
+  let subscriptions;
+  let bot;
+
+  beforeEach(function () {
+    turns = new Map();
+    acted = [];
+    handlers = null;
+    subscriptions = 0;
+    bot = new PokerHouseBot({
+      subscribe: (h) => {
+        handlers = h;
+        subscriptions++;
+        return () => {
+          handlers = null;
+        };
+      },
+      getTurn: async (tableId) => turns.get(tableId) || null,
+      act: async (tableId) => {
+        acted.push(tableId);
+        return { action: "check" };
+      },
+      getHouseAddress: async () => HOUSE,
+      thinkMs: 0,
+      resyncMs: 0
+    });
+  });
+
+  afterEach(function () {
+    bot.stop();
+  });
+
+  it("Should share one subscription between tables and close it with the last", function () {
+    bot.watch(1);
+    bot.watch(2);
+    expect(subscriptions).to.equal(1);
+
+    bot.unwatch(1);
+    expect(handlers).to.not.equal(null);
+    bot.unwatch(2);
+    expect(handlers).to.equal(null);
+  });
+
+  it("Should act when a turn starts for the house", async function () {
+    bot.watch(1);
+    await settle();
+
+    turns.set("1", { player: HOUSE, key: "h1" });
+    await handlers.turnStarted("1", HOUSE);
+    await settle();
+
+    expect(acted).to.deep.equal(["1"]);
+    expect(bot.status().tables[0].lastAction).to.include({ action: "check" });
+  });
+
+  it("Should ignore other players' turns and unwatched tables", async function () {
+    bot.watch(1);
+    turns.set("1", { player: ALICE, key: "a1" });
+    turns.set("2", { player: HOUSE, key: "h2" });
+
+    await handlers.turnStarted("1", ALICE);
+    await handlers.turnStarted("2", HOUSE);
+    await settle();
+
+    expect(acted).to.deep.equal([]);
+  });
+
+  it("Should re-read the table after a round or hand completes", async function () {
+    bot.watch(1);
+    await settle();
+    turns.set("1", { player: HOUSE, key: "flop" });
+
+    await handlers.roundComplete("1");
+    await settle();
+    expect(acted).to.deep.equal(["1"]);
+
+    // Same turn again is not played twice
+    await handlers.handComplete("1");
+    await settle();
+    expect(acted).to.deep.equal(["1"]);
+  });
+
+  it("Should not act on a stale event once the turn has moved on", async function () {
+    bot.watch(1);
+    await settle();
+    turns.set("1", { player: ALICE, key: "a1" });
+
+    await handlers.turnStarted("1", HOUSE);
+    await settle();
+
+    expect(acted).to.deep.equal([]);
+  });
+
+  it("Should pick up a missed turn when resyncing", async function () {
+    bot.watch(1);
+    await settle();
+    turns.set("1", { player: HOUSE, key: "h1" });
+
+    await bot.resyncAll();
+    await settle();
+
+    expect(acted).to.deep.equal(["1"]);
+  });
+
+  it("Should stop watching a table the house no longer sits at", async function () {
+    bot.act = async () => {
+      throw new Error("execution reverted: Player not at table");
+    };
+    bot.watch(1);
+    turns.set("1", { player: HOUSE, key: "h1" });
+
+    let error;
+    try {
+      await bot.play("1");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include("Player not at table");
+    expect(bot.isWatching(1)).to.equal(false);
+  });
+});
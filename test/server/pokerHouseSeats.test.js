@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HouseSeatRegistry } = require("../../server/poker/houseSeats");
+
+describe("HouseSeatRegistry", function () {
+  let dir;
+  let filePath;
+  let seats;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "house-seats-"));
+    filePath = path.join(dir, "house-seats.json");
+    seats = new HouseSeatRegistry({ filePath });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should keep seats across restarts", function () {
+    seats.add(1, { strategy: "pot-odds", buyIn: 10n ** 18n, now: 100 });
+    seats.update(1, { paused: true }, 200);
+
+    const restarted = new HouseSeatRegistry({ filePath });
+    expect(restarted.get(1)).to.deep.equal({
+      tableId: "1",
+      strategy: "pot-odds",
+      paused: true,
+      buyIn: "1000000000000000000",
+      joinedAt: 100,
+      updatedAt: 200
+    });
+  });
+
+  it("Should remove seats", function () {
+    seats.add(1);
+    expect(seats.remove(1)).to.equal(true);
+    expect(seats.remove(1)).to.equal(false);
+    expect(seats.list()).to.deep.equal([]);
+    expect(() => seats.update(1, { paused: true })).to.throw("House is not seated at table 1");
+  });
+
+  it("Should rebuild seats from on-chain seating", function () {
+    seats = new HouseSeatRegistry({ filePath, defaultStrategy: "loose-passive" });
+    seats.add(1, { strategy: "monte-carlo" });
+    seats.add(2);
+
+    const { dropped, added } = seats.reconcile([1, 3], 500);
+
+    expect(dropped).to.deep.equal(["2"]);
+    expect(added).to.deep.equal(["3"]);
+    expect(seats.get(1).strategy).to.equal("monte-carlo");
+    expect(seats.get(3)).to.include({ strategy: "loose-passive", paused: false });
+    expect(new HouseSeatRegistry({ filePath }).list().map(seat => seat.tableId)).to.deep.equal(["1", "3"]);
+  });
+});
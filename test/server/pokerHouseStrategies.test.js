@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const {
+  HOUSE_STRATEGIES,
+  getStrategy,
+  monteCarlo,
+  handStrength,
+  estimateEquity,
+  seatPosition
+} = require("../../server/poker/houseStrategies");
+
+// Cards are 1-52 in suit blocks of 13 running A, 2 ... K
+const card = (rank, suit = 0) => suit * 13 + (rank === 14 ? 1 : rank);
+
+const ETH = 10n ** 18n;
+const BB = ETH / 100n;
+
+// Deterministic stand-in for Math.random
+function seeded(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+function spot(overrides = {}) {
+  return {
+    holeCards: [card(14, 0), card(14, 1)],
+    board: [],
+    street: "preflop",
+    pot: BB * 3n / 2n,
+    toCall: BB,
+    tableBet: BB,
+    playerBet: 0n,
+    stack: BB * 100n,
+    bigBlind: BB,
+    minBet: BB,
+    maxBet: BB * 1000n,
+    position: "late",
+    opponents: 1,
+    ...overrides
+  };
+}
+
+describe("House poker strategies", function () {
+  it("Should score hands from hole cards alone and with a board", function () {
+    const aces = handStrength([card(14, 0), card(14, 1)], []);
+    const junk = handStrength([card(7, 0), card(2, 1)], []);
+    expect(aces).to.be.greaterThan(0.9);
+    expect(junk).to.be.lessThan(0.3);
+
+    const flush = handStrength([card(2, 0), card(9, 0)], [card(5, 0), card(11, 0), card(13, 0)]);
+    expect(flush).to.be.greaterThan(0.8);
+  });
+
+  it("Should place seats relative to the dealer", function () {
+    expect(seatPosition(0, 0, 6)).to.equal("late");
+    expect(seatPosition(5, 0, 6)).to.equal("late");
+    expect(seatPosition(1, 0, 6)).to.equal("early");
+    expect(seatPosition(4, 0, 6)).to.equal("middle");
+    expect(seatPosition(1, 1, 2)).to.equal("late");
+  });
+
+  it("Should estimate equity by simulation", function () {
+    const aces = estimateEquity([card(14, 0), card(14, 1)], [], { iterations: 200, random: seeded(7) });
+    const junk = estimateEquity([card(7, 0), card(2, 1)], [], { iterations: 200, random: seeded(7) });
+    expect(aces).to.be.within(0.75, 0.95);
+    expect(junk).to.be.within(0.2, 0.45);
+
+    const nuts = estimateEquity([card(14, 0), card(13, 0)], [card(12, 0), card(11, 0), card(10, 0)], { iterations: 50 });
+    expect(nuts).to.equal(1);
+  });
+
+  it("Should only return actions Poker.sol will take", function () {
+    for (const strategy of Object.values(HOUSE_STRATEGIES)) {
+      for (const context of [
+        spot(),
+        spot({ holeCards: [card(7, 0), card(2, 1)] }),
+        spot({ toCall: 0n, playerBet: BB }),
+        spot({ stack: BB * 5n }),
+        spot({ board: [card(3, 2), card(8, 3), card(12, 1)], street: "flop", toCall: BB * 10n, pot: BB * 20n })
+      ]) {
+        const decision = strategy.decide(context, { random: seeded(3) });
+        expect(["fold", "check", "call", "raise"]).to.include(decision.action);
+        expect(decision.reasoning).to.be.an("array").that.is.not.empty;
+        if (context.toCall === 0n) expect(decision.action).to.not.equal("fold");
+        if (context.toCall > 0n) expect(decision.action).to.not.equal("check");
+        if (decision.action === "raise") {
+          expect(decision.amount > context.tableBet).to.equal(true);
+          expect(decision.amount <= context.stack).to.equal(true);
+          expect(decision.amount <= context.maxBet).to.equal(true);
+        }
+      }
+    }
+  });
+
+  it("Should fold junk as tight-aggressive and call it as loose-passive", function () {
+    const junk = spot({ holeCards: [card(7, 0), card(2, 1)], position: "early" });
+    expect(getStrategy("tight-aggressive").decide(junk).action).to.equal("fold");
+    expect(getStrategy("loose-passive").decide(junk).action).to.equal("call");
+  });
+
+  it("Should raise premium hands as tight-aggressive", function () {
+    const decision = getStrategy("tight-aggressive").decide(spot());
+    expect(decision).to.include({ action: "raise", amount: BB * 3n });
+  });
+
+  it("Should weigh pot odds", function () {
+    const board = [card(3, 2), card(8, 3), card(12, 1)];
+    const pair = [card(12, 0), card(4, 1)];
+    const cheap = spot({ holeCards: pair, board, street: "flop", toCall: BB, pot: BB * 20n });
+    const dear = spot({ holeCards: pair, board, street: "flop", toCall: BB * 40n, pot: BB * 10n });
+
+    expect(getStrategy("pot-odds").decide(cheap).action).to.equal("call");
+    expect(getStrategy("pot-odds").decide(dear).action).to.equal("fold");
+  });
+
+  it("Should bluff at the configured frequency", function () {
+    const weak = spot({
+      holeCards: [card(7, 0), card(2, 1)],
+      board: [card(13, 2), card(9, 3), card(4, 1), card(11, 2), card(3, 3)],
+      street: "river",
+      toCall: 0n,
+      pot: BB * 10n
+    });
+
+    expect(monteCarlo({ iterations: 50, bluffFrequency: 0 }).decide(weak, { random: seeded(5) }).action).to.equal("check");
+    const bluff = monteCarlo({ iterations: 50, bluffFrequency: 1 }).decide(weak, { random: seeded(5) });
+    expect(bluff.action).to.equal("raise");
+    expect(bluff.reasoning).to.include("bluff: half-pot raise");
+  });
+
+  it("Should reject unknown strategies", function () {
+    expect(() => getStrategy("maniac")).to.throw("Unknown house strategy: maniac");
+  });
+});
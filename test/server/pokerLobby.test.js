@@ -0,0 +1,111 @@
+const { expect } = require("chai");
+const { PokerLobby, parseLobbyQuery } = require("../../server/poker/lobby");
+const { mapLimit } = require("../../server/common/concurrency");
+
+const BB = 10n ** 16n;
+
+function table(id, overrides = {}) {
+  return {
+    id,
+    minBuyIn: BB * 50n,
+    maxBuyIn: BB * 200n,
+    smallBlind: BB / 2n,
+    bigBlind: BB,
+    playerCount: 0,
+    maxPlayers: 6,
+    gameState: 0,
+    isActive: true,
+    ...overrides
+  };
+}
+
+describe("PokerLobby", function () {
+  let chain;
+  let reads;
+  let lobby;
+
+  beforeEach(function () {
+    chain = [
+      table(0, { bigBlind: BB * 2n, playerCount: 5, gameState: 2 }),
+      table(1, { playerCount: 2, gameState: 2 }),
+      table(2, { bigBlind: BB * 10n }),
+      table(3, { isActive: false })
+    ];
+    reads = [];
+    lobby = new PokerLobby({
+      countTables: async () => chain.length,
+      readTable: async (tableId) => {
+        reads.push(tableId);
+        return { ...chain[tableId] };
+      },
+      concurrency: 2,
+      ttlMs: 1000
+    });
+  });
+
+  it("Should cache summaries until they expire", async function () {
+    await lobby.query({}, 0);
+    await lobby.query({}, 999);
+    expect(reads).to.deep.equal([0, 1, 2, 3]);
+
+    await lobby.query({}, 1000);
+    expect(reads).to.have.length(8);
+  });
+
+  it("Should re-read only the tables invalidated by events", async function () {
+    await lobby.query({}, 0);
+    chain[2].playerCount = 3;
+    lobby.invalidate(2);
+
+    const { tables } = await lobby.query({ sort: "playerCount", order: "desc" }, 10);
+    expect(reads).to.deep.equal([0, 1, 2, 3, 2]);
+    expect(tables.map(t => t.id)).to.deep.equal([0, 2, 1]);
+  });
+
+  it("Should filter by stakes, open seats and game state", async function () {
+    const byStakes = await lobby.query(parseLobbyQuery({ minBigBlind: BB * 2n }), 0);
+    expect(byStakes.tables.map(t => t.id)).to.deep.equal([0, 2]);
+
+    const bySeats = await lobby.query({ minSeatsOpen: 2 }, 0);
+    expect(bySeats.tables.map(t => t.id)).to.deep.equal([1, 2]);
+    expect(bySeats.tables[0].seatsOpen).to.equal(4);
+
+    const byState = await lobby.query({ gameState: "PreFlop" }, 0);
+    expect(byState.tables.map(t => t.id)).to.deep.equal([0, 1]);
+
+    const all = await lobby.query({ includeInactive: true }, 0);
+    expect(all.total).to.equal(4);
+  });
+
+  it("Should sort and page", async function () {
+    const first = await lobby.query({ sort: "bigBlind", order: "desc", pageSize: 2 }, 0);
+    expect(first.tables.map(t => t.id)).to.deep.equal([2, 0]);
+    expect(first).to.include({ page: 1, total: 3, totalPages: 2 });
+
+    const second = await lobby.query({ sort: "bigBlind", order: "desc", pageSize: 2, page: 5 }, 0);
+    expect(second.page).to.equal(2);
+    expect(second.tables.map(t => t.id)).to.deep.equal([1]);
+  });
+
+  it("Should reject bad queries", function () {
+    expect(() => parseLobbyQuery({ sort: "pot" })).to.throw("sort must be one of");
+    expect(() => parseLobbyQuery({ order: "up" })).to.throw("order must be asc or desc");
+    expect(() => parseLobbyQuery({ gameState: "Lunch" })).to.throw("gameState must be one of");
+    expect(() => parseLobbyQuery({ minSeatsOpen: "some" })).to.throw("minSeatsOpen must be an integer");
+  });
+
+  it("Should keep at most the concurrency limit of reads in flight", async function () {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapLimit([1, 2, 3, 4, 5], 2, async (n) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      inFlight--;
+      return n * 10;
+    });
+
+    expect(results).to.deep.equal([10, 20, 30, 40, 50]);
+    expect(peak).to.equal(2);
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PokerRakeLedger } = require("../../server/poker/rake");
+
+const ETH = 10n ** 18n;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Poker rake", function () {
+  describe("PokerRakeLedger", function () {
+    let dir;
+    let filePath;
+    let ledger;
+
+    // A hand whose one winner was raked `amount`
+    const raked = (player, amount) => [{ player, amount, txHash: "0x1" }];
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "poker-rake-"));
+      filePath = path.join(dir, "poker-rake.json");
+      ledger = new PokerRakeLedger({ filePath, rateBps: 500, cap: ETH });
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should be disabled without a rate", function () {
+      expect(new PokerRakeLedger({ filePath }).enabled).to.equal(false);
+      expect(ledger.enabled).to.equal(true);
+    });
+
+    it("Should record the rake taken from a hand and keep it", function () {
+      const [entry] = ledger.recordHand({ handId: 1, tableId: 1, raked: raked("0xA", ETH / 10n), at: 0 });
+
+      expect(entry).to.deep.equal({ handId: 1, tableId: "1", player: "0xA", amount: (ETH / 10n).toString(), day: "1970-01-01", at: 0, txHash: "0x1" });
+      expect(new PokerRakeLedger({ filePath }).entries()).to.deep.equal([entry]);
+    });
+
+    it("Should record nothing for a hand that was not raked", function () {
+      expect(ledger.recordHand({ handId: 1, tableId: 1 })).to.deep.equal([]);
+      expect(ledger.recordHand({ handId: 2, tableId: 1, raked: raked("0xA", 0n) })).to.deep.equal([]);
+      expect(ledger.entries()).to.have.length(0);
+    });
+
+    it("Should count a hand shared by several winners once", function () {
+      ledger.recordHand({
+        handId: 1,
+        tableId: 1,
+        raked: [{ player: "0xA", amount: ETH / 3n }, { player: "0xB", amount: ETH / 3n }]
+      });
+
+      expect(ledger.report({ groupBy: "table" }).rows[0]).to.deep.equal({ table: "1", hands: 1, rake: (ETH / 3n) * 2n });
+    });
+
+    it("Should report rake by table, day and player", function () {
+      ledger.recordHand({ handId: 1, tableId: 1, raked: raked("0xA", ETH / 20n), at: 0 });
+      ledger.recordHand({ handId: 2, tableId: 1, raked: raked("0xB", ETH / 10n), at: DAY });
+      ledger.recordHand({ handId: 3, tableId: 2, raked: raked("0xA", ETH / 20n), at: DAY });
+
+      const byTable = ledger.report({ groupBy: "table" });
+      expect(byTable.total).to.equal(ETH / 5n);
+      expect(byTable.rows).to.deep.equal([
+        { table: "1", hands: 2, rake: (3n * ETH) / 20n },
+        { table: "2", hands: 1, rake: ETH / 20n }
+      ]);
+
+      const byDay = ledger.report({ groupBy: "day", from: "1970-01-02" });
+      expect(byDay.rows.map(row => [row.day, row.hands])).to.deep.equal([["1970-01-02", 2]]);
+
+      const byPlayer = ledger.report({ groupBy: "player", tableId: 1 });
+      expect(byPlayer.rows.map(row => [row.player, row.rake])).to.deep.equal([["0xB", ETH / 10n], ["0xA", ETH / 20n]]);
+    });
+
+    it("Should reject an unknown grouping", function () {
+      expect(() => ledger.report({ groupBy: "week" })).to.throw("groupBy must be one of table, day, player");
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const { buildPots, settlePots, payoutBreakdown } = require("../../server/poker/sidePots");
+
+// Lower strength wins here only to keep the fixtures readable: 1 is the nuts
+const byStrength = (strengths) => (a, b) => strengths[b] - strengths[a];
+
+describe("Poker side pots", function () {
+  it("Should put everything in one pot when nobody is all in short", function () {
+    const pots = buildPots([
+      { player: "A", amount: 100n, folded: false },
+      { player: "B", amount: 100n, folded: false },
+      { player: "C", amount: 40n, folded: true }
+    ]);
+
+    expect(pots).to.have.length(1);
+    expect(pots[0]).to.include({ name: "main", amount: 240n, uncalled: false });
+    expect(pots[0].eligible).to.deep.equal(["A", "B"]);
+  });
+
+  it("Should build a side pot above a short all-in", function () {
+    const pots = buildPots([
+      { player: "A", amount: 50n, folded: false },
+      { player: "B", amount: 200n, folded: false },
+      { player: "C", amount: 200n, folded: false }
+    ]);
+
+    expect(pots.map(pot => pot.amount)).to.deep.equal([150n, 300n]);
+    expect(pots[0].eligible).to.deep.equal(["A", "B", "C"]);
+    expect(pots[1]).to.include({ name: "side 1" });
+    expect(pots[1].eligible).to.deep.equal(["B", "C"]);
+  });
+
+  it("Should return an uncalled bet as its own pot", function () {
+    const pots = buildPots([
+      { player: "A", amount: 50n, folded: false },
+      { player: "B", amount: 120n, folded: false }
+    ]);
+
+    expect(pots[1]).to.include({ amount: 70n, uncalled: true });
+    expect(pots[1].eligible).to.deep.equal(["B"]);
+  });
+
+  it("Should award the main pot to a short stack and the side pot to the best of the rest", function () {
+    const contributions = [
+      { player: "A", amount: 50n, folded: false },
+      { player: "B", amount: 200n, folded: false },
+      { player: "C", amount: 200n, folded: false },
+      { player: "D", amount: 20n, folded: true }
+    ];
+    const settled = settlePots(buildPots(contributions), {
+      compare: byStrength({ A: 1, B: 2, C: 3 }),
+      seatOrder: ["A", "B", "C", "D"]
+    });
+
+    expect(settled[0].winners).to.deep.equal(["A"]);
+    expect(settled[0].shares).to.deep.equal([{ player: "A", amount: 170n }]);
+    expect(settled[1].winners).to.deep.equal(["B"]);
+
+    const payouts = payoutBreakdown(contributions, settled);
+    const b = payouts.find(p => p.player === "B");
+    expect(b).to.deep.include({ contributed: 200n, won: 300n, net: 100n, pots: [1] });
+    expect(payouts.reduce((sum, p) => sum + p.net, 0n)).to.equal(0n);
+  });
+
+  it("Should give odd chips to the first winners left of the button", function () {
+    const pots = [{ name: "main", amount: 50n, eligible: ["A", "B", "C"], cap: 50n, uncalled: false }];
+    const [pot] = settlePots(pots, {
+      compare: () => 0,
+      seatOrder: ["C", "A", "B"],
+      chipUnit: 10n
+    });
+
+    // 5 chips three ways: C and A, first after the button, get the odd two
+    expect(pot.shares).to.deep.equal([
+      { player: "C", amount: 20n },
+      { player: "A", amount: 20n },
+      { player: "B", amount: 10n }
+    ]);
+  });
+
+  it("Should keep a pot whole when it splits below one chip", function () {
+    const pots = [{ name: "main", amount: 25n, eligible: ["A", "B"], cap: 25n, uncalled: false }];
+    const [pot] = settlePots(pots, { compare: () => 0, seatOrder: ["A", "B"], chipUnit: 10n });
+
+    expect(pot.shares.reduce((sum, share) => sum + share.amount, 0n)).to.equal(25n);
+    expect(pot.shares[0]).to.deep.equal({ player: "A", amount: 15n });
+  });
+});
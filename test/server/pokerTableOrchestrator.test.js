@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const { PokerTableOrchestrator, GAME_STATE, nextStep } = require("../../server/poker/tableOrchestrator");
+
+describe("PokerTableOrchestrator", function () {
+  let snapshot;
+  let ready;
+  let ran;
+  let orchestrator;
+
+  beforeEach(function () {
+    snapshot = { gameState: GAME_STATE.Waiting, pot: 0n, playerCount: 2, isActive: true, handNumber: 0 };
+    ready = true;
+    ran = [];
+    orchestrator = new PokerTableOrchestrator({
+      listTables: async () => [0],
+      getSnapshot: async () => ({ ...snapshot }),
+      isReady: async () => ready,
+      runStep: async (tableId, step) => {
+        ran.push(step);
+        return { txHash: "0x1" };
+      },
+      pauses: { handMs: 500, dealMs: 100, streetMs: 200 }
+    });
+  });
+
+  it("Should pick the step each game state needs", function () {
+    const at = (gameState, playerCount = 2) => nextStep({ gameState, pot: 10n, playerCount, isActive: true });
+
+    expect(at(GAME_STATE.Waiting)).to.equal("startHand");
+    expect(at(GAME_STATE.Complete)).to.equal("startHand");
+    expect(at(GAME_STATE.Dealing)).to.equal("dealHoleCards");
+    expect(at(GAME_STATE.PreFlop)).to.equal("startFlop");
+    expect(at(GAME_STATE.Flop)).to.equal("startTurn");
+    expect(at(GAME_STATE.Turn)).to.equal("startRiver");
+    expect(at(GAME_STATE.River)).to.equal("startShowdown");
+    expect(at(GAME_STATE.Waiting, 1)).to.equal(null);
+    expect(at(GAME_STATE.Flop, 1)).to.equal(null);
+  });
+
+  it("Should run a hand from its start to the showdown with pauses between steps", async function () {
+    expect(await orchestrator.advance(0, 0)).to.equal(null);
+    expect(await orchestrator.advance(0, 499)).to.equal(null);
+    expect(await orchestrator.advance(0, 500)).to.equal("startHand");
+
+    // Poker.sol has posted the blinds and waits for the hole cards
+    snapshot = { ...snapshot, gameState: GAME_STATE.Dealing, pot: 30n, handNumber: 1 };
+    expect(await orchestrator.advance(0, 550)).to.equal(null);
+    expect(await orchestrator.advance(0, 650)).to.equal("dealHoleCards");
+
+    snapshot.gameState = GAME_STATE.PreFlop;
+    expect(await orchestrator.advance(0, 700)).to.equal(null);
+    expect(await orchestrator.advance(0, 900)).to.equal("startFlop");
+
+    snapshot.gameState = GAME_STATE.Flop;
+    await orchestrator.advance(0, 1000);
+    expect(await orchestrator.advance(0, 1200)).to.equal("startTurn");
+
+    expect(ran).to.deep.equal(["startHand", "dealHoleCards", "startFlop", "startTurn"]);
+    expect(orchestrator.tableState(0).handNumber).to.equal(1);
+  });
+
+  it("Should wait while the betting round is still open", async function () {
+    snapshot = { ...snapshot, gameState: GAME_STATE.Flop, pot: 30n };
+    ready = false;
+
+    expect(await orchestrator.advance(0, 0)).to.equal(null);
+    expect(await orchestrator.advance(0, 10000)).to.equal(null);
+
+    ready = true;
+    expect(await orchestrator.advance(0, 11000)).to.equal(null);
+    expect(await orchestrator.advance(0, 11200)).to.equal("startTurn");
+  });
+
+  it("Should start the next hand after a showdown", async function () {
+    snapshot = { ...snapshot, gameState: GAME_STATE.River, pot: 30n, handNumber: 1 };
+    await orchestrator.advance(0, 0);
+    expect(await orchestrator.advance(0, 200)).to.equal("startShowdown");
+
+    snapshot = { ...snapshot, gameState: GAME_STATE.Complete, pot: 0n };
+    expect(await orchestrator.advance(0, 300)).to.equal(null);
+    expect(await orchestrator.advance(0, 800)).to.equal("startHand");
+  });
+
+  it("Should carry on a hand already in progress when first seen", async function () {
+    snapshot = { ...snapshot, gameState: GAME_STATE.PreFlop, pot: 30n };
+
+    await orchestrator.advance(0, 0);
+    expect(await orchestrator.advance(0, 200)).to.equal("startFlop");
+  });
+
+  it("Should advance several tables at once", async function () {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    orchestrator.listTables = async () => [0, 1, 2, 3, 4, 5];
+    orchestrator.concurrency = 3;
+    orchestrator.getSnapshot = async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { ...snapshot };
+    };
+
+    await orchestrator.tick();
+    expect(maxInFlight).to.equal(3);
+    expect(orchestrator.status().tables).to.have.length(6);
+  });
+
+  it("Should retry a failed step after checking readiness again", async function () {
+    snapshot = { ...snapshot, gameState: GAME_STATE.Turn, pot: 30n };
+    orchestrator.runStep = async () => {
+      throw new Error("Not all players have acted");
+    };
+
+    await orchestrator.tick();
+    orchestrator.tableState(0).readySince = 0;
+    await orchestrator.tick();
+
+    const table = orchestrator.tableState(0);
+    expect(table.lastError).to.equal("Not all players have acted");
+    expect(table.readySince).to.equal(null);
+  });
+});
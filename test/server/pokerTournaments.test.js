@@ -0,0 +1,259 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PokerTournaments, defaultPayouts } = require("../../server/poker/tournaments");
+
+const ETH = 10n ** 18n;
+const PLAYERS = ["0xA", "0xB", "0xC", "0xD"];
+
+describe("PokerTournaments", function () {
+  let dir;
+  let filePath;
+  let ledger;
+  let tournaments;
+
+  function createManager(options = {}) {
+    return new PokerTournaments({
+      filePath,
+      collectBuyIn: async (player, amount) => {
+        ledger.push(["buy-in", player, amount]);
+        return `0xbuyin${player}`;
+      },
+      refund: async (player, amount) => {
+        ledger.push(["refund", player, amount]);
+        return `0xrefund${player}`;
+      },
+      payPrize: async (player, amount) => {
+        ledger.push(["prize", player, amount]);
+        return `0xprize${player}`;
+      },
+      createTable: async (tournament) => {
+        ledger.push(["table", tournament.tournamentId]);
+        return 7;
+      },
+      seatPlayer: async (tableId, player, chips) => {
+        ledger.push(["seat", tableId, player, chips]);
+        return `0xseat${player}`;
+      },
+      ...options
+    });
+  }
+
+  const levels = [
+    { smallBlind: 10, bigBlind: 20, durationMs: 1000 },
+    { smallBlind: 20, bigBlind: 40, durationMs: 1000 },
+    { smallBlind: 50, bigBlind: 100, durationMs: 1000 }
+  ];
+
+  async function fill(tournament, now = 0) {
+    for (const player of PLAYERS.slice(0, tournament.seats)) {
+      await tournaments.register(tournament.tournamentId, player, now);
+    }
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tournaments-"));
+    filePath = path.join(dir, "tournaments.json");
+    ledger = [];
+    tournaments = createManager();
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should validate the tournament structure", function () {
+    expect(() => tournaments.create({ buyIn: ETH, seats: 1 })).to.throw("seats must be between 2 and 10");
+    expect(() => tournaments.create({ buyIn: ETH, payouts: [60, 30] })).to.throw("payouts must add up to 100");
+    expect(() => tournaments.create({ buyIn: ETH, seats: 2, payouts: [50, 30, 20] })).to.throw("payouts must be 1 to seats");
+    expect(() => tournaments.create({ buyIn: ETH, levels: [{ smallBlind: 20, bigBlind: 10, durationMs: 1 }] })).to.throw("smallBlind < bigBlind");
+    expect(defaultPayouts(9)).to.deep.equal([50, 30, 20]);
+  });
+
+  it("Should take buy-ins on registration and start when full", async function () {
+    const tournament = tournaments.create({ buyIn: ETH, seats: 3, startingChips: 1000, levels, payouts: [70, 30] });
+
+    await tournaments.register(1, "0xA", 0);
+    await tournaments.unregister(1, "0xA");
+    expect(tournament.status).to.equal("registering");
+    await fill(tournament, 500);
+
+    expect(tournament.status).to.equal("running");
+    expect(tournament.startedAt).to.equal(500);
+    expect(tournament.entries.map(e => e.chips)).to.deep.equal([1000, 1000, 1000]);
+    expect(ledger.filter(([kind]) => kind === "buy-in")).to.have.length(4);
+    expect(ledger.filter(([kind]) => kind === "refund")).to.deep.equal([["refund", "0xA", ETH]]);
+
+    let error;
+    try {
+      await tournaments.register(1, "0xD");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Registration is closed");
+  });
+
+  it("Should free the seat when a buy-in fails", async function () {
+    tournaments = createManager({
+      collectBuyIn: async () => {
+        throw new Error("Insufficient balance");
+      }
+    });
+    tournaments.create({ buyIn: ETH, seats: 2 });
+
+    try {
+      await tournaments.register(1, "0xA");
+    } catch (e) {
+      // expected
+    }
+    expect(tournaments.get(1).entries).to.deep.equal([]);
+  });
+
+  it("Should seat a full tournament at a table of its own, retrying seats that fail", async function () {
+    let failing = true;
+    tournaments = createManager({
+      seatPlayer: async (tableId, player, chips) => {
+        if (failing && player === "0xB") throw new Error("nonce too low");
+        ledger.push(["seat", tableId, player, chips]);
+        return `0xseat${player}`;
+      }
+    });
+    const tournament = tournaments.create({ buyIn: ETH, seats: 2, startingChips: 1000 });
+    await fill(tournament);
+
+    expect(tournament).to.include({ tableId: "7", tableError: "nonce too low" });
+    expect(tournaments.seated(tournament)).to.equal(false);
+
+    failing = false;
+    await tournaments.openTable(tournament);
+    expect(ledger.filter(([kind]) => kind === "table")).to.have.length(1);
+    expect(ledger.filter(([kind]) => kind === "seat")).to.deep.equal([
+      ["seat", "7", "0xA", 1000],
+      ["seat", "7", "0xB", 1000]
+    ]);
+    expect(tournaments.seated(tournament)).to.equal(true);
+    expect(tournaments.forTable(7)).to.equal(tournament);
+    expect(tournaments.hasTable("7")).to.equal(true);
+    expect(tournaments.hasTable("8")).to.equal(false);
+  });
+
+  it("Should record hands from the stacks left on the table", async function () {
+    const tournament = tournaments.create({ buyIn: ETH, seats: 3, startingChips: 1000, payouts: [100] });
+    await fill(tournament);
+
+    await tournaments.recordStacks(1, [
+      { player: "0xa", chips: 1400n },
+      { player: "0xB", chips: 0n },
+      { player: "0xC", chips: 1600n }
+    ]);
+    expect(tournament.entries.map(e => [e.chips, e.place])).to.deep.equal([[1400, null], [0, 3], [1600, null]]);
+    expect(tournament.handsPlayed).to.equal(1);
+
+    let error;
+    try {
+      await tournaments.recordStacks(1, [{ player: "0xA", chips: 3000n }]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("No stack for 0xC");
+  });
+
+  it("Should raise the blinds on schedule and hold the last level", async function () {
+    const tournament = tournaments.create({ buyIn: ETH, seats: 2, levels });
+    await fill(tournament, 0);
+
+    tournaments.tick(999);
+    expect(tournaments.blinds(tournament, 999)).to.include({ level: 1, smallBlind: 10, bigBlind: 20, nextLevelAt: 1000 });
+    tournaments.tick(2500);
+    expect(tournaments.blinds(tournament, 2500)).to.include({ level: 3, bigBlind: 100, nextLevelAt: null });
+    tournaments.tick(60000);
+    expect(tournament.level).to.equal(2);
+  });
+
+  it("Should track eliminations and pay the prize pool by place", async function () {
+    const tournament = tournaments.create({ buyIn: ETH, seats: 3, startingChips: 1000, levels, payouts: [70, 30] });
+    await fill(tournament);
+
+    expect(await tournaments.recordHand(1, [{ player: "0xA", chips: 200 }, { player: "0xB", chips: -200 }])).to.deep.equal([]);
+    expect(await tournaments.recordHand(1, [{ player: "0xC", chips: 1000 }, { player: "0xB", chips: -800 }, { player: "0xA", chips: -200 }]))
+      .to.deep.equal([{ player: "0xB", place: 3 }]);
+
+    let error;
+    try {
+      await tournaments.recordHand(1, [{ player: "0xA", chips: 5 }]);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Chip changes must add up to zero");
+
+    await tournaments.recordHand(1, [{ player: "0xC", chips: 1000 }, { player: "0xA", chips: -1000 }]);
+
+    expect(tournament.status).to.equal("finished");
+    expect(tournament.prizes.map(p => [p.place, p.player, p.amount])).to.deep.equal([
+      [1, "0xC", (ETH * 21n / 10n).toString()],
+      [2, "0xA", (ETH * 9n / 10n).toString()]
+    ]);
+    expect(tournaments.view(tournament).standings.map(e => e.player)).to.deep.equal(["0xC", "0xA", "0xB"]);
+  });
+
+  it("Should place players busted in the same hand by their starting stacks", async function () {
+    const tournament = tournaments.create({ buyIn: ETH, seats: 3, startingChips: 1000, payouts: [100] });
+    await fill(tournament);
+    await tournaments.recordHand(1, [{ player: "0xA", chips: 300 }, { player: "0xB", chips: -300 }]);
+
+    const eliminated = await tournaments.recordHand(1, [
+      { player: "0xA", chips: -1300 },
+      { player: "0xB", chips: -700 },
+      { player: "0xC", chips: 2000 }
+    ]);
+    expect(eliminated).to.deep.equal([{ player: "0xB", place: 3 }, { player: "0xA", place: 2 }]);
+    expect(tournament.prizes).to.have.length(1);
+  });
+
+  it("Should retry prizes that failed to pay", async function () {
+    let failing = true;
+    tournaments = createManager({
+      payPrize: async (player) => {
+        if (failing) throw new Error("treasury paused");
+        return `0xprize${player}`;
+      }
+    });
+    const tournament = tournaments.create({ buyIn: ETH, seats: 2, payouts: [100] });
+    await fill(tournament);
+    await tournaments.recordHand(1, [{ player: "0xA", chips: 1500 }, { player: "0xB", chips: -1500 }]);
+
+    expect(tournament.status).to.equal("paying");
+    expect(tournament.prizes[0].error).to.equal("treasury paused");
+
+    failing = false;
+    await tournaments.payPrizes(1);
+    expect(tournament.status).to.equal("finished");
+    expect(createManager().get(1).prizes[0].txHash).to.equal("0xprize0xA");
+  });
+
+  it("Should refund everyone when cancelled before starting", async function () {
+    tournaments.create({ buyIn: ETH, seats: 3 });
+    await tournaments.register(1, "0xA");
+    await tournaments.register(1, "0xB");
+
+    await tournaments.cancel(1);
+    expect(tournaments.get(1).status).to.equal("cancelled");
+    expect(ledger.filter(([kind]) => kind === "refund").map(([, player]) => player)).to.deep.equal(["0xA", "0xB"]);
+  });
+
+  it("Should hand the register authorization to collectBuyIn", async function () {
+    let seen;
+    tournaments = createManager({
+      collectBuyIn: async (player, amount, authorization) => {
+        seen = authorization;
+        return "0xbuyin";
+      }
+    });
+    tournaments.create({ buyIn: ETH, seats: 2, levels });
+
+    const authorization = { intent: { player: "0xA" }, signature: "0xsig" };
+    await tournaments.register(1, "0xA", 0, authorization);
+    expect(seen).to.equal(authorization);
+  });
+});
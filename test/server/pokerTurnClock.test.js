@@ -0,0 +1,141 @@
+const { expect } = require("chai");
+const { PokerTurnClock } = require("../../server/poker/turnClock");
+
+const ALICE = "0xA";
+const BOB = "0xB";
+
+describe("PokerTurnClock", function () {
+  let acted;
+  let clock;
+
+  function createClock(options = {}) {
+    return new PokerTurnClock({
+      listTables: async () => [0],
+      getTurn: async () => null,
+      autoAct: async (tableId, player, action) => {
+        acted.push({ player, action });
+      },
+      actionMs: 1000,
+      maxTimeouts: 2,
+      ...options
+    });
+  }
+
+  const turn = (player, key, canCheck = false) => ({ player, key, canCheck });
+
+  beforeEach(function () {
+    acted = [];
+    clock = createClock();
+  });
+
+  it("Should fold a player who runs out of time, or check when they can", async function () {
+    await clock.observe(0, turn(ALICE, "a1"), 0);
+    expect(await clock.observe(0, turn(ALICE, "a1"), 999)).to.equal(null);
+    expect(await clock.observe(0, turn(ALICE, "a1"), 1000)).to.equal("fold");
+
+    await clock.observe(0, turn(BOB, "b1", true), 2000);
+    expect(await clock.observe(0, turn(BOB, "b1", true), 3000)).to.equal("check");
+
+    expect(acted).to.deep.equal([
+      { player: ALICE, action: "fold" },
+      { player: BOB, action: "check" }
+    ]);
+  });
+
+  it("Should only act once per timed-out turn", async function () {
+    await clock.observe(0, turn(ALICE, "a1"), 0);
+    await clock.observe(0, turn(ALICE, "a1"), 1000);
+    await clock.observe(0, turn(ALICE, "a1"), 5000);
+
+    expect(acted).to.have.length(1);
+  });
+
+  it("Should spend the time bank before timing out", async function () {
+    clock = createClock({ timeBankMs: 5000 });
+
+    await clock.observe(0, turn(ALICE, "a1"), 0);
+    expect(await clock.observe(0, turn(ALICE, "a1"), 3000)).to.equal(null);
+    expect(clock.remaining(0, 3000)).to.include({ actionMsRemaining: 0, timeBankMsRemaining: 3000 });
+
+    // Acting after 3s uses 2s of the bank
+    await clock.observe(0, turn(BOB, "b1"), 3000);
+    expect(clock.player(0, ALICE).timeBankMs).to.equal(3000);
+
+    await clock.observe(0, turn(ALICE, "a2"), 4000);
+    expect(await clock.observe(0, turn(ALICE, "a2"), 7999)).to.equal(null);
+    expect(await clock.observe(0, turn(ALICE, "a2"), 8000)).to.equal("fold");
+  });
+
+  it("Should sit out repeat offenders and act for them straight away", async function () {
+    const sitOuts = [];
+    clock = createClock({ autoAct: async (tableId, player, action, { sitOut }) => sitOuts.push(sitOut) });
+    await clock.observe(0, turn(ALICE, "a1"), 0);
+    await clock.observe(0, turn(ALICE, "a1"), 1000);
+    await clock.observe(0, turn(ALICE, "a2"), 2000);
+    await clock.observe(0, turn(ALICE, "a2"), 3000);
+    expect(clock.isSittingOut(0, ALICE)).to.equal(true);
+
+    expect(await clock.observe(0, turn(ALICE, "a3", true), 4000)).to.equal("check");
+
+    // The timeout that sits them out sits them out on-chain too
+    expect(sitOuts).to.deep.equal([false, true, true]);
+
+    clock.sitIn(0, ALICE);
+    expect(await clock.observe(0, turn(ALICE, "a4"), 5000)).to.equal(null);
+  });
+
+  it("Should forgive a timeout once the player acts in time", async function () {
+    await clock.observe(0, turn(ALICE, "a1"), 0);
+    await clock.observe(0, turn(ALICE, "a1"), 1000);
+    await clock.observe(0, turn(ALICE, "a2"), 2000);
+    await clock.observe(0, turn(BOB, "b1"), 2500);
+    await clock.observe(0, turn(ALICE, "a3"), 3000);
+    await clock.observe(0, turn(ALICE, "a3"), 4000);
+
+    expect(clock.player(0, ALICE)).to.include({ timeouts: 1, sittingOut: false });
+  });
+
+  it("Should let a player sit out and come back for the next hand", async function () {
+    clock.sitOut(0, ALICE);
+    expect(await clock.observe(0, turn(ALICE, "a1", true), 0)).to.equal("check");
+
+    clock.sitInNextHand(0, ALICE);
+    expect(clock.player(0, ALICE)).to.include({ sittingOut: true, returning: true });
+    expect(clock.returningPlayers(0)).to.deep.equal([ALICE.toLowerCase()]);
+    expect(clock.returningPlayers(1)).to.deep.equal([]);
+    expect(await clock.observe(0, turn(ALICE, "a2"), 1000)).to.equal("fold");
+
+    clock.newHand(1);
+    expect(clock.isSittingOut(0, ALICE)).to.equal(true);
+    clock.newHand(0);
+    expect(clock.player(0, ALICE)).to.include({ sittingOut: false, returning: false, timeouts: 0 });
+    expect(clock.returningPlayers(0)).to.deep.equal([]);
+    expect(await clock.observe(0, turn(ALICE, "a3"), 2000)).to.equal(null);
+  });
+
+  it("Should forget a player who leaves", async function () {
+    clock.sitOut(0, ALICE);
+    clock.forget(0, ALICE);
+    expect(clock.isSittingOut(0, ALICE)).to.equal(false);
+  });
+
+  it("Should try a failed timeout action again on the next tick", async function () {
+    let failures = 1;
+    clock = createClock({
+      autoAct: async (tableId, player, action) => {
+        if (failures-- > 0) throw new Error("Turn has not timed out");
+        acted.push({ player, action });
+      }
+    });
+
+    await clock.observe(0, turn(ALICE, "a1"), 0);
+    expect(await clock.observe(0, turn(ALICE, "a1"), 1000)).to.equal(null);
+    expect(clock.remaining(0, 1000)).to.include({ timedOut: false });
+    expect(clock.player(0, ALICE).timeouts).to.equal(0);
+
+    expect(await clock.observe(0, turn(ALICE, "a1"), 2000)).to.equal("fold");
+    expect(clock.remaining(0, 2000)).to.include({ timedOut: true });
+    expect(clock.player(0, ALICE).timeouts).to.equal(1);
+    expect(acted).to.deep.equal([{ player: ALICE, action: "fold" }]);
+  });
+});
@@ -0,0 +1,102 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PokerWaitlist, tableQueue, stakesQueue } = require("../../server/poker/waitlist");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+const CAROL = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+const ETH = 10n ** 18n;
+const SB = ETH / 200n;
+const BB = ETH / 100n;
+const TABLE = { tableId: 3, smallBlind: SB, bigBlind: BB };
+
+describe("PokerWaitlist", function () {
+  let dir;
+  let filePath;
+  let waitlist;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "poker-waitlist-"));
+    filePath = path.join(dir, "poker-waitlist.json");
+    waitlist = new PokerWaitlist({ filePath, offerMs: 1000 });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should queue players in order and keep them across restarts", function () {
+    waitlist.join(tableQueue(3), ALICE, { buyIn: ETH, now: 0 });
+    expect(waitlist.join(tableQueue(3), BOB, { now: 1 })).to.include({ position: 2, buyIn: null });
+    expect(() => waitlist.join(tableQueue(3), ALICE.toLowerCase())).to.throw("Already on this waitlist");
+
+    const restarted = new PokerWaitlist({ filePath });
+    expect(restarted.queue(tableQueue(3)).map(entry => entry.player)).to.deep.equal([ALICE, BOB]);
+    expect(restarted.leave(tableQueue(3), ALICE)).to.equal(true);
+    expect(restarted.leave(tableQueue(3), ALICE)).to.equal(false);
+  });
+
+  it("Should offer freed seats to the longest-waiting player across the table and stakes queues", function () {
+    waitlist.join(stakesQueue(SB, BB), ALICE, { now: 0 });
+    waitlist.join(tableQueue(3), BOB, { now: 1 });
+    waitlist.join(stakesQueue(SB * 2n, BB * 2n), CAROL, { now: -1 });
+
+    const [offer] = waitlist.offerSeats(TABLE, 1, 10);
+    expect(offer).to.include({ tableId: "3", player: ALICE, status: "pending", expiresAt: 1010 });
+    expect(waitlist.reserved(3)).to.equal(1);
+    expect(waitlist.reserved(3, ALICE)).to.equal(0);
+
+    // The held seat is not offered again
+    expect(waitlist.offerSeats(TABLE, 1, 20)).to.have.length(0);
+    expect(waitlist.offerSeats(TABLE, 2, 20).map(o => o.player)).to.deep.equal([BOB]);
+  });
+
+  it("Should hold an accepted seat until the player joins", function () {
+    waitlist.join(tableQueue(3), ALICE, { now: 0 });
+    waitlist.offerSeats(TABLE, 1, 0);
+
+    expect(waitlist.accept(3, ALICE, 500)).to.include({ status: "accepted", expiresAt: 1500 });
+    expect(() => waitlist.accept(3, ALICE, 600)).to.throw("No open seat offer at table 3");
+    expect(waitlist.expire(1200)).to.have.length(0);
+
+    const { seated } = waitlist.seated(3, ALICE, 1300);
+    expect(seated).to.include({ status: "seated" });
+    expect(waitlist.queue(tableQueue(3))).to.have.length(0);
+    expect(waitlist.reserved(3)).to.equal(0);
+  });
+
+  it("Should not accept an offer after it expires", function () {
+    waitlist.join(tableQueue(3), ALICE, { now: 0 });
+    waitlist.offerSeats(TABLE, 1, 0);
+    expect(() => waitlist.accept(3, ALICE, 1000)).to.throw("No open seat offer at table 3");
+  });
+
+  it("Should move on to the next player when an offer is declined or expires", function () {
+    const reoffered = [];
+    waitlist = new PokerWaitlist({ filePath, offerMs: 1000, onExpired: tableId => reoffered.push(tableId) });
+    waitlist.join(tableQueue(3), ALICE, { now: 0 });
+    waitlist.join(tableQueue(3), BOB, { now: 1 });
+    waitlist.join(tableQueue(3), CAROL, { now: 2 });
+
+    waitlist.offerSeats(TABLE, 1, 0);
+    waitlist.decline(3, ALICE, 100);
+    expect(waitlist.offerSeats(TABLE, 1, 100).map(o => o.player)).to.deep.equal([BOB]);
+
+    expect(waitlist.tick(1100).map(o => [o.player, o.status])).to.deep.equal([[BOB, "expired"]]);
+    expect(waitlist.queue(tableQueue(3)).map(entry => entry.player)).to.deep.equal([CAROL]);
+    return Promise.resolve().then(() => expect(reoffered).to.deep.equal(["3"]));
+  });
+
+  it("Should withdraw offers elsewhere once a player sits down", function () {
+    waitlist.join(tableQueue(3), ALICE, { now: 0 });
+    waitlist.join(tableQueue(4), ALICE, { now: 0 });
+    waitlist.offerSeats(TABLE, 1, 0);
+
+    const { seated, withdrawn } = waitlist.seated(4, ALICE, 10);
+    expect(seated).to.equal(null);
+    expect(withdrawn.map(o => [o.tableId, o.status])).to.deep.equal([["3", "withdrawn"]]);
+    expect(waitlist.forPlayer(ALICE)).to.deep.equal({ entries: [], offers: [] });
+  });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const { expandBet, quoteBet, describeBetTypes } = require("../../server/roulette/bets");
+
+describe("Roulette bets", function () {
+  describe("Inside bets", function () {
+    it("Should accept legal splits and reject non-adjacent numbers", function () {
+      expect(expandBet({ type: "split", numbers: [18, 17] })).to.deep.equal([17, 18]);
+      expect(expandBet({ type: "split", numbers: [14, 17] })).to.deep.equal([14, 17]);
+      expect(expandBet({ type: "split", numbers: [0, 2] })).to.deep.equal([0, 2]);
+      // 3 and 4 sit at opposite ends of neighbouring rows
+      expect(() => expandBet({ type: "split", numbers: [3, 4] })).to.throw("not a valid split");
+      expect(() => expandBet({ type: "split", numbers: [0, 5] })).to.throw("not a valid split");
+    });
+
+    it("Should validate streets, corners and six-lines", function () {
+      expect(expandBet({ type: "street", numbers: [34, 35, 36] })).to.have.length(3);
+      expect(expandBet({ type: "street", numbers: [0, 1, 2] })).to.have.length(3);
+      expect(() => expandBet({ type: "street", numbers: [2, 3, 4] })).to.throw();
+
+      expect(expandBet({ type: "corner", numbers: [1, 2, 4, 5] })).to.have.length(4);
+      expect(expandBet({ type: "corner", numbers: [0, 1, 2, 3] })).to.have.length(4);
+      expect(() => expandBet({ type: "corner", numbers: [3, 4, 6, 7] })).to.throw();
+
+      expect(expandBet({ type: "six-line", numbers: [31, 32, 33, 34, 35, 36] })).to.have.length(6);
+      expect(() => expandBet({ type: "six-line", numbers: [2, 3, 4, 5, 6, 7] })).to.throw();
+    });
+
+    it("Should reject numbers off the wheel or repeated", function () {
+      expect(() => expandBet({ type: "straight", numbers: [37] })).to.throw("between 0 and 36");
+      expect(() => expandBet({ type: "split", numbers: [5, 5] })).to.throw("distinct");
+      expect(() => expandBet({ type: "corner", numbers: [1, 2] })).to.throw("exactly 4");
+    });
+  });
+
+  describe("Outside bets", function () {
+    it("Should expand dozens and columns from a selection", function () {
+      expect(expandBet({ type: "dozen", selection: 3 })[0]).to.equal(25);
+      expect(expandBet({ type: "column", selection: 1 }).slice(0, 3)).to.deep.equal([1, 4, 7]);
+      expect(() => expandBet({ type: "dozen", selection: 4 })).to.throw("Selection must be 1, 2 or 3");
+    });
+
+    it("Should cover 18 numbers for even-money bets, never zero", function () {
+      for (const type of ["red", "black", "odd", "even", "low", "high"]) {
+        const numbers = expandBet({ type });
+        expect(numbers, type).to.have.length(18);
+        expect(numbers, type).to.not.include(0);
+      }
+      const red = expandBet({ type: "red" });
+      expect(expandBet({ type: "black" }).some(n => red.includes(n))).to.be.false;
+    });
+
+    it("Should reject unknown bet types", function () {
+      expect(() => expandBet({ type: "basket" })).to.throw("Unknown bet type");
+    });
+  });
+
+  it("Should quote the standard payout for each type", function () {
+    const odds = Object.fromEntries(describeBetTypes().map(t => [t.type, t.odds]));
+    expect(odds).to.include({
+      straight: "35:1",
+      split: "17:1",
+      street: "11:1",
+      corner: "8:1",
+      "six-line": "5:1",
+      dozen: "2:1",
+      column: "2:1",
+      red: "1:1"
+    });
+
+    const quote = quoteBet({ type: "split", numbers: [1, 2] }, 100n);
+    expect(quote.potentialReturn).to.equal("1800");
+    expect(quote.winProbability).to.equal(2 / 37);
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RouletteRoundScheduler } = require("../../server/roulette/roundScheduler");
+
+const PLAYER = "0x0000000000000000000000000000000000000001";
+
+describe("RouletteRoundScheduler", function () {
+  let dir;
+  let scheduler;
+  let spins;
+
+  function createScheduler(spin, lockEntropy) {
+    return new RouletteRoundScheduler({
+      filePath: path.join(dir, "rounds.json"),
+      bettingMs: 60000,
+      noMoreBetsMs: 60000,
+      resultMs: 60000,
+      lockEntropy,
+      spin: spin || (async () => {
+        spins++;
+        return { spinId: spins, result: 17, txHash: "0xspin" };
+      })
+    });
+  }
+
+  const placeBet = (player = PLAYER) =>
+    scheduler.placeBet(player, async () => ({ txHash: "0xbet", bet: { type: "red" } }));
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "roulette-rounds-"));
+    spins = 0;
+    scheduler = createScheduler();
+    scheduler.start();
+  });
+
+  afterEach(function () {
+    scheduler.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should take bets only while betting is open", async function () {
+    const placed = await placeBet();
+    expect(placed.roundId).to.equal(1);
+    expect(scheduler.current().bets).to.have.length(1);
+
+    await scheduler.closeBetting();
+    expect(scheduler.current().phase).to.equal("no-more-bets");
+
+    let error;
+    try {
+      await placeBet();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Betting is closed for round 1");
+  });
+
+  it("Should spin once per round and record it in history", async function () {
+    await placeBet();
+    await scheduler.closeBetting();
+    await scheduler.runSpin();
+
+    expect(spins).to.equal(1);
+    const [round] = scheduler.history();
+    expect(round).to.include({ roundId: 1, phase: "settled" });
+    expect(round.spin).to.deep.equal({ spinId: 1, result: 17, txHash: "0xspin" });
+    expect(scheduler.lastRoundFor(PLAYER).roundId).to.equal(1);
+
+    await scheduler.openRound();
+    expect(scheduler.current()).to.include({ roundId: 2, phase: "betting" });
+  });
+
+  it("Should skip the spin when a round has no bets", async function () {
+    await scheduler.closeBetting();
+    await scheduler.runSpin();
+
+    expect(spins).to.equal(0);
+    expect(scheduler.getRound(1)).to.include({ phase: "settled", spin: null });
+  });
+
+  it("Should wait for bets in flight before spinning", async function () {
+    let release;
+    const bet = scheduler.placeBet(PLAYER, () => new Promise(resolve => {
+      release = () => resolve({ txHash: "0xslow", bet: { type: "black" } });
+    }));
+
+    await scheduler.closeBetting();
+    const spinning = scheduler.runSpin();
+    expect(spins).to.equal(0);
+
+    release();
+    await bet;
+    await spinning;
+    expect(spins).to.equal(1);
+    expect(scheduler.getRound(1).bets[0].txHash).to.equal("0xslow");
+  });
+
+  it("Should keep the round spinning when the spin fails", async function () {
+    scheduler.stop();
+    scheduler = createScheduler(async () => {
+      throw new Error("nonce too low");
+    });
+    scheduler.start();
+
+    await placeBet();
+    await scheduler.closeBetting();
+    await scheduler.runSpin();
+
+    expect(scheduler.current()).to.include({ phase: "spinning", error: "nonce too low" });
+    expect(scheduler.history()).to.have.length(0);
+  });
+
+  it("Should continue round IDs after a restart", async function () {
+    await scheduler.closeBetting();
+    await scheduler.runSpin();
+    scheduler.stop();
+
+    scheduler = createScheduler();
+    scheduler.start();
+    expect(scheduler.current().roundId).to.equal(2);
+    expect(scheduler.history()).to.have.length(1);
+  });
+
+  it("Should pick up an open round and its bets after a restart", async function () {
+    await placeBet();
+    scheduler.stop();
+
+    scheduler = createScheduler();
+    scheduler.start();
+    expect(scheduler.current()).to.include({ roundId: 1, phase: "betting" });
+    expect(scheduler.current().bets).to.have.length(1);
+
+    await scheduler.closeBetting();
+    await scheduler.runSpin();
+    expect(spins).to.equal(1);
+    expect(scheduler.history()[0].bets).to.have.length(1);
+  });
+
+  it("Should go on to spin a round whose betting closed while it was down", async function () {
+    await placeBet();
+    scheduler.stop();
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, "rounds.json"), "utf8"));
+    stored.current.bettingClosesAt = Date.now() - 1;
+    fs.writeFileSync(path.join(dir, "rounds.json"), JSON.stringify(stored));
+
+    scheduler = createScheduler();
+    scheduler.start();
+    expect(scheduler.current()).to.include({ roundId: 1, phase: "no-more-bets" });
+
+    let error;
+    try {
+      await placeBet();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Betting is closed for round 1");
+  });
+
+  it("Should lock the round's entropy when betting closes and retry a failed lock", async function () {
+    scheduler.stop();
+    let attempts = 0;
+    scheduler = createScheduler(null, async (round) => {
+      if (++attempts === 1) throw new Error("rpc down");
+      return { spinId: 1, blockNumber: 100 + round.roundId };
+    });
+    scheduler.start();
+
+    await scheduler.closeBetting();
+    expect(scheduler.current()).to.include({ phase: "no-more-bets", error: "rpc down" });
+    expect(scheduler.current().entropy).to.be.null;
+
+    await scheduler.closeBetting();
+    expect(scheduler.current().entropy).to.deep.equal({ spinId: 1, blockNumber: 101 });
+    expect(scheduler.current().error).to.be.null;
+  });
+});
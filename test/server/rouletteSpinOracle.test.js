@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { RouletteSpinOracle, verifySpin } = require("../../server/roulette/spinOracle");
+const { hashSeed } = require("../../server/common/seeds");
+
+const BLOCK_HASH = "0x" + "ab".repeat(32);
+
+describe("RouletteSpinOracle", function () {
+  let dir;
+  let filePath;
+  let oracle;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "roulette-"));
+    filePath = path.join(dir, "spins.json");
+    oracle = new RouletteSpinOracle(filePath);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const blockHash = async () => BLOCK_HASH;
+
+  it("Should reveal a seed that matches the published commitment", async function () {
+    const commitment = oracle.commitment();
+    expect(commitment).to.not.have.property("serverSeed");
+
+    oracle.lock(1, 7);
+    const spin = await oracle.spin({ getBlockHash: blockHash, submit: async () => "0x1" });
+
+    expect(spin.spinId).to.equal(commitment.spinId);
+    expect(hashSeed(spin.serverSeed)).to.equal(commitment.serverSeedHash);
+    expect(spin.result).to.be.within(0, 36);
+    expect(verifySpin(spin).valid).to.be.true;
+    expect(verifySpin({ ...spin, result: (spin.result + 1) % 37 }).valid).to.be.false;
+  });
+
+  it("Should commit to a new seed after every spin", async function () {
+    const first = oracle.commitment();
+    oracle.lock(1, 7);
+    await oracle.spin({ getBlockHash: blockHash, submit: async () => "0x1" });
+    const second = oracle.commitment();
+    expect(second.spinId).to.equal(first.spinId + 1);
+    expect(second.serverSeedHash).to.not.equal(first.serverSeedHash);
+  });
+
+  it("Should keep the drawn result when the spin transaction fails", async function () {
+    let submitted;
+    oracle.lock(1, 7);
+    await oracle.spin({
+      getBlockHash: blockHash,
+      submit: async (result) => {
+        submitted = result;
+        throw new Error("reverted");
+      }
+    }).catch(() => {});
+
+    const spin = await oracle.spin({
+      getBlockHash: async () => "0x" + "cd".repeat(32),
+      submit: async () => "0x2"
+    });
+    expect(spin.result).to.equal(submitted);
+    expect(spin.blockHash).to.equal(BLOCK_HASH);
+  });
+
+  it("Should persist spins for later verification", async function () {
+    oracle.lock(1, 7);
+    const spin = await oracle.spin({ getBlockHash: blockHash, submit: async () => "0x1" });
+    const reloaded = new RouletteSpinOracle(filePath);
+    expect(reloaded.getSpin(spin.spinId).serverSeed).to.equal(spin.serverSeed);
+    expect(reloaded.commitment().spinId).to.equal(spin.spinId + 1);
+  });
+
+  it("Should only spin from a locked block once it is mined", async function () {
+    const submit = async () => "0x1";
+    let error;
+    await oracle.spin({ getBlockHash: blockHash, submit }).catch(e => { error = e; });
+    expect(error.message).to.include("no entropy block locked");
+
+    oracle.lock(1, 7);
+    await oracle.spin({ getBlockHash: async () => null, submit }).catch(e => { error = e; });
+    expect(error.message).to.include("not mined yet");
+    expect(oracle.store.data.commitment.result).to.be.null;
+  });
+
+  it("Should keep the block a round locked first", function () {
+    expect(oracle.lock(1, 7).blockNumber).to.equal(7);
+    expect(oracle.lock(1, 9).blockNumber).to.equal(7);
+    expect(new RouletteSpinOracle(filePath).lock(1, 9).blockNumber).to.equal(7);
+    expect(oracle.lock(2, 12).blockNumber).to.equal(12);
+  });
+});
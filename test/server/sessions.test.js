@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { SessionManager } = require("../../server/common/sessions");
+const { seal, open } = require("../../server/common/sealedBox");
+
+function sessionKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("x25519");
+  return { publicKey: publicKey.export({ format: "jwk" }).x, privateKey };
+}
+
+describe("Wallet sessions", function () {
+  const wallet = ethers.Wallet.createRandom();
+  let sessions;
+  let key;
+
+  beforeEach(function () {
+    sessions = new SessionManager({ challengeTtlMs: 1000, sessionTtlMs: 5000 });
+    key = sessionKeyPair();
+  });
+
+  async function signIn(signer = wallet, now = 0) {
+    const challenge = sessions.challenge(wallet.address, key.publicKey, now);
+    const signature = await signer.signMessage(challenge.message);
+    return sessions.createSession(challenge.nonce, signature, now);
+  }
+
+  it("Should issue a session for a signed challenge", async function () {
+    const session = await signIn();
+
+    expect(session.address).to.equal(wallet.address);
+    expect(sessions.authenticate(session.token, 100)).to.include({ address: wallet.address, sessionKey: key.publicKey });
+  });
+
+  it("Should reject a challenge signed by another wallet", async function () {
+    let error;
+    try {
+      await signIn(ethers.Wallet.createRandom());
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Challenge was not signed by its address");
+  });
+
+  it("Should only accept each challenge once and before it expires", async function () {
+    const challenge = sessions.challenge(wallet.address, key.publicKey, 0);
+    const signature = await wallet.signMessage(challenge.message);
+
+    expect(() => sessions.createSession(challenge.nonce, signature, 2000)).to.throw("Unknown or expired challenge");
+    expect(() => sessions.createSession(challenge.nonce, signature, 0)).to.throw("Unknown or expired challenge");
+  });
+
+  it("Should expire and revoke sessions", async function () {
+    const session = await signIn();
+
+    expect(sessions.authenticate(session.token, 6000)).to.equal(null);
+
+    const next = await signIn();
+    sessions.revoke(next.token);
+    expect(sessions.authenticate(next.token, 0)).to.equal(null);
+  });
+
+  it("Should require a usable session key", function () {
+    expect(() => sessions.challenge(wallet.address, "not-a-key")).to.throw("X25519 public key");
+    expect(() => sessions.challenge("0x1234", key.publicKey)).to.throw("A valid address is required");
+  });
+
+  it("Should seal data that only the session key can open", function () {
+    const box = seal(key.publicKey, { cards: [14, 27] });
+
+    expect(box.ciphertext).to.not.include("14");
+    expect(open(key.privateKey, box)).to.deep.equal({ cards: [14, 27] });
+    expect(() => open(sessionKeyPair().privateKey, box)).to.throw();
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { SettlementQueue } = require("../../server/blackjack/settlementQueue");
+
+function player(i) {
+  return `0x${String(i).padStart(40, "0")}`;
+}
+
+describe("SettlementQueue", function () {
+  it("Should flush once the batch size is reached", async function () {
+    const batches = [];
+    const queue = new SettlementQueue({
+      maxBatchSize: 3,
+      settleBatch: async (entries) => {
+        batches.push(entries.map(e => e.player));
+        return `0x${batches.length}`;
+      }
+    });
+
+    const results = await Promise.all([1, 2, 3].map(i => queue.enqueue({ player: player(i), multiplier: 2 })));
+    await queue.flush();
+
+    expect(batches).to.have.length(1);
+    expect(results.map(r => r.txHash)).to.deep.equal(["0x1", "0x1", "0x1"]);
+    expect(queue.status().depth).to.equal(0);
+    expect(queue.status().lastFlush.status).to.equal("success");
+  });
+
+  it("Should flush on the timer when the batch is not full", async function () {
+    const queue = new SettlementQueue({
+      maxBatchSize: 10,
+      flushIntervalMs: 10,
+      settleBatch: async () => "0xabc"
+    });
+    queue.start();
+    try {
+      const result = await queue.enqueue({ player: player(1), multiplier: 1 });
+      expect(result.txHash).to.equal("0xabc");
+    } finally {
+      queue.stop();
+    }
+  });
+
+  it("Should bisect a failing batch down to the bad entry", async function () {
+    const bad = player(3);
+    let calls = 0;
+    const queue = new SettlementQueue({
+      maxBatchSize: 4,
+      settleBatch: async (entries) => {
+        calls++;
+        if (entries.some(e => e.player === bad)) throw new Error("Player not active");
+        return `0x${entries.length}`;
+      }
+    });
+
+    const outcomes = await Promise.allSettled(
+      [1, 2, 3, 4].map(i => queue.enqueue({ player: player(i), multiplier: 2 }))
+    );
+    await queue.flush();
+
+    expect(outcomes.map(o => o.status)).to.deep.equal(["fulfilled", "fulfilled", "rejected", "fulfilled"]);
+    expect(calls).to.equal(5);
+    const { lastFlush } = queue.status();
+    expect(lastFlush.status).to.equal("partial");
+    expect(lastFlush.settled).to.equal(3);
+    expect(lastFlush.errors[0].player).to.equal(bad);
+  });
+
+  it("Should not queue the same player twice", function () {
+    const queue = new SettlementQueue({ maxBatchSize: 10, settleBatch: async () => "0x1" });
+    const first = queue.enqueue({ player: player(1), multiplier: 2 });
+    const second = queue.enqueue({ player: player(1).toUpperCase().replace("0X", "0x"), multiplier: 2 });
+    expect(second).to.equal(first);
+    expect(queue.status().depth).to.equal(1);
+  });
+
+  it("Should pass an entry's result through to settleBatch", async function () {
+    let settled;
+    const queue = new SettlementQueue({
+      maxBatchSize: 1,
+      settleBatch: async (entries) => {
+        settled = entries;
+        return "0x1";
+      }
+    });
+    const result = { playerCards: [10, 11], dealerCards: [9, 8], multiplier: 2, nonce: 7 };
+
+    await queue.enqueue({ player: player(1), result });
+    expect(settled[0].result).to.deep.equal(result);
+  });
+});
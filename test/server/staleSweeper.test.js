@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { StaleGameSweeper } = require("../../server/blackjack/staleSweeper");
+
+const FRESH = "0x0000000000000000000000000000000000000001";
+const STALE = "0x0000000000000000000000000000000000000002";
+
+describe("StaleGameSweeper", function () {
+  function createSweeper(overrides = {}) {
+    const now = Date.now();
+    return new StaleGameSweeper({
+      timeoutMs: 60000,
+      intervalMs: 1000,
+      getActivePlayers: async () => [FRESH, STALE],
+      getLastActivity: async (player) => (player === STALE ? now - 120000 : now),
+      resolveStale: async (player, policy) => ({ outcome: policy, txHash: "0x1" }),
+      ...overrides
+    });
+  }
+
+  it("Should only resolve players idle past the timeout", async function () {
+    const resolved = [];
+    const sweeper = createSweeper({
+      resolveStale: async (player, policy) => {
+        resolved.push(player);
+        return { outcome: policy };
+      }
+    });
+
+    const sweep = await sweeper.sweep();
+
+    expect(resolved).to.deep.equal([STALE]);
+    expect(sweep.checked).to.equal(2);
+    expect(sweep.resolved[0]).to.include({ player: STALE, outcome: "forfeit" });
+  });
+
+  it("Should record failures without stopping the sweep", async function () {
+    const sweeper = createSweeper({
+      getActivePlayers: async () => [STALE, STALE],
+      resolveStale: async () => {
+        throw new Error("Player not active");
+      }
+    });
+
+    const sweep = await sweeper.sweep();
+    expect(sweep.resolved.map(r => r.error)).to.deep.equal(["Player not active", "Player not active"]);
+  });
+
+  it("Should keep a history of sweeps, newest first", async function () {
+    const sweeper = createSweeper({ policy: "push" });
+    await sweeper.sweep();
+    await sweeper.sweep();
+
+    const { history, policy } = sweeper.status();
+    expect(policy).to.equal("push");
+    expect(history).to.have.length(2);
+    expect(history[0].startedAt).to.be.at.least(history[1].startedAt);
+  });
+
+  it("Should reject unknown policies", function () {
+    expect(() => createSweeper({ policy: "refund" })).to.throw("Invalid stale game policy");
+  });
+});
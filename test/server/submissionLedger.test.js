@@ -0,0 +1,123 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { SubmissionLedger } = require("../../server/store/submissionLedger");
+
+const PLAYER = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("SubmissionLedger", function () {
+  let dir;
+  let filePath;
+  let ledger;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ledger-"));
+    filePath = path.join(dir, "submissions.json");
+    ledger = new SubmissionLedger(filePath);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should return the original response when a nonce is retried", async function () {
+    let calls = 0;
+    const submit = async () => {
+      calls++;
+      return { success: true, txHash: "0xabc" };
+    };
+
+    await ledger.run("blackjack", PLAYER, 1, submit);
+    const retried = await ledger.run("blackjack", PLAYER, 1, submit);
+
+    expect(calls).to.equal(1);
+    expect(retried).to.deep.equal({ success: true, txHash: "0xabc", replayed: true });
+  });
+
+  it("Should reject used and out-of-order nonces", async function () {
+    await ledger.run("blackjack", PLAYER, 5, async () => ({ success: true }));
+    expect(() => ledger.begin("blackjack", PLAYER, 4)).to.throw("out of order");
+    expect(() => ledger.begin("blackjack", PLAYER, "abc")).to.throw("nonce is required");
+  });
+
+  it("Should track nonces separately per game and player", async function () {
+    await ledger.run("blackjack", PLAYER, 5, async () => ({ success: true }));
+    expect(ledger.begin("roulette-bet", PLAYER, 1).replayed).to.be.false;
+    expect(ledger.begin("blackjack", "0x0000000000000000000000000000000000000001", 1).replayed).to.be.false;
+  });
+
+  it("Should allow a failed submission to be retried", async function () {
+    await ledger.run("blackjack", PLAYER, 1, async () => {
+      throw new Error("reverted");
+    }).catch(() => {});
+    expect(ledger.get("blackjack", PLAYER, 1).status).to.equal("failed");
+
+    const response = await ledger.run("blackjack", PLAYER, 1, async () => ({ success: true, txHash: "0x1" }));
+    expect(response.txHash).to.equal("0x1");
+  });
+
+  it("Should reject a nonce that is still in flight", function () {
+    ledger.begin("blackjack", PLAYER, 1);
+    expect(() => ledger.begin("blackjack", PLAYER, 1)).to.throw("already in progress");
+  });
+
+  it("Should persist submissions across restarts", async function () {
+    await ledger.run("blackjack", PLAYER, 3, async () => ({ success: true, txHash: "0x3" }));
+    const reloaded = new SubmissionLedger(filePath);
+    expect(reloaded.get("blackjack", PLAYER, 3).txHash).to.equal("0x3");
+    expect(() => reloaded.begin("blackjack", PLAYER, 2)).to.throw("out of order");
+  });
+
+  it("Should not retry a submission whose transaction was mined before it failed", async function () {
+    ledger = new SubmissionLedger(filePath, { getReceipt: async () => ({ status: 1 }) });
+    let calls = 0;
+    const submit = async () => {
+      calls++;
+      ledger.sent("0xmined");
+      throw new Error("read failed after wait");
+    };
+
+    await ledger.run("blackjack", PLAYER, 1, submit).catch(() => {});
+    const retried = await ledger.run("blackjack", PLAYER, 1, submit);
+
+    expect(calls).to.equal(1);
+    expect(retried).to.include({ txHash: "0xmined", recovered: true, replayed: true });
+  });
+
+  it("Should resolve pending submissions left behind by a restart", async function () {
+    ledger.begin("blackjack", PLAYER, 1);
+    ledger.begin("blackjack", PLAYER, 2);
+    ledger.store.data.submissions[ledger.submissionKey("blackjack", PLAYER, 2)].txHashes.push("0xreverted");
+    ledger.store.save();
+
+    const restarted = new SubmissionLedger(filePath, { getReceipt: async () => ({ status: 0 }) });
+    expect(() => restarted.begin("blackjack", PLAYER, 2)).to.throw("already in progress");
+    await restarted.recover();
+
+    expect(restarted.get("blackjack", PLAYER, 1).status).to.equal("failed");
+    expect(restarted.get("blackjack", PLAYER, 2).status).to.equal("failed");
+    expect(restarted.begin("blackjack", PLAYER, 1).replayed).to.be.false;
+  });
+
+  it("Should keep a submission pending until its transaction is known or times out", async function () {
+    ledger = new SubmissionLedger(filePath, { pendingTimeoutMs: 1000 });
+    const { record } = ledger.begin("blackjack", PLAYER, 1, 0);
+    record.txHashes.push("0xunknown");
+
+    await ledger.resolve(record, 500);
+    expect(record.status).to.equal("pending");
+    await ledger.resolve(record, 1000);
+    expect(record.status).to.equal("failed");
+  });
+
+  it("Should prune finished submissions but keep their nonces used", async function () {
+    ledger = new SubmissionLedger(filePath, { retentionMs: 1000 });
+    await ledger.run("blackjack", PLAYER, 1, async () => ({ success: true }));
+    ledger.get("blackjack", PLAYER, 1).updatedAt = 0;
+
+    ledger.begin("blackjack", PLAYER, 2, 1000);
+    expect(ledger.get("blackjack", PLAYER, 1)).to.be.null;
+    expect(() => ledger.begin("blackjack", PLAYER, 1)).to.throw("already used");
+  });
+});